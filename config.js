@@ -1,50 +1,362 @@
 /**
  * 应用配置文件
- * 包含所有系统配置参数
+ * 本文件中为默认值，可被配置文件（config.yaml / config.json）、环境变量和命令行参数覆盖，
+ * 加载顺序和支持的环境变量见 utils/configLoader.js
+ * 密钥类配置（如 wechat.webhookKey）请通过环境变量或配置文件提供，不要写在这里
  */
 
-module.exports = {
+const { loadConfig } = require('./utils/configLoader');
+
+const defaults = {
     // WebSocket 连接配置
     websocket: {
         url: 'wss://ws.okx.com:8443/ws/v5/public',
-        reconnectAttempts: 5,
-        reconnectDelay: 5000, // 毫秒
-        subscriptionDelay: 100 // 订阅延迟
+        reconnectAttempts: 0, // 最大重连次数，0 表示无限重试
+        reconnectDelay: 5000, // 初始重连延迟（毫秒）
+
+        // 重连策略：带抖动的指数退避 + 熔断
+        reconnect: {
+            maxDelay: 5 * 60 * 1000, // 最大重连延迟（毫秒）
+            multiplier: 2, // 退避倍数
+            jitter: 0.3, // 抖动比例，避免多个连接同时重连
+            circuitBreaker: {
+                failureThreshold: 10, // 连续失败次数达到该值后熔断，0 表示不熔断
+                openDuration: 10 * 60 * 1000 // 熔断持续时间（毫秒）
+            },
+            downAlertDelay: 30 * 1000 // 断线超过该时间仍未恢复时发送通知（毫秒）
+        },
+        subscriptionDelay: 100, // 订阅延迟
+
+        // 行情新鲜度监控：币种超过 staleTimeout 无行情时预警并重新订阅，
+        // 重新订阅后仍无行情或全部币种停滞时强制重连
+        watchdog: {
+            enabled: true,
+            staleTimeout: 60 * 1000, // 毫秒
+            checkInterval: 10 * 1000, // 检查间隔（毫秒）
+            reconnectWhenAllStale: true,
+            symbols: {} // 按币种覆盖停滞阈值，如 'APT-USDT': 5 * 60 * 1000
+        }
+    },
+
+    // 行情数据源配置
+    exchanges: {
+        // 默认数据源，可选 okx | binance | bybit
+        default: ['okx'],
+        // 按币种指定数据源，第一个为主数据源，其余为备用数据源
+        // 如 'APT-USDT': ['okx', 'binance']，永续和交割合约目前只有 okx 支持
+        symbols: {},
+        // 主数据源超过该时间无行情时切换到备用数据源（毫秒）
+        failoverTimeout: 30 * 1000,
+        // 各交易所连接配置，url 为空时使用默认地址（OKX 使用 websocket.url）
+        // OKX 可设置 restUrl（默认 https://www.okx.com），用于查询合约面值
+        venues: {
+            okx: {},
+            binance: {},
+            bybit: {}
+        }
+    },
+
+    // 跨交易所价差预警配置（需为币种配置多个数据源）
+    arbitrage: {
+        enabled: true,
+        spreadPercent: 0.5, // 价差阈值（%）
+        sustainPeriod: 30 * 1000, // 价差需持续超过阈值的时间（毫秒）
+        maxQuoteAge: 10 * 1000, // 超过该时间未更新的交易所行情不参与比较（毫秒）
+        symbols: {} // 按币种覆盖价差阈值，如 'APT-USDT': 1
+    },
+
+    // 合约指标预警：订阅 OKX 的 funding-rate、open-interest、mark-price 频道（永续合约订阅全部，交割合约无资金费率）
+    derivatives: {
+        enabled: true, // 修改后对新订阅生效
+        // 资金费率（%）高于 above 或低于 below 时预警，回到区间内后重新布防，null 表示不检查
+        fundingRate: { above: 0.1, below: -0.1 },
+        // 持仓量在 window 内变化超过 percent（%）时预警，同一币种 window 内只预警一次
+        openInterest: { window: 5 * 60 * 1000, percent: 5 },
+        // 最新价偏离标记价格超过 percent（%）并持续 sustainPeriod 时预警
+        markDivergence: { percent: 0.5, sustainPeriod: 30 * 1000 },
+        // 按币种覆盖，如 'BTC-USDT-SWAP': { fundingRate: { above: 0.05 } }
+        symbols: {}
+    },
+
+    // 盘口深度预警：订阅 OKX 盘口频道并在本地维护盘口（其他交易所不支持）
+    orderBook: {
+        enabled: false, // 修改后需重启生效
+        // books: 400 档增量推送，校验序列号和校验和，不一致时重新订阅；books5: 每次推送前 5 档快照
+        channel: 'books',
+        checkInterval: 1000, // 每个币种的盘口分析间隔（毫秒）
+        spreadBps: 20, // 买一卖一价差超过该基点数时预警，回落后重新布防，null 表示不检查
+        // 中间价上下 depthPercent% 内的挂单额在 window 内下降超过 dropPercent% 时预警
+        liquidity: { depthPercent: 1, window: 60 * 1000, dropPercent: 50 },
+        // 中间价上下 depthPercent% 内单档挂单额达到同侧其他档位平均值的 multiple 倍且不低于 minNotional（计价币种）视为大单墙，出现或撤单时预警
+        walls: { depthPercent: 2, multiple: 10, minNotional: 100000 },
+        // 按币种覆盖，如 'ETH-BTC': { walls: { minNotional: 5 } }
+        symbols: {}
+    },
+
+    // 成交流分析：订阅 OKX trades 频道，检测大额成交和主动买卖失衡
+    trades: {
+        symbols: [], // 订阅成交的币种，如 ['BTC-USDT', 'BTC-USDT-SWAP']，修改后需重启生效
+        // 单笔成交额（计价币种）达到该值时预警，null 表示不检查；合约按面值换算（反向合约如 BTC-USD-SWAP 即美元面值）
+        largeTradeNotional: 1000000,
+        // window 内主动买入（或卖出）占成交额的比例达到 ratio 且总成交额不低于 minNotional 时预警，回落后重新布防
+        imbalance: { window: 60 * 1000, ratio: 0.75, minNotional: 5000000 },
+        // 按币种覆盖，如 'ETH-BTC': { largeTradeNotional: 20, imbalance: { minNotional: 100 } }
+        thresholds: {}
     },
 
     // 监控币种配置
+    // 币种格式: BTC-USDT（现货）、ETH-BTC、BTC-USDT-SWAP（永续）、BTC-USD-250627（交割），兼容 BTCUSDT 写法
     symbols: {
-        default: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'DOGEUSDT', 'OKBUSDT', 'BNBUSDT', 'APTUSDT'],
+        default: ['BTC-USDT', 'ETH-USDT', 'SOL-USDT', 'DOGE-USDT', 'OKB-USDT', 'BNB-USDT', 'APT-USDT'],
 
         // 价格阈值配置
         thresholds: {
-            SOLUSDT: { min: 143, max: 143 },
-            ETHUSDT: { min: 2400, max: 2400 },
-            BTCUSDT: { min: 108000, max: 108000 },
-            DOGEUSDT: { min: 0.165, max: 0.165 },
-            OKBUSDT: { min: 51, max: 51 },
-            BNBUSDT: { min: 630, max: 630 },
-            APTUSDT: { min: 4.5, max: 4.5 }
+            'SOL-USDT': { min: 143, max: 143 },
+            'ETH-USDT': { min: 2400, max: 2400 },
+            'BTC-USDT': { min: 108000, max: 108000 },
+            'DOGE-USDT': { min: 0.165, max: 0.165 },
+            'OKB-USDT': { min: 51, max: 51 },
+            'BNB-USDT': { min: 630, max: 630 },
+            'APT-USDT': { min: 4.5, max: 4.5 }
         }
     },
 
     // 预警配置
     alerts: {
         priceChangeThreshold: 0.01, // 1%
+
+        // 价格突破阈值后新阈值区间的计算方式
+        // mode: fixed 当前价 ±priceChangeThreshold | volatility 按近期已实现波动率 | atr 按 ATR
+        // anchor: both 两侧都以当前价为中心重新计算 | breached 只移动被突破的一侧
+        bands: {
+            mode: 'fixed',
+            anchor: 'both',
+            // 单侧宽度 = multiple × 最近 period 根 K 线对数收益率的标准差（K 线周期需在 indicators.timeframes 中）
+            volatility: { timeframe: '1m', period: 60, multiple: 3 },
+            // 单侧宽度 = multiple × ATR / 当前价
+            atr: { timeframe: '15m', period: 14, multiple: 1 },
+            minWidth: 0.002, // 单侧宽度下限（比例），K 线不足时使用 priceChangeThreshold 并限制在上下限之间
+            maxWidth: 0.05, // 单侧宽度上限（比例）
+            // 按币种覆盖，如 'DOGE-USDT': { mode: 'atr', minWidth: 0.01, maxWidth: 0.1 }
+            symbols: {}
+        },
         cooldownPeriod: 60 * 1000, // 1分钟
         cleanupInterval: 15 * 60 * 1000, // 15分钟
-        maxAlertAge: 60 * 60 * 1000 // 1小时
+        maxAlertAge: 60 * 60 * 1000, // 1小时
+
+        // 时间窗口涨跌幅预警规则
+        // symbol: 币种符号，'*' 表示所有币种
+        // window: 时间窗口（毫秒），percent: 涨跌幅阈值（%）
+        // direction: 'up' 上涨 | 'down' 下跌 | 'any' 任意方向
+        // cooldown: 同一规则的冷却时间（毫秒），默认等于时间窗口
+        velocityRules: [
+            // { symbol: 'BTC-USDT', window: 5 * 60 * 1000, percent: 3, direction: 'any' },
+            // { symbol: 'ETH-USDT', window: 60 * 60 * 1000, percent: 10, direction: 'down' }
+        ]
+    },
+
+    // 技术指标预警：由行情聚合 K 线，在 K 线收盘时计算指标，同一信号每根 K 线最多触发一次
+    // type: ma_cross 均线金叉/死叉 | rsi 超买超卖 | bollinger 收盘价突破布林带 | atr_move 单根 K 线涨跌超过 ATR 的倍数
+    // 参数及默认值: ma_cross { ma: 'ema' | 'sma', fast: 9, slow: 21 }、rsi { period: 14, above: 70, below: 30 }、
+    //   bollinger { period: 20, stdDev: 2 }、atr_move { period: 14, multiple: 2 }
+    // direction: 'up' 只看金叉/向上 | 'down' 只看死叉/向下 | 'any'（默认），symbol 为 '*' 时适用于所有币种
+    indicators: {
+        timeframes: ['1m', '5m', '15m', '1h'], // 聚合的 K 线周期，修改后需重启生效
+        maxBars: 200, // 每个周期保留的 K 线数，需大于规则使用的最大周期
+        rules: [
+            // { symbol: 'BTC-USDT', timeframe: '15m', type: 'ma_cross', ma: 'ema', fast: 9, slow: 21 },
+            // { symbol: '*', timeframe: '1h', type: 'rsi', period: 14, above: 70, below: 30, channels: ['telegram'] }
+        ]
+    },
+
+    // 自定义预警规则，每个币种可配置多条，运行时可通过 HTTP 接口增删改
+    // type: price_above | price_below | price_cross | change_24h | volume_above | new_high_24h | new_low_24h
+    // mode: once 只触发一次 | repeat 满足条件即触发 | rearm 条件解除后才会再次触发（默认）
+    // cooldown: 冷却时间（毫秒），默认使用 alerts.cooldownPeriod
+    // hysteresis: rearm 模式下的回差（%），价格需回落超过该幅度才重新布防
+    // severity: 预警级别 info | warning | critical，默认 warning，用于按接收人过滤
+    rules: [
+        // { id: 'btc-above-110k', name: 'BTC 突破 11 万', symbol: 'BTC-USDT', type: 'price_above', value: 110000, mode: 'rearm', hysteresis: 0.5 },
+        // { id: 'eth-24h-swing', name: 'ETH 24h 波动超过 5%', symbol: 'ETH-USDT', type: 'change_24h', value: 5, mode: 'repeat', cooldown: 60 * 60 * 1000 },
+        // { id: 'sol-new-high', name: 'SOL 创 24h 新高', symbol: 'SOL-USDT', type: 'new_high_24h', mode: 'repeat', cooldown: 30 * 60 * 1000 }
+    ],
+
+    // 价格目标：止盈、止损等静态价位和移动止损，不随动态阈值移动，每个目标只触发一次，触发后可通过接口重置
+    // type: price 价格到达 price 时触发 | trailing 移动止损，跟随最高价（direction: below）或最低价（direction: above），回撤 percent% 时触发
+    // direction: above 价格高于或等于目标时触发 | below 价格低于或等于目标时触发
+    // severity: 预警级别，默认 critical
+    // 配置中的目标需设置 id，用于在重启和热加载后保留触发状态；运行时可通过 HTTP 接口添加
+    priceTargets: {
+        items: [
+            // { id: 'sol-tp-180', symbol: 'SOL-USDT', label: 'SOL 止盈', direction: 'above', price: 180, note: '减仓一半' },
+            // { id: 'sol-sl-120', symbol: 'SOL-USDT', label: 'SOL 止损', direction: 'below', price: 120 },
+            // { id: 'btc-trailing', symbol: 'BTC-USDT', label: 'BTC 移动止损', type: 'trailing', direction: 'below', percent: 5 }
+        ],
+        historySize: 100 // 保留的触发记录数，修改后需重启生效
+    },
+
+    // 持仓组合：按最新行情计算市值和未实现盈亏，组合汇总以美元计
+    // 非美元计价的持仓（如 ETH-BTC）按 <计价币>-USDT 的行情换算，该币种需同时在监控中
+    portfolio: {
+        // quantity 以基础币计，cost 为持仓均价（计价币种），targetWeight 为目标权重（0-1，可选），pnl 覆盖全局盈亏预警
+        // 如 { symbol: 'BTC-USDT', quantity: 0.5, cost: 95000, targetWeight: 0.6, pnl: { above: 30 } }
+        positions: [],
+        checkInterval: 5000, // 行情更新后重新计算组合的最小间隔（毫秒）
+        drawdownPercent: 10, // 组合市值较启动以来的峰值回撤超过该百分比时预警，回升后重新布防，null 表示不检查
+        pnl: { above: 20, below: -10 }, // 单个持仓未实现盈亏（%）高于 above 或低于 below 时预警，回到区间内后重新布防，null 表示不检查
+        driftPercent: 5, // 持仓实际权重偏离 targetWeight 超过该百分点时预警，回落后重新布防，null 表示不检查
+        summaryInterval: 0, // 定时发送组合摘要通知的间隔（毫秒），0 表示不发送，修改后需重启生效
+        channels: [] // 组合预警和摘要的发送渠道，空数组时使用默认渠道
+    },
+
+    // 价格历史配置
+    history: {
+        maxTicks: 3600, // 每个币种保留的最大记录数
+        sampleInterval: 1000 // 采样间隔（毫秒），默认可覆盖 1 小时
     },
 
     // 微信机器人配置
     wechat: {
-        webhookKey: 'your-webhook-key-here',
+        webhookKey: '', // 环境变量 WECHAT_WEBHOOK_KEY
         apiUrl: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send'
     },
 
+    // 通知渠道配置
+    notifications: {
+        // 默认发送渠道
+        defaultChannels: ['wechat'],
+        // 按币种指定发送渠道，如 'BTC-USDT': ['wechat', 'telegram']
+        symbolChannels: {},
+        // 请求超时（毫秒）
+        timeout: 10000,
+        // 渠道定义，键为渠道名称，type 为渠道类型
+        // 同一类型可以定义多个渠道（如多个 Telegram 群）
+        channels: {
+            wechat: {
+                type: 'wechat' // 使用上方 wechat 配置
+            },
+            telegram: {
+                type: 'telegram',
+                enabled: false,
+                botToken: '',
+                chatId: ''
+            },
+            slack: {
+                type: 'slack',
+                enabled: false,
+                webhookUrl: ''
+            },
+            dingtalk: {
+                type: 'dingtalk',
+                enabled: false,
+                accessToken: '',
+                secret: '' // 加签密钥，可选
+            },
+            feishu: {
+                type: 'feishu', // 也可使用 lark
+                enabled: false,
+                webhookUrl: '',
+                secret: '' // 签名校验密钥，可选
+            },
+            webhook: {
+                type: 'webhook',
+                enabled: false,
+                url: '',
+                headers: {}
+            }
+        },
+        // 接收人，配置后预警只发送给匹配的接收人，不再使用 defaultChannels 和 symbolChannels
+        // channels 的键为上方定义的渠道名称，值覆盖该渠道的地址，如 { telegram: { chatId: '123' } }，渠道定义的 enabled 不影响接收人
+        // symbols 为关注的币种，'*' 表示全部；用户同时关注所在群组的币种，未设置币种且不属于任何群组时关注全部
+        // minSeverity 为接收的最低级别：info | warning | critical
+        // quietHours 为免打扰时段，如 { start: '23:00', end: '08:00', minSeverity: 'critical', timezone: 'Asia/Shanghai' }，
+        // 时段内只发送不低于 quietHours.minSeverity 的预警
+        recipients: {
+            users: {}, // 如 alice: { channels: { telegram: { chatId: '123' } }, symbols: ['BTC-USDT'], minSeverity: 'warning' }
+            groups: {} // 如 'desk-majors': { channels: { wechat: { webhookKey: 'xxx' } }, members: ['alice'], symbols: ['BTC-USDT', 'ETH-USDT'] }
+        }
+    },
+
+    // HTTP 控制接口配置
+    http: {
+        enabled: true,
+        host: '127.0.0.1', // 默认只允许本机访问，监听其他地址时必须设置 token
+        port: 3000,
+        token: '' // 为空时不校验，仅限监听本机地址
+    },
+
+    // 状态持久化配置（动态阈值、增删的币种、预警冷却记录）
+    state: {
+        enabled: true,
+        backend: 'json', // json | memory
+        filePath: './data/state.json',
+        saveDelay: 1000 // 合并短时间内的多次保存
+    },
+
+    // Prometheus 指标配置，依赖 HTTP 控制接口，抓取地址 http://<host>:<port>/metrics
+    metrics: {
+        enabled: true,
+        latencyBuckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] // 通知耗时直方图区间（秒）
+    },
+
+    // 浏览器仪表盘配置，依赖 HTTP 控制接口，访问 http://<host>:<port>/
+    dashboard: {
+        enabled: true,
+        pushInterval: 1000, // 行情推送合并间隔（毫秒），每个币种每个间隔最多推送一次
+        historyWindow: 60 * 60 * 1000, // 走势图时间范围（毫秒）
+        historyPoints: 120, // 走势图初始数据点数
+        alertHistory: 100, // 保留的最近预警条数
+        heartbeatInterval: 15000 // 推送流心跳间隔（毫秒），避免代理断开空闲连接
+    },
+
+    // 终端仪表盘配置，通过 node index.js --tui 或 TUI_ENABLED=true 启用
+    tui: {
+        enabled: false,
+        refreshInterval: 1000, // 刷新间隔（毫秒）
+        maxEvents: 200 // 事件列表保留条数
+    },
+
+    // 行情录制配置，将每条统一格式的行情写入 NDJSON 文件，供回放/回测使用
+    recorder: {
+        enabled: false,
+        dir: './data/ticks' // 按天（UTC）分文件: ticks-YYYY-MM-DD.ndjson
+    },
+
+    // 回放/回测配置，可被 replay.js 的命令行参数覆盖
+    replay: {
+        speed: 0, // 回放倍速，0 表示不等待、尽快回放
+        candleInterval: 60 * 1000, // CSV K 线的默认周期（毫秒），无法从数据推断时使用
+        exchange: null // CSV 数据的交易所标识，为空时不参与多数据源选择
+    },
+
+    // 配置热加载：配置文件变化或收到 SIGHUP 时重新加载，币种、阈值、预警规则和通知渠道无需重启即可生效
+    reload: {
+        watch: true, // 监视配置文件变化
+        interval: 2000 // 检查配置文件的间隔（毫秒）
+    },
+
     // 日志配置
     logging: {
-        level: process.env.LOG_LEVEL || 'info',
-        enableConsole: true
+        level: 'info', // debug / info / warn / error / silent
+        format: 'text', // 控制台输出格式: text 或 json（JSON Lines，便于日志采集）
+        enableConsole: true,
+        // 按模块单独设置级别，如 { ws: 'warn', notify: 'debug' }
+        modules: {},
+        // 滚动日志文件，默认为 JSON Lines 格式
+        file: {
+            enabled: false,
+            path: './logs/monitor.log',
+            format: 'json', // text 或 json
+            maxSize: 10 * 1024 * 1024, // 单个文件上限（字节）
+            maxFiles: 5 // 保留的历史文件数
+        }
     }
-};
\ No newline at end of file
+};
+
+try {
+    module.exports = loadConfig(defaults);
+} catch (error) {
+    // 日志模块依赖配置，此处只能直接输出
+    console.error(`❌ 加载配置失败: ${error.message}`);
+    process.exit(1);
+}
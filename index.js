@@ -6,22 +6,61 @@
  * @version 2.0.0
  */
 
+const EventEmitter = require('events');
 const config = require('./config');
-const WebSocketService = require('./services/WebSocketService');
+const MarketDataService = require('./services/MarketDataService');
 const PriceMonitorService = require('./services/PriceMonitorService');
-const { formatTime, isValidSymbol, retry } = require('./utils/helpers');
+const TradeFlowAnalyzer = require('./services/TradeFlowAnalyzer');
+const PortfolioService = require('./services/PortfolioService');
+const HttpApiService = require('./services/HttpApiService');
+const TickRecorder = require('./services/TickRecorder');
+const TerminalDashboard = require('./services/TerminalDashboard');
+const MetricsService = require('./services/MetricsService');
+const ConfigReloader = require('./services/ConfigReloader');
+const RingBuffer = require('./utils/RingBuffer');
+const { createStateStore } = require('./services/state');
+const { formatTime, isValidSymbol, debounce } = require('./utils/helpers');
+const { assertValidConfig, validateConfig } = require('./utils/configSchema');
+const { redactConfig } = require('./utils/configLoader');
+const { normalizeSymbol, describeSymbol } = require('./utils/instrument');
+const { getSymbolExchanges } = require('./services/exchanges');
+const logger = require('./utils/logger').child('app');
 
 /**
  * 主服务类 - 重构版本
  * 协调各个服务模块的工作
+ *
+ * 事件（供仪表盘等界面订阅）:
+ * - alert: 预警已发送 { time, alertKey, symbol, content, channels }
+ * - connection: 行情连接状态变化 { time, exchange, status, message }
+ * - symbolsChanged: 监控币种增删 { symbols }
+ * - configReloaded: 配置已热加载 { changes, symbols, thresholds, rules, targets, channels, restartRequired }
  */
-class CryptoMonitorService {
+class CryptoMonitorService extends EventEmitter {
     constructor() {
-        this.webSocketService = new WebSocketService();
+        super();
+        // 先校验配置，避免各服务用错误的配置初始化
+        assertValidConfig(config);
+
+        this.marketDataService = new MarketDataService();
         this.priceMonitorService = new PriceMonitorService();
+        this.tradeFlowAnalyzer = new TradeFlowAnalyzer(this.priceMonitorService);
+        this.portfolioService = new PortfolioService(this.priceMonitorService);
+        this.metricsService = config.metrics.enabled ? new MetricsService(this) : null;
+        this.httpApiService = config.http.enabled ? new HttpApiService(this) : null;
+        this.stateStore = config.state.enabled ? createStateStore(config.state) : null;
+        this.tickRecorder = config.recorder.enabled ? new TickRecorder(config.recorder.dir) : null;
+        this.dashboard = config.tui.enabled ? new TerminalDashboard(this) : null;
+        this.recentAlerts = new RingBuffer(config.dashboard.alertHistory);
+        this.configReloader = new ConfigReloader(this);
         this.isRunning = false;
         this.startTime = null;
         
+        // 相对于 config.symbols.default 的运行时增删记录，用于持久化
+        this.addedSymbols = new Set();
+        this.removedSymbols = new Set();
+        this._scheduleStateSave = debounce(() => this._saveState(), config.state.saveDelay);
+        
         // 绑定事件处理器
         this._bindEventHandlers();
     }
@@ -31,57 +70,180 @@ class CryptoMonitorService {
      */
     _bindEventHandlers() {
         // WebSocket 连接成功事件
-        this.webSocketService.on('connected', () => {
-            console.log('🎉 WebSocket 服务已连接');
+        this.marketDataService.on('connected', ({ exchange }) => {
+            logger.info(`🎉 ${exchange} WebSocket 服务已连接`);
+            this._emitConnectionEvent(exchange, 'connected', '已连接');
         });
 
         // WebSocket 断开连接事件
-        this.webSocketService.on('disconnected', ({ code, reason }) => {
-            console.log(`⚠️ WebSocket 服务断开: [${code}] ${reason}`);
+        this.marketDataService.on('disconnected', ({ exchange, code, reason }) => {
+            logger.warn(`⚠️ ${exchange} WebSocket 服务断开: [${code}] ${reason}`);
+            this._emitConnectionEvent(exchange, 'disconnected', `连接断开 [${code}] ${reason || ''}`.trim());
         });
 
         // WebSocket 错误事件
-        this.webSocketService.on('error', (error) => {
-            console.error('❌ WebSocket 服务错误:', error.message);
+        this.marketDataService.on('error', (error) => {
+            logger.error(`❌ ${error.exchange || ''} WebSocket 服务错误:`, error.message);
+            this._emitConnectionEvent(error.exchange || null, 'error', error.message);
+        });
+
+        // 重连熔断事件
+        this.marketDataService.on('circuitStateChanged', ({ exchange, state, attempts }) => {
+            this._emitConnectionEvent(exchange, 'circuit', `重连熔断状态: ${state}（已重连 ${attempts} 次）`);
         });
 
         // 价格更新事件
-        this.webSocketService.on('priceUpdate', (cryptoData) => {
+        this.marketDataService.on('priceUpdate', (cryptoData) => {
+            // 录制所有交易所的原始行情，回放时由 PriceMonitorService 重新选择数据源
+            if (this.tickRecorder) {
+                this.tickRecorder.record(cryptoData);
+            }
             this.priceMonitorService.updateCryptoData(cryptoData.symbol, cryptoData);
+            this.portfolioService.onPriceUpdate(cryptoData.symbol);
+        });
+
+        // 合约指标事件（资金费率、持仓量、标记价格）
+        this.marketDataService.on('fundingRate', data => this.priceMonitorService.updateFundingRate(data.symbol, data));
+        this.marketDataService.on('openInterest', data => this.priceMonitorService.updateOpenInterest(data.symbol, data));
+        this.marketDataService.on('markPrice', data => this.priceMonitorService.updateMarkPrice(data.symbol, data));
+
+        // 盘口事件，校验失败的盘口由 WebSocketService 重新同步，不会进入分析
+        this.marketDataService.on('orderBook', data => this.priceMonitorService.updateOrderBook(data.symbol, data));
+
+        // 成交事件（仅 config.trades.symbols 中的币种）
+        this.marketDataService.on('trade', data => this.tradeFlowAnalyzer.updateTrade(data.symbol, data));
+
+        // 阈值变化和预警发送后保存状态
+        this.priceMonitorService.on('thresholdsChanged', () => this._scheduleStateSave());
+        this.priceMonitorService.notificationService.on('alertSent', (alertKey, { content, symbol, channels, sentAt }) => {
+            this._scheduleStateSave();
+
+            const alert = { time: sentAt, alertKey, symbol, content, channels };
+            this.recentAlerts.push(alert);
+            this.emit('alert', alert);
+        });
+        this.priceMonitorService.ruleEngine.on('rulesChanged', () => this._scheduleStateSave());
+        this.priceMonitorService.ruleEngine.on('stateChanged', () => this._scheduleStateSave());
+        this.priceMonitorService.targetTracker.on('targetsChanged', () => this._scheduleStateSave());
+        this.priceMonitorService.targetTracker.on('stateChanged', () => this._scheduleStateSave());
+
+        // 行情停滞事件
+        this.marketDataService.on('symbolStale', ({ symbol, exchange, lastUpdate, age }) => {
+            this._emitConnectionEvent(exchange, 'stale', `${symbol} 行情停滞 ${Math.round(age / 1000)} 秒`);
+
+            const message = `⏸️ 行情停滞预警！\n` +
+                `币种: ${describeSymbol(symbol)}\n` +
+                `数据源: ${exchange}\n` +
+                `最后行情: ${lastUpdate ? formatTime(lastUpdate) : '订阅后未收到'}\n` +
+                `停滞时长: ${Math.round(age / 1000)} 秒\n` +
+                `已自动重新订阅\n` +
+                `时间: ${formatTime(new Date())}`;
+            this.priceMonitorService.notificationService.sendAlert(message, `${symbol}_${exchange}_stale`, { symbol });
+        });
+
+        // 行情恢复事件
+        this.marketDataService.on('symbolRecovered', ({ symbol, exchange, staleFor }) => {
+            this._emitConnectionEvent(exchange, 'recovered', `${symbol} 行情恢复`);
+
+            const message = `▶️ 行情已恢复\n` +
+                `币种: ${describeSymbol(symbol)}\n` +
+                `数据源: ${exchange}\n` +
+                `中断时长: ${Math.round(staleFor / 1000)} 秒\n` +
+                `时间: ${formatTime(new Date())}`;
+            this.priceMonitorService.notificationService.sendAlert(message, `${symbol}_${exchange}_recovered`, {
+                symbol,
+                severity: 'info'
+            });
+        });
+
+        // 行情连接中断事件
+        this.marketDataService.on('feedDown', ({ exchange, since, code, reason }) => {
+            this._emitConnectionEvent(exchange, 'feedDown', `行情连接中断，自 ${formatTime(since)}`);
+
+            const message = `🔴 行情连接中断！\n` +
+                `数据源: ${exchange}\n` +
+                `中断时间: ${formatTime(since)}\n` +
+                `关闭码: ${code}${reason ? ` (${reason})` : ''}\n` +
+                `正在自动重连\n` +
+                `时间: ${formatTime(new Date())}`;
+            this.priceMonitorService.notificationService.sendAlert(message, `${exchange}_feed_down`, { severity: 'critical' });
+        });
+
+        // 行情连接恢复事件
+        this.marketDataService.on('feedRecovered', ({ exchange, downtime, attempts }) => {
+            this._emitConnectionEvent(exchange, 'feedRecovered', `行情连接恢复，中断 ${Math.round(downtime / 1000)} 秒`);
+
+            const message = `🟢 行情连接已恢复\n` +
+                `数据源: ${exchange}\n` +
+                `中断时长: ${Math.round(downtime / 1000)} 秒\n` +
+                `重连次数: ${attempts}\n` +
+                `时间: ${formatTime(new Date())}`;
+            this.priceMonitorService.notificationService.sendAlert(message, `${exchange}_feed_recovered`, { severity: 'info' });
         });
 
         // 达到最大重连次数事件
-        this.webSocketService.on('maxReconnectAttemptsReached', () => {
-            console.error('🚫 WebSocket 达到最大重连次数，服务将停止');
-            this.shutdown();
+        this.marketDataService.on('maxReconnectAttemptsReached', () => {
+            logger.error('🚫 WebSocket 达到最大重连次数，服务将停止');
+            this.shutdown(1);
         });
     }
 
+    /**
+     * 发出行情连接状态事件
+     * @param {string} exchange - 交易所标识
+     * @param {string} status - 状态类型
+     * @param {string} message - 说明
+     */
+    _emitConnectionEvent(exchange, status, message) {
+        this.emit('connection', { time: new Date(), exchange, status, message });
+    }
+
     /**
      * 初始化并启动服务
      */
     async init() {
         try {
-            console.log('🚀 启动加密货币价格监控服务...');
-            console.log(`📅 启动时间: ${formatTime(new Date())}`);
+            logger.info('🚀 启动加密货币价格监控服务...');
+            logger.info(`📅 启动时间: ${formatTime(new Date())}`);
             
             this.startTime = new Date();
             
             // 验证配置
             this._validateConfig();
+
+            // 启动终端仪表盘，之后的日志由仪表盘接管
+            if (this.dashboard && !this.dashboard.start()) {
+                this.dashboard = null;
+            }
+            
+            // 恢复上次运行的状态
+            await this._restoreState();
             
-            // 连接 WebSocket
-            await retry(() => this.webSocketService.connect(), 3, 2000);
+            // 连接 WebSocket，不等待连接结果；首次连接失败与运行中断线一样由重连策略继续重试
+            this.marketDataService.connect(this._getInitialSymbols()).catch((error) => {
+                logger.warn(`⚠️ 行情连接失败，将按重连策略自动重试: ${error.message}`);
+            });
             
-            // 订阅默认币种
+            // 订阅默认币种，连接建立后自动发送订阅请求
             this._subscribeDefaultSymbols();
             
+            // 启动 HTTP 控制接口
+            if (this.httpApiService) {
+                await this.httpApiService.start();
+            }
+
+            // 监视配置文件变化
+            this.configReloader.start();
+
+            // 定时发送组合摘要
+            this.portfolioService.start();
+            
             this.isRunning = true;
-            console.log('✅ 服务启动完成！');
-            console.log(`📊 监控币种: ${config.symbols.default.join(', ')}`);
+            logger.info('✅ 服务启动完成！');
+            logger.info(`📊 监控币种: ${this.getSymbols().join(', ')}`);
             
         } catch (error) {
-            console.error('❌ 服务启动失败:', error.message);
+            logger.error('❌ 服务启动失败:', error.message);
             throw error;
         }
     }
@@ -90,36 +252,135 @@ class CryptoMonitorService {
      * 验证配置
      */
     _validateConfig() {
-        // 验证微信 Webhook Key
-        if (!config.wechat.webhookKey || config.wechat.webhookKey === 'your-webhook-key-here') {
-            console.warn('⚠️ 微信 Webhook Key 未配置，预警功能将无法正常工作');
+        // 验证通知渠道
+        const channels = this.priceMonitorService.notificationService.getChannels();
+        const recipients = this.priceMonitorService.notificationService.getRecipients();
+        if (recipients.length > 0) {
+            // 配置了接收人时不使用默认渠道
+            recipients.forEach(recipient => {
+                recipient.channels.filter(channel => !channel.configured).forEach(channel => {
+                    logger.warn(`⚠️ 接收人 ${recipient.name} 的通知渠道 ${channel.name} 未配置完整`);
+                });
+                if (recipient.channels.length === 0) {
+                    logger.warn(`⚠️ 接收人 ${recipient.name} 没有启用的通知渠道，将收不到预警`);
+                }
+            });
+        } else {
+            channels.filter(channel => channel.enabled && !channel.configured).forEach(channel => {
+                logger.warn(`⚠️ 通知渠道 ${channel.name} 未配置完整，该渠道的预警将无法发送`);
+            });
+            config.notifications.defaultChannels.forEach(name => {
+                if (!channels.some(channel => channel.name === name && channel.enabled)) {
+                    logger.warn(`⚠️ 默认通知渠道 ${name} 未启用`);
+                }
+            });
         }
 
-        // 验证币种配置
+        // 配置格式已在构造时校验，这里只提示不影响启动的问题
         config.symbols.default.forEach(symbol => {
-            if (!isValidSymbol(symbol)) {
-                throw new Error(`无效的币种符号: ${symbol}`);
-            }
             if (!config.symbols.thresholds[symbol]) {
-                console.warn(`⚠️ 币种 ${symbol} 未配置价格阈值`);
+                logger.warn(`⚠️ 币种 ${symbol} 未配置价格阈值`);
             }
         });
+        config.portfolio.positions.forEach(({ symbol }) => {
+            this.portfolioService.getRequiredSymbols(symbol).forEach(required => {
+                if (!config.symbols.default.includes(required)) {
+                    logger.warn(`⚠️ 持仓 ${symbol} 需要 ${required} 的行情，该币种不在默认监控列表中`);
+                }
+            });
+        });
+
+        if (config.configFile) {
+            logger.info(`📄 已加载配置文件: ${config.configFile}`);
+        }
+        logger.info('✅ 配置验证通过');
+    }
+
+    /**
+     * 恢复已保存的状态
+     */
+    async _restoreState() {
+        if (!this.stateStore) {
+            return;
+        }
+
+        let state;
+        try {
+            state = await this.stateStore.load();
+        } catch (error) {
+            logger.error('❌ 读取状态失败，将使用配置文件中的初始值:', error.message);
+            return;
+        }
+
+        if (!state) {
+            logger.info(`💾 未找到已保存的状态，使用配置文件中的初始值 [${this.stateStore.describe()}]`);
+            return;
+        }
+
+        const symbols = state.symbols || {};
+        (symbols.added || []).map(normalizeSymbol).filter(isValidSymbol).forEach(symbol => this.addedSymbols.add(symbol));
+        (symbols.removed || []).map(normalizeSymbol).forEach(symbol => this.removedSymbols.add(symbol));
 
-        console.log('✅ 配置验证通过');
+        const thresholdCount = this.priceMonitorService.restoreThresholds(state.thresholds);
+        const alertCount = this.priceMonitorService.notificationService.restoreAlerts(state.alerts);
+        const ruleCount = this.priceMonitorService.ruleEngine.restoreRules(state.rules);
+        const targetCount = this.priceMonitorService.targetTracker.restoreTargets(state.targets);
+
+        logger.info(`💾 已恢复状态 [${this.stateStore.describe()}]: ${thresholdCount} 个阈值, ` +
+            `新增 ${this.addedSymbols.size} 个币种, 移除 ${this.removedSymbols.size} 个币种, ` +
+            `${alertCount} 条冷却中的预警, ${ruleCount} 条运行时规则, ${targetCount} 个运行时价格目标`);
+    }
+
+    /**
+     * 保存当前状态
+     */
+    async _saveState() {
+        if (!this.stateStore) {
+            return;
+        }
+
+        const state = {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            thresholds: this.priceMonitorService.getAllThresholds(),
+            symbols: {
+                added: Array.from(this.addedSymbols),
+                removed: Array.from(this.removedSymbols)
+            },
+            alerts: this.priceMonitorService.notificationService.exportAlerts(),
+            rules: this.priceMonitorService.ruleEngine.exportRules(),
+            targets: this.priceMonitorService.targetTracker.exportTargets()
+        };
+
+        try {
+            await this.stateStore.save(state);
+        } catch (error) {
+            logger.error('❌ 保存状态失败:', error.message);
+        }
+    }
+
+    /**
+     * 获取启动时需要订阅的币种（默认币种叠加运行时的增删记录）
+     * @returns {string[]} 币种符号列表
+     */
+    _getInitialSymbols() {
+        const symbols = config.symbols.default.filter(symbol => !this.removedSymbols.has(symbol));
+        this.addedSymbols.forEach(symbol => {
+            if (!symbols.includes(symbol)) {
+                symbols.push(symbol);
+            }
+        });
+        return symbols;
     }
 
     /**
      * 订阅默认币种
      */
     _subscribeDefaultSymbols() {
-        console.log(`📡 订阅 ${config.symbols.default.length} 个默认币种...`);
+        const symbols = this._getInitialSymbols();
+        logger.info(`📡 订阅 ${symbols.length} 个默认币种...`);
         
-        config.symbols.default.forEach(symbol => {
-            const success = this.webSocketService.subscribe(symbol);
-            if (!success) {
-                console.warn(`⚠️ 订阅 ${symbol} 失败`);
-            }
-        });
+        symbols.forEach(symbol => this.marketDataService.subscribe(symbol));
     }
 
     /**
@@ -129,37 +390,137 @@ class CryptoMonitorService {
      * @returns {boolean} 是否成功添加
      */
     addSymbol(symbol, thresholds = null) {
+        symbol = normalizeSymbol(symbol);
         if (!isValidSymbol(symbol)) {
-            console.error(`❌ 无效的币种符号: ${symbol}`);
+            logger.error(`❌ 无效的币种符号: ${symbol}`);
+            return false;
+        }
+        if (getSymbolExchanges(symbol).length === 0) {
+            logger.error(`❌ 没有支持该品种的数据源: ${symbol}`);
             return false;
         }
 
-        const success = this.webSocketService.subscribe(symbol);
-        if (success && thresholds) {
+        // 未连接时订阅会在重连后自动恢复，阈值可以提前设置
+        const success = this.marketDataService.subscribe(symbol);
+        if (thresholds) {
             this.priceMonitorService.setThresholds(symbol, thresholds.min, thresholds.max);
         }
 
-        console.log(`➕ 添加币种监控: ${symbol}`);
+        // 记录相对默认币种的变化
+        this.removedSymbols.delete(symbol);
+        if (!config.symbols.default.includes(symbol)) {
+            this.addedSymbols.add(symbol);
+        }
+        this._scheduleStateSave();
+
+        logger.info(`➕ 添加币种监控: ${symbol}`);
+        this.emit('symbolsChanged', { symbols: this.getSymbols() });
         return success;
     }
 
+    /**
+     * 设置币种价格阈值
+     * @param {string} symbol - 币种符号
+     * @param {number} min - 最小价格
+     * @param {number} max - 最大价格
+     * @returns {boolean} 是否设置成功
+     */
+    setThresholds(symbol, min, max) {
+        symbol = normalizeSymbol(symbol);
+        if (!isValidSymbol(symbol)) {
+            logger.error(`❌ 无效的币种符号: ${symbol}`);
+            return false;
+        }
+
+        if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+            logger.error(`❌ 无效的阈值: ${symbol} 最小=${min}, 最大=${max}`);
+            return false;
+        }
+
+        this.priceMonitorService.setThresholds(symbol, min, max);
+        return true;
+    }
+
+    /**
+     * 获取当前监控的币种列表
+     * @returns {string[]} 币种符号列表
+     */
+    getSymbols() {
+        return Array.from(this.marketDataService.subscribers);
+    }
+
     /**
      * 移除币种监控
      * @param {string} symbol - 币种符号
      * @returns {boolean} 是否成功移除
      */
     removeSymbol(symbol) {
-        const success = this.webSocketService.unsubscribe(symbol);
-        console.log(`➖ 移除币种监控: ${symbol}`);
+        symbol = normalizeSymbol(symbol);
+        const success = this.marketDataService.unsubscribe(symbol);
+        this.tradeFlowAnalyzer.clear(symbol);
+
+        // 记录相对默认币种的变化
+        this.addedSymbols.delete(symbol);
+        if (config.symbols.default.includes(symbol)) {
+            this.removedSymbols.add(symbol);
+        }
+        this._scheduleStateSave();
+
+        logger.info(`➖ 移除币种监控: ${symbol}`);
+        this.emit('symbolsChanged', { symbols: this.getSymbols() });
         return success;
     }
 
+    /**
+     * 按新的默认币种列表增减订阅，用于配置热加载
+     * 运行时通过接口增删的币种保持不变，只更新它们相对新默认列表的记录
+     * @param {string[]} previousDefaults - 变化前的默认币种
+     * @returns {Object} { added, removed } 实际订阅和取消订阅的币种
+     */
+    applyDefaultSymbols(previousDefaults) {
+        const defaults = config.symbols.default;
+        const result = { added: [], removed: [] };
+
+        defaults.filter(symbol => !previousDefaults.includes(symbol)).forEach(symbol => {
+            // 运行时已添加的币种成为默认币种，无需重复订阅
+            this.addedSymbols.delete(symbol);
+            if (!this.marketDataService.subscribers.has(symbol)) {
+                this.marketDataService.subscribe(symbol);
+                result.added.push(symbol);
+            }
+        });
+
+        previousDefaults.filter(symbol => !defaults.includes(symbol)).forEach(symbol => {
+            // 运行时已移除的币种不再需要记录
+            if (this.removedSymbols.delete(symbol)) return;
+            if (this.marketDataService.subscribers.has(symbol)) {
+                this.marketDataService.unsubscribe(symbol);
+                result.removed.push(symbol);
+            }
+        });
+
+        this._scheduleStateSave();
+        if (result.added.length > 0 || result.removed.length > 0) {
+            this.emit('symbolsChanged', { symbols: this.getSymbols() });
+        }
+        return result;
+    }
+
+    /**
+     * 重新加载配置文件和环境变量并应用到运行中的服务
+     * @param {string} reason - 触发原因
+     * @returns {Object|null} 变化摘要，配置有误时返回 null
+     */
+    reloadConfig(reason) {
+        return this.configReloader.reload(reason);
+    }
+
     /**
      * 获取服务状态信息
      * @returns {Object} 状态信息
      */
     getStatus() {
-        const wsStatus = this.webSocketService.getStatus();
+        const wsStatus = this.marketDataService.getStatus();
         const monitorStats = this.priceMonitorService.getStats();
         
         return {
@@ -167,10 +528,21 @@ class CryptoMonitorService {
             startTime: this.startTime,
             uptime: this.startTime ? Date.now() - this.startTime.getTime() : 0,
             websocket: wsStatus,
-            monitor: monitorStats
+            monitor: monitorStats,
+            portfolio: this.portfolioService.getSummary(),
+            recorder: this.tickRecorder ? this.tickRecorder.getStatus() : null
         };
     }
 
+    /**
+     * 获取最近发送的预警
+     * @param {number} limit - 最多返回条数
+     * @returns {Array} 预警列表（新 -> 旧）
+     */
+    getRecentAlerts(limit = config.dashboard.alertHistory) {
+        return this.recentAlerts.toArray().reverse().slice(0, limit);
+    }
+
     /**
      * 获取所有币种的当前价格数据
      * @returns {Object} 价格数据
@@ -205,40 +577,90 @@ class CryptoMonitorService {
         
         return {
             ...data,
-            thresholds
+            source: this.priceMonitorService.getActiveSource(symbol),
+            exchanges: this.priceMonitorService.getExchangeData(symbol),
+            spread: this.priceMonitorService.getSpread(symbol),
+            derivatives: this.priceMonitorService.getDerivativesData(symbol),
+            orderBook: this.priceMonitorService.getOrderBookData(symbol),
+            tradeFlow: this.tradeFlowAnalyzer.getFlow(symbol),
+            thresholds,
+            bands: this.priceMonitorService.getBandStrategy(symbol),
+            rules: this.priceMonitorService.ruleEngine.getRules(symbol),
+            targets: this.priceMonitorService.targetTracker.getTargets(symbol)
         };
     }
 
     /**
      * 关闭服务
+     * @param {number} exitCode - 进程退出码，因故障退出时应为非 0
      */
-    async shutdown() {
-        console.log('🛑 正在关闭服务...');
+    async shutdown(exitCode = 0) {
+        logger.info('🛑 正在关闭服务...');
         
         this.isRunning = false;
         
         try {
+            this.configReloader.stop();
+            this.portfolioService.stop();
+
+            // 关闭终端仪表盘，恢复终端输出
+            if (this.dashboard) {
+                this.dashboard.stop();
+            }
+
+            // 关闭 HTTP 控制接口
+            if (this.httpApiService) {
+                await this.httpApiService.stop();
+            }
+            
+            // 保存最终状态
+            await this._saveState();
+
+            // 关闭行情录制文件
+            if (this.tickRecorder) {
+                await this.tickRecorder.close();
+            }
+            
             // 断开 WebSocket 连接
-            this.webSocketService.disconnect();
+            this.marketDataService.disconnect();
             
             // 清理资源
-            this.webSocketService.removeAllListeners();
+            this.marketDataService.removeAllListeners();
             
             const uptime = this.startTime ? Date.now() - this.startTime.getTime() : 0;
-            console.log(`📊 服务运行时长: ${Math.floor(uptime / 1000)} 秒`);
-            console.log('✅ 服务已安全关闭');
+            logger.info(`📊 服务运行时长: ${Math.floor(uptime / 1000)} 秒`);
+            logger.info('✅ 服务已安全关闭');
             
         } catch (error) {
-            console.error('❌ 关闭服务时发生错误:', error.message);
+            logger.error('❌ 关闭服务时发生错误:', error.message);
+            exitCode = exitCode || 1;
         }
         
-        process.exit(0);
+        logger.close();
+        process.exit(exitCode);
     }
 }
 
 
+/**
+ * 输出合并后的配置（隐藏密钥）和校验结果，用于排查配置来源
+ * @returns {number} 进程退出码，配置有误时为 1
+ */
+function printConfig() {
+    console.log(JSON.stringify(redactConfig(config), null, 2));
+    console.error(`# 配置文件: ${config.configFile || '无'}`);
+
+    const errors = validateConfig(config);
+    errors.forEach(message => console.error(`❌ ${message}`));
+    return errors.length > 0 ? 1 : 0;
+}
+
 // 主函数 - 启动服务
 async function main() {
+    if (process.argv.includes('--print-config')) {
+        process.exit(printConfig());
+    }
+
     let service = null;
     
     try {
@@ -248,17 +670,22 @@ async function main() {
         // 定期输出状态信息
         setInterval(() => {
             const status = service.getStatus();
-            console.log(`📈 监控状态: ${status.monitor.monitoredSymbols} 个币种, 运行时长: ${Math.floor(status.uptime / 1000)}s`);
+            logger.info(`📈 监控状态: ${status.monitor.monitoredSymbols} 个币种, 运行时长: ${Math.floor(status.uptime / 1000)}s`);
+            if (status.portfolio) {
+                const { totalValue, pnl, pnlPercent } = status.portfolio;
+                logger.info(`💼 组合: 市值 $${totalValue.toFixed(2)}, 未实现盈亏 ${pnl >= 0 ? '+' : '-'}$${Math.abs(pnl).toFixed(2)}` +
+                    (pnlPercent !== null ? ` (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)` : ''));
+            }
         }, 5 * 60 * 1000); // 每5分钟输出一次
         
     } catch (error) {
-        console.error('❌ 启动服务失败:', error.message);
+        logger.error('❌ 启动服务失败:', error.message);
         process.exit(1);
     }
     
     // 优雅关闭处理
     const gracefulShutdown = async (signal) => {
-        console.log(`\n📡 收到 ${signal} 信号，开始优雅关闭...`);
+        logger.info(`📡 收到 ${signal} 信号，开始优雅关闭...`);
         if (service) {
             await service.shutdown();
         } else {
@@ -269,22 +696,27 @@ async function main() {
     // 处理进程信号
     process.on('SIGINT', () => gracefulShutdown('SIGINT'));
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+    // SIGHUP 重新加载配置
+    process.on('SIGHUP', () => {
+        logger.info('📡 收到 SIGHUP 信号，重新加载配置...');
+        service.reloadConfig('SIGHUP');
+    });
     
     // 处理未捕获的异常
     process.on('uncaughtException', (error) => {
-        console.error('❌ 未捕获的异常:', error);
+        logger.error('❌ 未捕获的异常:', error);
         if (service) {
-            service.shutdown();
+            service.shutdown(1);
         } else {
             process.exit(1);
         }
     });
     
-    process.on('unhandledRejection', (reason, promise) => {
-        console.error('❌ 未处理的Promise拒绝:', reason);
-        console.error('Promise:', promise);
+    process.on('unhandledRejection', (reason) => {
+        logger.error('❌ 未处理的Promise拒绝:', reason);
         if (service) {
-            service.shutdown();
+            service.shutdown(1);
         } else {
             process.exit(1);
         }
@@ -294,7 +726,7 @@ async function main() {
 // 如果直接运行此文件，则启动服务
 if (require.main === module) {
     main().catch(error => {
-        console.error('❌ 应用启动失败:', error);
+        logger.error('❌ 应用启动失败:', error);
         process.exit(1);
     });
 }
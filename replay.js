@@ -0,0 +1,207 @@
+/**
+ * 行情回放/回测入口
+ * 用录制的行情或历史 K 线驱动价格监控，统计会触发哪些预警，用于调整阈值和冷却时间
+ *
+ * 用法:
+ *   node replay.js <文件...> [选项]
+ *
+ * 选项:
+ *   --speed <倍数>           回放倍速，默认 0（尽快回放）
+ *   --symbols <A,B>          只回放指定币种
+ *   --symbol <币种>          CSV 文件没有币种列时使用的币种
+ *   --interval <毫秒>        CSV K 线周期，默认从相邻 K 线推断
+ *   --exchange <交易所>      CSV 数据的交易所标识
+ *   --threshold <比例>       覆盖 alerts.priceChangeThreshold，如 0.02
+ *   --cooldown <毫秒>        覆盖 alerts.cooldownPeriod
+ *   --config-thresholds      使用配置文件中的初始阈值，默认以首条行情价格为基准
+ *   --out <文件>             将报告写入 .json 或 .csv 文件
+ *   --quiet                  回放过程中不输出监控日志
+ *   --config <文件>          使用指定的配置文件，--set <路径>=<值> 覆盖单个配置项（见 utils/configLoader.js）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { ReplayService } = require('./services/replay');
+const { formatTime } = require('./utils/helpers');
+const { normalizeSymbol } = require('./utils/instrument');
+const { assertValidConfig } = require('./utils/configSchema');
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv - 命令行参数
+ * @returns {Object} 回放参数
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [],
+        symbols: [],
+        csv: {},
+        out: null,
+        quiet: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (/^--(config|set|log-level)=/.test(arg)) {
+            continue;
+        }
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`参数 ${arg} 缺少取值`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--speed':
+                options.speed = parseNumber(arg, next());
+                break;
+            case '--symbols':
+                options.symbols = next().split(',').map(symbol => symbol.trim()).filter(Boolean).map(normalizeSymbol);
+                break;
+            case '--symbol':
+                options.csv.symbol = normalizeSymbol(next());
+                break;
+            case '--interval':
+                options.csv.candleInterval = parseNumber(arg, next());
+                break;
+            case '--exchange':
+                options.csv.exchange = next();
+                break;
+            case '--threshold':
+                config.alerts.priceChangeThreshold = parseNumber(arg, next());
+                break;
+            case '--cooldown':
+                config.alerts.cooldownPeriod = parseNumber(arg, next());
+                break;
+            case '--config-thresholds':
+                options.useConfigThresholds = true;
+                break;
+            case '--out':
+                options.out = next();
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '--config':
+            case '--set':
+            case '--log-level':
+                // 加载配置时已处理
+                next();
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`未知参数: ${arg}`);
+                }
+                options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * 解析数值参数
+ * @param {string} name - 参数名
+ * @param {string} value - 参数值
+ * @returns {number} 数值
+ */
+function parseNumber(name, value) {
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) {
+        throw new Error(`参数 ${name} 必须为非负数: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * 输出回放报告
+ * @param {Object} report - ReplayService 生成的报告
+ */
+function printReport(report) {
+    console.log('\n📋 回放报告');
+    console.log(`数据区间: ${formatTime(report.startTime)} - ${formatTime(report.endTime)}`);
+    console.log(`行情条数: ${report.tickCount}`);
+    console.log(`价格变化阈值: ${report.settings.priceChangeThreshold} (${report.settings.bandMode}), 冷却时间: ${report.settings.cooldownPeriod}ms`);
+    console.log(`预警总数: ${report.summary.total}`);
+
+    Object.entries(report.summary.byType).forEach(([title, count]) => {
+        console.log(`  ${title}: ${count}`);
+    });
+    Object.entries(report.summary.bySymbol).forEach(([symbol, count]) => {
+        console.log(`  ${symbol}: ${count}`);
+    });
+
+    if (report.alerts.length > 0) {
+        console.log('\n时间\t\t\t币种\t\t预警\t\t渠道');
+        report.alerts.forEach((alert) => {
+            console.log(`${formatTime(alert.time)}\t${alert.symbol || '-'}\t${alert.title}\t${alert.channels.join(',')}`);
+        });
+    }
+}
+
+/**
+ * 将报告写入文件，按扩展名选择 JSON 或 CSV
+ * @param {Object} report - 回放报告
+ * @param {string} filePath - 输出文件路径
+ */
+function writeReport(report, filePath) {
+    let content;
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const escape = value => `"${String(value === null ? '' : value).replace(/"/g, '""')}"`;
+        const rows = report.alerts.map(alert => [
+            alert.time.toISOString(),
+            alert.symbol,
+            alert.alertKey,
+            alert.title,
+            alert.channels.join('|'),
+            alert.content
+        ].map(escape).join(','));
+        content = ['time,symbol,alertKey,title,channels,content', ...rows].join('\n');
+    } else {
+        content = JSON.stringify(report, null, 2);
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+    console.log(`💾 报告已写入: ${filePath}`);
+}
+
+// 主函数 - 执行回放
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.files.length === 0) {
+        console.error('用法: node replay.js <文件...> [--speed N] [--symbols A,B] [--threshold 0.02] [--cooldown 60000] [--out report.json]');
+        process.exit(1);
+    }
+
+    assertValidConfig(config);
+    const service = new ReplayService(options);
+
+    // 静默模式下只屏蔽回放过程中的监控日志，警告和错误照常输出
+    const level = config.logging.level;
+    if (options.quiet) {
+        config.logging.level = 'warn';
+    }
+
+    let report;
+    try {
+        report = await service.run();
+    } finally {
+        config.logging.level = level;
+    }
+
+    printReport(report);
+    if (options.out) {
+        writeReport(report, options.out);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ 回放失败:', error.message);
+        process.exit(1);
+    });
+}
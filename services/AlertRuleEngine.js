@@ -0,0 +1,488 @@
+/**
+ * 预警规则引擎
+ * 管理每个币种的多条命名规则，负责条件判断和触发状态（单次、重复、重新布防）
+ */
+
+const EventEmitter = require('events');
+const config = require('../config');
+const NotificationService = require('./NotificationService');
+const { generateId, isValidSymbol } = require('../utils/helpers');
+const clock = require('../utils/clock');
+const { normalizeSymbol, formatQuotePrice } = require('../utils/instrument');
+const logger = require('../utils/logger').child('monitor');
+
+// 支持的规则类型及说明
+const RULE_TYPES = {
+  price_above: '价格高于',
+  price_below: '价格低于',
+  price_cross: '价格穿越',
+  change_24h: '24h涨跌幅超过',
+  volume_above: '24h成交量超过',
+  new_high_24h: '创24h新高',
+  new_low_24h: '创24h新低'
+};
+
+// 支持的触发模式
+// once: 只触发一次；repeat: 条件满足即触发（受冷却限制）；rearm: 触发后需条件解除才会再次触发
+const RULE_MODES = ['once', 'repeat', 'rearm'];
+
+// 24h 涨跌幅规则的方向
+const RULE_DIRECTIONS = ['up', 'down', 'any'];
+
+// 不需要 value 参数的规则类型
+const VALUELESS_TYPES = ['new_high_24h', 'new_low_24h'];
+
+class AlertRuleEngine extends EventEmitter {
+  /**
+   * @param {Array} rules - 初始规则列表
+   */
+  constructor(rules = []) {
+    super();
+    this.rules = new Map();
+    this.ruleStates = new Map();
+    this.configRuleIds = new Set();
+    this.removedConfigRuleIds = new Set();
+    // 运行时新增或修改过的规则，需要持久化
+    this.runtimeRuleIds = new Set();
+
+    rules.forEach((rule) => {
+      const normalized = this._normalizeRule(rule);
+      this.rules.set(normalized.id, normalized);
+      this.configRuleIds.add(normalized.id);
+    });
+  }
+
+  /**
+   * 评估指定币种的所有规则
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 当前价格数据
+   * @param {Object} previousData - 上一次的价格数据
+   * @param {number} now - 当前时间戳
+   * @returns {Array} 触发的规则 [{ rule, detail }]
+   */
+  evaluate(symbol, data, previousData, now = clock.now()) {
+    const triggered = [];
+
+    this.rules.forEach((rule) => {
+      if (!rule.enabled || (rule.symbol !== symbol && rule.symbol !== '*')) {
+        return;
+      }
+
+      const state = this._getState(rule.id);
+      const result = this._checkCondition(rule, data, previousData);
+
+      if (!result.matched) {
+        // 条件解除后重新布防（带回差，避免在阈值附近反复触发）
+        if (rule.mode === 'rearm' && !state.armed && result.released) {
+          state.armed = true;
+          this.emit('stateChanged', rule.id);
+        }
+        return;
+      }
+
+      if (!this._canFire(rule, state, now)) {
+        return;
+      }
+
+      state.lastFiredAt = now;
+      state.fireCount++;
+      if (rule.mode === 'once') {
+        state.triggered = true;
+      }
+      if (rule.mode === 'rearm') {
+        state.armed = false;
+      }
+
+      this.emit('stateChanged', rule.id);
+      triggered.push({ rule: { ...rule }, detail: result.detail });
+    });
+
+    return triggered;
+  }
+
+  /**
+   * 判断规则当前是否允许触发
+   * @param {Object} rule - 规则
+   * @param {Object} state - 规则状态
+   * @param {number} now - 当前时间戳
+   * @returns {boolean}
+   */
+  _canFire(rule, state, now) {
+    if (rule.mode === 'once' && state.triggered) {
+      return false;
+    }
+    if (rule.mode === 'rearm' && !state.armed) {
+      return false;
+    }
+    if (state.lastFiredAt && now - state.lastFiredAt < rule.cooldown) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 检查规则条件
+   * @param {Object} rule - 规则
+   * @param {Object} data - 当前价格数据
+   * @param {Object} previousData - 上一次的价格数据
+   * @returns {Object} { matched, released, detail }
+   */
+  _checkCondition(rule, data, previousData) {
+    const { value } = rule;
+    const band = Math.abs(value || 0) * (rule.hysteresis / 100);
+    const price = amount => formatQuotePrice(data.symbol, amount);
+
+    switch (rule.type) {
+      case 'price_above':
+        return {
+          matched: data.price > value,
+          released: data.price <= value - band,
+          detail: `价格 ${price(data.price)} 高于 ${price(value)}`
+        };
+
+      case 'price_below':
+        return {
+          matched: data.price < value,
+          released: data.price >= value + band,
+          detail: `价格 ${price(data.price)} 低于 ${price(value)}`
+        };
+
+      case 'price_cross': {
+        if (!previousData) {
+          return { matched: false, released: false };
+        }
+        const crossedUp = previousData.price <= value && data.price > value;
+        const crossedDown = previousData.price >= value && data.price < value;
+        return {
+          matched: crossedUp || crossedDown,
+          released: Math.abs(data.price - value) >= band,
+          detail: `价格${crossedUp ? '向上' : '向下'}穿越 ${price(value)}`
+        };
+      }
+
+      case 'change_24h': {
+        const change = data.priceChangePercent;
+        const matched = rule.direction === 'up' ? change >= value
+          : rule.direction === 'down' ? change <= -value
+            : Math.abs(change) >= value;
+        const magnitude = rule.direction === 'up' ? change
+          : rule.direction === 'down' ? -change
+            : Math.abs(change);
+        return {
+          matched,
+          released: magnitude < value - band,
+          detail: `24h涨跌 ${change >= 0 ? '+' : ''}${change.toFixed(2)}% 超过 ${value}%`
+        };
+      }
+
+      case 'volume_above':
+        return {
+          matched: data.volume > value,
+          released: data.volume <= value - band,
+          detail: `24h成交量 ${data.volume} 超过 ${value}`
+        };
+
+      case 'new_high_24h': {
+        const matched = !!previousData && previousData.high24h > 0 && data.high24h > previousData.high24h;
+        return {
+          matched,
+          released: !matched,
+          detail: `创24h新高 ${price(data.high24h)}（前高 ${previousData ? price(previousData.high24h) : '-'}）`
+        };
+      }
+
+      case 'new_low_24h': {
+        const matched = !!previousData && previousData.low24h > 0 && data.low24h < previousData.low24h;
+        return {
+          matched,
+          released: !matched,
+          detail: `创24h新低 ${price(data.low24h)}（前低 ${previousData ? price(previousData.low24h) : '-'}）`
+        };
+      }
+
+      default:
+        return { matched: false, released: false };
+    }
+  }
+
+  /**
+   * 校验并补全规则默认值
+   * @param {Object} rule - 原始规则
+   * @returns {Object} 规范化后的规则
+   */
+  _normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('规则必须为对象');
+    }
+
+    const symbol = rule.symbol === '*' ? '*' : normalizeSymbol(rule.symbol);
+    if (symbol !== '*' && !isValidSymbol(symbol)) {
+      throw new Error(`无效的币种符号: ${rule.symbol}`);
+    }
+
+    if (!RULE_TYPES[rule.type]) {
+      throw new Error(`不支持的规则类型: ${rule.type}，可选: ${Object.keys(RULE_TYPES).join(', ')}`);
+    }
+
+    if (!VALUELESS_TYPES.includes(rule.type) && (typeof rule.value !== 'number' || isNaN(rule.value))) {
+      throw new Error(`规则 ${rule.id || rule.name || rule.type} 缺少数值参数 value`);
+    }
+
+    const mode = rule.mode || 'rearm';
+    if (!RULE_MODES.includes(mode)) {
+      throw new Error(`不支持的触发模式: ${mode}，可选: ${RULE_MODES.join(', ')}`);
+    }
+
+    const cooldown = rule.cooldown === undefined ? config.alerts.cooldownPeriod : rule.cooldown;
+    if (typeof cooldown !== 'number' || cooldown < 0) {
+      throw new Error(`无效的冷却时间: ${rule.cooldown}`);
+    }
+
+    const direction = rule.direction || 'any';
+    if (!RULE_DIRECTIONS.includes(direction)) {
+      throw new Error(`不支持的方向: ${direction}，可选: ${RULE_DIRECTIONS.join(', ')}`);
+    }
+
+    const hysteresis = rule.hysteresis === undefined || rule.hysteresis === null ? 0 : rule.hysteresis;
+    if (typeof hysteresis !== 'number' || isNaN(hysteresis) || hysteresis < 0) {
+      throw new Error(`无效的回差: ${rule.hysteresis}`);
+    }
+
+    if (rule.channels !== undefined && rule.channels !== null &&
+        (!Array.isArray(rule.channels) || rule.channels.some(name => typeof name !== 'string'))) {
+      throw new Error('channels 必须为渠道名称数组');
+    }
+
+    const severity = rule.severity || NotificationService.DEFAULT_SEVERITY;
+    if (!NotificationService.SEVERITIES.includes(severity)) {
+      throw new Error(`不支持的预警级别: ${severity}，可选: ${NotificationService.SEVERITIES.join(', ')}`);
+    }
+
+    const id = rule.id ? String(rule.id) : generateId();
+
+    return {
+      id,
+      name: rule.name || `${symbol} ${RULE_TYPES[rule.type]}${rule.value !== undefined ? ` ${rule.value}` : ''}`,
+      symbol,
+      type: rule.type,
+      value: rule.value,
+      direction,
+      mode,
+      cooldown,
+      hysteresis,
+      severity,
+      channels: rule.channels || null, // 为空时按币种或默认渠道发送
+      enabled: rule.enabled !== false
+    };
+  }
+
+  /**
+   * 按新的配置替换配置中的规则，用于配置热加载
+   * 运行时修改或删除过的配置规则以运行时为准；定义未变的规则保留触发状态
+   * 配置规则需设置 id，否则每次加载都会视为新规则
+   * @param {Array} rules - 新的配置规则列表
+   * @returns {Object} { added, updated, removed } 规则ID列表
+   */
+  reloadConfigRules(rules = []) {
+    const normalized = rules.map(rule => this._normalizeRule(rule));
+    const nextIds = new Set(normalized.map(rule => rule.id));
+    const result = { added: [], updated: [], removed: [] };
+
+    this.configRuleIds.forEach((id) => {
+      if (nextIds.has(id)) return;
+      this.removedConfigRuleIds.delete(id);
+      if (!this.runtimeRuleIds.has(id) && this.rules.delete(id)) {
+        this.ruleStates.delete(id);
+        result.removed.push(id);
+      }
+    });
+
+    normalized.forEach((rule) => {
+      if (this.runtimeRuleIds.has(rule.id) || this.removedConfigRuleIds.has(rule.id)) return;
+
+      const existing = this.rules.get(rule.id);
+      if (!existing) {
+        result.added.push(rule.id);
+      } else if (JSON.stringify(existing) !== JSON.stringify(rule)) {
+        this.ruleStates.delete(rule.id);
+        result.updated.push(rule.id);
+      } else {
+        return;
+      }
+      this.rules.set(rule.id, rule);
+    });
+
+    this.configRuleIds = nextIds;
+    if (result.added.length + result.updated.length + result.removed.length > 0) {
+      this.emit('rulesChanged');
+    }
+    return result;
+  }
+
+  /**
+   * 获取规则状态，不存在时初始化
+   * @param {string} id - 规则ID
+   * @returns {Object} 规则状态
+   */
+  _getState(id) {
+    if (!this.ruleStates.has(id)) {
+      this.ruleStates.set(id, { armed: true, triggered: false, lastFiredAt: null, fireCount: 0 });
+    }
+    return this.ruleStates.get(id);
+  }
+
+  /**
+   * 添加规则
+   * @param {Object} rule - 规则定义
+   * @returns {Object} 添加后的规则
+   */
+  addRule(rule) {
+    const normalized = this._normalizeRule(rule);
+    if (this.rules.has(normalized.id)) {
+      throw new Error(`规则已存在: ${normalized.id}`);
+    }
+
+    this.rules.set(normalized.id, normalized);
+    this.runtimeRuleIds.add(normalized.id);
+    this.removedConfigRuleIds.delete(normalized.id);
+    this.emit('rulesChanged');
+
+    logger.info(`➕ 添加预警规则: ${normalized.name} [${normalized.id}]`);
+    return this.getRule(normalized.id);
+  }
+
+  /**
+   * 更新规则，条件变化后重置触发状态
+   * @param {string} id - 规则ID
+   * @param {Object} changes - 要修改的字段
+   * @returns {Object|null} 更新后的规则，不存在时返回 null
+   */
+  updateRule(id, changes) {
+    const existing = this.rules.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const normalized = this._normalizeRule({ ...existing, ...changes, id });
+    this.rules.set(id, normalized);
+    this.runtimeRuleIds.add(id);
+    this.ruleStates.delete(id);
+    this.emit('rulesChanged');
+
+    logger.info(`✏️ 更新预警规则: ${normalized.name} [${id}]`);
+    return this.getRule(id);
+  }
+
+  /**
+   * 删除规则
+   * @param {string} id - 规则ID
+   * @returns {boolean} 是否删除成功
+   */
+  removeRule(id) {
+    if (!this.rules.delete(id)) {
+      return false;
+    }
+
+    this.ruleStates.delete(id);
+    this.runtimeRuleIds.delete(id);
+    if (this.configRuleIds.has(id)) {
+      this.removedConfigRuleIds.add(id);
+    }
+    this.emit('rulesChanged');
+
+    logger.info(`➖ 删除预警规则: ${id}`);
+    return true;
+  }
+
+  /**
+   * 重置规则触发状态（如重新启用已触发的单次规则）
+   * @param {string} id - 规则ID
+   * @returns {boolean} 是否重置成功
+   */
+  resetRule(id) {
+    if (!this.rules.has(id)) {
+      return false;
+    }
+
+    this.ruleStates.delete(id);
+    this.emit('stateChanged', id);
+    this.emit('ruleReset', id);
+    return true;
+  }
+
+  /**
+   * 获取单条规则及其状态
+   * @param {string} id - 规则ID
+   * @returns {Object|null}
+   */
+  getRule(id) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      return null;
+    }
+    return { ...rule, state: { ...this._getState(id) } };
+  }
+
+  /**
+   * 获取规则列表
+   * @param {string} symbol - 可选，按币种过滤
+   * @returns {Array} 规则列表
+   */
+  getRules(symbol = null) {
+    return Array.from(this.rules.keys())
+      .map(id => this.getRule(id))
+      .filter(rule => !symbol || rule.symbol === symbol || rule.symbol === '*');
+  }
+
+  /**
+   * 导出运行时修改的规则及所有规则状态，用于持久化
+   * 未修改过的配置规则不导出，以便配置文件中的修改在重启后生效
+   * @returns {Object} { items, removed, states }
+   */
+  exportRules() {
+    return {
+      items: Array.from(this.runtimeRuleIds).map(id => ({ ...this.rules.get(id) })),
+      removed: Array.from(this.removedConfigRuleIds),
+      states: Object.fromEntries(this.ruleStates)
+    };
+  }
+
+  /**
+   * 恢复已保存的规则及状态，保存的规则覆盖配置中同 ID 的规则
+   * @param {Object} saved - exportRules 导出的数据
+   * @returns {number} 恢复的规则数量
+   */
+  restoreRules(saved = {}) {
+    let restored = 0;
+
+    (saved.removed || []).forEach((id) => {
+      this.rules.delete(id);
+      this.removedConfigRuleIds.add(id);
+    });
+
+    (saved.items || []).forEach((rule) => {
+      try {
+        const normalized = this._normalizeRule(rule);
+        this.rules.set(normalized.id, normalized);
+        this.runtimeRuleIds.add(normalized.id);
+        restored++;
+      } catch (error) {
+        logger.warn(`⚠️ 忽略无效的已保存规则 ${rule && rule.id}: ${error.message}`);
+      }
+    });
+
+    Object.entries(saved.states || {}).forEach(([id, state]) => {
+      if (this.rules.has(id)) {
+        this.ruleStates.set(id, { ...this._getState(id), ...state });
+      }
+    });
+
+    return restored;
+  }
+}
+
+AlertRuleEngine.RULE_TYPES = RULE_TYPES;
+AlertRuleEngine.RULE_MODES = RULE_MODES;
+AlertRuleEngine.RULE_DIRECTIONS = RULE_DIRECTIONS;
+
+module.exports = AlertRuleEngine;
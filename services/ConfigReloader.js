@@ -0,0 +1,244 @@
+/**
+ * 配置热加载服务
+ * 配置文件变化或收到 SIGHUP 时重新加载并校验配置，应用到运行中的服务，不会断开行情连接:
+ * - symbols.default: 只订阅新增的币种、取消订阅移除的币种
+ * - symbols.thresholds: 更新有变化的币种阈值
+ * - rules: 增删改配置中的预警规则
+ * - priceTargets.items: 增删改配置中的价格目标
+ * - notifications.channels / notifications.recipients / wechat: 重新创建通知渠道和接收人，更换密钥
+ * 其余在使用时读取的配置（如 alerts.*、日志级别）替换后即生效，只在启动时读取的配置会提示需要重启
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { reloadConfig, replaceConfig, diffConfig } = require('../utils/configLoader');
+const { validateConfig } = require('../utils/configSchema');
+const { debounce } = require('../utils/helpers');
+const logger = require('../utils/logger').child('config');
+
+// 只在启动时读取，修改后需要重启才能生效的配置
+const RESTART_REQUIRED = [
+  'websocket.url',
+  'websocket.reconnectAttempts',
+  'websocket.reconnectDelay',
+  'websocket.reconnect',
+  'websocket.watchdog.enabled',
+  'websocket.watchdog.checkInterval',
+  'exchanges.default',
+  'exchanges.symbols',
+  'exchanges.venues',
+  'derivatives.enabled',
+  'orderBook.enabled',
+  'orderBook.channel',
+  'trades.symbols',
+  'indicators.timeframes',
+  'indicators.maxBars',
+  'priceTargets.historySize',
+  'portfolio.summaryInterval',
+  'alerts.cleanupInterval',
+  'history',
+  'http',
+  'state',
+  'metrics',
+  'dashboard',
+  'tui',
+  'recorder',
+  'reload'
+];
+
+// 由本服务单独处理的配置
+const HANDLED = [
+  'symbols.default', 'symbols.thresholds', 'rules', 'priceTargets.items',
+  'notifications.channels', 'notifications.recipients', 'wechat'
+];
+
+/**
+ * 路径是否在指定前缀之下
+ * @param {string} keyPath - 字段路径
+ * @param {string} prefix - 前缀
+ * @returns {boolean}
+ */
+function isUnder(keyPath, prefix) {
+  return keyPath === prefix || keyPath.startsWith(`${prefix}.`);
+}
+
+class ConfigReloader {
+  /**
+   * @param {Object} monitor - CryptoMonitorService 实例
+   */
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.watchedFile = null;
+    this.lastReload = null;
+
+    // 编辑器保存时可能连续写入多次，合并为一次重新加载
+    this._scheduleReload = debounce(() => this.reload('配置文件变化'), 300);
+    this._onFileChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+        this._scheduleReload();
+      }
+    };
+  }
+
+  /**
+   * 开始监视配置文件
+   */
+  start() {
+    if (!config.reload.watch || !config.configFile) {
+      return;
+    }
+
+    this.watchedFile = config.configFile;
+    // 轮询文件状态，编辑器以替换文件的方式保存或挂载到容器中时也能检测到
+    fs.watchFile(this.watchedFile, { interval: config.reload.interval }, this._onFileChange).unref();
+    logger.info(`👀 监视配置文件变化: ${this.watchedFile}`);
+  }
+
+  /**
+   * 停止监视
+   */
+  stop() {
+    if (this.watchedFile) {
+      fs.unwatchFile(this.watchedFile, this._onFileChange);
+      this.watchedFile = null;
+    }
+  }
+
+  /**
+   * 重新加载配置并应用，加载或校验失败时保持当前配置
+   * @param {string} reason - 触发原因，用于日志
+   * @returns {Object|null} 变化摘要，失败时返回 null
+   */
+  reload(reason = '手动') {
+    let next;
+    try {
+      next = reloadConfig(config);
+    } catch (error) {
+      logger.error(`❌ 重新加载配置失败 (${reason})，保持当前配置: ${error.message}`);
+      return null;
+    }
+
+    // 自动查找的配置文件被删除时不回退到默认值
+    if (config.configFile && !next.configFile) {
+      logger.error(`❌ 配置文件 ${config.configFile} 不存在，保持当前配置`);
+      return null;
+    }
+
+    const errors = validateConfig(next);
+    if (errors.length > 0) {
+      logger.error(`❌ 新配置校验失败 (${reason})，保持当前配置:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+      return null;
+    }
+
+    const changes = diffConfig(config, next);
+    if (changes.length === 0) {
+      logger.info(`🔄 配置无变化 (${reason})`);
+      return { changes };
+    }
+
+    // 顶层字段整体替换，previous 中保留的是旧的子对象
+    const previous = { ...config };
+    replaceConfig(config, next);
+
+    const summary = this._apply(previous, changes);
+    this.lastReload = { time: new Date(), reason, changes };
+    this._logSummary(reason, summary);
+    this.monitor.emit('configReloaded', summary);
+    return summary;
+  }
+
+  /**
+   * 将配置变化应用到运行中的服务
+   * @param {Object} previous - 旧配置
+   * @param {string[]} changes - 变化的字段路径
+   * @returns {Object} 变化摘要
+   */
+  _apply(previous, changes) {
+    const { priceMonitorService } = this.monitor;
+    const changed = prefix => changes.some(keyPath => isUnder(keyPath, prefix));
+    const summary = {
+      changes,
+      symbols: { added: [], removed: [] },
+      thresholds: [],
+      rules: null,
+      targets: null,
+      channels: false,
+      restartRequired: changes.filter(keyPath => RESTART_REQUIRED.some(prefix => isUnder(keyPath, prefix))),
+      other: []
+    };
+
+    const step = (name, fn) => {
+      try {
+        fn();
+      } catch (error) {
+        logger.error(`❌ 应用配置变化失败 [${name}]: ${error.message}`);
+      }
+    };
+
+    if (changed('symbols.default')) {
+      step('symbols.default', () => {
+        summary.symbols = this.monitor.applyDefaultSymbols(previous.symbols.default);
+      });
+    }
+
+    if (changed('symbols.thresholds')) {
+      step('symbols.thresholds', () => {
+        Object.entries(config.symbols.thresholds).forEach(([symbol, { min, max }]) => {
+          const old = previous.symbols.thresholds[symbol];
+          if (!old || old.min !== min || old.max !== max) {
+            priceMonitorService.setThresholds(symbol, min, max);
+            summary.thresholds.push(symbol);
+          }
+        });
+      });
+    }
+
+    if (changed('rules')) {
+      step('rules', () => {
+        summary.rules = priceMonitorService.ruleEngine.reloadConfigRules(config.rules);
+      });
+    }
+
+    if (changed('priceTargets.items')) {
+      step('priceTargets.items', () => {
+        summary.targets = priceMonitorService.targetTracker.reloadConfigTargets(config.priceTargets.items);
+      });
+    }
+
+    if (changed('notifications.channels') || changed('notifications.recipients') || changed('wechat')) {
+      step('notifications.channels', () => {
+        summary.channels = priceMonitorService.notificationService.reloadChannels();
+      });
+    }
+
+    summary.other = changes.filter(keyPath =>
+      !summary.restartRequired.includes(keyPath) && !HANDLED.some(prefix => isUnder(keyPath, prefix))
+    );
+    return summary;
+  }
+
+  /**
+   * 输出变化摘要
+   * @param {string} reason - 触发原因
+   * @param {Object} summary - 变化摘要
+   */
+  _logSummary(reason, summary) {
+    const parts = [];
+    const { symbols, thresholds, rules, targets } = summary;
+
+    if (symbols.added.length > 0) parts.push(`订阅 ${symbols.added.join(', ')}`);
+    if (symbols.removed.length > 0) parts.push(`取消订阅 ${symbols.removed.join(', ')}`);
+    if (thresholds.length > 0) parts.push(`阈值更新 ${thresholds.join(', ')}`);
+    if (rules) parts.push(`规则 +${rules.added.length} ~${rules.updated.length} -${rules.removed.length}`);
+    if (targets) parts.push(`价格目标 +${targets.added.length} ~${targets.updated.length} -${targets.removed.length}`);
+    if (summary.channels) parts.push('通知渠道已更新');
+    if (summary.other.length > 0) parts.push(`已生效 ${summary.other.join(', ')}`);
+
+    logger.info(`🔄 配置已重新加载 (${reason}): ${parts.join('; ') || '无需处理的变化'}`);
+    if (summary.restartRequired.length > 0) {
+      logger.warn(`⚠️ 以下配置需重启服务后生效: ${summary.restartRequired.join(', ')}`);
+    }
+  }
+}
+
+module.exports = ConfigReloader;
@@ -0,0 +1,176 @@
+/**
+ * 仪表盘推送流
+ * 通过 Server-Sent Events 向浏览器推送行情、阈值、预警和连接事件
+ * 行情按币种合并，每个推送间隔内只发送最新一条，避免高频行情占满带宽
+ *
+ * 推送的事件:
+ * - snapshot: 连接建立时的完整快照，见 getSnapshot
+ * - tick: 行情更新 { symbol, price, priceChangePercent, high24h, low24h, lastUpdate, exchange }
+ * - thresholds: 阈值变化 { symbol, min, max }
+ * - symbols: 监控币种变化 { symbols }
+ * - alert: 预警 { time, alertKey, symbol, content, channels }
+ * - connection: 连接事件 { time, exchange, status, message }
+ */
+
+const config = require('../config');
+
+class DashboardStream {
+  /**
+   * @param {Object} monitor - CryptoMonitorService 实例
+   */
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.clients = new Set();
+    this.pendingTicks = new Map();
+    this.flushTimer = null;
+    this.heartbeatTimer = null;
+
+    this._onPriceUpdate = this._onPriceUpdate.bind(this);
+    this._onThresholdsChanged = (symbol, thresholds) => this.broadcast('thresholds', { symbol, ...thresholds });
+    this._onSymbolsChanged = ({ symbols }) => this.broadcast('symbols', { symbols });
+    this._onAlert = alert => this.broadcast('alert', alert);
+    this._onConnection = event => this.broadcast('connection', event);
+  }
+
+  /**
+   * 开始监听事件并定时推送
+   */
+  start() {
+    this.monitor.marketDataService.on('priceUpdate', this._onPriceUpdate);
+    this.monitor.priceMonitorService.on('thresholdsChanged', this._onThresholdsChanged);
+    this.monitor.on('symbolsChanged', this._onSymbolsChanged);
+    this.monitor.on('alert', this._onAlert);
+    this.monitor.on('connection', this._onConnection);
+
+    this.flushTimer = setInterval(() => this._flushTicks(), config.dashboard.pushInterval);
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(res => res.write(': ping\n\n'));
+    }, config.dashboard.heartbeatInterval);
+  }
+
+  /**
+   * 停止推送并关闭所有客户端连接
+   */
+  stop() {
+    this.monitor.marketDataService.off('priceUpdate', this._onPriceUpdate);
+    this.monitor.priceMonitorService.off('thresholdsChanged', this._onThresholdsChanged);
+    this.monitor.off('symbolsChanged', this._onSymbolsChanged);
+    this.monitor.off('alert', this._onAlert);
+    this.monitor.off('connection', this._onConnection);
+
+    clearInterval(this.flushTimer);
+    clearInterval(this.heartbeatTimer);
+    this.flushTimer = null;
+    this.heartbeatTimer = null;
+
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    this.pendingTicks.clear();
+  }
+
+  /**
+   * 接入一个客户端，发送快照后持续推送
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {http.ServerResponse} res - 响应对象
+   */
+  addClient(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // 关闭 Nginx 等反向代理的缓冲
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    this._send(res, 'snapshot', this.getSnapshot());
+    this.clients.add(res);
+
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * 向所有客户端推送事件
+   * @param {string} event - 事件名称
+   * @param {Object} data - 事件数据
+   */
+  broadcast(event, data) {
+    this.clients.forEach(res => this._send(res, event, data));
+  }
+
+  /**
+   * 获取仪表盘快照
+   * @returns {Object} { status, symbols: [{ symbol, data, thresholds, history }], alerts }
+   */
+  getSnapshot() {
+    const { priceMonitorService } = this.monitor;
+    const since = Date.now() - config.dashboard.historyWindow;
+
+    const symbols = this.monitor.getSymbols().map(symbol => ({
+      symbol,
+      data: priceMonitorService.getCryptoData(symbol),
+      thresholds: priceMonitorService.getThresholds(symbol),
+      history: this._downsample(priceMonitorService.getPriceHistory(symbol, since), config.dashboard.historyPoints)
+    }));
+
+    return {
+      status: this.monitor.getStatus(),
+      symbols,
+      alerts: this.monitor.getRecentAlerts()
+    };
+  }
+
+  /**
+   * 记录行情，等待下一次合并推送
+   * 多数据源时只推送当前采用的数据源，与监控逻辑看到的行情一致
+   * @param {Object} data - 统一格式的行情数据
+   */
+  _onPriceUpdate(data) {
+    if (this.clients.size === 0) return;
+
+    const active = this.monitor.priceMonitorService.getActiveSource(data.symbol);
+    if (data.exchange && active && active !== data.exchange) return;
+
+    this.pendingTicks.set(data.symbol, data);
+  }
+
+  /**
+   * 推送合并后的行情
+   */
+  _flushTicks() {
+    if (this.pendingTicks.size === 0) return;
+
+    this.pendingTicks.forEach((data) => {
+      const { symbol, exchange, price, priceChangePercent, high24h, low24h, lastUpdate } = data;
+      this.broadcast('tick', { symbol, exchange, price, priceChangePercent, high24h, low24h, lastUpdate });
+    });
+    this.pendingTicks.clear();
+  }
+
+  /**
+   * 均匀抽样价格历史
+   * @param {Array} ticks - 价格历史 [{ timestamp, price }]
+   * @param {number} count - 目标点数
+   * @returns {Array} 抽样后的价格历史
+   */
+  _downsample(ticks, count) {
+    if (ticks.length <= count) {
+      return ticks;
+    }
+
+    const step = (ticks.length - 1) / (count - 1);
+    return Array.from({ length: count }, (item, index) => ticks[Math.round(index * step)]);
+  }
+
+  /**
+   * 向单个客户端发送事件
+   * @param {http.ServerResponse} res - 响应对象
+   * @param {string} event - 事件名称
+   * @param {Object} data - 事件数据
+   */
+  _send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+module.exports = DashboardStream;
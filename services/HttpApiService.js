@@ -0,0 +1,608 @@
+/**
+ * HTTP 控制接口服务类
+ * 负责对外暴露 REST 接口，用于在运行时管理监控币种和阈值
+ * 接口可以修改监控配置，未设置访问令牌时只允许监听本机地址
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+const config = require('../config');
+const DashboardStream = require('./DashboardStream');
+const { isValidSymbol } = require('../utils/helpers');
+const { normalizeSymbol } = require('../utils/instrument');
+const { getSymbolExchanges } = require('./exchanges');
+const logger = require('../utils/logger').child('http');
+
+// 请求体大小上限
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// 本机地址，未设置访问令牌时只允许监听这些地址
+const LOOPBACK_HOSTS = ['localhost', '::1'];
+
+// 浏览器仪表盘页面
+const DASHBOARD_PAGE = path.join(__dirname, '..', 'public', 'dashboard.html');
+
+class HttpApiService {
+  /**
+   * @param {Object} monitor - CryptoMonitorService 实例
+   */
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.server = null;
+    this.routes = [];
+    this.dashboardStream = config.dashboard.enabled ? new DashboardStream(monitor) : null;
+
+    this._registerRoutes();
+  }
+
+  /**
+   * 注册所有路由
+   */
+  _registerRoutes() {
+    this.addRoute('GET', '/api/status', () => this.monitor.getStatus());
+
+    this.addRoute('GET', '/api/prices', () => this.monitor.getAllPrices());
+
+    this.addRoute('GET', '/api/portfolio', () => {
+      const summary = this.monitor.portfolioService.getSummary();
+      if (!summary) {
+        throw this._createError(404, '未配置持仓 (portfolio.positions)');
+      }
+      return summary;
+    });
+
+    this.addRoute('GET', '/api/symbols', () => ({
+      symbols: this.monitor.getSymbols()
+    }));
+
+    this.addRoute('GET', '/api/symbols/:symbol', ({ params }) => {
+      const info = this.monitor.getSymbolInfo(params.symbol);
+      if (!info) {
+        throw this._createError(404, `未找到币种数据: ${params.symbol}`);
+      }
+      return info;
+    });
+
+    this.addRoute('POST', '/api/symbols', ({ body }) => {
+      const symbol = normalizeSymbol(body.symbol);
+      const thresholds = body.thresholds || null;
+
+      if (!isValidSymbol(symbol)) {
+        throw this._createError(400, `无效的币种符号: ${symbol}`);
+      }
+      if (getSymbolExchanges(symbol).length === 0) {
+        throw this._createError(400, `没有支持该品种的数据源: ${symbol}`);
+      }
+      if (thresholds) {
+        this._assertThresholds(thresholds.min, thresholds.max);
+      }
+
+      // subscribed 为 false 表示当前未连接，将在重连后自动订阅
+      const subscribed = this.monitor.addSymbol(symbol, thresholds);
+      return { symbol, subscribed };
+    });
+
+    this.addRoute('DELETE', '/api/symbols/:symbol', ({ params }) => {
+      if (!this.monitor.getSymbols().includes(params.symbol)) {
+        throw this._createError(404, `币种未在监控中: ${params.symbol}`);
+      }
+      this.monitor.removeSymbol(params.symbol);
+      return { symbol: params.symbol, subscribed: false };
+    });
+
+    this.addRoute('GET', '/api/symbols/:symbol/history', ({ params, query }) => {
+      const since = parseInt(query.since, 10) || 0;
+      return this.monitor.priceMonitorService.getPriceHistory(params.symbol, since);
+    });
+
+    this.addRoute('GET', '/api/symbols/:symbol/candles', ({ params, query }) => {
+      const timeframe = query.timeframe || config.indicators.timeframes[0];
+      if (!config.indicators.timeframes.includes(timeframe)) {
+        throw this._createError(400, `不支持的周期: ${timeframe}（可用: ${config.indicators.timeframes.join(', ')}）`);
+      }
+      const limit = parseInt(query.limit, 10) || config.indicators.maxBars;
+      return this.monitor.priceMonitorService.getCandles(params.symbol, timeframe, limit);
+    });
+
+    this.addRoute('GET', '/api/symbols/:symbol/thresholds', ({ params }) => {
+      const thresholds = this.monitor.priceMonitorService.getThresholds(params.symbol);
+      if (!thresholds) {
+        throw this._createError(404, `未配置阈值: ${params.symbol}`);
+      }
+      return thresholds;
+    });
+
+    this.addRoute('PUT', '/api/symbols/:symbol/thresholds', ({ params, body }) => {
+      this._assertThresholds(body.min, body.max);
+      if (!this.monitor.setThresholds(params.symbol, body.min, body.max)) {
+        throw this._createError(400, `设置阈值失败: ${params.symbol}`);
+      }
+      return this.monitor.priceMonitorService.getThresholds(params.symbol);
+    });
+
+    this.addRoute('GET', '/api/channels', () => {
+      return this.monitor.priceMonitorService.notificationService.getChannels();
+    });
+
+    this.addRoute('GET', '/api/recipients', () => {
+      return this.monitor.priceMonitorService.notificationService.getRecipients();
+    });
+
+    this.addRoute('GET', '/api/alerts', ({ query }) => {
+      const limit = parseInt(query.limit, 10);
+      return this.monitor.getRecentAlerts(limit > 0 ? limit : undefined);
+    });
+
+    this._registerRuleRoutes();
+    this._registerTargetRoutes();
+
+    if (this.dashboardStream) {
+      this._registerDashboardRoutes();
+    }
+
+    if (this.monitor.metricsService) {
+      this.addRoute('GET', '/metrics', ({ res }) => {
+        const body = this.monitor.metricsService.render();
+        res.writeHead(200, {
+          'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+          'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+      });
+    }
+  }
+
+  /**
+   * 注册浏览器仪表盘相关路由
+   * 页面本身不含数据，无需令牌；数据接口和推送流仍需令牌，浏览器中可通过 ?token= 传入
+   */
+  _registerDashboardRoutes() {
+    const servePage = async ({ res }) => {
+      const html = await fs.promises.readFile(DASHBOARD_PAGE);
+      res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Length': html.length
+      });
+      res.end(html);
+    };
+
+    this.addRoute('GET', '/', servePage, { auth: false });
+    this.addRoute('GET', '/dashboard', servePage, { auth: false });
+
+    this.addRoute('GET', '/api/dashboard', () => this.dashboardStream.getSnapshot());
+
+    this.addRoute('GET', '/api/stream', ({ req, res }) => {
+      this.dashboardStream.addClient(req, res);
+    });
+  }
+
+  /**
+   * 注册预警规则相关路由
+   */
+  _registerRuleRoutes() {
+    const ruleEngine = this.monitor.priceMonitorService.ruleEngine;
+
+    this.addRoute('GET', '/api/rules', ({ query }) => {
+      return ruleEngine.getRules(query.symbol ? normalizeSymbol(query.symbol) : null);
+    });
+
+    this.addRoute('GET', '/api/rules/:id', ({ params }) => {
+      const rule = ruleEngine.getRule(params.id);
+      if (!rule) {
+        throw this._createError(404, `规则不存在: ${params.id}`);
+      }
+      return rule;
+    });
+
+    this.addRoute('POST', '/api/rules', ({ body }) => {
+      this._assertChannels(body.channels);
+      return this._invalidAsBadRequest(() => ruleEngine.addRule(body));
+    });
+
+    this.addRoute('PUT', '/api/rules/:id', ({ params, body }) => {
+      this._assertChannels(body.channels);
+      const rule = this._invalidAsBadRequest(() => ruleEngine.updateRule(params.id, body));
+      if (!rule) {
+        throw this._createError(404, `规则不存在: ${params.id}`);
+      }
+      return rule;
+    });
+
+    this.addRoute('DELETE', '/api/rules/:id', ({ params }) => {
+      if (!ruleEngine.removeRule(params.id)) {
+        throw this._createError(404, `规则不存在: ${params.id}`);
+      }
+      return { id: params.id, removed: true };
+    });
+
+    this.addRoute('POST', '/api/rules/:id/reset', ({ params }) => {
+      if (!ruleEngine.resetRule(params.id)) {
+        throw this._createError(404, `规则不存在: ${params.id}`);
+      }
+      return ruleEngine.getRule(params.id);
+    });
+  }
+
+  /**
+   * 注册价格目标相关路由
+   */
+  _registerTargetRoutes() {
+    const targetTracker = this.monitor.priceMonitorService.targetTracker;
+
+    this.addRoute('GET', '/api/targets', ({ query }) => {
+      return targetTracker.getTargets(query.symbol ? normalizeSymbol(query.symbol) : null);
+    });
+
+    this.addRoute('GET', '/api/targets/history', ({ query }) => {
+      const limit = query.limit !== undefined ? parseInt(query.limit, 10) : undefined;
+      if (limit !== undefined && !(limit > 0)) {
+        throw this._createError(400, `无效的 limit: ${query.limit}`);
+      }
+      return targetTracker.getHistory(limit);
+    });
+
+    this.addRoute('GET', '/api/targets/:id', ({ params }) => {
+      const target = targetTracker.getTarget(params.id);
+      if (!target) {
+        throw this._createError(404, `价格目标不存在: ${params.id}`);
+      }
+      return target;
+    });
+
+    this.addRoute('POST', '/api/targets', ({ body }) => {
+      this._assertChannels(body.channels);
+      return this._invalidAsBadRequest(() => targetTracker.addTarget(body));
+    });
+
+    this.addRoute('DELETE', '/api/targets/:id', ({ params }) => {
+      if (!this._invalidAsBadRequest(() => targetTracker.removeTarget(params.id))) {
+        throw this._createError(404, `价格目标不存在: ${params.id}`);
+      }
+      return { id: params.id, removed: true };
+    });
+
+    this.addRoute('POST', '/api/targets/:id/reset', ({ params }) => {
+      if (!targetTracker.resetTarget(params.id)) {
+        throw this._createError(404, `价格目标不存在: ${params.id}`);
+      }
+      return targetTracker.getTarget(params.id);
+    });
+  }
+
+  /**
+   * 校验通知渠道名称
+   * @param {string[]} channels - 渠道名称列表
+   */
+  _assertChannels(channels) {
+    if (!Array.isArray(channels)) return;
+
+    const notificationService = this.monitor.priceMonitorService.notificationService;
+    const unknown = channels.filter(name => !notificationService.hasChannel(name));
+    if (unknown.length > 0) {
+      throw this._createError(400, `未知的通知渠道: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * 执行操作，将参数校验错误转换为 400 响应
+   * @param {Function} fn - 要执行的操作
+   * @returns {*} 操作结果
+   */
+  _invalidAsBadRequest(fn) {
+    try {
+      return fn();
+    } catch (error) {
+      throw this._createError(400, error.message);
+    }
+  }
+
+  /**
+   * 注册路由
+   * @param {string} method - HTTP 方法
+   * @param {string} routePath - 路径，支持 :param 形式的参数
+   * @param {Function} handler - 处理函数，接收 { req, res, params, query, body }
+   * @param {Object} options - 可选参数 { auth: 是否校验访问令牌，默认 true }
+   */
+  addRoute(method, routePath, handler, options = {}) {
+    const keys = [];
+    const pattern = routePath.replace(/:([a-zA-Z]+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+
+    this.routes.push({
+      method,
+      regex: new RegExp(`^${pattern}/?$`),
+      keys,
+      handler,
+      auth: options.auth !== false
+    });
+  }
+
+  /**
+   * 启动 HTTP 服务
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      if (!config.http.token && !this._isLoopback(config.http.host)) {
+        reject(new Error(`HTTP 控制接口监听 ${config.http.host} 时必须设置访问令牌 HTTP_API_TOKEN，` +
+          '或将 HTTP_HOST 设为 127.0.0.1、HTTP_ENABLED 设为 false'));
+        return;
+      }
+
+      this.server = http.createServer((req, res) => this._handleRequest(req, res));
+
+      this.server.once('error', (error) => {
+        logger.error('❌ HTTP 服务启动失败:', error.message);
+        reject(error);
+      });
+
+      this.server.listen(config.http.port, config.http.host, () => {
+        logger.info(`🌐 HTTP 控制接口已启动: http://${config.http.host}:${config.http.port}`);
+        if (this.dashboardStream) {
+          this.dashboardStream.start();
+          logger.info(`📊 浏览器仪表盘: http://${config.http.host}:${config.http.port}/`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 停止 HTTP 服务
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+
+      // 推送流是长连接，需先关闭，否则服务无法停止
+      if (this.dashboardStream) {
+        this.dashboardStream.stop();
+      }
+
+      this.server.close(() => {
+        logger.info('✅ HTTP 控制接口已关闭');
+        resolve();
+      });
+      this.server = null;
+    });
+  }
+
+  /**
+   * 处理 HTTP 请求
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {http.ServerResponse} res - 响应对象
+   */
+  async _handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = this._matchRoute(req.method, url.pathname);
+
+      if (!route) {
+        throw this._createError(404, `接口不存在: ${req.method} ${url.pathname}`);
+      }
+
+      if (route.auth && !this._isAuthorized(req, url)) {
+        throw this._createError(401, '未授权的访问');
+      }
+
+      const body = await this._readBody(req);
+      const data = await route.handler({
+        req,
+        res,
+        params: route.params,
+        query: Object.fromEntries(url.searchParams),
+        body
+      });
+
+      // 处理函数已自行写入响应（如流式接口）
+      if (res.headersSent) {
+        return;
+      }
+
+      this._sendJson(res, 200, { success: true, data });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        logger.error('❌ HTTP 请求处理失败:', error.message);
+      }
+      // 响应已开始写出（如流式接口）时无法再返回错误，直接断开连接
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      this._sendJson(res, statusCode, { success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 匹配路由
+   * @param {string} method - HTTP 方法
+   * @param {string} pathname - 请求路径
+   * @returns {Object|null} 匹配到的路由及参数
+   */
+  _matchRoute(method, pathname) {
+    let methodNotAllowed = false;
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+
+      if (route.method !== method) {
+        methodNotAllowed = true;
+        continue;
+      }
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        const value = this._decodeParam(match[index + 1]);
+        // 币种符号统一为标准格式，如 btcusdt -> BTC-USDT
+        params[key] = key === 'symbol' ? normalizeSymbol(value) : value;
+      });
+
+      return { handler: route.handler, params, auth: route.auth };
+    }
+
+    if (methodNotAllowed) {
+      throw this._createError(405, `不支持的请求方法: ${method}`);
+    }
+
+    return null;
+  }
+
+  /**
+   * 解码路径参数，编码错误时返回 400
+   * @param {string} value - 编码后的路径片段
+   * @returns {string}
+   */
+  _decodeParam(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      throw this._createError(400, `无效的路径编码: ${value}`);
+    }
+  }
+
+  /**
+   * 校验访问令牌
+   * 浏览器的 EventSource 无法设置请求头，因此也接受 ?token= 查询参数
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {URL} url - 请求地址
+   * @returns {boolean} 是否通过校验
+   */
+  _isAuthorized(req, url) {
+    if (!config.http.token) {
+      return true;
+    }
+
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+    return this._tokenEquals(bearer) || this._tokenEquals(url.searchParams.get('token'));
+  }
+
+  /**
+   * 以固定时间比较令牌，避免通过响应耗时逐字符猜测
+   * @param {string|null} token - 请求携带的令牌
+   * @returns {boolean}
+   */
+  _tokenEquals(token) {
+    if (typeof token !== 'string') {
+      return false;
+    }
+    // 先做摘要使两边长度一致，timingSafeEqual 要求长度相同
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(config.http.token));
+  }
+
+  /**
+   * 是否为本机地址
+   * @param {string} host - 监听地址
+   * @returns {boolean}
+   */
+  _isLoopback(host) {
+    return LOOPBACK_HOSTS.includes(host) || /^127\.\d+\.\d+\.\d+$/.test(host);
+  }
+
+  /**
+   * 读取并解析 JSON 请求体
+   * @param {http.IncomingMessage} req - 请求对象
+   * @returns {Promise<Object>} 解析后的请求体
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        resolve({});
+        return;
+      }
+
+      let data = '';
+      let tooLarge = false;
+
+      req.on('data', (chunk) => {
+        if (tooLarge) {
+          return;
+        }
+        data += chunk;
+        if (data.length > MAX_BODY_SIZE) {
+          // 丢弃剩余数据而不是断开连接，客户端才能收到 413 响应
+          tooLarge = true;
+          data = '';
+          reject(this._createError(413, '请求体过大'));
+        }
+      });
+
+      req.on('end', () => {
+        if (!data) {
+          resolve({});
+          return;
+        }
+        try {
+          const body = JSON.parse(data);
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            reject(this._createError(400, '请求体必须为 JSON 对象'));
+            return;
+          }
+          resolve(body);
+        } catch (error) {
+          reject(this._createError(400, `请求体不是有效的 JSON: ${error.message}`));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * 校验阈值参数
+   * @param {number} min - 最小价格
+   * @param {number} max - 最大价格
+   */
+  _assertThresholds(min, max) {
+    if (typeof min !== 'number' || typeof max !== 'number' || isNaN(min) || isNaN(max)) {
+      throw this._createError(400, '阈值 min 和 max 必须为数字');
+    }
+    if (min < 0 || max < 0) {
+      throw this._createError(400, '阈值不能为负数');
+    }
+    if (min > max) {
+      throw this._createError(400, `最小阈值 ${min} 不能大于最大阈值 ${max}`);
+    }
+  }
+
+  /**
+   * 创建带状态码的错误
+   * @param {number} statusCode - HTTP 状态码
+   * @param {string} message - 错误信息
+   * @returns {Error} 错误对象
+   */
+  _createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * 发送 JSON 响应
+   * @param {http.ServerResponse} res - 响应对象
+   * @param {number} statusCode - HTTP 状态码
+   * @param {Object} payload - 响应内容
+   */
+  _sendJson(res, statusCode, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+}
+
+module.exports = HttpApiService;
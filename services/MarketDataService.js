@@ -0,0 +1,183 @@
+/**
+ * 行情数据服务类
+ * 管理多个交易所的 WebSocket 连接，按币种配置将订阅分发到对应的交易所，
+ * 并将各交易所的统一格式行情汇总后转发
+ */
+
+const EventEmitter = require('events');
+const WebSocketService = require('./WebSocketService');
+const config = require('../config');
+const { createExchangeAdapter, getSymbolExchanges } = require('./exchanges');
+const logger = require('../utils/logger').child('ws');
+
+class MarketDataService extends EventEmitter {
+  constructor() {
+    super();
+    this.services = new Map();
+    this.subscribers = new Set();
+  }
+
+  /**
+   * 获取或创建指定交易所的连接服务
+   * @param {string} exchange - 交易所标识
+   * @returns {WebSocketService} 连接服务
+   */
+  _getService(exchange) {
+    if (this.services.has(exchange)) {
+      return this.services.get(exchange);
+    }
+
+    const service = new WebSocketService(createExchangeAdapter(exchange));
+    this._forwardEvents(exchange, service);
+    this.services.set(exchange, service);
+    return service;
+  }
+
+  /**
+   * 转发单个交易所连接的事件
+   * @param {string} exchange - 交易所标识
+   * @param {WebSocketService} service - 连接服务
+   */
+  _forwardEvents(exchange, service) {
+    service.on('connected', () => this.emit('connected', { exchange }));
+    service.on('disconnected', info => this.emit('disconnected', { ...info, exchange }));
+    service.on('error', (error) => {
+      error.exchange = exchange;
+      this.emit('error', error);
+    });
+    service.on('priceUpdate', data => this.emit('priceUpdate', data));
+    ['fundingRate', 'openInterest', 'markPrice', 'orderBook', 'orderBookResync', 'trade'].forEach((event) => {
+      service.on(event, data => this.emit(event, data));
+    });
+    service.on('symbolStale', info => this.emit('symbolStale', info));
+    service.on('symbolRecovered', info => this.emit('symbolRecovered', info));
+    service.on('feedDown', info => this.emit('feedDown', info));
+    service.on('feedRecovered', info => this.emit('feedRecovered', info));
+    service.on('circuitStateChanged', info => this.emit('circuitStateChanged', { ...info, exchange }));
+
+    // 所有交易所都放弃重连时才向上报告
+    service.on('maxReconnectAttemptsReached', () => {
+      const allExhausted = Array.from(this.services.values()).every(item => item.reconnectExhausted);
+      if (allExhausted) {
+        this.emit('maxReconnectAttemptsReached');
+      }
+    });
+  }
+
+  /**
+   * 连接币种所需的交易所
+   * @param {string[]} symbols - 币种列表，默认使用当前订阅列表
+   * @returns {Promise<void>} 至少一个交易所连接成功即完成
+   */
+  async connect(symbols = null) {
+    const targets = this._getRequiredExchanges(symbols);
+    const results = await Promise.allSettled(
+      targets.map(exchange => this._connectService(this._getService(exchange)))
+    );
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length === targets.length) {
+      throw failed[0].reason;
+    }
+  }
+
+  /**
+   * 连接单个交易所，已连接时直接返回
+   * @param {WebSocketService} service - 连接服务
+   * @returns {Promise<void>}
+   */
+  async _connectService(service) {
+    if (service.isConnected) {
+      return;
+    }
+    await service.connect();
+  }
+
+  /**
+   * 获取已订阅币种需要连接的交易所
+   * @param {string[]} symbols - 币种列表，默认使用当前订阅列表
+   * @returns {string[]} 交易所标识列表
+   */
+  _getRequiredExchanges(symbols = null) {
+    const exchanges = new Set();
+    (symbols || Array.from(this.subscribers)).forEach((symbol) => {
+      getSymbolExchanges(symbol).forEach(exchange => exchanges.add(exchange));
+    });
+
+    // 没有币种时连接默认交易所
+    if (exchanges.size === 0) {
+      config.exchanges.default.forEach(exchange => exchanges.add(exchange));
+    }
+    return Array.from(exchanges);
+  }
+
+  /**
+   * 订阅币种，在该币种配置的所有交易所上订阅
+   * 交易所尚未连接时会先建立连接，连接成功后自动订阅
+   * @param {string} symbol - 币种符号
+   * @returns {boolean} 是否至少在一个交易所成功发送订阅请求
+   */
+  subscribe(symbol) {
+    this.subscribers.add(symbol);
+
+    return getSymbolExchanges(symbol)
+      .map((exchange) => {
+        const service = this._getService(exchange);
+        const sent = service.subscribe(symbol);
+
+        if (!sent && !service.isConnected && !service.ws) {
+          this._connectService(service).catch((error) => {
+            logger.error(`❌ 连接 ${exchange} 失败:`, error.message);
+          });
+        }
+        return sent;
+      })
+      .some(Boolean);
+  }
+
+  /**
+   * 取消订阅币种
+   * @param {string} symbol - 币种符号
+   * @returns {boolean} 是否至少在一个交易所成功发送取消订阅请求
+   */
+  unsubscribe(symbol) {
+    this.subscribers.delete(symbol);
+
+    let success = false;
+    this.services.forEach((service) => {
+      if (service.subscribers.has(symbol) && service.unsubscribe(symbol)) {
+        success = true;
+      }
+    });
+    return success;
+  }
+
+  /**
+   * 获取连接状态
+   * @returns {Object} 连接状态信息
+   */
+  getStatus() {
+    const exchanges = {};
+    const staleSymbols = [];
+    this.services.forEach((service, exchange) => {
+      exchanges[exchange] = service.getStatus();
+      staleSymbols.push(...exchanges[exchange].staleSymbols);
+    });
+
+    return {
+      isConnected: Array.from(this.services.values()).some(service => service.isConnected),
+      subscribedSymbols: Array.from(this.subscribers),
+      staleSymbols,
+      exchanges
+    };
+  }
+
+  /**
+   * 断开所有交易所连接
+   */
+  disconnect() {
+    this.services.forEach(service => service.disconnect());
+  }
+}
+
+module.exports = MarketDataService;
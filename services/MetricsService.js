@@ -0,0 +1,186 @@
+/**
+ * 监控指标服务类
+ * 汇总行情、连接和通知相关的指标，通过 HTTP 接口 /metrics 以 Prometheus 格式输出
+ * 事件类指标（行情条数、预警发送结果）在事件发生时累计，状态类指标在抓取时读取
+ */
+
+const config = require('../config');
+const { Counter, Gauge, Histogram, Registry } = require('../utils/metrics');
+const { toNotional } = require('../utils/instrument');
+
+const PREFIX = 'crypto_monitor_';
+
+class MetricsService {
+  /**
+   * @param {Object} monitor - CryptoMonitorService 实例
+   */
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.registry = new Registry();
+    this._createMetrics();
+    this._bindEvents();
+  }
+
+  /**
+   * 创建所有指标
+   */
+  _createMetrics() {
+    const registry = this.registry;
+
+    // 行情
+    this.price = registry.register(new Gauge(`${PREFIX}price`, '币种最新价格', ['symbol']));
+    this.priceChange = registry.register(new Gauge(`${PREFIX}price_change_24h_percent`, '币种 24h 涨跌幅（百分比）', ['symbol']));
+    this.ticks = registry.register(new Counter(`${PREFIX}ticks_total`, '收到的行情条数', ['symbol', 'exchange']));
+    this.tickAge = registry.register(new Gauge(`${PREFIX}last_tick_age_seconds`, '距最近一条行情的时间（秒）', ['symbol']));
+    this.symbolStale = registry.register(new Gauge(`${PREFIX}symbol_stale`, '币种行情是否停滞（1 为停滞）', ['symbol', 'exchange']));
+
+    // 合约指标
+    this.fundingRate = registry.register(new Gauge(`${PREFIX}funding_rate`, '当前资金费率（小数）', ['symbol']));
+    this.openInterest = registry.register(new Gauge(`${PREFIX}open_interest`, '持仓量（币）', ['symbol']));
+    this.markPrice = registry.register(new Gauge(`${PREFIX}mark_price`, '标记价格', ['symbol']));
+
+    // 盘口
+    this.bookSpread = registry.register(new Gauge(`${PREFIX}orderbook_spread_bps`, '买一卖一价差（基点）', ['symbol']));
+    this.bookDepth = registry.register(new Gauge(`${PREFIX}orderbook_depth`, '中间价附近的挂单额（计价币种）', ['symbol', 'side']));
+    this.bookResyncs = registry.register(new Counter(`${PREFIX}orderbook_resyncs_total`, '盘口校验失败后重新同步的次数', ['symbol', 'exchange']));
+
+    // 成交流
+    this.tradeNotional = registry.register(new Counter(`${PREFIX}trade_notional_total`, '成交额（计价币种），side 为主动成交方向', ['symbol', 'side']));
+    this.largeTrades = registry.register(new Counter(`${PREFIX}large_trades_total`, '大额成交笔数', ['symbol', 'side']));
+
+    // 持仓组合
+    this.portfolioValue = registry.register(new Gauge(`${PREFIX}portfolio_value_usd`, '组合市值（美元）', []));
+    this.portfolioPnl = registry.register(new Gauge(`${PREFIX}portfolio_pnl_usd`, '组合未实现盈亏（美元）', []));
+    this.positionPnlPercent = registry.register(new Gauge(`${PREFIX}position_pnl_percent`, '持仓未实现盈亏（百分比）', ['symbol']));
+
+    // 连接
+    this.connected = registry.register(new Gauge(`${PREFIX}websocket_connected`, 'WebSocket 是否已连接（1 为已连接）', ['exchange']));
+    this.reconnectAttempts = registry.register(new Gauge(`${PREFIX}websocket_reconnect_attempts`, '当前连续重连次数', ['exchange']));
+    this.circuitOpen = registry.register(new Gauge(`${PREFIX}websocket_circuit_open`, '重连熔断是否打开（1 为熔断中或半开）', ['exchange']));
+
+    // 预警和通知
+    this.alertsFired = registry.register(new Counter(`${PREFIX}alerts_fired_total`, '各渠道发送成功的预警数', ['channel']));
+    this.alertsFailed = registry.register(new Counter(`${PREFIX}alerts_failed_total`, '各渠道发送失败的预警数', ['channel']));
+    this.alertsSuppressed = registry.register(new Counter(`${PREFIX}alerts_suppressed_total`, '因冷却期被跳过的预警数', ['symbol']));
+    this.notificationLatency = registry.register(new Histogram(
+      `${PREFIX}notification_duration_seconds`,
+      '通知发送耗时（秒）',
+      ['channel'],
+      config.metrics.latencyBuckets
+    ));
+    this.activeAlerts = registry.register(new Gauge(`${PREFIX}active_alerts`, '处于冷却期的预警数', []));
+
+    // 服务
+    this.uptime = registry.register(new Gauge(`${PREFIX}uptime_seconds`, '服务运行时长（秒）', []));
+  }
+
+  /**
+   * 订阅事件类指标的数据来源
+   */
+  _bindEvents() {
+    const notificationService = this.monitor.priceMonitorService.notificationService;
+
+    this.monitor.marketDataService.on('priceUpdate', (data) => {
+      this.ticks.inc({ symbol: data.symbol, exchange: data.exchange || '' });
+    });
+
+    this.monitor.marketDataService.on('orderBookResync', ({ symbol, exchange }) => {
+      this.bookResyncs.inc({ symbol, exchange });
+    });
+
+    this.monitor.marketDataService.on('trade', ({ symbol, side, price, size }) => {
+      const notional = toNotional(symbol, price, size);
+      if (notional !== null) {
+        this.tradeNotional.inc({ symbol, side }, notional);
+      }
+    });
+
+    this.monitor.tradeFlowAnalyzer.on('largeTrade', ({ symbol, side }) => {
+      this.largeTrades.inc({ symbol, side });
+    });
+
+    notificationService.on('delivery', ({ channel, success, duration }) => {
+      (success ? this.alertsFired : this.alertsFailed).inc({ channel });
+      this.notificationLatency.observe({ channel }, duration / 1000);
+    });
+
+    notificationService.on('alertSuppressed', (alertKey, { symbol }) => {
+      this.alertsSuppressed.inc({ symbol: symbol || '' });
+    });
+  }
+
+  /**
+   * 读取状态类指标的当前值
+   * 每次抓取前清空，已移除的币种和交易所不会残留
+   */
+  _collect() {
+    const { priceMonitorService, marketDataService } = this.monitor;
+    const now = Date.now();
+
+    [this.price, this.priceChange, this.tickAge, this.symbolStale,
+      this.fundingRate, this.openInterest, this.markPrice, this.bookSpread, this.bookDepth,
+      this.portfolioValue, this.portfolioPnl, this.positionPnlPercent,
+      this.connected, this.reconnectAttempts, this.circuitOpen].forEach(metric => metric.reset());
+
+    this.monitor.getSymbols().forEach((symbol) => {
+      const book = priceMonitorService.getOrderBookData(symbol);
+      if (book) {
+        this.bookSpread.set({ symbol }, book.spreadBps);
+        if (book.bidDepth !== null) {
+          this.bookDepth.set({ symbol, side: 'bid' }, book.bidDepth);
+          this.bookDepth.set({ symbol, side: 'ask' }, book.askDepth);
+        }
+      }
+
+      const derivatives = priceMonitorService.getDerivativesData(symbol);
+      if (derivatives) {
+        const openInterest = Number.isFinite(derivatives.openInterestCcy) ? derivatives.openInterestCcy : derivatives.openInterest;
+        if (Number.isFinite(derivatives.fundingRate)) this.fundingRate.set({ symbol }, derivatives.fundingRate);
+        if (Number.isFinite(openInterest)) this.openInterest.set({ symbol }, openInterest);
+        if (Number.isFinite(derivatives.markPrice)) this.markPrice.set({ symbol }, derivatives.markPrice);
+      }
+
+      const data = priceMonitorService.getCryptoData(symbol);
+      if (!data) return;
+
+      this.price.set({ symbol }, data.price);
+      this.priceChange.set({ symbol }, data.priceChangePercent);
+      if (data.lastUpdate instanceof Date) {
+        this.tickAge.set({ symbol }, Math.max(0, (now - data.lastUpdate.getTime()) / 1000));
+      }
+    });
+
+    const portfolio = this.monitor.portfolioService.getSummary();
+    if (portfolio) {
+      this.portfolioValue.set({}, portfolio.totalValue);
+      this.portfolioPnl.set({}, portfolio.pnl);
+      portfolio.positions.forEach(({ symbol, pnlPercent }) => {
+        if (pnlPercent !== null) this.positionPnlPercent.set({ symbol }, pnlPercent);
+      });
+    }
+
+    const status = marketDataService.getStatus();
+    Object.entries(status.exchanges).forEach(([exchange, info]) => {
+      this.connected.set({ exchange }, info.isConnected ? 1 : 0);
+      this.reconnectAttempts.set({ exchange }, info.reconnectAttempts);
+      this.circuitOpen.set({ exchange }, info.reconnect.circuitState === 'closed' ? 0 : 1);
+    });
+    status.staleSymbols.forEach(({ symbol, exchange }) => {
+      this.symbolStale.set({ symbol, exchange }, 1);
+    });
+
+    this.activeAlerts.set({}, priceMonitorService.notificationService.getActiveAlertsCount());
+    this.uptime.set({}, this.monitor.startTime ? (now - this.monitor.startTime.getTime()) / 1000 : 0);
+  }
+
+  /**
+   * 输出 Prometheus 文本格式的指标
+   * @returns {string}
+   */
+  render() {
+    this._collect();
+    return this.registry.render();
+  }
+}
+
+module.exports = MetricsService;
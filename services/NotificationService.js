@@ -1,124 +1,488 @@
 /**
  * 通知服务类
  * 负责处理各种类型的通知发送
+ * 配置了接收人（notifications.recipients）时，预警按币种、级别和免打扰时段分发给匹配的接收人，
+ * 冷却按接收人分别计算
  */
 
-const https = require('https');
+const EventEmitter = require('events');
 const config = require('../config');
+const { createNotifier } = require('./notifiers');
+const clock = require('../utils/clock');
+const logger = require('../utils/logger').child('notify');
 
-class NotificationService {
-  constructor() {
+// 预警级别，从低到高
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// 未指定级别的预警
+const DEFAULT_SEVERITY = 'warning';
+
+/**
+ * 将 HH:MM 转换为当天的分钟数
+ * @param {string} time - 如 23:30
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+class NotificationService extends EventEmitter {
+  /**
+   * @param {Object} options - 可选参数 { notifiers: 渠道名称到通知渠道实例的映射，替代配置中的渠道 }
+   */
+  constructor(options = {}) {
+    super();
     this.sentAlerts = new Map();
+    this.alertCooldowns = new Map();
+    this.notifiers = new Map();
+    // 接收人 name -> { name, kind, symbols, minSeverity, quietHours, notifiers }
+    this.recipients = new Map();
+    this.injectedNotifiers = options.notifiers || null;
+    this._createNotifiers(this.injectedNotifiers);
     this.startCleanupTask();
   }
 
   /**
-   * 发送微信预警消息
+   * 根据配置创建所有启用的通知渠道和接收人
+   * @param {Object} notifiers - 指定的通知渠道实例，传入时不再按配置创建，也不使用接收人
+   */
+  _createNotifiers(notifiers = null) {
+    // 全部创建成功后再替换，创建失败时保留原有渠道
+    const created = new Map();
+
+    if (notifiers) {
+      Object.entries(notifiers).forEach(([name, notifier]) => created.set(name, notifier));
+    } else {
+      Object.entries(config.notifications.channels).forEach(([name, options]) => {
+        if (options.enabled === false) return;
+        created.set(name, createNotifier(name, options));
+      });
+    }
+
+    const recipients = notifiers ? new Map() : this._createRecipients();
+    this.notifiers = created;
+    this.recipients = recipients;
+  }
+
+  /**
+   * 根据 notifications.recipients 创建接收人
+   * 接收人的渠道以同名渠道定义为模板覆盖地址，是否启用只看接收人自己的设置；用户同时关注所在群组的币种
+   * @returns {Map} 接收人名称到接收人的映射
+   */
+  _createRecipients() {
+    const { users, groups } = config.notifications.recipients;
+    const recipients = new Map();
+
+    const create = (name, kind, options, symbols) => {
+      const recipientNotifiers = new Map();
+      Object.entries(options.channels || {}).forEach(([channel, override]) => {
+        if (override && override.enabled === false) return;
+        const options = { ...config.notifications.channels[channel], ...override, enabled: true };
+        recipientNotifiers.set(channel, createNotifier(`${channel}@${name}`, options));
+      });
+
+      recipients.set(name, {
+        name,
+        kind,
+        symbols: symbols.includes('*') ? null : new Set(symbols),
+        minSeverity: options.minSeverity || SEVERITIES[0],
+        quietHours: options.quietHours || null,
+        notifiers: recipientNotifiers
+      });
+    };
+
+    Object.entries(groups).forEach(([name, options]) => create(`group:${name}`, 'group', options, options.symbols || ['*']));
+
+    Object.entries(users).forEach(([name, options]) => {
+      const memberOf = Object.values(groups).filter(group => (group.members || []).includes(name));
+      // 未设置币种也不属于任何群组时关注全部币种
+      const symbols = [...(options.symbols || (memberOf.length > 0 ? [] : ['*']))];
+      memberOf.forEach(group => symbols.push(...(group.symbols || ['*'])));
+      create(name, 'user', options, symbols);
+    });
+
+    return recipients;
+  }
+
+  /**
+   * 按当前配置重新创建通知渠道，用于配置热加载后更换密钥或增删渠道
+   * 构造时传入了渠道实例（如回放）时不处理
+   * @returns {boolean} 是否重新创建
+   */
+  reloadChannels() {
+    if (this.injectedNotifiers) {
+      return false;
+    }
+    this._createNotifiers();
+    return true;
+  }
+
+  /**
+   * 发送预警消息到对应的通知渠道
+   * 渠道优先级：options.channels > config.notifications.symbolChannels[symbol] > defaultChannels
+   * 配置了接收人时改为发送给匹配的接收人，见 _sendToRecipients
    * @param {string} content - 消息内容
    * @param {string} alertKey - 预警键值，用于防重复
-   * @returns {Promise<boolean>} 发送是否成功
+   * @param {Object} options - 可选参数 { cooldown: 冷却时间（毫秒）, channels: 渠道名称列表, symbol: 币种符号,
+   *   severity: 预警级别 info | warning | critical，默认 warning }
+   * @returns {Promise<boolean>} 任一渠道发送成功即返回 true
    */
-  async sendWechatAlert(content, alertKey = null) {
+  async sendAlert(content, alertKey = null, options = {}) {
+    if (this.recipients.size > 0) {
+      return this._sendToRecipients(content, alertKey, options);
+    }
+
     // 检查是否需要防重复
-    if (alertKey && this.sentAlerts.has(alertKey)) {
-      console.log(`预警已发送，跳过重复消息: ${alertKey}`);
+    if (alertKey && this._isCoolingDown(alertKey)) {
+      logger.debug(`预警已发送，跳过重复消息: ${alertKey}`);
+      this.emit('alertSuppressed', alertKey, { symbol: options.symbol || null });
+      return false;
+    }
+
+    const channels = this.resolveChannels(options.symbol, options.channels);
+    if (channels.length === 0) {
+      logger.warn(`⚠️ 没有可用的通知渠道，预警未发送: ${alertKey || content.split('\n')[0]}`);
+      return false;
+    }
+
+    const meta = { symbol: options.symbol || null, alertKey, severity: options.severity || DEFAULT_SEVERITY };
+    const results = await Promise.all(channels.map(notifier => this._deliver(notifier, content, meta)));
+    const success = results.some(Boolean);
+
+    if (success) {
+      // 记录已发送的预警
+      if (alertKey) {
+        this._recordAlert(alertKey, clock.now(), options.cooldown);
+      }
+      this.emit('alertSent', alertKey, {
+        content,
+        symbol: meta.symbol,
+        channels: channels.filter((notifier, index) => results[index]).map(notifier => notifier.name),
+        sentAt: clock.date()
+      });
+    }
+
+    return success;
+  }
+
+  /**
+   * 发送给匹配的接收人，每个接收人分别计算冷却
+   * options.channels 指定渠道时只使用接收人的这些渠道，没有这些渠道的接收人不发送
+   * @param {string} content - 消息内容
+   * @param {string} alertKey - 预警键值
+   * @param {Object} options - 同 sendAlert
+   * @returns {Promise<boolean>} 任一接收人发送成功即返回 true
+   */
+  async _sendToRecipients(content, alertKey, options) {
+    const severity = options.severity || DEFAULT_SEVERITY;
+    const symbol = options.symbol || null;
+    const matched = this.resolveRecipients(symbol, severity, options.channels);
+    if (matched.length === 0) {
+      logger.debug(`没有匹配的接收人，预警未发送: ${alertKey || content.split('\n')[0]}`);
       return false;
     }
 
-    try {
-      const success = await this._sendToWechat(content);
+    const recipientKey = name => `${alertKey}@${name}`;
+    const pending = matched.filter(({ recipient }) => !alertKey || !this._isCoolingDown(recipientKey(recipient.name)));
+    if (pending.length === 0) {
+      logger.debug(`预警已发送给所有匹配的接收人，跳过重复消息: ${alertKey}`);
+      this.emit('alertSuppressed', alertKey, { symbol });
+      return false;
+    }
 
-      if (success && alertKey) {
-        // 记录已发送的预警
-        this.sentAlerts.set(alertKey, Date.now());
+    const meta = { symbol, alertKey, severity };
+    const delivered = await Promise.all(pending.map(async ({ recipient, notifiers }) => {
+      const results = await Promise.all(notifiers.map(notifier =>
+        this._deliver(notifier, content, { ...meta, recipient: recipient.name })));
+      if (results.some(Boolean) && alertKey) {
+        this._recordAlert(recipientKey(recipient.name), clock.now(), options.cooldown);
+      }
+      return notifiers.filter((notifier, index) => results[index]).map(notifier => notifier.name);
+    }));
 
-        // 设置冷却期
-        setTimeout(() => {
-          this.sentAlerts.delete(alertKey);
-        }, config.alerts.cooldownPeriod);
+    const channels = delivered.flat();
+    if (channels.length === 0) {
+      return false;
+    }
+
+    this.emit('alertSent', alertKey, {
+      content,
+      symbol,
+      channels,
+      recipients: pending.filter((item, index) => delivered[index].length > 0).map(({ recipient }) => recipient.name),
+      severity,
+      sentAt: clock.date()
+    });
+    return true;
+  }
+
+  /**
+   * 查找预警的接收人：关注该币种（没有币种的预警发给所有人）、级别不低于 minSeverity，
+   * 且不在免打扰时段（或级别达到免打扰时段的 minSeverity）
+   * @param {string} symbol - 币种符号
+   * @param {string} severity - 预警级别
+   * @param {string[]} channelNames - 指定的渠道名称列表
+   * @returns {Array} [{ recipient, notifiers }]
+   */
+  resolveRecipients(symbol = null, severity = DEFAULT_SEVERITY, channelNames = null) {
+    const level = SEVERITIES.indexOf(severity);
+    const result = [];
+
+    this.recipients.forEach((recipient) => {
+      if (symbol && recipient.symbols && !recipient.symbols.has(symbol)) return;
+      if (level < SEVERITIES.indexOf(recipient.minSeverity)) return;
+      if (this._isQuiet(recipient) && level < SEVERITIES.indexOf(recipient.quietHours.minSeverity || 'critical')) {
+        logger.debug(`接收人 ${recipient.name} 处于免打扰时段，跳过 ${severity} 级预警`);
+        return;
       }
 
-      return success;
-    } catch (error) {
-      console.error('发送微信预警失败:', error.message);
+      const notifiers = Array.from(recipient.notifiers.entries())
+        .filter(([channel]) => !channelNames || channelNames.length === 0 || channelNames.includes(channel))
+        .map(([, notifier]) => notifier);
+      if (notifiers.length > 0) {
+        result.push({ recipient, notifiers });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 当前是否处于接收人的免打扰时段，start 晚于 end 时表示跨零点
+   * @param {Object} recipient - 接收人
+   * @returns {boolean}
+   */
+  _isQuiet(recipient) {
+    const { quietHours } = recipient;
+    if (!quietHours) {
       return false;
     }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone: quietHours.timezone
+    }).formatToParts(clock.date());
+    const get = type => Number(parts.find(part => part.type === type).value);
+    const now = get('hour') * 60 + get('minute');
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  /**
+   * 获取接收人概况
+   * @returns {Array} [{ name, kind, symbols, minSeverity, quietHours, quiet, channels }]
+   */
+  getRecipients() {
+    return Array.from(this.recipients.values()).map(recipient => ({
+      name: recipient.name,
+      kind: recipient.kind,
+      symbols: recipient.symbols ? Array.from(recipient.symbols) : ['*'],
+      minSeverity: recipient.minSeverity,
+      quietHours: recipient.quietHours,
+      quiet: this._isQuiet(recipient),
+      channels: Array.from(recipient.notifiers.values()).map(notifier => ({
+        name: notifier.name,
+        configured: notifier.isConfigured()
+      }))
+    }));
   }
 
   /**
-   * 实际发送微信消息的私有方法
+   * 通过单个渠道发送，并发出 delivery 事件记录结果和耗时
+   * @param {BaseNotifier} notifier - 通知渠道
    * @param {string} content - 消息内容
-   * @returns {Promise<boolean>}
-   */
-  _sendToWechat(content) {
-    return new Promise((resolve) => {
-      const webhookUrl = `${config.wechat.apiUrl}?key=${config.wechat.webhookKey}`;
-      const postData = JSON.stringify({
-        msgtype: 'text',
-        text: { content }
-      });
+   * @param {Object} meta - 预警附加信息
+   * @returns {Promise<boolean>} 发送是否成功
+   */
+  async _deliver(notifier, content, meta) {
+    const startedAt = Date.now();
+    const success = await notifier.send(content, meta);
 
-      const options = {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(postData)
+    this.emit('delivery', {
+      channel: notifier.name,
+      success,
+      duration: Date.now() - startedAt,
+      alertKey: meta.alertKey
+    });
+    return success;
+  }
+
+  /**
+   * 发送微信预警消息（兼容旧接口，仅发送到 wechat 渠道）
+   * @param {string} content - 消息内容
+   * @param {string} alertKey - 预警键值，用于防重复
+   * @param {Object} options - 可选参数，同 sendAlert
+   * @returns {Promise<boolean>} 发送是否成功
+   */
+  sendWechatAlert(content, alertKey = null, options = {}) {
+    return this.sendAlert(content, alertKey, { ...options, channels: ['wechat'] });
+  }
+
+  /**
+   * 解析本次预警使用的通知渠道
+   * @param {string} symbol - 币种符号
+   * @param {string[]} channelNames - 指定的渠道名称列表
+   * @returns {Array} 通知渠道实例列表
+   */
+  resolveChannels(symbol = null, channelNames = null) {
+    const { symbolChannels, defaultChannels } = config.notifications;
+    const names = (channelNames && channelNames.length > 0) ? channelNames
+      : (symbol && symbolChannels[symbol]) || defaultChannels;
+
+    return names
+      .filter((name) => {
+        if (!this.notifiers.has(name)) {
+          logger.warn(`⚠️ 通知渠道 ${name} 不存在或未启用`);
+          return false;
         }
-      };
-
-      const req = https.request(webhookUrl, options, (res) => {
-        let data = '';
-
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.errcode === 0) {
-              console.log(`✅ 微信预警发送成功: ${new Date().toLocaleString()}`);
-              resolve(true);
-            } else {
-              console.error(`❌ 微信预警发送失败: ${response.errmsg}`);
-              resolve(false);
-            }
-          } catch (error) {
-            console.error('解析微信响应失败:', error.message);
-            resolve(false);
-          }
-        });
-      });
+        return true;
+      })
+      .map(name => this.notifiers.get(name));
+  }
 
-      req.on('error', (error) => {
-        console.error(`发送微信预警网络错误: ${error.message}`);
-        resolve(false);
-      });
+  /**
+   * 判断通知渠道是否已定义
+   * @param {string} name - 渠道名称
+   * @returns {boolean}
+   */
+  hasChannel(name) {
+    return Object.prototype.hasOwnProperty.call(config.notifications.channels, name);
+  }
+
+  /**
+   * 获取通知渠道概况
+   * @returns {Array} [{ name, type, enabled, configured }]
+   */
+  getChannels() {
+    return Object.entries(config.notifications.channels).map(([name, options]) => ({
+      name,
+      type: options.type,
+      enabled: this.notifiers.has(name),
+      configured: this.notifiers.has(name) && this.notifiers.get(name).isConfigured()
+    }));
+  }
 
-      req.write(postData);
-      req.end();
+  /**
+   * 判断预警是否处于冷却期
+   * 按发送时间判断而不只依赖定时器，回放时时钟跳跃也能得到正确结果
+   * @param {string} alertKey - 预警键值
+   * @returns {boolean}
+   */
+  _isCoolingDown(alertKey) {
+    const sentAt = this.sentAlerts.get(alertKey);
+    if (sentAt === undefined) {
+      return false;
+    }
+
+    const cooldown = this.alertCooldowns.get(alertKey);
+    if (clock.now() - sentAt >= cooldown) {
+      this.sentAlerts.delete(alertKey);
+      this.alertCooldowns.delete(alertKey);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 记录预警并设置冷却期
+   * @param {string} alertKey - 预警键值
+   * @param {number} sentAt - 发送时间戳
+   * @param {number} cooldown - 冷却时间（毫秒），默认使用全局配置
+   */
+  _recordAlert(alertKey, sentAt, cooldown = config.alerts.cooldownPeriod) {
+    const remaining = cooldown - (clock.now() - sentAt);
+    if (remaining <= 0) {
+      return;
+    }
+
+    this.sentAlerts.set(alertKey, sentAt);
+    this.alertCooldowns.set(alertKey, cooldown);
+
+    const timer = setTimeout(() => {
+      // 仅删除本次记录，避免误删冷却期内重新发送的记录
+      if (this.sentAlerts.get(alertKey) === sentAt) {
+        this.sentAlerts.delete(alertKey);
+        this.alertCooldowns.delete(alertKey);
+      }
+    }, remaining);
+    // 冷却计时不阻止进程退出（如回放结束时）
+    timer.unref();
+  }
+
+  /**
+   * 清除预警的冷却记录，包括按接收人记录的冷却，之后相同预警可立即再次发送
+   * @param {string} alertKey - 预警键值
+   * @returns {number} 清除的记录数量
+   */
+  clearAlert(alertKey) {
+    let cleared = 0;
+    Array.from(this.sentAlerts.keys()).forEach((key) => {
+      if (key === alertKey || key.startsWith(`${alertKey}@`)) {
+        this.sentAlerts.delete(key);
+        this.alertCooldowns.delete(key);
+        cleared++;
+      }
     });
+    return cleared;
+  }
+
+  /**
+   * 导出仍处于冷却期的预警记录
+   * @returns {Object} 预警键值到 { sentAt, cooldown } 的映射
+   */
+  exportAlerts() {
+    const alerts = {};
+    this.sentAlerts.forEach((sentAt, alertKey) => {
+      alerts[alertKey] = { sentAt, cooldown: this.alertCooldowns.get(alertKey) };
+    });
+    return alerts;
+  }
+
+  /**
+   * 恢复预警记录，已过冷却期的记录会被忽略
+   * @param {Object} alerts - exportAlerts 导出的数据，兼容旧版的发送时间戳格式
+   * @returns {number} 恢复的记录数量
+   */
+  restoreAlerts(alerts = {}) {
+    const before = this.sentAlerts.size;
+
+    Object.entries(alerts).forEach(([alertKey, value]) => {
+      const record = typeof value === 'number' ? { sentAt: value } : value;
+      if (record && typeof record.sentAt === 'number' && !this.sentAlerts.has(alertKey)) {
+        this._recordAlert(alertKey, record.sentAt, record.cooldown);
+      }
+    });
+
+    return this.sentAlerts.size - before;
   }
 
   /**
    * 启动清理任务，定期清理过期的预警记录
    */
   startCleanupTask() {
-    setInterval(() => {
-      const now = Date.now();
+    const timer = setInterval(() => {
+      const now = clock.now();
       let cleanedCount = 0;
 
       this.sentAlerts.forEach((timestamp, key) => {
-        if (now - timestamp > config.alerts.maxAlertAge) {
+        const maxAge = Math.max(config.alerts.maxAlertAge, this.alertCooldowns.get(key) || 0);
+        if (now - timestamp > maxAge) {
           this.sentAlerts.delete(key);
+          this.alertCooldowns.delete(key);
           cleanedCount++;
         }
       });
 
       if (cleanedCount > 0) {
-        console.log(`🧹 清理了 ${cleanedCount} 条过期预警记录`);
+        logger.info(`🧹 清理了 ${cleanedCount} 条过期预警记录`);
       }
     }, config.alerts.cleanupInterval);
+    timer.unref();
   }
 
   /**
@@ -134,8 +498,12 @@ class NotificationService {
    */
   clearAllAlerts() {
     this.sentAlerts.clear();
-    console.log('🗑️ 已清除所有预警记录');
+    this.alertCooldowns.clear();
+    logger.info('🗑️ 已清除所有预警记录');
   }
 }
 
+NotificationService.SEVERITIES = SEVERITIES;
+NotificationService.DEFAULT_SEVERITY = DEFAULT_SEVERITY;
+
 module.exports = NotificationService;
\ No newline at end of file
@@ -0,0 +1,338 @@
+/**
+ * 持仓组合服务类
+ * 按 PriceMonitorService 的最新行情计算 config.portfolio.positions 中各持仓的市值和未实现盈亏，
+ * 检查组合回撤、单个持仓盈亏和权重偏离，预警通过 PriceMonitorService 的通知服务发送
+ * 组合汇总以美元计，非美元计价的持仓按 <计价币>-USDT 的行情换算
+ */
+
+const EventEmitter = require('events');
+const config = require('../config');
+const clock = require('../utils/clock');
+const { parseInstrument, describeSymbol, formatQuotePrice, USD_QUOTES } = require('../utils/instrument');
+const logger = require('../utils/logger').child('monitor');
+
+class PortfolioService extends EventEmitter {
+  /**
+   * @param {PriceMonitorService} priceMonitorService - 用于读取行情和发送预警
+   */
+  constructor(priceMonitorService) {
+    super();
+    this.priceMonitorService = priceMonitorService;
+    this.summaryTimer = null;
+    this.lastCheckedAt = 0;
+    // 启动以来（或持仓配置变化后）的组合市值峰值
+    this.peakValue = null;
+    this.positionsKey = null;
+    // 已触发的组合预警，条件解除后移除
+    this.alerted = new Set();
+  }
+
+  /**
+   * 开始定时发送组合摘要
+   */
+  start() {
+    const { summaryInterval } = config.portfolio;
+    if (!summaryInterval || this.summaryTimer) {
+      return;
+    }
+    this.summaryTimer = setInterval(() => this.sendSummary(), summaryInterval);
+    this.summaryTimer.unref();
+  }
+
+  /**
+   * 停止定时发送组合摘要
+   */
+  stop() {
+    if (this.summaryTimer) {
+      clearInterval(this.summaryTimer);
+      this.summaryTimer = null;
+    }
+  }
+
+  /**
+   * 持仓或换算汇率的币种行情更新后调用，按 checkInterval 节流
+   * @param {string} symbol - 币种符号
+   */
+  onPriceUpdate(symbol) {
+    const { positions, checkInterval } = config.portfolio;
+    if (!positions.some(position => this.getRequiredSymbols(position.symbol).includes(symbol))) return;
+
+    const now = clock.now();
+    if (now - this.lastCheckedAt < checkInterval) return;
+    this.lastCheckedAt = now;
+
+    this.evaluate();
+  }
+
+  /**
+   * 重新计算组合并检查预警
+   * @returns {Object|null} 组合汇总，未配置持仓时返回 null
+   */
+  evaluate() {
+    // 持仓配置变化（如热加载）后峰值和预警状态不再适用
+    const positionsKey = JSON.stringify(config.portfolio.positions);
+    if (positionsKey !== this.positionsKey) {
+      this.positionsKey = positionsKey;
+      this.peakValue = null;
+      this.alerted.clear();
+    }
+
+    const summary = this.getSummary();
+    if (!summary) return null;
+
+    summary.positions.forEach(position => {
+      if (position.price === null) return;
+      this._checkPnl(position, summary);
+      this._checkDrift(position, summary);
+    });
+    // 部分持仓没有行情时组合市值不完整，不参与回撤计算
+    if (summary.complete) {
+      this._checkDrawdown(summary);
+    }
+    return summary;
+  }
+
+  /**
+   * 计算持仓市值需要的行情币种：持仓币种本身，非美元计价时还需要换算汇率的币种
+   * @param {string} symbol - 持仓币种
+   * @returns {string[]} 如 ETH-BTC 返回 ['ETH-BTC', 'BTC-USDT']
+   */
+  getRequiredSymbols(symbol) {
+    const rateSymbol = this._getRateSymbol(symbol);
+    return rateSymbol ? [symbol, rateSymbol] : [symbol];
+  }
+
+  /**
+   * 持仓换算为美元使用的行情币种
+   * @param {string} symbol - 持仓币种
+   * @returns {string|null} 如 ETH-BTC 返回 BTC-USDT，美元计价的持仓返回 null
+   */
+  _getRateSymbol(symbol) {
+    const { quote } = parseInstrument(symbol) || {};
+    return quote && !USD_QUOTES.includes(quote) ? `${quote}-USDT` : null;
+  }
+
+  /**
+   * 获取持仓计价币种兑美元的汇率
+   * @param {string} symbol - 持仓币种
+   * @returns {number|null} 没有对应行情时返回 null
+   */
+  _getUsdRate(symbol) {
+    const rateSymbol = this._getRateSymbol(symbol);
+    if (!rateSymbol) {
+      return 1;
+    }
+    const data = this.priceMonitorService.getCryptoData(rateSymbol);
+    return data && data.price > 0 ? data.price : null;
+  }
+
+  /**
+   * 计算单个持仓的市值和盈亏
+   * @param {Object} position - 持仓配置 { symbol, quantity, cost, targetWeight, pnl }
+   * @returns {Object} price、value 等字段在缺少行情时为 null，value / costValue / pnlUsd 以美元计
+   */
+  _valuePosition(position) {
+    const { symbol, quantity, cost } = position;
+    const { quote } = parseInstrument(symbol) || {};
+    const data = this.priceMonitorService.getCryptoData(symbol);
+    const rate = this._getUsdRate(symbol);
+    const price = data ? data.price : null;
+    const valued = price !== null && rate !== null;
+
+    return {
+      symbol,
+      quantity,
+      cost,
+      quote: quote || null,
+      price,
+      pnl: price !== null ? (price - cost) * quantity : null,
+      pnlPercent: price !== null ? ((price - cost) / cost) * 100 : null,
+      value: valued ? price * quantity * rate : null,
+      costValue: valued ? cost * quantity * rate : null,
+      pnlUsd: valued ? (price - cost) * quantity * rate : null,
+      weight: null,
+      targetWeight: typeof position.targetWeight === 'number' ? position.targetWeight : null,
+      drift: null
+    };
+  }
+
+  /**
+   * 获取组合汇总
+   * @returns {Object|null} { totalValue, totalCost, pnl, pnlPercent, peakValue, drawdownPercent, complete, positions, updatedAt }，
+   *   未配置持仓时返回 null；金额以美元计，complete 为 false 时表示部分持仓缺少行情，未计入合计
+   */
+  getSummary() {
+    const { positions } = config.portfolio;
+    if (positions.length === 0) {
+      return null;
+    }
+
+    const items = positions.map(position => this._valuePosition(position));
+    const valued = items.filter(item => item.value !== null);
+    const totalValue = valued.reduce((sum, item) => sum + item.value, 0);
+    const totalCost = valued.reduce((sum, item) => sum + item.costValue, 0);
+    const complete = valued.length === items.length;
+
+    valued.forEach(item => {
+      item.weight = totalValue > 0 ? item.value / totalValue : null;
+      if (complete && item.weight !== null && item.targetWeight !== null) {
+        item.drift = (item.weight - item.targetWeight) * 100;
+      }
+    });
+
+    if (complete && (this.peakValue === null || totalValue > this.peakValue)) {
+      this.peakValue = totalValue;
+    }
+
+    return {
+      totalValue,
+      totalCost,
+      pnl: totalValue - totalCost,
+      pnlPercent: totalCost > 0 ? ((totalValue - totalCost) / totalCost) * 100 : null,
+      peakValue: this.peakValue,
+      drawdownPercent: complete && this.peakValue ? ((this.peakValue - totalValue) / this.peakValue) * 100 : null,
+      complete,
+      positions: items,
+      updatedAt: clock.date()
+    };
+  }
+
+  /**
+   * 检查组合回撤，同一轮回撤只预警一次，回升到阈值以内后重新布防
+   * @param {Object} summary - 组合汇总
+   */
+  _checkDrawdown(summary) {
+    const threshold = config.portfolio.drawdownPercent;
+    const alertKey = 'portfolio_drawdown';
+    if (typeof threshold !== 'number' || summary.drawdownPercent < threshold) {
+      this.alerted.delete(alertKey);
+      return;
+    }
+    if (this.alerted.has(alertKey)) return;
+    this.alerted.add(alertKey);
+
+    const message = `📉 组合回撤预警！\n` +
+                    `峰值市值: $${summary.peakValue.toFixed(2)}\n` +
+                    `回撤: ${summary.drawdownPercent.toFixed(2)}% (设定值 ${threshold}%)\n` +
+                    this._formatTotals(summary) +
+                    `时间: ${clock.date().toLocaleString()}`;
+    this._sendAlert(message, alertKey, 'critical');
+  }
+
+  /**
+   * 检查单个持仓的未实现盈亏，超出区间只预警一次，回到区间内后重新布防
+   * @param {Object} position - 持仓估值
+   * @param {Object} summary - 组合汇总
+   */
+  _checkPnl(position, summary) {
+    const configured = config.portfolio.positions.find(item => item.symbol === position.symbol) || {};
+    const settings = { ...config.portfolio.pnl, ...configured.pnl };
+
+    [['above', value => value > settings.above], ['below', value => value < settings.below]].forEach(([type, exceeded]) => {
+      const alertKey = `${position.symbol}_portfolio_pnl_${type}`;
+      if (typeof settings[type] !== 'number' || !exceeded(position.pnlPercent)) {
+        this.alerted.delete(alertKey);
+        return;
+      }
+      if (this.alerted.has(alertKey)) return;
+      this.alerted.add(alertKey);
+
+      const { symbol } = position;
+      const message = `${type === 'above' ? '💰' : '🩸'} 持仓盈亏预警！\n` +
+                      `币种: ${describeSymbol(symbol)}\n` +
+                      `持仓: ${position.quantity} @ ${formatQuotePrice(symbol, position.cost, 4)}\n` +
+                      `当前价格: ${formatQuotePrice(symbol, position.price, 4)}\n` +
+                      `未实现盈亏: ${this._formatSigned(position.pnlPercent)}% (${position.pnl >= 0 ? '+' : '-'}${formatQuotePrice(symbol, Math.abs(position.pnl), 2)})\n` +
+                      `${type === 'above' ? '高于' : '低于'}设定值: ${settings[type]}%\n` +
+                      this._formatTotals(summary) +
+                      `时间: ${clock.date().toLocaleString()}`;
+      this._sendAlert(message, alertKey, 'warning', symbol);
+    });
+  }
+
+  /**
+   * 检查持仓权重偏离目标权重，偏离回落到阈值以内后重新布防
+   * @param {Object} position - 持仓估值
+   * @param {Object} summary - 组合汇总
+   */
+  _checkDrift(position, summary) {
+    const threshold = config.portfolio.driftPercent;
+    const alertKey = `${position.symbol}_portfolio_drift`;
+    if (typeof threshold !== 'number' || position.drift === null || Math.abs(position.drift) < threshold) {
+      this.alerted.delete(alertKey);
+      return;
+    }
+    if (this.alerted.has(alertKey)) return;
+    this.alerted.add(alertKey);
+
+    const { symbol } = position;
+    const message = `⚖️ 持仓权重偏离预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `当前权重: ${(position.weight * 100).toFixed(2)}%\n` +
+                    `目标权重: ${(position.targetWeight * 100).toFixed(2)}%\n` +
+                    `偏离: ${this._formatSigned(position.drift)} 个百分点 (设定值 ${threshold})\n` +
+                    `持仓市值: $${position.value.toFixed(2)}\n` +
+                    this._formatTotals(summary) +
+                    `时间: ${clock.date().toLocaleString()}`;
+    this._sendAlert(message, alertKey, 'info', symbol);
+  }
+
+  /**
+   * 发送组合摘要通知
+   * @returns {Promise<boolean>} 是否发送成功，没有持仓或行情时返回 false
+   */
+  async sendSummary() {
+    const summary = this.getSummary();
+    if (!summary || summary.positions.every(position => position.value === null)) {
+      return false;
+    }
+
+    const lines = summary.positions.map(position => (position.value === null
+      ? `${position.symbol}: 暂无行情`
+      : `${position.symbol}: $${position.value.toFixed(2)} (${(position.weight * 100).toFixed(1)}%) ` +
+        `盈亏 ${this._formatSigned(position.pnlPercent)}%`));
+
+    const message = `💼 组合摘要\n` +
+                    this._formatTotals(summary) +
+                    (summary.drawdownPercent !== null ? `较峰值回撤: ${summary.drawdownPercent.toFixed(2)}%\n` : '') +
+                    `${lines.join('\n')}\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    // 摘要按固定间隔发送，不参与冷却
+    const success = await this.priceMonitorService.notificationService.sendAlert(message, null, {
+      channels: config.portfolio.channels,
+      severity: 'info'
+    });
+    logger.info(`💼 组合摘要: 市值 $${summary.totalValue.toFixed(2)}, 盈亏 ${this._formatSigned(summary.pnlPercent)}%`);
+    return success;
+  }
+
+  /**
+   * 组合市值和盈亏行，附在各类组合预警后
+   * @param {Object} summary - 组合汇总
+   * @returns {string}
+   */
+  _formatTotals(summary) {
+    const incomplete = summary.complete ? '' : ' (部分持仓暂无行情)';
+    return `组合市值: $${summary.totalValue.toFixed(2)}${incomplete}\n` +
+           `组合盈亏: ${summary.pnl >= 0 ? '+' : '-'}$${Math.abs(summary.pnl).toFixed(2)} (${this._formatSigned(summary.pnlPercent)}%)\n`;
+  }
+
+  _formatSigned(value) {
+    if (typeof value !== 'number') {
+      return '-';
+    }
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+  }
+
+  _sendAlert(message, alertKey, severity, symbol = null) {
+    this.priceMonitorService.notificationService.sendAlert(message, alertKey, {
+      symbol,
+      severity,
+      channels: config.portfolio.channels
+    });
+    logger.info(`🚨 ${message}`);
+  }
+}
+
+module.exports = PortfolioService;
@@ -3,14 +3,61 @@
  * 负责价格数据处理和阈值检查
  */
 
+const EventEmitter = require('events');
 const config = require('../config');
 const NotificationService = require('./NotificationService');
+const AlertRuleEngine = require('./AlertRuleEngine');
+const PriceTargetTracker = require('./PriceTargetTracker');
+const RingBuffer = require('../utils/RingBuffer');
+const CandleAggregator = require('../utils/CandleAggregator');
+const indicators = require('../utils/indicators');
+const clock = require('../utils/clock');
+const { getSymbolExchanges } = require('./exchanges');
+const { calculatePriceChangePercent } = require('../utils/helpers');
+const {
+  normalizeSymbol, parseInstrument, describeSymbol, formatQuotePrice, formatSize, hasContractValue
+} = require('../utils/instrument');
+const logger = require('../utils/logger').child('monitor');
 
-class PriceMonitorService {
-  constructor() {
+class PriceMonitorService extends EventEmitter {
+  /**
+   * @param {Object} options - 可选参数 { notificationService: 自定义通知服务，如回放时使用的捕获通知 }
+   */
+  constructor(options = {}) {
+    super();
     this.cryptoData = new Map();
+    // 各交易所的最新行情 symbol -> Map(exchange -> data)
+    this.exchangeData = new Map();
+    // 当前采用的数据源 symbol -> exchange
+    this.activeSources = new Map();
+    // 跨交易所价差状态 symbol -> { pair, since, alerted }
+    this.spreadStates = new Map();
     this.priceThresholds = { ...config.symbols.thresholds };
-    this.notificationService = new NotificationService();
+    this.priceHistory = new Map();
+    this.velocityAlertTimes = new Map();
+    this.candles = new CandleAggregator(config.indicators);
+    // 最近一次重新计算的阈值区间 symbol -> { mode, anchor, width, source, breached, updatedAt }
+    this.bandStates = new Map();
+    // 合约指标 symbol -> { fundingRate, nextFundingRate, fundingTime, openInterest, openInterestCcy, markPrice, updatedAt }
+    this.derivativesData = new Map();
+    // 持仓量历史 symbol -> [{ timestamp, value }]
+    this.openInterestHistory = new Map();
+    this.openInterestAlertTimes = new Map();
+    // 已触发的资金费率预警，回到区间内后移除
+    this.fundingAlerted = new Set();
+    // 标记价格偏离状态 symbol -> { since, alerted }
+    this.divergenceStates = new Map();
+    // 盘口分析结果 symbol -> { bestBid, bestAsk, mid, spreadBps, bidDepth, askDepth, walls, top, checkedAt }
+    this.orderBookData = new Map();
+    // 盘口挂单额历史 symbol -> [{ timestamp, value }]
+    this.liquidityHistory = new Map();
+    this.liquidityAlertTimes = new Map();
+    this.spreadAlerted = new Set();
+    this.notificationService = options.notificationService || new NotificationService();
+    this.ruleEngine = new AlertRuleEngine(config.rules);
+    // 重置规则后应能立即再次发送，清除该规则的通知冷却
+    this.ruleEngine.on('ruleReset', id => this.notificationService.clearAlert(`rule_${id}`));
+    this.targetTracker = new PriceTargetTracker(config.priceTargets.items, config.priceTargets);
   }
 
   /**
@@ -19,17 +66,647 @@ class PriceMonitorService {
    * @param {Object} data - 价格数据
    */
   updateCryptoData(symbol, data) {
+    // 多数据源时只处理当前采用的数据源
+    if (!this._acceptSource(symbol, data)) {
+      return;
+    }
+
     // 存储历史数据用于比较
     const previousData = this.cryptoData.get(symbol);
     this.cryptoData.set(symbol, data);
 
+    // 记录价格历史
+    this._recordPriceHistory(symbol, data);
+
+    // 聚合 K 线，K 线收盘时检查技术指标规则
+    this._updateCandles(symbol, data);
+
     // 检查价格阈值
     this._checkPriceThresholds(symbol, data, previousData);
 
+    // 检查时间窗口内的涨跌幅
+    this._checkVelocityRules(symbol, data);
+
+    // 检查最新价与标记价格的偏离
+    if (this.derivativesData.has(symbol)) {
+      this._checkMarkDivergence(symbol);
+    }
+
+    // 检查自定义预警规则
+    this._checkAlertRules(symbol, data, previousData);
+
+    // 检查止盈止损等价格目标
+    this._checkPriceTargets(symbol, data);
+
     // 记录价格变化
     this._logPriceChange(symbol, data, previousData);
   }
 
+  /**
+   * 记录各交易所行情，并判断是否采用该行情
+   * 优先使用主数据源，主数据源超过 failoverTimeout 无行情时依次使用备用数据源
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 价格数据
+   * @returns {boolean} 是否采用该行情
+   */
+  _acceptSource(symbol, data) {
+    if (!data.exchange) {
+      return true;
+    }
+
+    let venues = this.exchangeData.get(symbol);
+    if (!venues) {
+      venues = new Map();
+      this.exchangeData.set(symbol, venues);
+    }
+    venues.set(data.exchange, { ...data, receivedAt: clock.now() });
+
+    // 每个交易所的行情都参与价差比较
+    this._checkSpread(symbol);
+
+    const now = clock.now();
+    const exchanges = getSymbolExchanges(symbol);
+    const active = exchanges.find((exchange) => {
+      const venueData = venues.get(exchange);
+      return venueData && now - venueData.receivedAt <= config.exchanges.failoverTimeout;
+    }) || data.exchange;
+
+    const previous = this.activeSources.get(symbol);
+    if (previous !== active) {
+      this.activeSources.set(symbol, active);
+      if (previous) {
+        logger.warn(`🔀 ${symbol} 行情数据源切换: ${previous} -> ${active}`);
+      }
+    }
+
+    return active === data.exchange;
+  }
+
+  /**
+   * 检查跨交易所价差，价差持续超过阈值一段时间后发送预警
+   * 同一轮价差只预警一次，价差回落到阈值以下后重新布防
+   * @param {string} symbol - 币种符号
+   */
+  _checkSpread(symbol) {
+    const { arbitrage } = config;
+    if (!arbitrage.enabled) return;
+
+    const now = clock.now();
+    const quotes = Array.from(this.exchangeData.get(symbol).values())
+      .filter(item => now - item.receivedAt <= arbitrage.maxQuoteAge);
+
+    if (quotes.length < 2) {
+      this.spreadStates.delete(symbol);
+      return;
+    }
+
+    let high = quotes[0];
+    let low = quotes[0];
+    quotes.forEach((item) => {
+      if (item.price > high.price) high = item;
+      if (item.price < low.price) low = item;
+    });
+
+    const spreadPercent = calculatePriceChangePercent(high.price, low.price);
+    const threshold = arbitrage.symbols[symbol] || arbitrage.spreadPercent;
+
+    if (spreadPercent < threshold) {
+      this.spreadStates.delete(symbol);
+      return;
+    }
+
+    const pair = `${high.exchange}_${low.exchange}`;
+    let state = this.spreadStates.get(symbol);
+    if (!state || state.pair !== pair) {
+      state = { pair, since: now, alerted: false };
+      this.spreadStates.set(symbol, state);
+    }
+
+    if (state.alerted || now - state.since < arbitrage.sustainPeriod) {
+      return;
+    }
+
+    state.alerted = true;
+    this._handleSpreadAlert(symbol, high, low, spreadPercent, threshold, now - state.since);
+  }
+
+  /**
+   * 处理跨交易所价差预警
+   * @param {string} symbol - 币种符号
+   * @param {Object} high - 价格较高的交易所行情
+   * @param {Object} low - 价格较低的交易所行情
+   * @param {number} spreadPercent - 价差百分比
+   * @param {number} threshold - 价差阈值百分比
+   * @param {number} duration - 价差持续时间（毫秒）
+   */
+  _handleSpreadAlert(symbol, high, low, spreadPercent, threshold, duration) {
+    const message = `⚖️ 跨交易所价差预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `${high.exchange} 价格: ${formatQuotePrice(symbol, high.price, 4)}\n` +
+                    `${low.exchange} 价格: ${formatQuotePrice(symbol, low.price, 4)}\n` +
+                    `价差: ${spreadPercent.toFixed(2)}% (阈值 ${threshold}%)\n` +
+                    `持续时间: ${Math.round(duration / 1000)} 秒\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    const alertKey = `${symbol}_spread_${high.exchange}_${low.exchange}`;
+    this.notificationService.sendAlert(message, alertKey, { symbol });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 获取币种当前的跨交易所价差
+   * @param {string} symbol - 币种符号
+   * @returns {Object|null} { high, low, spreadPercent, since }
+   */
+  getSpread(symbol) {
+    const venues = this.exchangeData.get(symbol);
+    if (!venues || venues.size < 2) {
+      return null;
+    }
+
+    const quotes = Array.from(venues.values());
+    const high = quotes.reduce((a, b) => (b.price > a.price ? b : a));
+    const low = quotes.reduce((a, b) => (b.price < a.price ? b : a));
+    const state = this.spreadStates.get(symbol);
+
+    return {
+      high: { exchange: high.exchange, price: high.price },
+      low: { exchange: low.exchange, price: low.price },
+      spreadPercent: calculatePriceChangePercent(high.price, low.price),
+      since: state ? new Date(state.since) : null
+    };
+  }
+
+  /**
+   * 获取币种在各交易所的最新行情
+   * @param {string} symbol - 币种符号
+   * @returns {Object} 交易所到行情数据的映射
+   */
+  getExchangeData(symbol) {
+    const venues = this.exchangeData.get(symbol);
+    return venues ? Object.fromEntries(venues) : {};
+  }
+
+  /**
+   * 获取币种当前采用的数据源
+   * @param {string} symbol - 币种符号
+   * @returns {string|null} 交易所标识
+   */
+  getActiveSource(symbol) {
+    return this.activeSources.get(symbol) || null;
+  }
+
+  /**
+   * 获取币种的合约指标预警配置，按币种覆盖全局配置
+   * @param {string} symbol - 币种符号
+   * @returns {Object} { fundingRate, openInterest, markDivergence }
+   */
+  _getDerivativesSettings(symbol) {
+    const { derivatives } = config;
+    const override = derivatives.symbols[symbol] || {};
+    return {
+      fundingRate: { ...derivatives.fundingRate, ...override.fundingRate },
+      openInterest: { ...derivatives.openInterest, ...override.openInterest },
+      markDivergence: { ...derivatives.markDivergence, ...override.markDivergence }
+    };
+  }
+
+  /**
+   * 合并合约指标的最新值
+   * @param {string} symbol - 币种符号
+   * @param {Object} values - 指标字段
+   * @returns {Object} 合并后的指标
+   */
+  _mergeDerivativesData(symbol, values) {
+    const merged = { ...this.derivativesData.get(symbol), ...values, updatedAt: clock.now() };
+    this.derivativesData.set(symbol, merged);
+    return merged;
+  }
+
+  /**
+   * 更新资金费率，超出 above/below 区间时预警，回到区间内后重新布防
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - { fundingRate, nextFundingRate, fundingTime, exchange }，费率为小数
+   */
+  updateFundingRate(symbol, data) {
+    const { fundingRate, nextFundingRate, fundingTime } = data;
+    this._mergeDerivativesData(symbol, { fundingRate, nextFundingRate, fundingTime });
+
+    const { above, below } = this._getDerivativesSettings(symbol).fundingRate;
+    const percent = fundingRate * 100;
+
+    [['above', above, percent >= above], ['below', below, percent <= below]].forEach(([type, threshold, exceeded]) => {
+      const alertKey = `${symbol}_funding_${type}`;
+      if (typeof threshold !== 'number' || !exceeded) {
+        this.fundingAlerted.delete(alertKey);
+        return;
+      }
+      if (this.fundingAlerted.has(alertKey)) return;
+
+      this.fundingAlerted.add(alertKey);
+      this._handleFundingAlert(symbol, data, type, threshold, alertKey);
+    });
+  }
+
+  /**
+   * 处理资金费率预警
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 资金费率数据
+   * @param {string} type - above | below
+   * @param {number} threshold - 阈值百分比
+   * @param {string} alertKey - 预警键值
+   */
+  _handleFundingAlert(symbol, data, type, threshold, alertKey) {
+    const formatRate = rate => `${rate >= 0 ? '+' : ''}${(rate * 100).toFixed(4)}%`;
+    const fundingTime = data.fundingTime instanceof Date && !isNaN(data.fundingTime.getTime())
+      ? data.fundingTime.toLocaleString() : '未知';
+
+    const message = `💸 资金费率${type === 'above' ? '过高' : '过低'}预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `当前资金费率: ${formatRate(data.fundingRate)} (阈值 ${type === 'above' ? '≥' : '≤'} ${threshold}%)\n` +
+                    (typeof data.nextFundingRate === 'number' ? `预测下期费率: ${formatRate(data.nextFundingRate)}\n` : '') +
+                    `结算时间: ${fundingTime}\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    this.notificationService.sendAlert(message, alertKey, { symbol });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 更新持仓量，窗口内变化超过阈值时预警，冷却期等于时间窗口
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - { openInterest: 张, openInterestCcy: 币, exchange }
+   */
+  updateOpenInterest(symbol, data) {
+    const { openInterest, openInterestCcy } = data;
+    this._mergeDerivativesData(symbol, { openInterest, openInterestCcy });
+
+    // 按币计算变化，与合约面值无关
+    const value = Number.isFinite(openInterestCcy) ? openInterestCcy : openInterest;
+    const { window, percent } = this._getDerivativesSettings(symbol).openInterest;
+    const now = clock.now();
+
+    let history = this.openInterestHistory.get(symbol);
+    if (!history) {
+      history = [];
+      this.openInterestHistory.set(symbol, history);
+    }
+
+    // 与价格历史相同，采样间隔内只保留最新一条
+    const last = history[history.length - 1];
+    if (last && now - last.timestamp < config.history.sampleInterval) {
+      last.value = value;
+    } else {
+      history.push({ timestamp: now, value });
+    }
+    while (history.length > 1 && history[0].timestamp < now - window) {
+      history.shift();
+    }
+
+    if (typeof percent !== 'number' || history.length < 2 || !history[0].value) return;
+
+    const reference = history[0];
+    const changePercent = calculatePriceChangePercent(value, reference.value);
+    if (Math.abs(changePercent) < percent) return;
+
+    const lastFired = this.openInterestAlertTimes.get(symbol);
+    if (lastFired && now - lastFired < window) return;
+
+    this.openInterestAlertTimes.set(symbol, now);
+    this._handleOpenInterestAlert(symbol, value, reference, changePercent, percent);
+  }
+
+  /**
+   * 处理持仓量急变预警
+   * @param {string} symbol - 币种符号
+   * @param {number} value - 当前持仓量
+   * @param {Object} reference - 窗口起点 { timestamp, value }
+   * @param {number} changePercent - 持仓量变化百分比
+   * @param {number} threshold - 阈值百分比
+   */
+  _handleOpenInterestAlert(symbol, value, reference, changePercent, threshold) {
+    const { base } = parseInstrument(symbol) || {};
+    const unit = base ? ` ${base}` : '';
+    const seconds = Math.round((clock.now() - reference.timestamp) / 1000);
+
+    const message = `📊 持仓量${changePercent >= 0 ? '急增' : '急降'}预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `当前持仓量: ${value.toFixed(2)}${unit}\n` +
+                    `${seconds} 秒前持仓量: ${reference.value.toFixed(2)}${unit}\n` +
+                    `变化: ${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}% (阈值 ${threshold}%)\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    this.notificationService.sendAlert(message, `${symbol}_open_interest`, { symbol });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 更新标记价格并检查与最新价的偏离
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - { markPrice, exchange }
+   */
+  updateMarkPrice(symbol, data) {
+    this._mergeDerivativesData(symbol, { markPrice: data.markPrice });
+    this._checkMarkDivergence(symbol);
+  }
+
+  /**
+   * 检查最新价与标记价格的偏离，持续超过阈值一段时间后预警
+   * 同一轮偏离只预警一次，回落到阈值以下后重新布防
+   * @param {string} symbol - 币种符号
+   */
+  _checkMarkDivergence(symbol) {
+    const { markPrice } = this.derivativesData.get(symbol) || {};
+    const data = this.cryptoData.get(symbol);
+    const { percent, sustainPeriod } = this._getDerivativesSettings(symbol).markDivergence;
+    if (!data || !markPrice || typeof percent !== 'number') return;
+
+    const divergence = calculatePriceChangePercent(data.price, markPrice);
+    if (Math.abs(divergence) < percent) {
+      this.divergenceStates.delete(symbol);
+      return;
+    }
+
+    const now = clock.now();
+    let state = this.divergenceStates.get(symbol);
+    if (!state) {
+      state = { since: now, alerted: false };
+      this.divergenceStates.set(symbol, state);
+    }
+
+    if (state.alerted || now - state.since < sustainPeriod) {
+      return;
+    }
+
+    state.alerted = true;
+    this._handleDivergenceAlert(symbol, data.price, markPrice, divergence, percent, now - state.since);
+  }
+
+  /**
+   * 处理标记价格偏离预警
+   * @param {string} symbol - 币种符号
+   * @param {number} lastPrice - 最新成交价
+   * @param {number} markPrice - 标记价格
+   * @param {number} divergence - 偏离百分比
+   * @param {number} threshold - 阈值百分比
+   * @param {number} duration - 持续时间（毫秒）
+   */
+  _handleDivergenceAlert(symbol, lastPrice, markPrice, divergence, threshold, duration) {
+    const message = `🎯 标记价格偏离预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `最新价: ${formatQuotePrice(symbol, lastPrice, 4)}\n` +
+                    `标记价格: ${formatQuotePrice(symbol, markPrice, 4)}\n` +
+                    `偏离: ${divergence >= 0 ? '+' : ''}${divergence.toFixed(2)}% (阈值 ${threshold}%)\n` +
+                    `持续时间: ${Math.round(duration / 1000)} 秒\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    this.notificationService.sendAlert(message, `${symbol}_mark_divergence`, { symbol });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 获取币种的合约指标
+   * @param {string} symbol - 币种符号
+   * @returns {Object|null} { fundingRate, nextFundingRate, fundingTime, openInterest, openInterestCcy, markPrice, markDivergence, updatedAt }
+   */
+  getDerivativesData(symbol) {
+    const values = this.derivativesData.get(symbol);
+    if (!values) {
+      return null;
+    }
+
+    const data = this.cryptoData.get(symbol);
+    return {
+      ...values,
+      markDivergence: data && values.markPrice ? calculatePriceChangePercent(data.price, values.markPrice) : null,
+      updatedAt: new Date(values.updatedAt)
+    };
+  }
+
+  /**
+   * 获取币种的盘口预警配置，按币种覆盖全局配置
+   * @param {string} symbol - 币种符号
+   * @returns {Object} { spreadBps, liquidity, walls }
+   */
+  _getOrderBookSettings(symbol) {
+    const { orderBook } = config;
+    const override = orderBook.symbols[symbol] || {};
+    return {
+      spreadBps: override.spreadBps !== undefined ? override.spreadBps : orderBook.spreadBps,
+      liquidity: { ...orderBook.liquidity, ...override.liquidity },
+      walls: { ...orderBook.walls, ...override.walls }
+    };
+  }
+
+  /**
+   * 分析本地盘口，按 checkInterval 节流
+   * 检查买卖价差、中间价附近的挂单额变化以及大单墙的出现和撤单
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - { book: OrderBook, exchange, timestamp }
+   */
+  updateOrderBook(symbol, data) {
+    const now = clock.now();
+    const previous = this.orderBookData.get(symbol);
+    if (previous && now - previous.checkedAt < config.orderBook.checkInterval) {
+      return;
+    }
+
+    const { book } = data;
+    const mid = book.getMid();
+    if (!mid) return;
+
+    const settings = this._getOrderBookSettings(symbol);
+    // 合约的挂单量为张数，面值加载前无法换算挂单额，只检查价差
+    const sized = hasContractValue(symbol);
+    const liquidityLevels = book.getLevelsWithin(settings.liquidity.depthPercent);
+    const sum = levels => levels.reduce((total, level) => total + level.notional, 0);
+    const current = {
+      exchange: data.exchange,
+      bestBid: book.getBestBid().price,
+      bestAsk: book.getBestAsk().price,
+      mid,
+      spreadBps: book.getSpreadBps(),
+      bidDepth: sized ? sum(liquidityLevels.bids) : null,
+      askDepth: sized ? sum(liquidityLevels.asks) : null,
+      walls: sized ? this._findWalls(book, settings.walls) : [],
+      top: book.getTop(5),
+      checkedAt: now
+    };
+    this.orderBookData.set(symbol, current);
+
+    this._checkBookSpread(symbol, current, settings.spreadBps);
+    if (!sized) return;
+
+    this._checkLiquidity(symbol, current, settings.liquidity, now);
+    // 首次分析（或面值刚加载后）只记录已有的大单墙，不预警
+    if (previous && previous.bidDepth !== null) {
+      this._checkWalls(symbol, book, previous, current, settings.walls);
+    }
+  }
+
+  /**
+   * 查找中间价附近的大单墙
+   * @param {OrderBook} book - 本地盘口
+   * @param {Object} settings - { depthPercent, multiple, minNotional }
+   * @returns {Array} [{ side, price, size, notional, multiple }]
+   */
+  _findWalls(book, settings) {
+    if (typeof settings.multiple !== 'number') return [];
+
+    const { bids, asks } = book.getLevelsWithin(settings.depthPercent);
+    const walls = [];
+    [['bid', bids], ['ask', asks]].forEach(([side, levels]) => {
+      if (levels.length < 2) return;
+      const total = levels.reduce((sum, level) => sum + level.notional, 0);
+
+      levels.forEach((level) => {
+        // 与同侧其他档位的平均挂单额比较
+        const average = (total - level.notional) / (levels.length - 1);
+        if (level.notional >= settings.minNotional && average > 0 && level.notional >= average * settings.multiple) {
+          walls.push({ side, price: level.price, size: level.size, notional: level.notional, multiple: level.notional / average });
+        }
+      });
+    });
+    return walls;
+  }
+
+  /**
+   * 检查买一卖一价差，超过阈值时预警，回落后重新布防
+   * @param {string} symbol - 币种符号
+   * @param {Object} current - 盘口分析结果
+   * @param {number|null} threshold - 价差阈值（基点）
+   */
+  _checkBookSpread(symbol, current, threshold) {
+    const alertKey = `${symbol}_book_spread`;
+    if (typeof threshold !== 'number' || current.spreadBps < threshold) {
+      this.spreadAlerted.delete(alertKey);
+      return;
+    }
+    if (this.spreadAlerted.has(alertKey)) return;
+    this.spreadAlerted.add(alertKey);
+
+    const message = `↔️ 盘口价差扩大预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `买一: ${formatQuotePrice(symbol, current.bestBid, 4)}\n` +
+                    `卖一: ${formatQuotePrice(symbol, current.bestAsk, 4)}\n` +
+                    `价差: ${current.spreadBps.toFixed(1)} bps (阈值 ${threshold} bps)\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    this.notificationService.sendAlert(message, alertKey, { symbol });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 检查中间价附近的挂单额，窗口内从最高值下降超过阈值时预警，冷却期等于时间窗口
+   * @param {string} symbol - 币种符号
+   * @param {Object} current - 盘口分析结果
+   * @param {Object} settings - { depthPercent, window, dropPercent }
+   * @param {number} now - 当前时间戳
+   */
+  _checkLiquidity(symbol, current, settings, now) {
+    const value = current.bidDepth + current.askDepth;
+    let history = this.liquidityHistory.get(symbol);
+    if (!history) {
+      history = [];
+      this.liquidityHistory.set(symbol, history);
+    }
+    history.push({ timestamp: now, value });
+    while (history.length > 1 && history[0].timestamp < now - settings.window) {
+      history.shift();
+    }
+
+    if (typeof settings.dropPercent !== 'number' || history.length < 2) return;
+
+    const peak = history.reduce((max, item) => (item.value > max.value ? item : max));
+    if (!peak.value) return;
+    const dropPercent = ((peak.value - value) / peak.value) * 100;
+    if (dropPercent < settings.dropPercent) return;
+
+    const lastFired = this.liquidityAlertTimes.get(symbol);
+    if (lastFired && now - lastFired < settings.window) return;
+    this.liquidityAlertTimes.set(symbol, now);
+
+    const message = `🫗 盘口流动性骤降预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `中间价 ±${settings.depthPercent}% 挂单额: ${formatQuotePrice(symbol, value, 2)} ` +
+                    `(买 ${formatQuotePrice(symbol, current.bidDepth, 2)} / 卖 ${formatQuotePrice(symbol, current.askDepth, 2)})\n` +
+                    `${Math.round((now - peak.timestamp) / 1000)} 秒前: ${formatQuotePrice(symbol, peak.value, 2)}\n` +
+                    `下降: ${dropPercent.toFixed(2)}% (阈值 ${settings.dropPercent}%)\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    this.notificationService.sendAlert(message, `${symbol}_liquidity_drop`, { symbol });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 比较前后两次分析的大单墙，新出现的预警
+   * 消失的大单墙仍在检查范围内、价格未被越过且挂单量减少时视为撤单
+   * @param {string} symbol - 币种符号
+   * @param {OrderBook} book - 本地盘口
+   * @param {Object} previous - 上次分析结果
+   * @param {Object} current - 本次分析结果
+   * @param {Object} settings - { depthPercent, multiple, minNotional }
+   */
+  _checkWalls(symbol, book, previous, current, settings) {
+    const key = wall => `${wall.side}_${wall.price}`;
+    const previousKeys = new Set(previous.walls.map(key));
+    const currentKeys = new Set(current.walls.map(key));
+
+    current.walls
+      .filter(wall => !previousKeys.has(key(wall)))
+      .forEach(wall => this._handleWallAlert(symbol, wall, 'added', current));
+
+    previous.walls
+      .filter(wall => !currentKeys.has(key(wall)))
+      // 价格已越过该档位说明挂单被成交，移出检查范围或被其他档位超过也不算撤单
+      .filter(wall => (wall.side === 'bid' ? current.bestBid > wall.price : current.bestAsk < wall.price))
+      .filter(wall => Math.abs(calculatePriceChangePercent(wall.price, current.mid)) <= settings.depthPercent)
+      .filter(wall => book.getSize(wall.side, wall.price) < wall.size)
+      .forEach(wall => this._handleWallAlert(symbol, wall, 'pulled', current));
+  }
+
+  /**
+   * 处理大单墙预警
+   * @param {string} symbol - 币种符号
+   * @param {Object} wall - { side, price, size, notional, multiple }
+   * @param {string} type - added | pulled
+   * @param {Object} current - 盘口分析结果
+   */
+  _handleWallAlert(symbol, wall, type, current) {
+    const distance = calculatePriceChangePercent(wall.price, current.mid);
+    const sideName = wall.side === 'bid' ? '买单' : '卖单';
+
+    const message = `🧱 大额${sideName}${type === 'added' ? '出现' : '撤单'}预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `挂单价格: ${formatQuotePrice(symbol, wall.price, 4)} (距中间价 ${distance >= 0 ? '+' : ''}${distance.toFixed(2)}%)\n` +
+                    `挂单量: ${formatSize(symbol, wall.size)} (${formatQuotePrice(symbol, wall.notional, 2)}，同侧平均的 ${wall.multiple.toFixed(1)} 倍)\n` +
+                    `中间价: ${formatQuotePrice(symbol, current.mid, 4)}\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    this.notificationService.sendAlert(message, `${symbol}_wall_${type}_${wall.side}_${wall.price}`, {
+      symbol,
+      severity: 'info'
+    });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 获取币种最近一次的盘口分析结果
+   * @param {string} symbol - 币种符号
+   * @returns {Object|null} { exchange, bestBid, bestAsk, mid, spreadBps, bidDepth, askDepth, walls, top, checkedAt }
+   */
+  getOrderBookData(symbol) {
+    const data = this.orderBookData.get(symbol);
+    return data ? { ...data, checkedAt: new Date(data.checkedAt) } : null;
+  }
+
   /**
    * 检查价格是否突破阈值
    * @param {string} symbol - 币种符号
@@ -39,7 +716,7 @@ class PriceMonitorService {
   _checkPriceThresholds(symbol, data, previousData) {
     const thresholds = this.priceThresholds[symbol];
     if (!thresholds) {
-      console.warn(`⚠️ 未找到 ${symbol} 的价格阈值配置`);
+      logger.warn(`⚠️ 未找到 ${symbol} 的价格阈值配置`);
       return;
     }
 
@@ -67,32 +744,123 @@ class PriceMonitorService {
     const { price } = data;
     
     // 更新阈值
-    this._updateThresholds(symbol, price);
+    this._updateThresholds(symbol, price, type);
     
     // 生成预警消息
     const message = this._generateAlertMessage(symbol, data, type, threshold);
     
     // 发送预警
     const alertKey = `${symbol}_${type}_price_exceeded`;
-    this.notificationService.sendWechatAlert(message, alertKey);
+    this.notificationService.sendAlert(message, alertKey, { symbol });
     
-    console.log(`🚨 ${message}`);
+    logger.info(`🚨 ${message}`);
   }
 
   /**
-   * 动态更新价格阈值
+   * 获取币种的阈值区间配置，按币种覆盖全局配置
+   * @param {string} symbol - 币种符号
+   * @returns {Object} { mode, anchor, volatility, atr, minWidth, maxWidth }
+   */
+  _getBandSettings(symbol) {
+    const { symbols, ...bands } = config.alerts.bands;
+    const override = symbols[symbol] || {};
+    return {
+      ...bands,
+      ...override,
+      volatility: { ...bands.volatility, ...override.volatility },
+      atr: { ...bands.atr, ...override.atr }
+    };
+  }
+
+  /**
+   * 计算阈值区间的单侧宽度
+   * fixed 模式使用 priceChangeThreshold；volatility / atr 模式按 K 线计算并限制在 minWidth-maxWidth 之间，
+   * K 线不足时以 priceChangeThreshold 代替
    * @param {string} symbol - 币种符号
    * @param {number} currentPrice - 当前价格
+   * @param {Object} settings - 阈值区间配置
+   * @returns {Object} { width, source }，source 为 fixed | volatility | atr | fallback
    */
-  _updateThresholds(symbol, currentPrice) {
+  _computeBandWidth(symbol, currentPrice, settings) {
     const changeThreshold = config.alerts.priceChangeThreshold;
-    
-    this.priceThresholds[symbol] = {
-      min: currentPrice * (1 - changeThreshold),
-      max: currentPrice * (1 + changeThreshold)
+    if (settings.mode === 'fixed') {
+      return { width: changeThreshold, source: 'fixed' };
+    }
+
+    const params = settings[settings.mode];
+    const candles = this.candles.getClosed(symbol, params.timeframe);
+    let width = null;
+    if (settings.mode === 'volatility') {
+      const volatility = indicators.realizedVolatility(candles.map(candle => candle.close), params.period);
+      width = volatility === null ? null : volatility * params.multiple;
+    } else {
+      const value = indicators.atr(candles, params.period);
+      width = value === null ? null : (value / currentPrice) * params.multiple;
+    }
+
+    const source = width ? settings.mode : 'fallback';
+    const clamped = Math.min(Math.max(width || changeThreshold, settings.minWidth), settings.maxWidth);
+    return { width: clamped, source };
+  }
+
+  /**
+   * 动态更新价格阈值
+   * anchor 为 breached 时只以当前价移动被突破的一侧，另一侧保持不变
+   * @param {string} symbol - 币种符号
+   * @param {number} currentPrice - 当前价格
+   * @param {string} breached - 被突破的一侧 ('max' | 'min')，未提供时两侧都重新计算
+   */
+  _updateThresholds(symbol, currentPrice, breached) {
+    const settings = this._getBandSettings(symbol);
+    const { width, source } = this._computeBandWidth(symbol, currentPrice, settings);
+    const previous = this.priceThresholds[symbol];
+
+    const thresholds = {
+      min: currentPrice * (1 - width),
+      max: currentPrice * (1 + width)
+    };
+    if (settings.anchor === 'breached' && previous && breached) {
+      if (breached === 'max') {
+        thresholds.min = previous.min;
+      } else {
+        thresholds.max = previous.max;
+      }
+    }
+
+    this.priceThresholds[symbol] = thresholds;
+    this.bandStates.set(symbol, {
+      mode: settings.mode,
+      anchor: settings.anchor,
+      width,
+      source,
+      breached: breached || null,
+      updatedAt: clock.date()
+    });
+
+    logger.info(`📊 ${symbol} 阈值已更新: 最小=${thresholds.min.toFixed(4)}, 最大=${thresholds.max.toFixed(4)} (${source} ±${(width * 100).toFixed(2)}%)`);
+    this.emit('thresholdsChanged', symbol, thresholds);
+  }
+
+  /**
+   * 获取币种的阈值区间策略
+   * @param {string} symbol - 币种符号
+   * @returns {Object} { mode, anchor, minWidth, maxWidth, params, width, source, last }
+   *   width / source 为按当前价格和 K 线计算的区间宽度，last 为最近一次重新计算的结果
+   */
+  getBandStrategy(symbol) {
+    const settings = this._getBandSettings(symbol);
+    const data = this.cryptoData.get(symbol);
+    const current = data ? this._computeBandWidth(symbol, data.price, settings) : { width: null, source: null };
+    return {
+      mode: settings.mode,
+      anchor: settings.anchor,
+      minWidth: settings.mode === 'fixed' ? null : settings.minWidth,
+      maxWidth: settings.mode === 'fixed' ? null : settings.maxWidth,
+      params: settings.mode === 'fixed' ? { priceChangeThreshold: config.alerts.priceChangeThreshold } : settings[settings.mode],
+      width: current.width,
+      source: current.source,
+      last: this.bandStates.get(symbol) || null
     };
-    
-    console.log(`📊 ${symbol} 阈值已更新: 最小=${this.priceThresholds[symbol].min.toFixed(4)}, 最大=${this.priceThresholds[symbol].max.toFixed(4)}`);
   }
 
   /**
@@ -111,12 +879,411 @@ class PriceMonitorService {
     const newThresholds = this.priceThresholds[symbol];
     
     return `${emoji} 价格预警！\n` +
-           `币种: ${symbol}\n` +
-           `当前价格: $${price.toFixed(4)}\n` +
-           `${direction}设定值: $${threshold.toFixed(4)}\n` +
+           `币种: ${describeSymbol(symbol)}\n` +
+           `当前价格: ${formatQuotePrice(symbol, price, 4)}\n` +
+           `${direction}设定值: ${formatQuotePrice(symbol, threshold, 4)}\n` +
+           `24h涨跌: ${priceChangePercent >= 0 ? '+' : ''}${priceChangePercent.toFixed(2)}%\n` +
+           `新阈值范围: ${formatQuotePrice(symbol, newThresholds.min, 4)} - ${formatQuotePrice(symbol, newThresholds.max, 4)}\n` +
+           `时间: ${clock.date().toLocaleString()}`;
+  }
+
+  /**
+   * 检查自定义预警规则
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 当前价格数据
+   * @param {Object} previousData - 之前的价格数据
+   */
+  _checkAlertRules(symbol, data, previousData) {
+    const triggered = this.ruleEngine.evaluate(symbol, data, previousData, this._getTickTime(data));
+
+    triggered.forEach(({ rule, detail }) => {
+      const message = this._generateRuleAlertMessage(symbol, data, rule, detail);
+
+      // 引擎已按规则自身的冷却时间控制触发，这里沿用相同的冷却时间防重复
+      this.notificationService.sendAlert(message, `rule_${rule.id}`, {
+        symbol,
+        severity: rule.severity,
+        cooldown: rule.cooldown,
+        channels: rule.channels
+      });
+
+      logger.info(`🚨 ${message}`);
+    });
+  }
+
+  /**
+   * 生成规则预警消息
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 价格数据
+   * @param {Object} rule - 触发的规则
+   * @param {string} detail - 触发详情
+   * @returns {string} 预警消息
+   */
+  _generateRuleAlertMessage(symbol, data, rule, detail) {
+    const { price, priceChangePercent } = data;
+
+    return `🔔 规则预警: ${rule.name}\n` +
+           `币种: ${describeSymbol(symbol)}\n` +
+           `当前价格: ${formatQuotePrice(symbol, price, 4)}\n` +
+           `触发条件: ${detail}\n` +
            `24h涨跌: ${priceChangePercent >= 0 ? '+' : ''}${priceChangePercent.toFixed(2)}%\n` +
-           `新阈值范围: $${newThresholds.min.toFixed(4)} - $${newThresholds.max.toFixed(4)}\n` +
-           `时间: ${new Date().toLocaleString()}`;
+           `时间: ${clock.date().toLocaleString()}`;
+  }
+
+  /**
+   * 检查价格目标，每个目标只触发一次
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 当前价格数据
+   */
+  _checkPriceTargets(symbol, data) {
+    const triggered = this.targetTracker.evaluate(symbol, data.price, this._getTickTime(data));
+
+    triggered.forEach((record) => {
+      const target = this.targetTracker.targets.get(record.id);
+      const trailing = record.type === 'trailing';
+      const extremeName = record.direction === 'below' ? '最高价' : '最低价';
+
+      const message = `${trailing ? '🛑 移动止损触发！' : '🎯 价格目标触发！'}\n` +
+                      `币种: ${describeSymbol(symbol)}\n` +
+                      `目标: ${record.label}\n` +
+                      `触发条件: ${this.targetTracker.describeCondition(target)}\n` +
+                      (trailing ? `${extremeName}: ${formatQuotePrice(symbol, record.extreme, 4)}\n` : '') +
+                      `${trailing ? '止损价' : '目标价'}: ${formatQuotePrice(symbol, record.targetPrice, 4)}\n` +
+                      `当前价格: ${formatQuotePrice(symbol, record.price, 4)}\n` +
+                      (record.note ? `备注: ${record.note}\n` : '') +
+                      `时间: ${clock.date().toLocaleString()}`;
+
+      // 目标只触发一次，重置后应能立即再次发送，不使用冷却
+      this.notificationService.sendAlert(message, `target_${record.id}`, {
+        symbol,
+        severity: record.severity,
+        cooldown: 0,
+        channels: record.channels
+      });
+
+      logger.info(`🚨 ${message}`);
+    });
+  }
+
+  /**
+   * 将价格写入历史缓冲区，按采样间隔抽样以控制内存
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 当前价格数据
+   */
+  _recordPriceHistory(symbol, data) {
+    let history = this.priceHistory.get(symbol);
+    if (!history) {
+      history = new RingBuffer(config.history.maxTicks);
+      this.priceHistory.set(symbol, history);
+    }
+
+    const timestamp = this._getTickTime(data);
+    const lastTick = history.last();
+
+    // 采样间隔内只保留最新一条
+    if (lastTick && timestamp - lastTick.timestamp < config.history.sampleInterval) {
+      lastTick.price = data.price;
+      return;
+    }
+
+    history.push({ timestamp, price: data.price });
+  }
+
+  /**
+   * 获取行情数据的时间戳
+   * @param {Object} data - 价格数据
+   * @returns {number} 毫秒时间戳
+   */
+  _getTickTime(data) {
+    const time = data.lastUpdate instanceof Date ? data.lastUpdate.getTime() : NaN;
+    return isNaN(time) ? clock.now() : time;
+  }
+
+  /**
+   * 检查时间窗口涨跌幅规则
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 当前价格数据
+   */
+  _checkVelocityRules(symbol, data) {
+    const rules = config.alerts.velocityRules.filter(rule => rule.symbol === symbol || rule.symbol === '*');
+    if (rules.length === 0) return;
+
+    const now = this._getTickTime(data);
+
+    rules.forEach((rule) => {
+      const move = this.getPriceMove(symbol, rule.window, now);
+      if (!move) return;
+
+      const direction = rule.direction || 'any';
+      let changePercent = null;
+
+      if (direction !== 'down' && move.riseFromLow >= rule.percent) {
+        changePercent = move.riseFromLow;
+      }
+      if (direction !== 'up' && -move.dropFromHigh >= rule.percent &&
+          (changePercent === null || -move.dropFromHigh > changePercent)) {
+        changePercent = move.dropFromHigh;
+      }
+      if (changePercent === null) return;
+
+      // 规则冷却期内不重复触发，默认等于时间窗口
+      const ruleKey = `${symbol}_velocity_${direction}_${rule.window}_${rule.percent}`;
+      const lastFired = this.velocityAlertTimes.get(ruleKey);
+      const cooldown = rule.cooldown || rule.window;
+      if (lastFired && now - lastFired < cooldown) return;
+
+      this.velocityAlertTimes.set(ruleKey, now);
+      this._handleVelocityAlert(symbol, data, rule, changePercent, move, ruleKey);
+    });
+  }
+
+  /**
+   * 处理时间窗口涨跌幅预警
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 价格数据
+   * @param {Object} rule - 触发的规则
+   * @param {number} changePercent - 窗口内的涨跌幅
+   * @param {Object} move - 窗口内的价格统计
+   * @param {string} alertKey - 预警键值
+   */
+  _handleVelocityAlert(symbol, data, rule, changePercent, move, alertKey) {
+    const emoji = changePercent >= 0 ? '🚀' : '💥';
+    const reference = changePercent >= 0 ? move.low : move.high;
+    const minutes = rule.window / 60000;
+
+    const message = `${emoji} 急速${changePercent >= 0 ? '拉升' : '下跌'}预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `当前价格: ${formatQuotePrice(symbol, data.price, 4)}\n` +
+                    `${minutes} 分钟内${changePercent >= 0 ? '最低' : '最高'}价: ${formatQuotePrice(symbol, reference, 4)}\n` +
+                    `窗口涨跌: ${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}% (阈值 ${rule.percent}%)\n` +
+                    `24h涨跌: ${data.priceChangePercent >= 0 ? '+' : ''}${data.priceChangePercent.toFixed(2)}%\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    this.notificationService.sendAlert(message, alertKey, { symbol, channels: rule.channels });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 将行情写入 K 线，有 K 线收盘时检查对应周期的指标规则
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 当前价格数据
+   */
+  _updateCandles(symbol, data) {
+    const volume = typeof data.volume === 'number' ? data.volume : null;
+    const closed = this.candles.update(symbol, data.price, volume, this._getTickTime(data));
+    if (closed.length === 0) return;
+
+    const rules = config.indicators.rules.filter(rule => rule.symbol === symbol || rule.symbol === '*');
+    closed.forEach(({ timeframe, candle }) => {
+      const timeframeRules = rules.filter(rule => rule.timeframe === timeframe);
+      if (timeframeRules.length === 0) return;
+
+      // 收盘 K 线之后可能补齐了无行情的周期，指标按收盘的这根 K 线计算
+      const series = this.candles.getClosed(symbol, timeframe);
+      const candles = series.slice(0, series.lastIndexOf(candle) + 1);
+
+      timeframeRules.forEach((rule) => {
+        const params = { ...indicators.INDICATOR_TYPES[rule.type].defaults, ...rule };
+        const signal = this._evaluateIndicator(params, candles);
+        if (signal) {
+          this._handleIndicatorAlert(symbol, data, params, candle, signal);
+        }
+      });
+    });
+  }
+
+  /**
+   * 在最新收盘的 K 线上计算指标规则，只在信号出现的那根 K 线触发
+   * @param {Object} rule - 合并默认参数后的规则
+   * @param {Object[]} candles - 已收盘的 K 线，按时间升序
+   * @returns {Object|null} { key, direction, text, values }
+   */
+  _evaluateIndicator(rule, candles) {
+    const closes = candles.map(candle => candle.close);
+    const previousCloses = closes.slice(0, -1);
+    const close = closes[closes.length - 1];
+    const allow = direction => rule.direction === undefined || rule.direction === 'any' || rule.direction === direction;
+    const fmt = value => value.toFixed(4);
+
+    switch (rule.type) {
+      case 'ma_cross': {
+        const average = rule.ma === 'sma' ? indicators.sma : indicators.ema;
+        const name = rule.ma.toUpperCase();
+        const fast = average(closes, rule.fast);
+        const slow = average(closes, rule.slow);
+        const prevFast = average(previousCloses, rule.fast);
+        const prevSlow = average(previousCloses, rule.slow);
+        if (fast === null || slow === null || prevFast === null || prevSlow === null) return null;
+
+        const values = `${name}${rule.fast} ${fmt(fast)} / ${name}${rule.slow} ${fmt(slow)}`;
+        if (prevFast <= prevSlow && fast > slow && allow('up')) {
+          return { key: 'golden', direction: 'up', text: `${name}${rule.fast} 上穿 ${name}${rule.slow}（金叉）`, values };
+        }
+        if (prevFast >= prevSlow && fast < slow && allow('down')) {
+          return { key: 'death', direction: 'down', text: `${name}${rule.fast} 下穿 ${name}${rule.slow}（死叉）`, values };
+        }
+        return null;
+      }
+
+      case 'rsi': {
+        const value = indicators.rsi(closes, rule.period);
+        const previous = indicators.rsi(previousCloses, rule.period);
+        if (value === null || previous === null) return null;
+
+        const values = `RSI${rule.period} ${value.toFixed(2)}`;
+        if (typeof rule.above === 'number' && value >= rule.above && previous < rule.above && allow('up')) {
+          return { key: 'overbought', direction: 'up', text: `RSI 升至 ${rule.above} 以上（超买）`, values };
+        }
+        if (typeof rule.below === 'number' && value <= rule.below && previous > rule.below && allow('down')) {
+          return { key: 'oversold', direction: 'down', text: `RSI 跌至 ${rule.below} 以下（超卖）`, values };
+        }
+        return null;
+      }
+
+      case 'bollinger': {
+        const band = indicators.bollinger(closes, rule.period, rule.stdDev);
+        const previousBand = indicators.bollinger(previousCloses, rule.period, rule.stdDev);
+        if (!band || !previousBand) return null;
+
+        const previousClose = previousCloses[previousCloses.length - 1];
+        const values = `上轨 ${fmt(band.upper)} / 中轨 ${fmt(band.middle)} / 下轨 ${fmt(band.lower)}`;
+        if (close > band.upper && previousClose <= previousBand.upper && allow('up')) {
+          return { key: 'upper', direction: 'up', text: `收盘价突破布林带上轨 (${rule.period}, ${rule.stdDev}σ)`, values };
+        }
+        if (close < band.lower && previousClose >= previousBand.lower && allow('down')) {
+          return { key: 'lower', direction: 'down', text: `收盘价跌破布林带下轨 (${rule.period}, ${rule.stdDev}σ)`, values };
+        }
+        return null;
+      }
+
+      case 'atr_move': {
+        // 与前一根 K 线为止的 ATR 比较，避免本根 K 线的波动拉高基准
+        const value = indicators.atr(candles.slice(0, -1), rule.period);
+        if (!value) return null;
+
+        const move = close - previousCloses[previousCloses.length - 1];
+        const multiple = Math.abs(move) / value;
+        if (multiple < rule.multiple || !allow(move >= 0 ? 'up' : 'down')) return null;
+
+        return {
+          key: move >= 0 ? 'up' : 'down',
+          direction: move >= 0 ? 'up' : 'down',
+          text: `单根 K 线${move >= 0 ? '上涨' : '下跌'} ${fmt(Math.abs(move))}，为 ATR 的 ${multiple.toFixed(1)} 倍（阈值 ${rule.multiple} 倍）`,
+          values: `ATR${rule.period} ${fmt(value)}`
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 处理技术指标预警
+   * @param {string} symbol - 币种符号
+   * @param {Object} data - 当前价格数据
+   * @param {Object} rule - 合并默认参数后的规则
+   * @param {Object} candle - 收盘的 K 线
+   * @param {Object} signal - 指标信号
+   */
+  _handleIndicatorAlert(symbol, data, rule, candle, signal) {
+    const emoji = signal.direction === 'up' ? '📶' : '📉';
+
+    const message = `${emoji} 技术指标预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `当前价格: ${formatQuotePrice(symbol, data.price, 4)}\n` +
+                    `${rule.timeframe} 收盘价: ${formatQuotePrice(symbol, candle.close, 4)}\n` +
+                    `信号: ${signal.text}\n` +
+                    `指标: ${signal.values}\n` +
+                    `24h涨跌: ${data.priceChangePercent >= 0 ? '+' : ''}${data.priceChangePercent.toFixed(2)}%\n` +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    const alertKey = `${symbol}_indicator_${rule.type}_${rule.timeframe}_${signal.key}`;
+    this.notificationService.sendAlert(message, alertKey, { symbol, severity: 'info', channels: rule.channels });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 获取币种的 K 线
+   * @param {string} symbol - 币种符号
+   * @param {string} timeframe - 周期
+   * @param {number} limit - 最多返回的数量
+   * @returns {Object[]} 按时间升序排列，最后一根可能未收盘
+   */
+  getCandles(symbol, timeframe, limit) {
+    return this.candles.getCandles(symbol, timeframe, limit);
+  }
+
+  /**
+   * 计算指定时间窗口内的价格变动
+   * @param {string} symbol - 币种符号
+   * @param {number} windowMs - 时间窗口（毫秒）
+   * @param {number} now - 窗口结束时间戳，默认为当前时间
+   * @returns {Object|null} { open, high, low, last, changePercent, riseFromLow, dropFromHigh }
+   */
+  getPriceMove(symbol, windowMs, now = clock.now()) {
+    const history = this.priceHistory.get(symbol);
+    if (!history) {
+      return null;
+    }
+
+    // 直接在缓冲区中遍历窗口内的采样，每条规则每次行情都会调用，避免复制整个历史
+    const first = this._findHistoryStart(history, now - windowMs);
+    if (history.length - first < 2) {
+      return null;
+    }
+
+    let high = -Infinity;
+    let low = Infinity;
+    for (let i = first; i < history.length; i++) {
+      const { price } = history.get(i);
+      high = Math.max(high, price);
+      low = Math.min(low, price);
+    }
+
+    const open = history.get(first).price;
+    const last = history.last().price;
+
+    return {
+      open,
+      high,
+      low,
+      last,
+      changePercent: calculatePriceChangePercent(last, open),
+      riseFromLow: calculatePriceChangePercent(last, low),
+      dropFromHigh: calculatePriceChangePercent(last, high)
+    };
+  }
+
+  /**
+   * 获取价格历史
+   * @param {string} symbol - 币种符号
+   * @param {number} since - 起始时间戳，默认返回全部
+   * @returns {Array} 价格记录 [{ timestamp, price }]（旧 -> 新）
+   */
+  getPriceHistory(symbol, since = 0) {
+    const history = this.priceHistory.get(symbol);
+    if (!history) {
+      return [];
+    }
+
+    const ticks = [];
+    for (let i = this._findHistoryStart(history, since); i < history.length; i++) {
+      ticks.push({ ...history.get(i) });
+    }
+    return ticks;
+  }
+
+  /**
+   * 查找价格历史中第一条不早于指定时间的采样，采样按时间戳递增写入
+   * @param {RingBuffer} history - 价格历史
+   * @param {number} since - 起始时间戳
+   * @returns {number} 采样索引，没有时返回 history.length
+   */
+  _findHistoryStart(history, since) {
+    return history.findFirst(tick => tick.timestamp >= since);
   }
 
   /**
@@ -133,7 +1300,7 @@ class PriceMonitorService {
     
     if (Math.abs(changePercent) >= 0.5) { // 变化超过0.5%时记录
       const direction = priceChange > 0 ? '📈' : '📉';
-      console.log(`${direction} ${symbol}: $${data.price.toFixed(4)} (${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}%)`);
+      logger.debug(`${direction} ${symbol}: ${formatQuotePrice(symbol, data.price, 4)} (${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}%)`);
     }
   }
 
@@ -171,7 +1338,35 @@ class PriceMonitorService {
    */
   setThresholds(symbol, min, max) {
     this.priceThresholds[symbol] = { min, max };
-    console.log(`⚙️ 手动设置 ${symbol} 阈值: 最小=${min}, 最大=${max}`);
+    logger.info(`⚙️ 手动设置 ${symbol} 阈值: 最小=${min}, 最大=${max}`);
+    this.emit('thresholdsChanged', symbol, this.priceThresholds[symbol]);
+  }
+
+  /**
+   * 获取所有币种的当前阈值
+   * @returns {Object} 币种到阈值的映射
+   */
+  getAllThresholds() {
+    return { ...this.priceThresholds };
+  }
+
+  /**
+   * 恢复已保存的阈值，覆盖配置文件中的初始值
+   * @param {Object} thresholds - 币种到阈值的映射
+   * @returns {number} 恢复的币种数量
+   */
+  restoreThresholds(thresholds = {}) {
+    let restored = 0;
+
+    Object.entries(thresholds).forEach(([symbol, value]) => {
+      if (value && typeof value.min === 'number' && typeof value.max === 'number') {
+        // 旧版本保存的状态使用 BTCUSDT 写法
+        this.priceThresholds[normalizeSymbol(symbol)] = { min: value.min, max: value.max };
+        restored++;
+      }
+    });
+
+    return restored;
   }
 
   /**
@@ -182,7 +1377,7 @@ class PriceMonitorService {
     return {
       monitoredSymbols: this.cryptoData.size,
       activeAlerts: this.notificationService.getActiveAlertsCount(),
-      lastUpdate: new Date().toLocaleString()
+      lastUpdate: clock.date().toLocaleString()
     };
   }
 }
@@ -0,0 +1,384 @@
+/**
+ * 价格目标跟踪器
+ * 管理止盈、止损等静态价格目标和移动止损，每个目标只触发一次，触发后标记为已触发并写入触发历史
+ * 目标不随动态阈值移动，与阈值预警和自定义规则互相独立
+ */
+
+const EventEmitter = require('events');
+const RingBuffer = require('../utils/RingBuffer');
+const NotificationService = require('./NotificationService');
+const { generateId, isValidSymbol } = require('../utils/helpers');
+const clock = require('../utils/clock');
+const { normalizeSymbol, formatQuotePrice } = require('../utils/instrument');
+const logger = require('../utils/logger').child('monitor');
+
+// 支持的目标类型
+// price: 价格到达 price 时触发；trailing: 移动止损，跟随最高价（或最低价）回撤 percent% 时触发
+const TARGET_TYPES = {
+  price: '价格目标',
+  trailing: '移动止损'
+};
+
+// above: 价格高于或等于目标时触发（trailing 时跟随最低价，反弹触发）
+// below: 价格低于或等于目标时触发（trailing 时跟随最高价，回落触发）
+const TARGET_DIRECTIONS = ['above', 'below'];
+
+class PriceTargetTracker extends EventEmitter {
+  /**
+   * @param {Array} targets - 配置中的目标列表
+   * @param {Object} options - { historySize: 保留的触发记录数 }
+   */
+  constructor(targets = [], { historySize = 100 } = {}) {
+    super();
+    this.targets = new Map();
+    this.states = new Map();
+    this.configTargetIds = new Set();
+    this.history = new RingBuffer(historySize);
+
+    targets.forEach((target) => {
+      const normalized = this._normalizeTarget({ ...target, source: 'config' });
+      this.targets.set(normalized.id, normalized);
+      this.configTargetIds.add(normalized.id);
+    });
+  }
+
+  /**
+   * 检查指定币种的目标
+   * @param {string} symbol - 币种符号
+   * @param {number} price - 当前价格
+   * @param {number} now - 当前时间戳
+   * @returns {Array} 本次触发的记录 [{ id, symbol, label, type, direction, note, price, targetPrice, extreme, severity, channels, triggeredAt }]
+   */
+  evaluate(symbol, price, now = clock.now()) {
+    const triggered = [];
+
+    this.targets.forEach((target) => {
+      if (!target.enabled || target.symbol !== symbol) {
+        return;
+      }
+
+      const state = this._getState(target.id);
+      if (state.triggered) {
+        return;
+      }
+
+      if (target.type === 'trailing') {
+        // 移动止损跟随有利方向的极值，只前进不后退
+        const better = target.direction === 'below' ? price > state.extreme : price < state.extreme;
+        if (state.extreme === null || better) {
+          state.extreme = price;
+          this.emit('stateChanged', target.id);
+        }
+      }
+
+      const targetPrice = this._getTargetPrice(target, state);
+      const reached = target.direction === 'above' ? price >= targetPrice : price <= targetPrice;
+      if (!reached) {
+        return;
+      }
+
+      state.triggered = true;
+      state.triggeredAt = now;
+      state.triggerPrice = price;
+
+      const record = {
+        id: target.id,
+        symbol,
+        label: target.label,
+        type: target.type,
+        direction: target.direction,
+        note: target.note,
+        price,
+        targetPrice,
+        extreme: target.type === 'trailing' ? state.extreme : null,
+        severity: target.severity,
+        channels: target.channels,
+        triggeredAt: new Date(now)
+      };
+      this.history.push(record);
+      this.emit('stateChanged', target.id);
+      triggered.push(record);
+    });
+
+    return triggered;
+  }
+
+  /**
+   * 目标的触发价格，移动止损尚未收到行情时为 null
+   * @param {Object} target - 目标
+   * @param {Object} state - 目标状态
+   * @returns {number|null}
+   */
+  _getTargetPrice(target, state) {
+    if (target.type === 'price') {
+      return target.price;
+    }
+    if (state.extreme === null) {
+      return null;
+    }
+    const ratio = target.percent / 100;
+    return target.direction === 'below' ? state.extreme * (1 - ratio) : state.extreme * (1 + ratio);
+  }
+
+  /**
+   * 目标条件的说明，如 "价格高于 $180" 或 "从最高价回落 5%"
+   * @param {Object} target - 目标
+   * @returns {string}
+   */
+  describeCondition(target) {
+    if (target.type === 'price') {
+      return `价格${target.direction === 'above' ? '高于' : '低于'} ${formatQuotePrice(target.symbol, target.price)}`;
+    }
+    return target.direction === 'below' ? `从最高价回落 ${target.percent}%` : `从最低价反弹 ${target.percent}%`;
+  }
+
+  /**
+   * 校验并补全目标默认值
+   * @param {Object} target - 原始目标
+   * @returns {Object} 规范化后的目标
+   */
+  _normalizeTarget(target) {
+    if (!target || typeof target !== 'object') {
+      throw new Error('目标必须为对象');
+    }
+
+    const symbol = normalizeSymbol(target.symbol);
+    if (!isValidSymbol(symbol)) {
+      throw new Error(`无效的币种符号: ${target.symbol}`);
+    }
+
+    const type = target.type || 'price';
+    if (!TARGET_TYPES[type]) {
+      throw new Error(`不支持的目标类型: ${type}，可选: ${Object.keys(TARGET_TYPES).join(', ')}`);
+    }
+
+    if (!TARGET_DIRECTIONS.includes(target.direction)) {
+      throw new Error(`direction 应为 ${TARGET_DIRECTIONS.join(' / ')} 之一`);
+    }
+
+    if (type === 'price' && (typeof target.price !== 'number' || !(target.price > 0))) {
+      throw new Error('价格目标需要大于 0 的 price');
+    }
+    if (type === 'trailing' && (typeof target.percent !== 'number' || !(target.percent > 0 && target.percent < 100))) {
+      throw new Error('移动止损需要 0-100 之间的 percent');
+    }
+
+    if (target.channels !== undefined && target.channels !== null &&
+        (!Array.isArray(target.channels) || target.channels.some(name => typeof name !== 'string'))) {
+      throw new Error('channels 必须为渠道名称数组');
+    }
+
+    const severity = target.severity || 'critical';
+    if (!NotificationService.SEVERITIES.includes(severity)) {
+      throw new Error(`不支持的预警级别: ${severity}，可选: ${NotificationService.SEVERITIES.join(', ')}`);
+    }
+
+    const normalized = {
+      id: target.id ? String(target.id) : generateId(),
+      symbol,
+      label: '',
+      type,
+      direction: target.direction,
+      price: type === 'price' ? target.price : null,
+      percent: type === 'trailing' ? target.percent : null,
+      note: target.note ? String(target.note) : null,
+      severity, // 止盈止损默认为 critical，免打扰时段也会发送
+      channels: target.channels || null, // 为空时按币种或默认渠道发送
+      enabled: target.enabled !== false,
+      source: target.source === 'config' ? 'config' : 'api'
+    };
+    normalized.label = target.label ? String(target.label) : `${symbol} ${this.describeCondition(normalized)}`;
+    return normalized;
+  }
+
+  /**
+   * 获取目标状态，不存在时初始化
+   * @param {string} id - 目标ID
+   * @returns {Object} { triggered, triggeredAt, triggerPrice, extreme }
+   */
+  _getState(id) {
+    if (!this.states.has(id)) {
+      this.states.set(id, { triggered: false, triggeredAt: null, triggerPrice: null, extreme: null });
+    }
+    return this.states.get(id);
+  }
+
+  /**
+   * 添加目标
+   * @param {Object} target - 目标定义
+   * @returns {Object} 添加后的目标
+   */
+  addTarget(target) {
+    const normalized = this._normalizeTarget({ ...target, source: 'api' });
+    if (this.targets.has(normalized.id)) {
+      throw new Error(`目标已存在: ${normalized.id}`);
+    }
+
+    this.targets.set(normalized.id, normalized);
+    this.emit('targetsChanged');
+
+    logger.info(`🎯 添加价格目标: ${normalized.label} [${normalized.id}]`);
+    return this.getTarget(normalized.id);
+  }
+
+  /**
+   * 删除通过接口添加的目标，配置文件中的目标需在配置中删除
+   * @param {string} id - 目标ID
+   * @returns {boolean} 是否删除成功，目标不存在时返回 false
+   */
+  removeTarget(id) {
+    const target = this.targets.get(id);
+    if (!target) {
+      return false;
+    }
+    if (target.source === 'config') {
+      throw new Error(`目标 ${id} 来自配置文件，请在配置中删除`);
+    }
+
+    this.targets.delete(id);
+    this.states.delete(id);
+    this.emit('targetsChanged');
+
+    logger.info(`➖ 删除价格目标: ${id}`);
+    return true;
+  }
+
+  /**
+   * 重置目标触发状态，移动止损重新从当前价格开始跟随
+   * @param {string} id - 目标ID
+   * @returns {boolean} 是否重置成功
+   */
+  resetTarget(id) {
+    if (!this.targets.has(id)) {
+      return false;
+    }
+
+    this.states.delete(id);
+    this.emit('stateChanged', id);
+    return true;
+  }
+
+  /**
+   * 按新的配置替换配置中的目标，用于配置热加载，定义未变的目标保留触发状态
+   * @param {Array} targets - 新的配置目标列表
+   * @returns {Object} { added, updated, removed } 目标ID列表
+   */
+  reloadConfigTargets(targets = []) {
+    const normalized = targets.map(target => this._normalizeTarget({ ...target, source: 'config' }));
+    const nextIds = new Set(normalized.map(target => target.id));
+    const result = { added: [], updated: [], removed: [] };
+
+    this.configTargetIds.forEach((id) => {
+      if (!nextIds.has(id) && this.targets.delete(id)) {
+        this.states.delete(id);
+        result.removed.push(id);
+      }
+    });
+
+    normalized.forEach((target) => {
+      const existing = this.targets.get(target.id);
+      if (!existing) {
+        result.added.push(target.id);
+      } else if (JSON.stringify(existing) !== JSON.stringify(target)) {
+        this.states.delete(target.id);
+        result.updated.push(target.id);
+      } else {
+        return;
+      }
+      this.targets.set(target.id, target);
+    });
+
+    this.configTargetIds = nextIds;
+    if (result.added.length + result.updated.length + result.removed.length > 0) {
+      this.emit('targetsChanged');
+    }
+    return result;
+  }
+
+  /**
+   * 获取单个目标及其状态
+   * @param {string} id - 目标ID
+   * @returns {Object|null} 目标定义加 state: { triggered, triggeredAt, triggerPrice, extreme, targetPrice }
+   */
+  getTarget(id) {
+    const target = this.targets.get(id);
+    if (!target) {
+      return null;
+    }
+    const state = this._getState(id);
+    return {
+      ...target,
+      state: {
+        ...state,
+        triggeredAt: state.triggeredAt ? new Date(state.triggeredAt) : null,
+        targetPrice: this._getTargetPrice(target, state)
+      }
+    };
+  }
+
+  /**
+   * 获取目标列表
+   * @param {string} symbol - 可选，按币种过滤
+   * @returns {Array} 目标列表
+   */
+  getTargets(symbol = null) {
+    return Array.from(this.targets.keys())
+      .map(id => this.getTarget(id))
+      .filter(target => !symbol || target.symbol === symbol);
+  }
+
+  /**
+   * 获取触发历史
+   * @param {number} limit - 最多返回条数
+   * @returns {Array} 触发记录（新 -> 旧）
+   */
+  getHistory(limit = this.history.capacity) {
+    return this.history.toArray().reverse().slice(0, limit);
+  }
+
+  /**
+   * 导出通过接口添加的目标、所有目标状态和触发历史，用于持久化
+   * @returns {Object} { items, states, history }
+   */
+  exportTargets() {
+    return {
+      items: Array.from(this.targets.values()).filter(target => target.source === 'api'),
+      states: Object.fromEntries(this.states),
+      history: this.history.toArray()
+    };
+  }
+
+  /**
+   * 恢复已保存的目标、状态和触发历史
+   * @param {Object} saved - exportTargets 导出的数据
+   * @returns {number} 恢复的目标数量
+   */
+  restoreTargets(saved = {}) {
+    let restored = 0;
+
+    (saved.items || []).forEach((target) => {
+      try {
+        const normalized = this._normalizeTarget({ ...target, source: 'api' });
+        if (this.configTargetIds.has(normalized.id)) return;
+        this.targets.set(normalized.id, normalized);
+        restored++;
+      } catch (error) {
+        logger.warn(`⚠️ 忽略无效的已保存目标 ${target && target.id}: ${error.message}`);
+      }
+    });
+
+    Object.entries(saved.states || {}).forEach(([id, state]) => {
+      if (this.targets.has(id)) {
+        this.states.set(id, { ...this._getState(id), ...state });
+      }
+    });
+
+    (saved.history || []).forEach(record => this.history.push({ ...record, triggeredAt: new Date(record.triggeredAt) }));
+    return restored;
+  }
+}
+
+PriceTargetTracker.TARGET_TYPES = TARGET_TYPES;
+PriceTargetTracker.TARGET_DIRECTIONS = TARGET_DIRECTIONS;
+
+module.exports = PriceTargetTracker;
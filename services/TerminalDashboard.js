@@ -0,0 +1,584 @@
+/**
+ * 终端仪表盘
+ * 在终端中实时显示各币种行情、阈值距离以及最近的预警和连接事件，
+ * 并支持通过快捷键增删币种、修改阈值
+ *
+ * 快捷键:
+ *   ↑/↓ 或 k/j  选择币种
+ *   a           添加币种
+ *   d           移除选中的币种
+ *   t           修改选中币种的阈值
+ *   c           清空事件列表
+ *   q / Ctrl+C  退出服务
+ */
+
+const readline = require('readline');
+const config = require('../config');
+const RingBuffer = require('../utils/RingBuffer');
+const { formatPrice, formatPercent, isValidSymbol } = require('../utils/helpers');
+const { normalizeSymbol } = require('../utils/instrument');
+const { getSymbolExchanges } = require('./exchanges');
+const logger = require('../utils/logger').child('tui');
+
+const ANSI = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  inverse: '\x1b[7m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  altScreenOn: '\x1b[?1049h',
+  altScreenOff: '\x1b[?1049l',
+  cursorHide: '\x1b[?25l',
+  cursorShow: '\x1b[?25h',
+  home: '\x1b[H',
+  clearLine: '\x1b[K',
+  clearBelow: '\x1b[J'
+};
+
+// 距离阈值小于该百分比时高亮
+const NEAR_THRESHOLD_PERCENT = 0.3;
+
+// 事件类型的显示颜色
+const EVENT_COLORS = {
+  alert: ANSI.yellow,
+  connected: ANSI.green,
+  recovered: ANSI.green,
+  feedRecovered: ANSI.green,
+  disconnected: ANSI.red,
+  feedDown: ANSI.red,
+  error: ANSI.red,
+  stale: ANSI.red,
+  warn: ANSI.yellow
+};
+
+/**
+ * 计算字符串在终端中的显示宽度（中文和 emoji 占两列，ANSI 控制符不占列）
+ * @param {string} text - 文本
+ * @returns {number} 显示宽度
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text.replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '')) {
+    width += charWidth(char.codePointAt(0));
+  }
+  return width;
+}
+
+/**
+ * 单个字符的显示宽度
+ * @param {number} code - Unicode 码点
+ * @returns {number} 0、1 或 2
+ */
+function charWidth(code) {
+  if (code === 0xfe0f || code === 0x200d || (code >= 0x300 && code <= 0x36f)) {
+    return 0;
+  }
+  if ((code >= 0x1100 && code <= 0x115f) ||
+      (code >= 0x2e80 && code <= 0xa4cf) ||
+      (code >= 0xac00 && code <= 0xd7a3) ||
+      (code >= 0xf900 && code <= 0xfaff) ||
+      (code >= 0xfe30 && code <= 0xfe4f) ||
+      (code >= 0xff00 && code <= 0xff60) ||
+      (code >= 0xffe0 && code <= 0xffe6) ||
+      (code >= 0x1f300 && code <= 0x1faff) ||
+      (code >= 0x20000 && code <= 0x3fffd)) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * 按显示宽度截断或补齐文本
+ * @param {string} text - 文本（不含 ANSI 控制符）
+ * @param {number} width - 目标宽度
+ * @param {string} align - 对齐方式 'left' | 'right'
+ * @returns {string} 处理后的文本
+ */
+function fit(text, width, align = 'left') {
+  let result = '';
+  let used = 0;
+  for (const char of text) {
+    const w = charWidth(char.codePointAt(0));
+    if (used + w > width) break;
+    result += char;
+    used += w;
+  }
+
+  const padding = ' '.repeat(width - used);
+  return align === 'right' ? padding + result : result + padding;
+}
+
+class TerminalDashboard {
+  /**
+   * @param {Object} monitor - CryptoMonitorService 实例
+   */
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.events = new RingBuffer(config.tui.maxEvents);
+    this.selected = 0;
+    this.prompt = null;
+    this.renderTimer = null;
+    this.renderPending = false;
+    this.isRunning = false;
+    this.originalConsole = null;
+
+    this._onKeypress = this._onKeypress.bind(this);
+    this._onResize = () => this._scheduleRender();
+    this._onAlert = alert => this._addEvent('alert', alert.time, alert.content.split('\n')[0], alert.symbol);
+    this._onConnection = event => this._addEvent(event.status, event.time, event.message, event.exchange);
+    this._onLog = (entry) => {
+      if (entry.level === 'warn' || entry.level === 'error') {
+        this._addEvent(entry.level, entry.time, entry.msg, entry.module);
+      }
+    };
+    this._restoreTerminal = this._restoreTerminal.bind(this);
+  }
+
+  /**
+   * 启动仪表盘，接管终端输出和键盘输入
+   * @returns {boolean} 是否启动成功，非交互终端下不启动
+   */
+  start() {
+    if (!process.stdout.isTTY || !process.stdin.isTTY) {
+      logger.warn('⚠️ 当前不是交互式终端，终端仪表盘未启动');
+      return false;
+    }
+
+    this.isRunning = true;
+    this._captureConsole();
+
+    this.monitor.on('alert', this._onAlert);
+    this.monitor.on('connection', this._onConnection);
+
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.on('keypress', this._onKeypress);
+    process.stdout.on('resize', this._onResize);
+    process.on('exit', this._restoreTerminal);
+
+    process.stdout.write(ANSI.altScreenOn + ANSI.cursorHide);
+    this.renderTimer = setInterval(() => this.render(), config.tui.refreshInterval);
+    this.render();
+    return true;
+  }
+
+  /**
+   * 停止仪表盘并恢复终端
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    clearInterval(this.renderTimer);
+    this.renderTimer = null;
+
+    this.monitor.off('alert', this._onAlert);
+    this.monitor.off('connection', this._onConnection);
+    process.stdin.off('keypress', this._onKeypress);
+    process.stdout.off('resize', this._onResize);
+    process.off('exit', this._restoreTerminal);
+
+    this._restoreTerminal();
+  }
+
+  /**
+   * 恢复终端状态和控制台输出
+   */
+  _restoreTerminal() {
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+    }
+    process.stdout.write(ANSI.cursorShow + ANSI.altScreenOff);
+
+    if (this.originalConsole) {
+      Object.assign(console, this.originalConsole);
+      this.originalConsole = null;
+      logger.removeTransport(this._onLog);
+      logger.suspendConsole(false);
+    }
+  }
+
+  /**
+   * 接管日志和控制台输出，避免破坏界面
+   * 普通日志不再显示，警告和错误作为事件显示在事件列表中，日志文件照常写入
+   */
+  _captureConsole() {
+    logger.suspendConsole(true);
+    logger.addTransport(this._onLog);
+
+    this.originalConsole = {
+      log: console.log,
+      info: console.info,
+      warn: console.warn,
+      error: console.error
+    };
+
+    const toText = args => args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' ');
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = (...args) => this._addEvent('warn', new Date(), toText(args));
+    console.error = (...args) => this._addEvent('error', new Date(), toText(args));
+  }
+
+  /**
+   * 添加一条事件
+   * @param {string} type - 事件类型
+   * @param {Date} time - 事件时间
+   * @param {string} message - 事件内容
+   * @param {string} source - 相关币种或交易所
+   */
+  _addEvent(type, time, message, source = null) {
+    this.events.push({ type, time: time || new Date(), message, source });
+    this._scheduleRender();
+  }
+
+  /**
+   * 合并短时间内的多次重绘
+   */
+  _scheduleRender() {
+    if (this.renderPending || !this.isRunning) return;
+    this.renderPending = true;
+    setImmediate(() => {
+      this.renderPending = false;
+      this.render();
+    });
+  }
+
+  /**
+   * 绘制整个界面
+   */
+  render() {
+    if (!this.isRunning) return;
+
+    const columns = process.stdout.columns || 100;
+    const rows = process.stdout.rows || 30;
+    const symbols = this.monitor.getSymbols();
+    this.selected = Math.min(this.selected, Math.max(symbols.length - 1, 0));
+
+    const lines = [
+      ...this._renderHeader(),
+      '',
+      ...this._renderTable(symbols, columns)
+    ];
+
+    const footer = this._renderFooter();
+    const eventRows = rows - lines.length - footer.length - 2;
+    if (eventRows > 0) {
+      lines.push('', ...this._renderEvents(eventRows, columns));
+    }
+    lines.push(...footer);
+
+    const output = lines
+      .slice(0, rows)
+      .map(line => this._truncate(line, columns) + ANSI.clearLine)
+      .join('\n');
+
+    process.stdout.write(ANSI.home + output + ANSI.clearBelow);
+  }
+
+  /**
+   * 标题栏：运行时长和各交易所连接状态
+   * @returns {string[]} 行列表
+   */
+  _renderHeader() {
+    const status = this.monitor.getStatus();
+    const uptime = Math.floor(status.uptime / 1000);
+    const exchanges = Object.entries(status.websocket.exchanges).map(([name, info]) => {
+      const color = info.isConnected ? ANSI.green : ANSI.red;
+      const mark = info.isConnected ? '●' : '○';
+      return `${color}${mark} ${name}${ANSI.reset}`;
+    });
+
+    return [
+      `${ANSI.bold}加密货币价格监控${ANSI.reset}  ` +
+      `运行 ${Math.floor(uptime / 3600)}h${Math.floor((uptime % 3600) / 60)}m${uptime % 60}s  ` +
+      `${exchanges.join('  ') || `${ANSI.dim}未连接${ANSI.reset}`}  ` +
+      `冷却中预警 ${status.monitor.activeAlerts}`
+    ];
+  }
+
+  /**
+   * 行情表格
+   * @param {string[]} symbols - 币种列表
+   * @param {number} columns - 终端宽度
+   * @returns {string[]} 行列表
+   */
+  _renderTable(symbols, columns) {
+    const widths = [12, 14, 10, 14, 14, 10, 10, 8];
+    const header = ['币种', '价格', '24h涨跌', '24h最高', '24h最低', '距下限', '距上限', '更新']
+      .map((title, index) => fit(title, widths[index], index === 0 ? 'left' : 'right'))
+      .join(' ');
+
+    const lines = [`${ANSI.dim}${header}${ANSI.reset}`];
+    if (symbols.length === 0) {
+      lines.push(`${ANSI.dim}暂无监控币种，按 a 添加${ANSI.reset}`);
+    }
+
+    const now = Date.now();
+    symbols.forEach((symbol, index) => {
+      const data = this.monitor.priceMonitorService.getCryptoData(symbol);
+      const thresholds = this.monitor.priceMonitorService.getThresholds(symbol);
+      const cells = [{ text: symbol }];
+
+      if (data) {
+        const toMin = thresholds ? ((data.price - thresholds.min) / data.price) * 100 : null;
+        const toMax = thresholds ? ((thresholds.max - data.price) / data.price) * 100 : null;
+        const age = data.lastUpdate instanceof Date ? Math.max(0, Math.round((now - data.lastUpdate.getTime()) / 1000)) : null;
+
+        cells.push(
+          { text: formatPrice(data.price) },
+          { text: formatPercent(data.priceChangePercent), color: data.priceChangePercent >= 0 ? ANSI.green : ANSI.red },
+          { text: formatPrice(data.high24h) },
+          { text: formatPrice(data.low24h) },
+          this._distanceCell(toMin),
+          this._distanceCell(toMax),
+          { text: age === null ? '-' : `${age}s`, color: age !== null && age > 60 ? ANSI.red : null }
+        );
+      } else {
+        cells.push({ text: '等待行情', color: ANSI.dim });
+      }
+
+      const row = cells
+        .map((cell, i) => {
+          const text = fit(cell.text, widths[i], i === 0 ? 'left' : 'right');
+          return cell.color ? `${cell.color}${text}${ANSI.reset}` : text;
+        })
+        .join(' ');
+
+      lines.push(index === this.selected ? `${ANSI.inverse}${row}${ANSI.reset}` : row);
+    });
+
+    return lines;
+  }
+
+  /**
+   * 阈值距离单元格
+   * @param {number|null} percent - 距离百分比，负数表示已突破
+   * @returns {Object} { text, color }
+   */
+  _distanceCell(percent) {
+    if (percent === null) {
+      return { text: '-' };
+    }
+    const color = percent < 0 ? ANSI.red : percent < NEAR_THRESHOLD_PERCENT ? ANSI.yellow : null;
+    return { text: `${percent.toFixed(2)}%`, color };
+  }
+
+  /**
+   * 事件列表，最新的在最上方
+   * @param {number} count - 可用行数
+   * @param {number} columns - 终端宽度
+   * @returns {string[]} 行列表
+   */
+  _renderEvents(count, columns) {
+    const lines = [`${ANSI.dim}最近事件${ANSI.reset}`];
+    const events = this.events.toArray().reverse().slice(0, count - 1);
+
+    events.forEach((event) => {
+      const time = event.time.toLocaleTimeString('zh-CN', { hour12: false });
+      const color = EVENT_COLORS[event.type] || '';
+      const source = event.source ? `${event.source} ` : '';
+      const message = event.message.replace(/\s*\n\s*/g, ' ');
+      lines.push(`${ANSI.dim}${time}${ANSI.reset} ${color}[${event.type}]${ANSI.reset} ${source}${message}`);
+    });
+
+    return lines;
+  }
+
+  /**
+   * 底部栏：快捷键说明或输入提示
+   * @returns {string[]} 行列表
+   */
+  _renderFooter() {
+    if (this.prompt) {
+      return [`${ANSI.cyan}${this.prompt.label}${ANSI.reset}${this.prompt.buffer}█  ${ANSI.dim}(Enter 确认, Esc 取消)${ANSI.reset}`];
+    }
+    return [`${ANSI.dim}↑↓ 选择  a 添加币种  d 移除币种  t 修改阈值  c 清空事件  q 退出${ANSI.reset}`];
+  }
+
+  /**
+   * 按显示宽度截断一行（保留 ANSI 控制符）
+   * @param {string} line - 文本行
+   * @param {number} width - 终端宽度
+   * @returns {string} 截断后的文本
+   */
+  _truncate(line, width) {
+    if (displayWidth(line) <= width) {
+      return line;
+    }
+
+    let result = '';
+    let used = 0;
+    const parts = line.split(/(\x1b\[[0-9;?]*[a-zA-Z])/);
+    for (const part of parts) {
+      if (part.startsWith('\x1b[')) {
+        result += part;
+        continue;
+      }
+      for (const char of part) {
+        const w = charWidth(char.codePointAt(0));
+        if (used + w > width) {
+          return result + ANSI.reset;
+        }
+        result += char;
+        used += w;
+      }
+    }
+    return result + ANSI.reset;
+  }
+
+  /**
+   * 处理键盘输入
+   * @param {string} str - 输入字符
+   * @param {Object} key - 按键信息
+   */
+  _onKeypress(str, key = {}) {
+    if (key.ctrl && key.name === 'c') {
+      this._quit();
+      return;
+    }
+
+    if (this.prompt) {
+      this._handlePromptKey(str, key);
+      this._scheduleRender();
+      return;
+    }
+
+    const symbols = this.monitor.getSymbols();
+    const current = symbols[this.selected];
+
+    switch (key.name) {
+      case 'up':
+      case 'k':
+        this.selected = Math.max(0, this.selected - 1);
+        break;
+      case 'down':
+      case 'j':
+        this.selected = Math.min(Math.max(symbols.length - 1, 0), this.selected + 1);
+        break;
+      case 'a':
+        this._openPrompt('添加币种: ', '', value => this._addSymbol(value));
+        break;
+      case 'd':
+        if (current) {
+          this._openPrompt('移除币种: ', current, value => this._removeSymbol(value));
+        }
+        break;
+      case 't':
+        if (current) {
+          const thresholds = this.monitor.priceMonitorService.getThresholds(current);
+          const initial = thresholds ? `${thresholds.min} ${thresholds.max}` : '';
+          this._openPrompt(`${current} 阈值 (最小 最大): `, initial, value => this._setThresholds(current, value));
+        }
+        break;
+      case 'c':
+        this.events.clear();
+        break;
+      case 'q':
+        this._quit();
+        return;
+      default:
+        return;
+    }
+
+    this._scheduleRender();
+  }
+
+  /**
+   * 打开输入提示
+   * @param {string} label - 提示文字
+   * @param {string} initial - 初始内容
+   * @param {Function} onSubmit - 确认后的回调，接收输入内容
+   */
+  _openPrompt(label, initial, onSubmit) {
+    this.prompt = { label, buffer: initial, onSubmit };
+  }
+
+  /**
+   * 处理输入提示中的按键
+   * @param {string} str - 输入字符
+   * @param {Object} key - 按键信息
+   */
+  _handlePromptKey(str, key) {
+    const prompt = this.prompt;
+
+    if (key.name === 'escape') {
+      this.prompt = null;
+    } else if (key.name === 'return' || key.name === 'enter') {
+      this.prompt = null;
+      prompt.onSubmit(prompt.buffer.trim());
+    } else if (key.name === 'backspace') {
+      prompt.buffer = prompt.buffer.slice(0, -1);
+    } else if (str && !key.ctrl && !key.meta && str.length === 1 && str >= ' ') {
+      prompt.buffer += str;
+    }
+  }
+
+  /**
+   * 添加币种
+   * @param {string} value - 输入的币种符号
+   */
+  _addSymbol(value) {
+    const symbol = normalizeSymbol(value);
+    if (!isValidSymbol(symbol)) {
+      this._addEvent('error', new Date(), `无效的币种符号: ${value}`);
+      return;
+    }
+    if (getSymbolExchanges(symbol).length === 0) {
+      this._addEvent('error', new Date(), `没有支持该品种的数据源: ${symbol}`);
+      return;
+    }
+
+    this.monitor.addSymbol(symbol);
+    this._addEvent('info', new Date(), `已添加币种 ${symbol}`);
+  }
+
+  /**
+   * 移除币种
+   * @param {string} value - 输入的币种符号
+   */
+  _removeSymbol(value) {
+    const symbol = normalizeSymbol(value);
+    if (!this.monitor.getSymbols().includes(symbol)) {
+      this._addEvent('error', new Date(), `币种未在监控中: ${symbol}`);
+      return;
+    }
+
+    this.monitor.removeSymbol(symbol);
+    this._addEvent('info', new Date(), `已移除币种 ${symbol}`);
+  }
+
+  /**
+   * 修改阈值
+   * @param {string} symbol - 币种符号
+   * @param {string} value - 输入内容，格式为 "最小 最大"
+   */
+  _setThresholds(symbol, value) {
+    const [min, max] = value.split(/[\s,]+/).map(Number);
+    if (isNaN(min) || isNaN(max) || min < 0 || min > max) {
+      this._addEvent('error', new Date(), `无效的阈值: ${value}，格式为 "最小 最大"`);
+      return;
+    }
+
+    if (this.monitor.setThresholds(symbol, min, max)) {
+      this._addEvent('info', new Date(), `${symbol} 阈值已设置为 ${min} - ${max}`);
+    }
+  }
+
+  /**
+   * 退出服务
+   */
+  _quit() {
+    this.stop();
+    this.monitor.shutdown();
+  }
+}
+
+module.exports = TerminalDashboard;
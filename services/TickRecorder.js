@@ -0,0 +1,89 @@
+/**
+ * 行情录制服务类
+ * 将统一格式的行情逐条追加到 NDJSON 文件，按天（UTC）分文件，供回放/回测使用
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger').child('recorder');
+
+class TickRecorder {
+  /**
+   * @param {string} dir - 录制目录
+   */
+  constructor(dir = config.recorder.dir) {
+    this.dir = path.resolve(dir);
+    this.stream = null;
+    this.currentDay = null;
+    this.recordedCount = 0;
+  }
+
+  /**
+   * 录制一条行情
+   * @param {Object} data - 统一格式的行情数据
+   */
+  record(data) {
+    const time = data.lastUpdate instanceof Date ? data.lastUpdate : new Date();
+    const day = (isNaN(time.getTime()) ? new Date() : time).toISOString().slice(0, 10);
+
+    if (day !== this.currentDay) {
+      this._openFile(day);
+    }
+
+    this.stream.write(`${JSON.stringify(data)}\n`);
+    this.recordedCount++;
+  }
+
+  /**
+   * 打开指定日期的录制文件，关闭之前的文件
+   * @param {string} day - 日期 YYYY-MM-DD
+   */
+  _openFile(day) {
+    if (this.stream) {
+      this.stream.end();
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const filePath = path.join(this.dir, `ticks-${day}.ndjson`);
+
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      logger.error(`❌ 行情录制写入失败 ${filePath}:`, error.message);
+    });
+    this.currentDay = day;
+
+    logger.info(`📼 行情录制文件: ${filePath}`);
+  }
+
+  /**
+   * 关闭录制文件
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => {
+      if (!this.stream) {
+        resolve();
+        return;
+      }
+
+      this.stream.end(resolve);
+      this.stream = null;
+      this.currentDay = null;
+    });
+  }
+
+  /**
+   * 获取录制状态
+   * @returns {Object} { dir, file, recordedCount }
+   */
+  getStatus() {
+    return {
+      dir: this.dir,
+      file: this.currentDay ? `ticks-${this.currentDay}.ndjson` : null,
+      recordedCount: this.recordedCount
+    };
+  }
+}
+
+module.exports = TickRecorder;
@@ -0,0 +1,237 @@
+/**
+ * 成交流分析服务类
+ * 处理 trades 频道的逐笔成交，检测大额成交和时间窗口内的主动买卖失衡，
+ * 预警通过 PriceMonitorService 的通知服务发送，共用冷却期和渠道配置
+ * 合约成交的数量为张数，按合约面值换算成交额，面值尚未加载时跳过
+ */
+
+const EventEmitter = require('events');
+const config = require('../config');
+const clock = require('../utils/clock');
+const { describeSymbol, formatQuotePrice, formatSize, toNotional } = require('../utils/instrument');
+const logger = require('../utils/logger').child('monitor');
+
+// 成交额按该时间粒度（毫秒）汇总，控制窗口内的数据量
+const BUCKET_SIZE = 1000;
+
+const SIDE_NAMES = { buy: '主动买入', sell: '主动卖出' };
+
+class TradeFlowAnalyzer extends EventEmitter {
+  /**
+   * @param {PriceMonitorService} priceMonitorService - 用于发送预警和读取 24h 行情
+   */
+  constructor(priceMonitorService) {
+    super();
+    this.priceMonitorService = priceMonitorService;
+    // 成交额汇总 symbol -> [{ timestamp, buy, sell }]
+    this.buckets = new Map();
+    this.lastTrades = new Map();
+    this.lastLargeTrades = new Map();
+    // 已触发的失衡预警，回落后移除
+    this.imbalanceAlerted = new Set();
+  }
+
+  /**
+   * 获取币种的成交流预警配置，按币种覆盖全局配置
+   * @param {string} symbol - 币种符号
+   * @returns {Object} { largeTradeNotional, imbalance }
+   */
+  _getSettings(symbol) {
+    const { trades } = config;
+    const override = trades.thresholds[symbol] || {};
+    return {
+      largeTradeNotional: override.largeTradeNotional !== undefined ? override.largeTradeNotional : trades.largeTradeNotional,
+      imbalance: { ...trades.imbalance, ...override.imbalance }
+    };
+  }
+
+  /**
+   * 处理一笔成交
+   * @param {string} symbol - 币种符号
+   * @param {Object} trade - { tradeId, price, size, side, timestamp }
+   */
+  updateTrade(symbol, trade) {
+    const notional = toNotional(symbol, trade.price, trade.size);
+    if (notional === null) {
+      logger.debug(`${symbol} 合约面值尚未加载，跳过成交 ${trade.tradeId}`);
+      return;
+    }
+
+    const settings = this._getSettings(symbol);
+    const time = trade.timestamp instanceof Date && !isNaN(trade.timestamp.getTime())
+      ? trade.timestamp.getTime() : clock.now();
+
+    this.lastTrades.set(symbol, { ...trade, notional });
+    this._recordNotional(symbol, trade.side, notional, time, settings.imbalance.window);
+
+    if (typeof settings.largeTradeNotional === 'number' && notional >= settings.largeTradeNotional) {
+      this.lastLargeTrades.set(symbol, { ...trade, notional });
+      this._handleLargeTrade(symbol, trade, notional, settings.largeTradeNotional);
+    }
+
+    this._checkImbalance(symbol, trade, settings.imbalance, time);
+  }
+
+  /**
+   * 按时间粒度累计成交额，并移除窗口外的数据
+   */
+  _recordNotional(symbol, side, notional, time, window) {
+    let buckets = this.buckets.get(symbol);
+    if (!buckets) {
+      buckets = [];
+      this.buckets.set(symbol, buckets);
+    }
+
+    const bucketTime = Math.floor(time / BUCKET_SIZE) * BUCKET_SIZE;
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.timestamp !== bucketTime) {
+      bucket = { timestamp: bucketTime, buy: 0, sell: 0 };
+      buckets.push(bucket);
+    }
+    bucket[side === 'sell' ? 'sell' : 'buy'] += notional;
+
+    while (buckets.length > 0 && buckets[0].timestamp <= time - window) {
+      buckets.shift();
+    }
+  }
+
+  /**
+   * 汇总窗口内的主动买卖成交额
+   * @param {string} symbol - 币种符号
+   * @returns {Object} { buyNotional, sellNotional, buyRatio }
+   */
+  _summarize(symbol) {
+    let buyNotional = 0;
+    let sellNotional = 0;
+    (this.buckets.get(symbol) || []).forEach(({ buy, sell }) => {
+      buyNotional += buy;
+      sellNotional += sell;
+    });
+    const total = buyNotional + sellNotional;
+    return { buyNotional, sellNotional, buyRatio: total > 0 ? buyNotional / total : null };
+  }
+
+  /**
+   * 检查主动买卖失衡，同一方向只预警一次，占比回落到阈值以下后重新布防
+   * @param {string} symbol - 币种符号
+   * @param {Object} trade - 最新成交
+   * @param {Object} settings - { window, ratio, minNotional }
+   * @param {number} time - 成交时间戳
+   */
+  _checkImbalance(symbol, trade, settings, time) {
+    if (typeof settings.ratio !== 'number') return;
+
+    const flow = this._summarize(symbol);
+    const total = flow.buyNotional + flow.sellNotional;
+    const enough = total >= settings.minNotional;
+
+    [['buy', flow.buyRatio], ['sell', flow.buyRatio === null ? null : 1 - flow.buyRatio]].forEach(([side, ratio]) => {
+      const alertKey = `${symbol}_trade_imbalance_${side}`;
+      if (!enough || ratio === null || ratio < settings.ratio) {
+        this.imbalanceAlerted.delete(alertKey);
+        return;
+      }
+      if (this.imbalanceAlerted.has(alertKey)) return;
+
+      this.imbalanceAlerted.add(alertKey);
+      this._handleImbalance(symbol, trade, side, ratio, flow, settings, alertKey);
+    });
+  }
+
+  /**
+   * 处理大额成交预警
+   * @param {string} symbol - 币种符号
+   * @param {Object} trade - 成交数据
+   * @param {number} notional - 成交额
+   * @param {number} threshold - 成交额阈值
+   */
+  _handleLargeTrade(symbol, trade, notional, threshold) {
+    const emoji = trade.side === 'sell' ? '🦈' : '🐋';
+
+    const message = `${emoji} 大额成交预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `成交价格: ${formatQuotePrice(symbol, trade.price, 4)}\n` +
+                    `成交额: ${formatQuotePrice(symbol, notional, 2)} (${SIDE_NAMES[trade.side] || trade.side} ${formatSize(symbol, trade.size)})\n` +
+                    `超过设定值: ${formatQuotePrice(symbol, threshold, 2)}\n` +
+                    this._formatChange24h(symbol) +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    // 同一方向的连续大单在冷却期内合并为一条预警
+    const alertKey = `${symbol}_large_trade_${trade.side}`;
+    this.priceMonitorService.notificationService.sendAlert(message, alertKey, { symbol, severity: 'info' });
+    this.emit('largeTrade', { symbol, ...trade, notional });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 处理主动买卖失衡预警
+   * @param {string} symbol - 币种符号
+   * @param {Object} trade - 最新成交
+   * @param {string} side - 占优的方向 buy | sell
+   * @param {number} ratio - 该方向的成交额占比
+   * @param {Object} flow - 窗口内的成交额汇总
+   * @param {Object} settings - { window, ratio, minNotional }
+   * @param {string} alertKey - 预警键值
+   */
+  _handleImbalance(symbol, trade, side, ratio, flow, settings, alertKey) {
+    const emoji = side === 'buy' ? '🟢' : '🔴';
+    const seconds = Math.round(settings.window / 1000);
+
+    const message = `${emoji} ${SIDE_NAMES[side]}失衡预警！\n` +
+                    `币种: ${describeSymbol(symbol)}\n` +
+                    `当前价格: ${formatQuotePrice(symbol, trade.price, 4)}\n` +
+                    `${seconds} 秒内${SIDE_NAMES[side]}占比: ${(ratio * 100).toFixed(1)}% (设定值 ${(settings.ratio * 100).toFixed(0)}%)\n` +
+                    `买入 ${formatQuotePrice(symbol, flow.buyNotional, 2)} / 卖出 ${formatQuotePrice(symbol, flow.sellNotional, 2)}\n` +
+                    this._formatChange24h(symbol) +
+                    `时间: ${clock.date().toLocaleString()}`;
+
+    this.priceMonitorService.notificationService.sendAlert(message, alertKey, { symbol, severity: 'info' });
+
+    logger.info(`🚨 ${message}`);
+  }
+
+  /**
+   * 24h 涨跌幅行，尚未收到行情时省略
+   * @param {string} symbol - 币种符号
+   * @returns {string}
+   */
+  _formatChange24h(symbol) {
+    const data = this.priceMonitorService.getCryptoData(symbol);
+    if (!data || typeof data.priceChangePercent !== 'number') {
+      return '';
+    }
+    return `24h涨跌: ${data.priceChangePercent >= 0 ? '+' : ''}${data.priceChangePercent.toFixed(2)}%\n`;
+  }
+
+  /**
+   * 获取币种的成交流统计
+   * @param {string} symbol - 币种符号
+   * @returns {Object|null} { window, buyNotional, sellNotional, buyRatio, lastTrade, lastLargeTrade }
+   */
+  getFlow(symbol) {
+    if (!this.lastTrades.has(symbol)) {
+      return null;
+    }
+    return {
+      window: this._getSettings(symbol).imbalance.window,
+      ...this._summarize(symbol),
+      lastTrade: this.lastTrades.get(symbol),
+      lastLargeTrade: this.lastLargeTrades.get(symbol) || null
+    };
+  }
+
+  /**
+   * 清除币种的成交数据，取消订阅时调用
+   * @param {string} symbol - 币种符号
+   */
+  clear(symbol) {
+    this.buckets.delete(symbol);
+    this.lastTrades.delete(symbol);
+    this.lastLargeTrades.delete(symbol);
+    this.imbalanceAlerted.delete(`${symbol}_trade_imbalance_buy`);
+    this.imbalanceAlerted.delete(`${symbol}_trade_imbalance_sell`);
+  }
+}
+
+module.exports = TradeFlowAnalyzer;
@@ -1,31 +1,67 @@
 /**
  * WebSocket 连接服务类
- * 负责与 OKX WebSocket API 的连接和数据处理
+ * 负责与单个交易所 WebSocket API 的连接、心跳和重连，
+ * 交易所特有的消息格式由适配器处理
  */
 
 const WebSocket = require('ws');
 const EventEmitter = require('events');
 const config = require('../config');
+const OkxAdapter = require('./exchanges/OkxAdapter');
+const ReconnectPolicy = require('../utils/ReconnectPolicy');
+const OrderBook = require('../utils/OrderBook');
+const logger = require('../utils/logger').child('ws');
 
 class WebSocketService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {BaseExchangeAdapter} adapter - 交易所适配器，默认使用 OKX
+   */
+  constructor(adapter = new OkxAdapter()) {
     super();
+    this.adapter = adapter;
     this.ws = null;
     this.isConnected = false;
-    this.reconnectAttempts = 0;
+    this.reconnectPolicy = new ReconnectPolicy({
+      ...config.websocket.reconnect,
+      baseDelay: config.websocket.reconnectDelay,
+      maxAttempts: config.websocket.reconnectAttempts
+    });
+    this.reconnectTimer = null;
+    this.reconnectExhausted = false;
+    this.manualClose = false;
+
+    // 断线期间的状态，用于发送断线和恢复通知
+    this.downSince = null;
+    this.downNotified = false;
+    this.downAlertTimer = null;
     this.subscribers = new Set();
     this.heartbeatInterval = null;
+    this.lastPingAt = null;
+    this.lastPongAt = null;
+
+    // 行情新鲜度监控
+    this.watchdogInterval = null;
+    this.lastUpdates = new Map(); // symbol -> 最近一次行情时间戳
+    this.watchStartedAt = new Map(); // symbol -> 开始等待行情的时间戳
+    this.staleSymbols = new Map(); // symbol -> 判定为停滞的时间戳
+
+    // 本地盘口 symbol -> OrderBook，校验失败时删除并等待新的快照
+    this.orderBooks = new Map();
+    this.orderBookResyncs = new Map(); // symbol -> { at: 上次重新订阅时间, timer }
   }
 
   /**
-   * 连接到 OKX WebSocket
+   * 连接到交易所 WebSocket
    * @returns {Promise<void>}
    */
   async connect() {
     return new Promise((resolve, reject) => {
-      console.log('🔗 正在连接 OKX WebSocket...');
+      logger.info(`🔗 正在连接 ${this.adapter.displayName} WebSocket...`);
       
-      this.ws = new WebSocket(config.websocket.url);
+      this.manualClose = false;
+      this._clearReconnectTimer();
+      const ws = new WebSocket(this.adapter.url);
+      this.ws = ws;
       
       // 设置连接超时
       const connectTimeout = setTimeout(() => {
@@ -37,13 +73,17 @@ class WebSocketService extends EventEmitter {
 
       this.ws.on('open', () => {
         clearTimeout(connectTimeout);
-        console.log('✅ OKX WebSocket 连接成功');
+        logger.info(`✅ ${this.adapter.displayName} WebSocket 连接成功`);
         
         this.isConnected = true;
-        this.reconnectAttempts = 0;
+        const attempts = this.reconnectPolicy.attempts;
+        this.reconnectPolicy.recordSuccess();
+        this.reconnectExhausted = false;
+        this._markFeedUp(attempts);
         
-        // 启动心跳
+        // 启动心跳和行情新鲜度监控
         this._startHeartbeat();
+        this._startWatchdog();
         
         // 延迟重新订阅，确保连接稳定
         setTimeout(() => {
@@ -59,25 +99,37 @@ class WebSocketService extends EventEmitter {
           const parsedData = JSON.parse(data.toString());
           this._handleMessage(parsedData);
         } catch (error) {
-          console.error('❌ 解析 WebSocket 消息失败:', error.message);
+          logger.error('❌ 解析 WebSocket 消息失败:', error.message);
           this.emit('error', error);
         }
       });
 
       this.ws.on('close', (code, reason) => {
         clearTimeout(connectTimeout);
-        console.log(`🔌 WebSocket 连接断开 [${code}]: ${reason || '未知原因'}`);
+
+        // 已被新的连接取代，忽略旧连接的关闭事件
+        if (this.ws && this.ws !== ws) {
+          return;
+        }
+        logger.info(`🔌 ${this.adapter.displayName} WebSocket 连接断开 [${code}]: ${reason || '未知原因'}`);
         
         this.isConnected = false;
         this._stopHeartbeat();
+        this._stopWatchdog();
+        this.orderBooks.clear();
         
         this.emit('disconnected', { code, reason });
-        this._attemptReconnect();
+
+        // 主动断开时不重连
+        if (!this.manualClose) {
+          this._markFeedDown(code, reason);
+          this._attemptReconnect();
+        }
       });
 
       this.ws.on('error', (error) => {
         clearTimeout(connectTimeout);
-        console.error('❌ WebSocket 错误:', error.message);
+        logger.error(`❌ ${this.adapter.displayName} WebSocket 错误:`, error.message);
         
         this.isConnected = false;
         this.emit('error', error);
@@ -87,7 +139,8 @@ class WebSocketService extends EventEmitter {
 
       this.ws.on('pong', () => {
         // 收到 pong 响应，连接正常
-        console.log('💓 WebSocket 心跳正常');
+        this.lastPongAt = Date.now();
+        logger.debug(`💓 ${this.adapter.displayName} WebSocket 心跳正常`);
       });
     });
   }
@@ -97,60 +150,43 @@ class WebSocketService extends EventEmitter {
    * @param {Object} data - 解析后的消息数据
    */
   _handleMessage(data) {
-    // 处理订阅确认消息
-    if (data.event === 'subscribe') {
-      console.log('📡 订阅确认:', data.arg?.instId || 'unknown');
-      return;
-    }
-
-    // 处理错误消息
-    if (data.event === 'error') {
-      console.error('❌ WebSocket 错误消息:', data.msg);
-      this.emit('error', new Error(data.msg));
-      return;
-    }
-
-    // 处理价格数据
-    if (data.data && Array.isArray(data.data) && data.arg?.channel === 'tickers') {
-      data.data.forEach((item) => {
-        const cryptoData = this._parsePriceData(item);
-        if (cryptoData) {
-          this.emit('priceUpdate', cryptoData);
-        }
-      });
-    }
-  }
-
-  /**
-   * 解析价格数据
-   * @param {Object} item - OKX 返回的价格数据项
-   * @returns {Object|null} 格式化的价格数据
-   */
-  _parsePriceData(item) {
-    try {
-      const symbol = this._convertOKXSymbolBack(item.instId);
-      const last = parseFloat(item.last);
-      const open24h = parseFloat(item.open24h);
-      
-      if (isNaN(last) || isNaN(open24h)) {
-        console.warn(`⚠️ 无效的价格数据: ${item.instId}`);
-        return null;
+    this.adapter.parseMessage(data).forEach((event) => {
+      switch (event.type) {
+        case 'subscribed':
+          logger.info(`📡 ${this.adapter.displayName} 订阅确认:`, event.target);
+          break;
+
+        case 'error':
+          logger.error(`❌ ${this.adapter.displayName} WebSocket 错误消息:`, event.message);
+          this.emit('error', new Error(event.message));
+          break;
+
+        case 'pong':
+          this.lastPongAt = Date.now();
+          logger.debug(`💓 ${this.adapter.displayName} WebSocket 心跳正常`);
+          break;
+
+        case 'ticker':
+          this._markFresh(event.data);
+          this.emit('priceUpdate', event.data);
+          break;
+
+        // 合约指标和成交，事件名与类型相同
+        case 'fundingRate':
+        case 'openInterest':
+        case 'markPrice':
+        case 'trade':
+          this.emit(event.type, event.data);
+          break;
+
+        case 'orderBook':
+          this._applyOrderBook(event.data);
+          break;
+
+        default:
+          break;
       }
-
-      return {
-        symbol,
-        price: last,
-        priceChange: last - open24h,
-        priceChangePercent: ((last - open24h) / open24h) * 100,
-        volume: parseFloat(item.vol24h) || 0,
-        high24h: parseFloat(item.high24h) || 0,
-        low24h: parseFloat(item.low24h) || 0,
-        lastUpdate: new Date(parseInt(item.ts))
-      };
-    } catch (error) {
-      console.error('❌ 解析价格数据失败:', error.message);
-      return null;
-    }
+    });
   }
 
   /**
@@ -161,7 +197,8 @@ class WebSocketService extends EventEmitter {
   subscribe(symbol) {
     if (!this.subscribers.has(symbol)) {
       this.subscribers.add(symbol);
-      console.log(`📊 添加订阅: ${symbol}`);
+      this.watchStartedAt.set(symbol, Date.now());
+      logger.info(`📊 添加订阅: ${symbol}`);
     }
 
     return this._sendSubscription(symbol);
@@ -174,7 +211,12 @@ class WebSocketService extends EventEmitter {
    */
   unsubscribe(symbol) {
     this.subscribers.delete(symbol);
-    console.log(`📊 取消订阅: ${symbol}`);
+    this.lastUpdates.delete(symbol);
+    this.watchStartedAt.delete(symbol);
+    this.staleSymbols.delete(symbol);
+    this.orderBooks.delete(symbol);
+    this._clearOrderBookResync(symbol);
+    logger.info(`📊 取消订阅: ${symbol}`);
     
     return this._sendUnsubscription(symbol);
   }
@@ -186,24 +228,22 @@ class WebSocketService extends EventEmitter {
    */
   _sendSubscription(symbol) {
     if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      console.warn(`⚠️ WebSocket 未连接，无法订阅 ${symbol}`);
+      logger.debug(`📡 WebSocket 未连接，连接建立后订阅 ${symbol}`);
       return false;
     }
 
     try {
-      const message = {
-        op: 'subscribe',
-        args: [{
-          channel: 'tickers',
-          instId: this._convertSymbolForOKX(symbol)
-        }]
-      };
+      const message = this.adapter.buildSubscribeMessage(symbol);
 
       this.ws.send(JSON.stringify(message));
-      console.log(`📡 发送订阅请求: ${symbol}`);
+      logger.debug(`📡 发送订阅请求: ${symbol}`);
+
+      this.adapter.loadInstrumentInfo(symbol).catch((error) => {
+        logger.warn(`⚠️ ${this.adapter.displayName} 加载品种信息失败，暂不检查 ${symbol} 的成交额和挂单额:`, error.message);
+      });
       return true;
     } catch (error) {
-      console.error(`❌ 发送订阅请求失败 ${symbol}:`, error.message);
+      logger.error(`❌ 发送订阅请求失败 ${symbol}:`, error.message);
       return false;
     }
   }
@@ -219,27 +259,108 @@ class WebSocketService extends EventEmitter {
     }
 
     try {
-      const message = {
-        op: 'unsubscribe',
-        args: [{
-          channel: 'tickers',
-          instId: this._convertSymbolForOKX(symbol)
-        }]
-      };
+      const message = this.adapter.buildUnsubscribeMessage(symbol);
 
       this.ws.send(JSON.stringify(message));
       return true;
     } catch (error) {
-      console.error(`❌ 发送取消订阅请求失败 ${symbol}:`, error.message);
+      logger.error(`❌ 发送取消订阅请求失败 ${symbol}:`, error.message);
       return false;
     }
   }
 
+  /**
+   * 将盘口推送应用到本地盘口，校验通过后发出 orderBook 事件
+   * @param {Object} data - 统一格式的盘口推送
+   */
+  _applyOrderBook(data) {
+    const { symbol } = data;
+    if (!this.subscribers.has(symbol)) {
+      return;
+    }
+
+    let book = this.orderBooks.get(symbol);
+    if (data.action === 'snapshot') {
+      book = new OrderBook(symbol);
+      this.orderBooks.set(symbol, book);
+    } else if (!book) {
+      // 重新同步中，等待新的快照
+      return;
+    }
+
+    const error = data.action === 'snapshot' ? book.applySnapshot(data) : book.applyUpdate(data);
+    if (error) {
+      this._resyncOrderBook(symbol, error);
+      return;
+    }
+
+    this.emit('orderBook', { symbol, exchange: this.adapter.name, book, timestamp: book.updatedAt });
+  }
+
+  /**
+   * 丢弃本地盘口并重新订阅盘口频道，由交易所推送新的快照
+   * @param {string} symbol - 币种符号
+   * @param {string} reason - 校验失败的原因
+   */
+  _resyncOrderBook(symbol, reason) {
+    this.orderBooks.delete(symbol);
+    logger.warn(`⚠️ ${this.adapter.displayName} ${symbol} 盘口校验失败，重新同步: ${reason}`);
+    this.emit('orderBookResync', { symbol, exchange: this.adapter.name, reason });
+
+    // 快照本身持续校验失败时限制重新订阅的频率，避免触发交易所的订阅限流
+    const state = this.orderBookResyncs.get(symbol) || { at: 0, timer: null };
+    this.orderBookResyncs.set(symbol, state);
+    if (state.timer) {
+      return;
+    }
+
+    const send = () => {
+      state.timer = null;
+      state.at = Date.now();
+      if (!this.subscribers.has(symbol) || !this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      try {
+        this.adapter.buildOrderBookResyncMessages(symbol).forEach(message => this.ws.send(JSON.stringify(message)));
+      } catch (error) {
+        logger.error(`❌ 发送盘口重新订阅请求失败 ${symbol}:`, error.message);
+      }
+    };
+
+    const wait = state.at + WebSocketService.ORDER_BOOK_RESYNC_INTERVAL - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(send, wait);
+    } else {
+      send();
+    }
+  }
+
+  /**
+   * 取消待执行的盘口重新订阅，不传币种时取消全部
+   * @param {string} symbol - 币种符号
+   */
+  _clearOrderBookResync(symbol = null) {
+    this.orderBookResyncs.forEach((state, key) => {
+      if (symbol && key !== symbol) return;
+      clearTimeout(state.timer);
+      this.orderBookResyncs.delete(key);
+    });
+  }
+
+  /**
+   * 获取币种的本地盘口
+   * @param {string} symbol - 币种符号
+   * @returns {OrderBook|null}
+   */
+  getOrderBook(symbol) {
+    return this.orderBooks.get(symbol) || null;
+  }
+
   /**
    * 重新订阅所有币种
    */
   _resubscribeAll() {
-    console.log(`🔄 重新订阅 ${this.subscribers.size} 个币种...`);
+    logger.info(`🔄 重新订阅 ${this.subscribers.size} 个币种...`);
     
     this.subscribers.forEach(symbol => {
       this._sendSubscription(symbol);
@@ -250,37 +371,134 @@ class WebSocketService extends EventEmitter {
    * 尝试重新连接
    */
   _attemptReconnect() {
-    if (this.reconnectAttempts >= config.websocket.reconnectAttempts) {
-      console.error(`❌ 达到最大重连次数 (${config.websocket.reconnectAttempts})，停止重连`);
+    // 已有待执行的重连时不重复安排
+    if (this.reconnectTimer) {
+      return;
+    }
+
+    const policy = this.reconnectPolicy;
+    if (!policy.canRetry()) {
+      logger.error(`❌ ${this.adapter.displayName} 达到最大重连次数 (${policy.options.maxAttempts})，停止重连`);
+      this.reconnectExhausted = true;
       this.emit('maxReconnectAttemptsReached');
       return;
     }
 
-    this.reconnectAttempts++;
-    const delay = config.websocket.reconnectDelay * this.reconnectAttempts;
-    
-    console.log(`🔄 尝试重连... (${this.reconnectAttempts}/${config.websocket.reconnectAttempts}) 延迟: ${delay}ms`);
+    const previousState = policy.state;
+    const delay = policy.nextDelay();
+    const limit = policy.options.maxAttempts > 0 ? policy.options.maxAttempts : '∞';
+
+    if (policy.state !== previousState) {
+      logger.warn(`⚡ ${this.adapter.displayName} 连续重连失败，熔断 ${Math.round(delay / 1000)} 秒后再试`);
+      this.emit('circuitStateChanged', { state: policy.state, attempts: policy.attempts });
+    }
+
+    logger.info(`🔄 ${this.adapter.displayName} 尝试重连... (${policy.attempts}/${limit}) 延迟: ${delay}ms`);
     
-    setTimeout(async () => {
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      policy.beforeAttempt();
       try {
         await this.connect();
       } catch (error) {
-        console.error('❌ 重连失败:', error.message);
+        logger.error(`❌ ${this.adapter.displayName} 重连失败:`, error.message);
       }
     }, delay);
   }
 
+  /**
+   * 取消待执行的重连
+   */
+  _clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * 记录行情中断，断线超过 downAlertDelay 仍未恢复时发出 feedDown 事件
+   * @param {number} code - 关闭码
+   * @param {string} reason - 关闭原因
+   */
+  _markFeedDown(code, reason) {
+    if (this.downSince) {
+      return;
+    }
+
+    this.downSince = Date.now();
+    this.downAlertTimer = setTimeout(() => {
+      this.downAlertTimer = null;
+      if (this.isConnected) return;
+
+      this.downNotified = true;
+      this.emit('feedDown', {
+        exchange: this.adapter.name,
+        since: new Date(this.downSince),
+        code,
+        reason: reason ? reason.toString() : ''
+      });
+    }, config.websocket.reconnect.downAlertDelay);
+  }
+
+  /**
+   * 连接恢复，已发出过 feedDown 时发出 feedRecovered 事件
+   * @param {number} attempts - 本次恢复前的重连次数
+   */
+  _markFeedUp(attempts) {
+    if (this.downAlertTimer) {
+      clearTimeout(this.downAlertTimer);
+      this.downAlertTimer = null;
+    }
+
+    if (this.downNotified) {
+      this.emit('feedRecovered', {
+        exchange: this.adapter.name,
+        downtime: Date.now() - this.downSince,
+        attempts
+      });
+    }
+
+    this.downSince = null;
+    this.downNotified = false;
+  }
+
+  /**
+   * 当前重连次数
+   * @returns {number}
+   */
+  get reconnectAttempts() {
+    return this.reconnectPolicy.attempts;
+  }
+
   /**
    * 启动心跳检测
    */
   _startHeartbeat() {
     this._stopHeartbeat(); // 确保没有重复的心跳
     
+    this.lastPingAt = null;
+    this.lastPongAt = null;
+
     this.heartbeatInterval = setInterval(() => {
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.ping();
+        // 上一次心跳在整个间隔内都没有响应，说明连接已失效
+        if (this.lastPingAt && (!this.lastPongAt || this.lastPongAt < this.lastPingAt)) {
+          logger.warn(`⚠️ ${this.adapter.displayName} 心跳超时，强制重连`);
+          this.ws.terminate();
+          return;
+        }
+        this.lastPingAt = Date.now();
+
+        // 部分交易所要求应用层心跳，其余使用协议层 ping
+        const heartbeat = this.adapter.buildHeartbeatMessage();
+        if (heartbeat) {
+          this.ws.send(typeof heartbeat === 'string' ? heartbeat : JSON.stringify(heartbeat));
+        } else {
+          this.ws.ping();
+        }
       }
-    }, 30000); // 每30秒发送一次心跳
+    }, this.adapter.heartbeatInterval);
   }
 
   /**
@@ -294,25 +512,116 @@ class WebSocketService extends EventEmitter {
   }
 
   /**
-   * 转换币种符号为 OKX 格式
-   * @param {string} symbol - 标准币种符号
-   * @returns {string} OKX 格式的币种符号
+   * 记录币种收到行情，停滞的币种恢复时发出通知
+   * @param {Object} data - 统一格式的行情数据
    */
-  _convertSymbolForOKX(symbol) {
-    if (symbol.endsWith('USDT')) {
-      const base = symbol.replace('USDT', '');
-      return `${base}-USDT`;
+  _markFresh(data) {
+    // 使用本地接收时间而非交易所时间戳，避免时钟偏差导致误判
+    this.lastUpdates.set(data.symbol, Date.now());
+
+    const staleSince = this.staleSymbols.get(data.symbol);
+    if (staleSince) {
+      this.staleSymbols.delete(data.symbol);
+      logger.info(`✅ ${this.adapter.displayName} ${data.symbol} 行情已恢复`);
+      this.emit('symbolRecovered', {
+        symbol: data.symbol,
+        exchange: this.adapter.name,
+        staleFor: Date.now() - staleSince
+      });
     }
-    return symbol;
   }
 
   /**
-   * 将 OKX 格式的币种符号转换回标准格式
-   * @param {string} okxSymbol - OKX 格式的币种符号
-   * @returns {string} 标准币种符号
+   * 获取币种的停滞阈值
+   * @param {string} symbol - 币种符号
+   * @returns {number} 毫秒
    */
-  _convertOKXSymbolBack(okxSymbol) {
-    return okxSymbol.replace('-', '');
+  _getStaleTimeout(symbol) {
+    const { watchdog } = config.websocket;
+    return watchdog.symbols[symbol] || watchdog.staleTimeout;
+  }
+
+  /**
+   * 启动行情新鲜度监控
+   */
+  _startWatchdog() {
+    this._stopWatchdog();
+    if (!config.websocket.watchdog.enabled) return;
+
+    // 连接建立后重新计时，避免把断线期间算作停滞
+    const now = Date.now();
+    this.subscribers.forEach(symbol => this.watchStartedAt.set(symbol, now));
+
+    this.watchdogInterval = setInterval(() => this._checkFreshness(), config.websocket.watchdog.checkInterval);
+  }
+
+  /**
+   * 停止行情新鲜度监控
+   */
+  _stopWatchdog() {
+    if (this.watchdogInterval) {
+      clearInterval(this.watchdogInterval);
+      this.watchdogInterval = null;
+    }
+  }
+
+  /**
+   * 检查各币种行情是否停滞
+   * 首次停滞时重新订阅该币种，持续停滞或全部币种停滞时强制重连
+   */
+  _checkFreshness() {
+    if (!this.isConnected || this.subscribers.size === 0) return;
+
+    const now = Date.now();
+    let staleCount = 0;
+    let escalate = false;
+
+    this.subscribers.forEach((symbol) => {
+      const lastSeen = Math.max(this.lastUpdates.get(symbol) || 0, this.watchStartedAt.get(symbol) || 0);
+      const age = now - lastSeen;
+      const timeout = this._getStaleTimeout(symbol);
+
+      if (age < timeout) return;
+
+      staleCount++;
+      const staleSince = this.staleSymbols.get(symbol);
+
+      if (!staleSince) {
+        this.staleSymbols.set(symbol, now);
+        logger.warn(`⚠️ ${this.adapter.displayName} ${symbol} 已 ${Math.round(age / 1000)} 秒无行情，重新订阅`);
+        this.emit('symbolStale', {
+          symbol,
+          exchange: this.adapter.name,
+          lastUpdate: this.lastUpdates.has(symbol) ? new Date(this.lastUpdates.get(symbol)) : null,
+          age
+        });
+        this._sendUnsubscription(symbol);
+        this._sendSubscription(symbol);
+      } else if (now - staleSince >= timeout) {
+        // 重新订阅后仍无行情
+        escalate = true;
+      }
+    });
+
+    if (escalate || (config.websocket.watchdog.reconnectWhenAllStale && staleCount === this.subscribers.size)) {
+      logger.warn(`⚠️ ${this.adapter.displayName} 行情停滞 (${staleCount}/${this.subscribers.size})，强制重连`);
+      // 重连后重新计时
+      this.staleSymbols.forEach((since, symbol) => this.staleSymbols.set(symbol, now));
+      this.ws.terminate();
+    }
+  }
+
+  /**
+   * 获取停滞的币种列表
+   * @returns {Array} [{ symbol, exchange, lastUpdate, staleSince }]
+   */
+  getStaleSymbols() {
+    return Array.from(this.staleSymbols.entries()).map(([symbol, since]) => ({
+      symbol,
+      exchange: this.adapter.name,
+      lastUpdate: this.lastUpdates.has(symbol) ? new Date(this.lastUpdates.get(symbol)) : null,
+      staleSince: new Date(since)
+    }));
   }
 
   /**
@@ -321,9 +630,14 @@ class WebSocketService extends EventEmitter {
    */
   getStatus() {
     return {
+      exchange: this.adapter.name,
       isConnected: this.isConnected,
       reconnectAttempts: this.reconnectAttempts,
+      reconnect: this.reconnectPolicy.getStatus(),
+      downSince: this.downSince ? new Date(this.downSince) : null,
       subscribedSymbols: Array.from(this.subscribers),
+      staleSymbols: this.getStaleSymbols(),
+      lastPongAt: this.lastPongAt ? new Date(this.lastPongAt) : null,
       readyState: this.ws ? this.ws.readyState : null
     };
   }
@@ -332,9 +646,12 @@ class WebSocketService extends EventEmitter {
    * 关闭 WebSocket 连接
    */
   disconnect() {
-    console.log('🔌 正在断开 WebSocket 连接...');
+    logger.info(`🔌 正在断开 ${this.adapter.displayName} WebSocket 连接...`);
     
     this._stopHeartbeat();
+    this._stopWatchdog();
+    this.manualClose = true;
+    this._clearOrderBookResync();
     
     if (this.ws) {
       this.ws.close(1000, 'Normal closure');
@@ -342,10 +659,18 @@ class WebSocketService extends EventEmitter {
     }
     
     this.isConnected = false;
-    this.reconnectAttempts = 0;
+    this._clearReconnectTimer();
+    this.reconnectPolicy.reset();
+    if (this.downAlertTimer) {
+      clearTimeout(this.downAlertTimer);
+      this.downAlertTimer = null;
+    }
     
-    console.log('✅ WebSocket 连接已断开');
+    logger.info(`✅ ${this.adapter.displayName} WebSocket 连接已断开`);
   }
 }
 
+// 同一币种两次重新订阅盘口的最小间隔（毫秒）
+WebSocketService.ORDER_BOOK_RESYNC_INTERVAL = 5000;
+
 module.exports = WebSocketService;
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * 交易所行情适配器基类
+ * 负责交易所特有的连接地址、订阅消息格式和行情解析，
+ * 向上层输出统一格式的行情数据，连接管理由 WebSocketService 负责
+ */
+
+const { parseInstrument } = require('../../utils/instrument');
+const logger = require('../../utils/logger').child('ws');
+
+class BaseExchangeAdapter {
+  /**
+   * @param {Object} options - 适配器配置 { url }
+   */
+  constructor(options = {}) {
+    this.options = options;
+    // 交易所格式符号 -> 标准符号
+    this.symbolMap = new Map();
+  }
+
+  /**
+   * 交易所标识，用于配置和行情数据中的 exchange 字段
+   * @returns {string}
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} 未实现 name`);
+  }
+
+  /**
+   * 交易所显示名称，用于日志输出
+   * @returns {string}
+   */
+  get displayName() {
+    return this.name;
+  }
+
+  /**
+   * WebSocket 连接地址
+   * @returns {string}
+   */
+  get url() {
+    return this.options.url || this.defaultUrl;
+  }
+
+  /**
+   * 心跳间隔（毫秒）
+   * @returns {number}
+   */
+  get heartbeatInterval() {
+    return 30000;
+  }
+
+  /**
+   * 将标准币种符号转换为交易所格式，默认为基础币种与计价币种直接拼接，如 BTC-USDT -> BTCUSDT
+   * @param {string} symbol - 标准币种符号
+   * @returns {string} 交易所格式的符号
+   */
+  toVenueSymbol(symbol) {
+    const instrument = parseInstrument(symbol);
+    return instrument ? `${instrument.base}${instrument.quote}` : symbol;
+  }
+
+  /**
+   * 登记订阅的币种，便于解析行情时还原标准符号
+   * @param {string} symbol - 标准币种符号
+   * @returns {string} 交易所格式的符号
+   */
+  registerSymbol(symbol) {
+    const venueSymbol = this.toVenueSymbol(symbol);
+    this.symbolMap.set(venueSymbol, symbol);
+    return venueSymbol;
+  }
+
+  /**
+   * 将交易所格式的符号还原为标准符号
+   * @param {string} venueSymbol - 交易所格式的符号
+   * @returns {string} 标准币种符号
+   */
+  fromVenueSymbol(venueSymbol) {
+    return this.symbolMap.get(venueSymbol) || venueSymbol;
+  }
+
+  /**
+   * 构造订阅消息
+   * @param {string} symbol - 标准币种符号
+   * @returns {Object} 订阅消息
+   */
+  buildSubscribeMessage(symbol) {
+    throw new Error(`${this.constructor.name} 未实现 buildSubscribeMessage`);
+  }
+
+  /**
+   * 构造取消订阅消息
+   * @param {string} symbol - 标准币种符号
+   * @returns {Object} 取消订阅消息
+   */
+  buildUnsubscribeMessage(symbol) {
+    throw new Error(`${this.constructor.name} 未实现 buildUnsubscribeMessage`);
+  }
+
+  /**
+   * 构造重新订阅盘口的消息，本地盘口校验失败时使用
+   * 交易所推送新的快照后重建本地盘口，不支持盘口的交易所返回空数组
+   * @param {string} symbol - 标准币种符号
+   * @returns {Array} 依次发送的消息
+   */
+  buildOrderBookResyncMessages(symbol) {
+    return [];
+  }
+
+  /**
+   * 加载币种的品种信息（如合约面值），订阅时调用，不支持合约的交易所无需加载
+   * @param {string} symbol - 标准币种符号
+   * @returns {Promise<void>}
+   */
+  async loadInstrumentInfo(symbol) {}
+
+  /**
+   * 应用层心跳消息，返回 null 时使用 WebSocket 协议层 ping
+   * @returns {Object|string|null}
+   */
+  buildHeartbeatMessage() {
+    return null;
+  }
+
+  /**
+   * 解析交易所推送的消息
+   * @param {Object} message - 解析后的 JSON 消息
+   * @returns {Array} 事件列表，每项为
+   *   { type: 'ticker', data } | { type: 'subscribed', target } | { type: 'error', message } | { type: 'pong' }
+   *   合约指标: { type: 'fundingRate' | 'openInterest' | 'markPrice', data: { symbol, exchange, ..., timestamp } }
+   *   盘口: { type: 'orderBook', data: { symbol, exchange, action: 'snapshot' | 'update', bids, asks, seqId, prevSeqId, checksum, timestamp } }
+   *   成交: { type: 'trade', data: { symbol, exchange, tradeId, price, size, side: 'buy' | 'sell', timestamp } }
+   */
+  parseMessage(message) {
+    throw new Error(`${this.constructor.name} 未实现 parseMessage`);
+  }
+
+  /**
+   * 构造统一格式的行情数据
+   * @param {Object} fields - { symbol, last, open24h, volume, high24h, low24h, timestamp }
+   * @returns {Object|null} 统一格式的行情数据，价格无效时返回 null
+   */
+  _normalizeTicker({ symbol, last, open24h, volume, high24h, low24h, timestamp }) {
+    const price = parseFloat(last);
+    const open = parseFloat(open24h);
+
+    if (isNaN(price) || isNaN(open) || open === 0) {
+      logger.warn(`⚠️ 无效的价格数据: ${this.displayName} ${symbol}`);
+      return null;
+    }
+
+    return {
+      symbol,
+      exchange: this.name,
+      price,
+      priceChange: price - open,
+      priceChangePercent: ((price - open) / open) * 100,
+      volume: parseFloat(volume) || 0,
+      high24h: parseFloat(high24h) || 0,
+      low24h: parseFloat(low24h) || 0,
+      lastUpdate: new Date(parseInt(timestamp, 10) || Date.now())
+    };
+  }
+}
+
+// 支持的品种类型（见 utils/instrument.js），子类按交易所的行情接口覆盖
+BaseExchangeAdapter.INST_TYPES = ['SPOT'];
+
+module.exports = BaseExchangeAdapter;
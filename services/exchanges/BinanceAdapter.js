@@ -0,0 +1,69 @@
+/**
+ * Binance 现货行情适配器
+ * 订阅 <symbol>@ticker 24 小时滚动行情流
+ */
+
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
+
+class BinanceAdapter extends BaseExchangeAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.requestId = 0;
+  }
+
+  get name() {
+    return 'binance';
+  }
+
+  get displayName() {
+    return 'Binance';
+  }
+
+  get defaultUrl() {
+    return 'wss://stream.binance.com:9443/ws';
+  }
+
+  buildSubscribeMessage(symbol) {
+    return {
+      method: 'SUBSCRIBE',
+      params: [`${this.registerSymbol(symbol).toLowerCase()}@ticker`],
+      id: ++this.requestId
+    };
+  }
+
+  buildUnsubscribeMessage(symbol) {
+    return {
+      method: 'UNSUBSCRIBE',
+      params: [`${this.toVenueSymbol(symbol).toLowerCase()}@ticker`],
+      id: ++this.requestId
+    };
+  }
+
+  parseMessage(message) {
+    // 订阅请求的响应 { result: null, id }
+    if (message.id !== undefined && message.result === null) {
+      return [{ type: 'subscribed', target: `request#${message.id}` }];
+    }
+
+    if (message.error) {
+      return [{ type: 'error', message: message.error.msg || JSON.stringify(message.error) }];
+    }
+
+    if (message.e === '24hrTicker') {
+      const data = this._normalizeTicker({
+        symbol: this.fromVenueSymbol(message.s),
+        last: message.c,
+        open24h: message.o,
+        volume: message.v,
+        high24h: message.h,
+        low24h: message.l,
+        timestamp: message.E
+      });
+      return data ? [{ type: 'ticker', data }] : [];
+    }
+
+    return [];
+  }
+}
+
+module.exports = BinanceAdapter;
@@ -0,0 +1,67 @@
+/**
+ * Bybit 现货行情适配器
+ * 订阅 v5 公共频道 tickers.<symbol>，需要每 20 秒发送应用层心跳
+ */
+
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
+
+class BybitAdapter extends BaseExchangeAdapter {
+  get name() {
+    return 'bybit';
+  }
+
+  get displayName() {
+    return 'Bybit';
+  }
+
+  get defaultUrl() {
+    return 'wss://stream.bybit.com/v5/public/spot';
+  }
+
+  get heartbeatInterval() {
+    return 20000;
+  }
+
+  buildSubscribeMessage(symbol) {
+    return { op: 'subscribe', args: [`tickers.${this.registerSymbol(symbol)}`] };
+  }
+
+  buildUnsubscribeMessage(symbol) {
+    return { op: 'unsubscribe', args: [`tickers.${this.toVenueSymbol(symbol)}`] };
+  }
+
+  buildHeartbeatMessage() {
+    return { op: 'ping' };
+  }
+
+  parseMessage(message) {
+    if (message.op === 'pong' || message.ret_msg === 'pong') {
+      return [{ type: 'pong' }];
+    }
+
+    if (message.op === 'subscribe') {
+      if (message.success === false) {
+        return [{ type: 'error', message: message.ret_msg }];
+      }
+      return [{ type: 'subscribed', target: message.req_id || message.conn_id || 'unknown' }];
+    }
+
+    if (typeof message.topic === 'string' && message.topic.startsWith('tickers.') && message.data) {
+      const item = message.data;
+      const data = this._normalizeTicker({
+        symbol: this.fromVenueSymbol(item.symbol),
+        last: item.lastPrice,
+        open24h: item.prevPrice24h,
+        volume: item.volume24h,
+        high24h: item.highPrice24h,
+        low24h: item.lowPrice24h,
+        timestamp: message.ts
+      });
+      return data ? [{ type: 'ticker', data }] : [];
+    }
+
+    return [];
+  }
+}
+
+module.exports = BybitAdapter;
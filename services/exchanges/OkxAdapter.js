@@ -0,0 +1,227 @@
+/**
+ * OKX 行情适配器
+ * 订阅 tickers 频道，同一连接支持现货、永续和交割合约；
+ * 合约另外订阅资金费率、持仓量和标记价格频道（config.derivatives），
+ * 开启 config.orderBook 时订阅盘口频道，config.trades.symbols 中的币种订阅成交频道
+ * 合约的成交和盘口数量为张数，订阅时通过 REST 接口查询合约面值，用于换算成交额和挂单额
+ */
+
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
+const { normalizeSymbol, parseInstrument, setContractSpec, hasContractValue } = require('../../utils/instrument');
+const { getJson } = require('../../utils/http');
+const config = require('../../config');
+const logger = require('../../utils/logger').child('ws');
+
+const DEFAULT_REST_URL = 'https://www.okx.com';
+
+// 各品种类型额外订阅的合约指标频道
+const DERIVATIVE_CHANNELS = {
+  SWAP: ['funding-rate', 'open-interest', 'mark-price'],
+  FUTURES: ['open-interest', 'mark-price']
+};
+
+class OkxAdapter extends BaseExchangeAdapter {
+  get name() {
+    return 'okx';
+  }
+
+  get displayName() {
+    return 'OKX';
+  }
+
+  get defaultUrl() {
+    return config.websocket.url;
+  }
+
+  /**
+   * REST 接口地址，用于查询合约面值
+   * @returns {string}
+   */
+  get restUrl() {
+    return this.options.restUrl || DEFAULT_REST_URL;
+  }
+
+  /**
+   * 标准币种符号与 OKX instId 格式一致，如 BTC-USDT、BTC-USDT-SWAP
+   * @param {string} symbol - 标准币种符号
+   * @returns {string} OKX 格式的币种符号
+   */
+  toVenueSymbol(symbol) {
+    return normalizeSymbol(symbol);
+  }
+
+  buildSubscribeMessage(symbol) {
+    return {
+      op: 'subscribe',
+      args: this._buildArgs(symbol, this.registerSymbol(symbol))
+    };
+  }
+
+  buildUnsubscribeMessage(symbol) {
+    return {
+      op: 'unsubscribe',
+      args: this._buildArgs(symbol, this.toVenueSymbol(symbol))
+    };
+  }
+
+  /**
+   * 构造订阅参数，合约在 tickers 之外附加合约指标频道
+   * @param {string} symbol - 标准币种符号
+   * @param {string} instId - OKX 格式的币种符号
+   * @returns {Array} [{ channel, instId }]
+   */
+  _buildArgs(symbol, instId) {
+    const instrument = parseInstrument(symbol);
+    const channels = config.derivatives.enabled && instrument ? [...(DERIVATIVE_CHANNELS[instrument.instType] || [])] : [];
+    if (config.orderBook.enabled) {
+      channels.push(config.orderBook.channel);
+    }
+    if (config.trades.symbols.includes(symbol)) {
+      channels.push('trades');
+    }
+    return ['tickers', ...channels].map(channel => ({ channel, instId }));
+  }
+
+  /**
+   * 查询合约面值并登记到品种模型，现货和已登记的合约直接返回
+   * 查询失败时下次订阅（如重连后）重试，期间该合约不检查成交额和挂单额
+   * @param {string} symbol - 标准币种符号
+   * @returns {Promise<void>}
+   */
+  async loadInstrumentInfo(symbol) {
+    const instrument = parseInstrument(symbol);
+    if (!instrument || instrument.instType === 'SPOT' || hasContractValue(symbol)) {
+      return;
+    }
+
+    const url = `${this.restUrl}/api/v5/public/instruments?instType=${instrument.instType}&instId=${this.toVenueSymbol(symbol)}`;
+    const { statusCode, body } = await getJson(url);
+    const item = body && Array.isArray(body.data) ? body.data[0] : null;
+    const value = item ? parseFloat(item.ctVal) : NaN;
+    if (statusCode !== 200 || !Number.isFinite(value) || !item.ctValCcy) {
+      throw new Error(`查询合约面值失败: ${symbol} [${statusCode}] ${(body && body.msg) || ''}`);
+    }
+
+    setContractSpec(symbol, { value, currency: item.ctValCcy });
+    logger.info(`📐 ${symbol} 合约面值: ${value} ${item.ctValCcy}`);
+  }
+
+  buildOrderBookResyncMessages(symbol) {
+    if (!config.orderBook.enabled) {
+      return [];
+    }
+    const args = [{ channel: config.orderBook.channel, instId: this.toVenueSymbol(symbol) }];
+    return [{ op: 'unsubscribe', args }, { op: 'subscribe', args }];
+  }
+
+  parseMessage(message) {
+    // 处理订阅确认消息
+    if (message.event === 'subscribe') {
+      const { channel, instId } = message.arg || {};
+      return [{ type: 'subscribed', target: instId ? `${channel} ${instId}` : 'unknown' }];
+    }
+
+    // 处理错误消息
+    if (message.event === 'error') {
+      return [{ type: 'error', message: message.msg }];
+    }
+
+    // 处理价格数据
+    if (Array.isArray(message.data) && message.arg?.channel === 'tickers') {
+      return message.data
+        .map(item => this._normalizeTicker({
+          symbol: this.fromVenueSymbol(item.instId),
+          last: item.last,
+          open24h: item.open24h,
+          // 合约的 vol24h 为张数，取以币计的 volCcy24h；现货的 volCcy24h 为计价币种成交额
+          volume: item.instType && item.instType !== 'SPOT' ? item.volCcy24h : item.vol24h,
+          high24h: item.high24h,
+          low24h: item.low24h,
+          timestamp: item.ts
+        }))
+        .filter(Boolean)
+        .map(data => ({ type: 'ticker', data }));
+    }
+
+    // 成交，同一吃单订单的多笔成交已合并
+    if (Array.isArray(message.data) && message.arg?.channel === 'trades') {
+      return message.data
+        .map(item => ({
+          symbol: this.fromVenueSymbol(item.instId),
+          exchange: this.name,
+          tradeId: item.tradeId,
+          price: parseFloat(item.px),
+          size: parseFloat(item.sz), // 合约为张数
+          side: item.side, // buy: 主动买入，sell: 主动卖出
+          timestamp: new Date(parseInt(item.ts, 10) || Date.now())
+        }))
+        .filter(data => Number.isFinite(data.price) && Number.isFinite(data.size))
+        .map(data => ({ type: 'trade', data }));
+    }
+
+    // books 首条为 snapshot，之后为 update；books5 每次都是前 5 档快照
+    if (Array.isArray(message.data) && ['books', 'books5'].includes(message.arg?.channel)) {
+      return message.data.map(item => ({
+        type: 'orderBook',
+        data: {
+          symbol: this.fromVenueSymbol(message.arg.instId),
+          exchange: this.name,
+          action: message.action === 'update' ? 'update' : 'snapshot',
+          bids: item.bids || [],
+          asks: item.asks || [],
+          seqId: item.seqId ?? null,
+          prevSeqId: item.prevSeqId ?? null,
+          checksum: typeof item.checksum === 'number' ? item.checksum : null,
+          timestamp: new Date(parseInt(item.ts, 10) || Date.now())
+        }
+      }));
+    }
+
+    if (Array.isArray(message.data) && message.arg?.channel === 'funding-rate') {
+      return this._parseDerivatives('fundingRate', message.data, item => ({
+        fundingRate: parseFloat(item.fundingRate),
+        nextFundingRate: item.nextFundingRate ? parseFloat(item.nextFundingRate) : null,
+        fundingTime: new Date(parseInt(item.fundingTime, 10))
+      }), 'fundingRate');
+    }
+
+    if (Array.isArray(message.data) && message.arg?.channel === 'open-interest') {
+      return this._parseDerivatives('openInterest', message.data, item => ({
+        openInterest: parseFloat(item.oi), // 张
+        openInterestCcy: parseFloat(item.oiCcy) // 币
+      }), 'openInterest');
+    }
+
+    if (Array.isArray(message.data) && message.arg?.channel === 'mark-price') {
+      return this._parseDerivatives('markPrice', message.data, item => ({
+        markPrice: parseFloat(item.markPx)
+      }), 'markPrice');
+    }
+
+    return [];
+  }
+
+  /**
+   * 解析合约指标推送
+   * @param {string} type - 事件类型 fundingRate | openInterest | markPrice
+   * @param {Array} items - 推送的数据
+   * @param {Function} pick - 提取指标字段
+   * @param {string} field - 必须为有效数值的字段，无效时丢弃
+   * @returns {Array} 事件列表 [{ type, data: { symbol, exchange, ...字段, timestamp } }]
+   */
+  _parseDerivatives(type, items, pick, field) {
+    return items
+      .map(item => ({
+        symbol: this.fromVenueSymbol(item.instId),
+        exchange: this.name,
+        ...pick(item),
+        timestamp: new Date(parseInt(item.ts, 10) || Date.now())
+      }))
+      .filter(data => Number.isFinite(data[field]))
+      .map(data => ({ type, data }));
+  }
+}
+
+OkxAdapter.INST_TYPES = ['SPOT', 'SWAP', 'FUTURES'];
+
+module.exports = OkxAdapter;
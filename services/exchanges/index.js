@@ -0,0 +1,62 @@
+/**
+ * 交易所适配器模块入口
+ * 负责适配器注册和币种数据源的解析
+ */
+
+const BaseExchangeAdapter = require('./BaseExchangeAdapter');
+const OkxAdapter = require('./OkxAdapter');
+const BinanceAdapter = require('./BinanceAdapter');
+const BybitAdapter = require('./BybitAdapter');
+const config = require('../../config');
+const { parseInstrument } = require('../../utils/instrument');
+
+// 交易所注册表
+const EXCHANGE_ADAPTERS = {
+  okx: OkxAdapter,
+  binance: BinanceAdapter,
+  bybit: BybitAdapter
+};
+
+/**
+ * 创建交易所适配器
+ * @param {string} name - 交易所标识
+ * @returns {BaseExchangeAdapter} 适配器实例
+ */
+function createExchangeAdapter(name) {
+  const AdapterClass = EXCHANGE_ADAPTERS[name];
+  if (!AdapterClass) {
+    throw new Error(`不支持的交易所: ${name}，可选: ${Object.keys(EXCHANGE_ADAPTERS).join(', ')}`);
+  }
+  return new AdapterClass(config.exchanges.venues[name] || {});
+}
+
+/**
+ * 交易所是否支持币种的品种类型（现货/永续/交割）
+ * @param {string} exchange - 交易所标识
+ * @param {string} symbol - 币种符号
+ * @returns {boolean}
+ */
+function supportsSymbol(exchange, symbol) {
+  const AdapterClass = EXCHANGE_ADAPTERS[exchange];
+  const instrument = parseInstrument(symbol);
+  return Boolean(AdapterClass && instrument) && AdapterClass.INST_TYPES.includes(instrument.instType);
+}
+
+/**
+ * 获取币种的行情数据源，第一个为主数据源，其余为备用数据源
+ * 不支持该品种类型的交易所会被跳过，如默认数据源含 binance 时永续合约只使用 okx
+ * @param {string} symbol - 币种符号
+ * @param {Object} exchanges - 数据源配置，默认使用当前的 config.exchanges
+ * @returns {string[]} 交易所标识列表，为空表示没有可用的数据源
+ */
+function getSymbolExchanges(symbol, exchanges = config.exchanges) {
+  return (exchanges.symbols[symbol] || exchanges.default).filter(exchange => supportsSymbol(exchange, symbol));
+}
+
+module.exports = {
+  BaseExchangeAdapter,
+  EXCHANGE_ADAPTERS,
+  createExchangeAdapter,
+  supportsSymbol,
+  getSymbolExchanges
+};
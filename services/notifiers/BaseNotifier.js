@@ -0,0 +1,86 @@
+/**
+ * 通知渠道基类
+ * 各渠道只需实现 _deliver，发送失败时抛出错误即可，日志和异常处理由基类统一完成
+ */
+
+const { postJson } = require('../../utils/http');
+const config = require('../../config');
+const logger = require('../../utils/logger').child('notify');
+
+class BaseNotifier {
+  /**
+   * @param {string} name - 渠道名称
+   * @param {Object} options - 渠道配置
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * 发送消息
+   * @param {string} content - 消息内容
+   * @param {Object} meta - 预警附加信息，如 { symbol, alertKey }
+   * @returns {Promise<boolean>} 发送是否成功
+   */
+  async send(content, meta = {}) {
+    if (!this.isConfigured()) {
+      logger.warn(`⚠️ 通知渠道 ${this.name} 未配置完整，跳过发送`);
+      return false;
+    }
+
+    try {
+      await this._deliver(content, meta);
+      logger.info(`✅ [${this.name}] 预警发送成功: ${new Date().toLocaleString()}`);
+      return true;
+    } catch (error) {
+      logger.error(`❌ [${this.name}] 预警发送失败: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 实际发送消息，由子类实现
+   * @param {string} content - 消息内容
+   * @param {Object} meta - 预警附加信息
+   * @returns {Promise<void>}
+   */
+  async _deliver(content, meta) {
+    throw new Error(`${this.constructor.name} 未实现 _deliver 方法`);
+  }
+
+  /**
+   * 检查渠道配置是否完整
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * 发送 JSON 请求
+   * @param {string} url - 请求地址
+   * @param {Object} payload - 请求体
+   * @param {Object} headers - 额外请求头
+   * @returns {Promise<Object>} { statusCode, body }
+   */
+  _post(url, payload, headers = {}) {
+    return postJson(url, payload, {
+      headers,
+      timeout: config.notifications.timeout
+    });
+  }
+
+  /**
+   * 校验 HTTP 状态码
+   * @param {Object} response - 响应 { statusCode, body }
+   */
+  _assertStatus(response) {
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      const detail = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+      throw new Error(`HTTP ${response.statusCode} ${detail || ''}`.trim());
+    }
+  }
+}
+
+module.exports = BaseNotifier;
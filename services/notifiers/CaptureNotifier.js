@@ -0,0 +1,35 @@
+/**
+ * 捕获通知渠道
+ * 不向外发送消息，只把预警记录在内存中，用于回放/回测时统计会触发哪些预警
+ * 渠道配置: { records } 可传入共享的记录数组，多个渠道的记录汇总到一起
+ */
+
+const BaseNotifier = require('./BaseNotifier');
+const clock = require('../../utils/clock');
+
+class CaptureNotifier extends BaseNotifier {
+  constructor(name, options = {}) {
+    super(name, {
+      records: [],
+      ...options
+    });
+    this.records = this.options.records;
+  }
+
+  async send(content, meta = {}) {
+    await this._deliver(content, meta);
+    return true;
+  }
+
+  async _deliver(content, meta) {
+    this.records.push({
+      time: clock.now(),
+      channel: this.name,
+      symbol: meta.symbol || null,
+      alertKey: meta.alertKey || null,
+      content
+    });
+  }
+}
+
+module.exports = CaptureNotifier;
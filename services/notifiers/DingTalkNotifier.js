@@ -0,0 +1,59 @@
+/**
+ * 钉钉机器人通知渠道
+ * 配置了 secret 时按加签方式发送
+ */
+
+const crypto = require('crypto');
+const BaseNotifier = require('./BaseNotifier');
+
+class DingTalkNotifier extends BaseNotifier {
+  /**
+   * @param {string} name - 渠道名称
+   * @param {Object} options - { accessToken, secret, apiUrl }
+   */
+  constructor(name, options = {}) {
+    super(name, {
+      apiUrl: 'https://oapi.dingtalk.com/robot/send',
+      ...options
+    });
+  }
+
+  isConfigured() {
+    return !!this.options.accessToken;
+  }
+
+  /**
+   * 生成加签参数
+   * @param {number} timestamp - 毫秒时间戳
+   * @returns {string} URL 编码后的签名
+   */
+  _sign(timestamp) {
+    const stringToSign = `${timestamp}\n${this.options.secret}`;
+    const signature = crypto.createHmac('sha256', this.options.secret)
+      .update(stringToSign)
+      .digest('base64');
+    return encodeURIComponent(signature);
+  }
+
+  async _deliver(content) {
+    const { apiUrl, accessToken, secret } = this.options;
+    let url = `${apiUrl}?access_token=${accessToken}`;
+
+    if (secret) {
+      const timestamp = Date.now();
+      url += `&timestamp=${timestamp}&sign=${this._sign(timestamp)}`;
+    }
+
+    const response = await this._post(url, {
+      msgtype: 'text',
+      text: { content }
+    });
+
+    this._assertStatus(response);
+    if (!response.body || response.body.errcode !== 0) {
+      throw new Error(response.body ? response.body.errmsg : '响应为空');
+    }
+  }
+}
+
+module.exports = DingTalkNotifier;
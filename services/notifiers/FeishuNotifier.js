@@ -0,0 +1,49 @@
+/**
+ * 飞书 / Lark 机器人通知渠道
+ * 配置了 secret 时按签名校验方式发送
+ * 渠道配置: { webhookUrl, secret }
+ */
+
+const crypto = require('crypto');
+const BaseNotifier = require('./BaseNotifier');
+
+class FeishuNotifier extends BaseNotifier {
+  isConfigured() {
+    return !!this.options.webhookUrl;
+  }
+
+  /**
+   * 生成签名，飞书以 "timestamp\nsecret" 作为密钥对空串做 HMAC
+   * @param {number} timestamp - 秒级时间戳
+   * @returns {string} base64 签名
+   */
+  _sign(timestamp) {
+    return crypto.createHmac('sha256', `${timestamp}\n${this.options.secret}`)
+      .update('')
+      .digest('base64');
+  }
+
+  async _deliver(content) {
+    const payload = {
+      msg_type: 'text',
+      content: { text: content }
+    };
+
+    if (this.options.secret) {
+      payload.timestamp = String(Math.floor(Date.now() / 1000));
+      payload.sign = this._sign(payload.timestamp);
+    }
+
+    const response = await this._post(this.options.webhookUrl, payload);
+
+    this._assertStatus(response);
+    // 新版接口返回 code，旧版返回 StatusCode
+    const body = response.body || {};
+    const code = body.code !== undefined ? body.code : body.StatusCode;
+    if (code !== 0) {
+      throw new Error(body.msg || body.StatusMessage || '响应为空');
+    }
+  }
+}
+
+module.exports = FeishuNotifier;
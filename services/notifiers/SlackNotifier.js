@@ -0,0 +1,19 @@
+/**
+ * Slack Incoming Webhook 通知渠道
+ * 渠道配置: { webhookUrl }
+ */
+
+const BaseNotifier = require('./BaseNotifier');
+
+class SlackNotifier extends BaseNotifier {
+  isConfigured() {
+    return !!this.options.webhookUrl;
+  }
+
+  async _deliver(content) {
+    const response = await this._post(this.options.webhookUrl, { text: content });
+    this._assertStatus(response);
+  }
+}
+
+module.exports = SlackNotifier;
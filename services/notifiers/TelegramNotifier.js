@@ -0,0 +1,38 @@
+/**
+ * Telegram 机器人通知渠道
+ */
+
+const BaseNotifier = require('./BaseNotifier');
+
+class TelegramNotifier extends BaseNotifier {
+  /**
+   * @param {string} name - 渠道名称
+   * @param {Object} options - { botToken, chatId, apiUrl }
+   */
+  constructor(name, options = {}) {
+    super(name, {
+      apiUrl: 'https://api.telegram.org',
+      ...options
+    });
+  }
+
+  isConfigured() {
+    return !!this.options.botToken && !!this.options.chatId;
+  }
+
+  async _deliver(content) {
+    const { apiUrl, botToken, chatId } = this.options;
+    const response = await this._post(`${apiUrl}/bot${botToken}/sendMessage`, {
+      chat_id: chatId,
+      text: content,
+      disable_web_page_preview: true
+    });
+
+    this._assertStatus(response);
+    if (!response.body || response.body.ok !== true) {
+      throw new Error(response.body ? response.body.description : '响应为空');
+    }
+  }
+}
+
+module.exports = TelegramNotifier;
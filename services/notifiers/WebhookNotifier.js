@@ -0,0 +1,35 @@
+/**
+ * 通用 JSON Webhook 通知渠道
+ * 将预警内容和附加信息以 JSON 形式推送到任意地址
+ */
+
+const BaseNotifier = require('./BaseNotifier');
+
+class WebhookNotifier extends BaseNotifier {
+  /**
+   * @param {string} name - 渠道名称
+   * @param {Object} options - { url, headers }
+   */
+  constructor(name, options = {}) {
+    super(name, {
+      headers: {},
+      ...options
+    });
+  }
+
+  isConfigured() {
+    return !!this.options.url;
+  }
+
+  async _deliver(content, meta) {
+    const response = await this._post(this.options.url, {
+      content,
+      ...meta,
+      timestamp: new Date().toISOString()
+    }, this.options.headers);
+
+    this._assertStatus(response);
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,35 @@
+/**
+ * 企业微信机器人通知渠道
+ * 渠道配置: { webhookKey, apiUrl }，未配置时使用 config.wechat
+ */
+
+const BaseNotifier = require('./BaseNotifier');
+const config = require('../../config');
+
+class WechatNotifier extends BaseNotifier {
+  get webhookKey() {
+    return this.options.webhookKey || config.wechat.webhookKey;
+  }
+
+  get apiUrl() {
+    return this.options.apiUrl || config.wechat.apiUrl;
+  }
+
+  isConfigured() {
+    return !!this.webhookKey && this.webhookKey !== 'your-webhook-key-here';
+  }
+
+  async _deliver(content) {
+    const response = await this._post(`${this.apiUrl}?key=${this.webhookKey}`, {
+      msgtype: 'text',
+      text: { content }
+    });
+
+    this._assertStatus(response);
+    if (!response.body || response.body.errcode !== 0) {
+      throw new Error(response.body ? response.body.errmsg : '响应为空');
+    }
+  }
+}
+
+module.exports = WechatNotifier;
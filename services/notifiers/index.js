@@ -0,0 +1,46 @@
+/**
+ * 通知渠道模块入口
+ * 根据渠道配置中的 type 创建对应的通知渠道实例
+ */
+
+const BaseNotifier = require('./BaseNotifier');
+const WechatNotifier = require('./WechatNotifier');
+const TelegramNotifier = require('./TelegramNotifier');
+const SlackNotifier = require('./SlackNotifier');
+const DingTalkNotifier = require('./DingTalkNotifier');
+const FeishuNotifier = require('./FeishuNotifier');
+const WebhookNotifier = require('./WebhookNotifier');
+const CaptureNotifier = require('./CaptureNotifier');
+
+// 渠道类型注册表
+const NOTIFIER_TYPES = {
+  wechat: WechatNotifier,
+  telegram: TelegramNotifier,
+  slack: SlackNotifier,
+  dingtalk: DingTalkNotifier,
+  feishu: FeishuNotifier,
+  lark: FeishuNotifier,
+  webhook: WebhookNotifier,
+  capture: CaptureNotifier
+};
+
+/**
+ * 创建通知渠道实例
+ * @param {string} name - 渠道名称
+ * @param {Object} options - 渠道配置，type 字段指定渠道类型
+ * @returns {BaseNotifier} 通知渠道实例
+ */
+function createNotifier(name, options = {}) {
+  const NotifierClass = NOTIFIER_TYPES[options.type];
+  if (!NotifierClass) {
+    throw new Error(`不支持的通知渠道类型: ${options.type}（渠道 ${name}），可选: ${Object.keys(NOTIFIER_TYPES).join(', ')}`);
+  }
+  return new NotifierClass(name, options);
+}
+
+module.exports = {
+  BaseNotifier,
+  CaptureNotifier,
+  NOTIFIER_TYPES,
+  createNotifier
+};
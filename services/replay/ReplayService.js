@@ -0,0 +1,176 @@
+/**
+ * 回放/回测服务类
+ * 将录制的行情或历史 K 线按时间顺序送入 PriceMonitorService，
+ * 通知统一由捕获渠道记录而不实际发送，结束后生成预警报告
+ */
+
+const config = require('../../config');
+const PriceMonitorService = require('../PriceMonitorService');
+const NotificationService = require('../NotificationService');
+const { CaptureNotifier } = require('../notifiers');
+const { openTickSource } = require('./tickSources');
+const clock = require('../../utils/clock');
+const { delay } = require('../../utils/helpers');
+const logger = require('../../utils/logger').child('replay');
+
+// 倍速回放时单次最长等待时间，避免录制中断造成的长时间空档
+const MAX_WAIT = 1000;
+
+class ReplayService {
+  /**
+   * @param {Object} options - 回放参数
+   * @param {string[]} options.files - 回放文件列表，按时间顺序排列
+   * @param {number} options.speed - 回放倍速，0 表示尽快回放
+   * @param {string[]} options.symbols - 只回放这些币种，为空时回放全部
+   * @param {boolean} options.useConfigThresholds - 使用配置文件中的初始阈值，默认以首条行情价格为基准
+   * @param {Object} options.csv - CSV 读取参数 { symbol, exchange, candleInterval }
+   */
+  constructor(options = {}) {
+    this.options = {
+      files: [],
+      speed: config.replay.speed,
+      symbols: [],
+      useConfigThresholds: false,
+      csv: {},
+      ...options
+    };
+    this.records = [];
+    this.tickCount = 0;
+    this.startTime = null;
+    this.endTime = null;
+    this.currentTime = 0;
+    // 已按首条行情设置初始阈值的币种
+    this.seededSymbols = new Set();
+
+    // 所有配置的渠道都替换为捕获渠道，保留渠道名称以便报告中体现预警会发往哪些渠道
+    const notifiers = {};
+    Object.keys(config.notifications.channels).forEach((name) => {
+      notifiers[name] = new CaptureNotifier(name, { records: this.records });
+    });
+
+    this.notificationService = new NotificationService({ notifiers });
+    this.priceMonitorService = new PriceMonitorService({
+      notificationService: this.notificationService
+    });
+  }
+
+  /**
+   * 执行回放
+   * @returns {Promise<Object>} 回放报告，见 getReport
+   */
+  async run() {
+    const { files, speed, symbols } = this.options;
+    if (files.length === 0) {
+      throw new Error('未指定回放文件');
+    }
+
+    clock.setSource(() => this.currentTime);
+
+    try {
+      for (const filePath of files) {
+        logger.info(`⏯️ 开始回放: ${filePath}`);
+
+        for await (const data of openTickSource(filePath, this.options.csv)) {
+          if (symbols.length > 0 && !symbols.includes(data.symbol)) continue;
+
+          const time = data.lastUpdate.getTime();
+          if (speed > 0 && this.endTime !== null && time > this.endTime) {
+            await delay(Math.min((time - this.endTime) / speed, MAX_WAIT));
+          }
+
+          this._processTick(data, time);
+
+          // 让出事件循环，使本条行情触发的预警在下一条行情前完成记录
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+    } finally {
+      clock.reset();
+    }
+
+    return this.getReport();
+  }
+
+  /**
+   * 处理单条行情
+   * @param {Object} data - 统一格式的行情数据
+   * @param {number} time - 行情时间戳
+   */
+  _processTick(data, time) {
+    // 多币种数据可能略有乱序，时钟只前进不后退
+    this.currentTime = Math.max(this.currentTime, time);
+    if (this.startTime === null) {
+      this.startTime = time;
+    }
+    this.endTime = this.currentTime;
+    this.tickCount++;
+
+    // 配置中的阈值对应当前行情，回测历史数据时默认以首条行情价格为基准
+    if (!this.options.useConfigThresholds && !this.seededSymbols.has(data.symbol)) {
+      const changeThreshold = config.alerts.priceChangeThreshold;
+      this.seededSymbols.add(data.symbol);
+      this.priceMonitorService.setThresholds(
+        data.symbol,
+        data.price * (1 - changeThreshold),
+        data.price * (1 + changeThreshold)
+      );
+    }
+
+    this.priceMonitorService.updateCryptoData(data.symbol, data);
+  }
+
+  /**
+   * 生成回放报告
+   * 同一预警发往多个渠道时合并为一条
+   * @returns {Object} { files, startTime, endTime, tickCount, settings, alerts, summary }
+   */
+  getReport() {
+    const alerts = [];
+
+    this.records.forEach((record) => {
+      const last = alerts[alerts.length - 1];
+      if (last && last.time === record.time && last.alertKey === record.alertKey && last.content === record.content) {
+        last.channels.push(record.channel);
+        return;
+      }
+
+      alerts.push({
+        time: record.time,
+        symbol: record.symbol,
+        alertKey: record.alertKey,
+        title: record.content.split('\n')[0],
+        channels: [record.channel],
+        content: record.content
+      });
+    });
+
+    const bySymbol = {};
+    const byType = {};
+    alerts.forEach((alert) => {
+      const symbol = alert.symbol || '-';
+      bySymbol[symbol] = (bySymbol[symbol] || 0) + 1;
+      byType[alert.title] = (byType[alert.title] || 0) + 1;
+    });
+
+    return {
+      files: this.options.files,
+      startTime: this.startTime !== null ? new Date(this.startTime) : null,
+      endTime: this.endTime !== null ? new Date(this.endTime) : null,
+      tickCount: this.tickCount,
+      settings: {
+        priceChangeThreshold: config.alerts.priceChangeThreshold,
+        bandMode: config.alerts.bands.mode,
+        cooldownPeriod: config.alerts.cooldownPeriod,
+        thresholds: this.options.useConfigThresholds ? 'config' : 'first_tick'
+      },
+      alerts: alerts.map(alert => ({ ...alert, time: new Date(alert.time) })),
+      summary: {
+        total: alerts.length,
+        bySymbol,
+        byType
+      }
+    };
+  }
+}
+
+module.exports = ReplayService;
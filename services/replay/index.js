@@ -0,0 +1,13 @@
+/**
+ * 回放/回测模块入口
+ */
+
+const ReplayService = require('./ReplayService');
+const { readNdjsonTicks, readCsvCandles, openTickSource } = require('./tickSources');
+
+module.exports = {
+  ReplayService,
+  readNdjsonTicks,
+  readCsvCandles,
+  openTickSource
+};
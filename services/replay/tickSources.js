@@ -0,0 +1,287 @@
+/**
+ * 回放数据源
+ * 读取录制的 NDJSON 行情文件或 CSV 历史 K 线，逐条产出与交易所适配器相同格式的行情数据
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../../config');
+const { calculatePriceChangePercent } = require('../../utils/helpers');
+const { normalizeSymbol } = require('../../utils/instrument');
+const logger = require('../../utils/logger').child('replay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CSV 列名别名（不区分大小写）
+const CSV_COLUMNS = {
+  time: ['time', 'timestamp', 'ts', 'date', 'datetime', 'open_time', 'opentime'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'vol', 'v'],
+  symbol: ['symbol', 'instid', 'pair']
+};
+
+/**
+ * 按行读取文件
+ * @param {string} filePath - 文件路径
+ * @returns {readline.Interface} 可异步迭代的行读取器
+ */
+function readLines(filePath) {
+  return readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+}
+
+/**
+ * 读取 TickRecorder 录制的 NDJSON 行情文件
+ * @param {string} filePath - 文件路径
+ * @returns {AsyncGenerator<Object>} 统一格式的行情数据
+ */
+async function* readNdjsonTicks(filePath) {
+  let lineNumber = 0;
+
+  for await (const line of readLines(filePath)) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (error) {
+      logger.warn(`⚠️ 跳过无效的行情记录 ${filePath}:${lineNumber}: ${error.message}`);
+      continue;
+    }
+
+    if (!data || !data.symbol || typeof data.price !== 'number') {
+      logger.warn(`⚠️ 跳过缺少字段的行情记录 ${filePath}:${lineNumber}`);
+      continue;
+    }
+
+    // 旧的录制文件使用 BTCUSDT 写法
+    data.symbol = normalizeSymbol(data.symbol);
+    data.lastUpdate = new Date(data.lastUpdate);
+    yield data;
+  }
+}
+
+/**
+ * 解析 CSV 中的时间，支持秒/毫秒时间戳和日期字符串
+ * @param {string} value - 时间字段
+ * @returns {number} 毫秒时间戳，无法解析时为 NaN
+ */
+function parseCsvTime(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    const number = parseFloat(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  return Date.parse(value);
+}
+
+/**
+ * 根据表头确定各字段所在的列
+ * @param {string[]} header - 表头
+ * @returns {Object} 字段名到列序号的映射
+ */
+function resolveCsvColumns(header) {
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+
+  Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+    columns[field] = names.findIndex(name => aliases.includes(name));
+  });
+
+  const missing = ['time', 'open', 'high', 'low', 'close'].filter(field => columns[field] < 0);
+  if (missing.length > 0) {
+    throw new Error(`CSV 缺少必要的列: ${missing.join(', ')}（表头: ${header.join(',')}）`);
+  }
+  return columns;
+}
+
+/**
+ * 24 小时滚动窗口，用于从 K 线推算 24h 开盘价、最高价、最低价和成交量
+ * 最高/最低价使用单调队列维护，每根 K 线摊还 O(1)
+ */
+class RollingDayWindow {
+  constructor() {
+    this.candles = [];
+    this.head = 0;
+    this.maxQueue = [];
+    this.minQueue = [];
+    this.volume = 0;
+  }
+
+  push(candle) {
+    this.candles.push(candle);
+    this.volume += candle.volume;
+
+    while (this.maxQueue.length > 0 && this.maxQueue[this.maxQueue.length - 1].high <= candle.high) {
+      this.maxQueue.pop();
+    }
+    this.maxQueue.push(candle);
+
+    while (this.minQueue.length > 0 && this.minQueue[this.minQueue.length - 1].low >= candle.low) {
+      this.minQueue.pop();
+    }
+    this.minQueue.push(candle);
+  }
+
+  /**
+   * 移除早于指定时间的 K 线
+   * @param {number} since - 起始时间戳
+   */
+  evict(since) {
+    while (this.head < this.candles.length && this.candles[this.head].time < since) {
+      const candle = this.candles[this.head++];
+      this.volume -= candle.volume;
+      if (this.maxQueue[0] === candle) this.maxQueue.shift();
+      if (this.minQueue[0] === candle) this.minQueue.shift();
+    }
+
+    // 定期压缩已移除的部分
+    if (this.head > 1024 && this.head * 2 > this.candles.length) {
+      this.candles = this.candles.slice(this.head);
+      this.head = 0;
+    }
+  }
+
+  get open() {
+    return this.head < this.candles.length ? this.candles[this.head].open : null;
+  }
+
+  get high() {
+    return this.maxQueue.length > 0 ? this.maxQueue[0].high : -Infinity;
+  }
+
+  get low() {
+    return this.minQueue.length > 0 ? this.minQueue[0].low : Infinity;
+  }
+}
+
+/**
+ * 将一根 K 线展开为 4 条行情：开盘、先到的极值、后到的极值、收盘
+ * 阳线按 开 -> 低 -> 高 -> 收，阴线按 开 -> 高 -> 低 -> 收
+ * @param {Object} candle - { time, open, high, low, close }
+ * @param {number} interval - K 线周期（毫秒）
+ * @returns {Array} [{ time, price }]
+ */
+function expandCandle(candle, interval) {
+  const { time, open, high, low, close } = candle;
+  const prices = close >= open ? [open, low, high, close] : [open, high, low, close];
+  const step = interval / 3;
+
+  return prices.map((price, index) => ({
+    time: index === 3 ? time + interval - 1 : Math.round(time + step * index),
+    price
+  }));
+}
+
+/**
+ * 读取 CSV 历史 K 线，每根 K 线展开为多条行情
+ * 表头需包含时间、开高低收列，成交量和币种列可选；没有币种列时使用 options.symbol
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - { symbol, exchange, candleInterval }
+ * @returns {AsyncGenerator<Object>} 统一格式的行情数据
+ */
+async function* readCsvCandles(filePath, options = {}) {
+  const { replay } = config;
+  const defaultInterval = options.candleInterval || replay.candleInterval;
+  const exchange = options.exchange !== undefined ? options.exchange : replay.exchange;
+  // 每个币种的 { window, lastTime }
+  const states = new Map();
+  let columns = null;
+  let lineNumber = 0;
+
+  for await (const line of readLines(filePath)) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    const cells = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+    if (!columns) {
+      columns = resolveCsvColumns(cells);
+      if (columns.symbol < 0 && !options.symbol) {
+        throw new Error(`CSV 没有币种列，请通过 --symbol 指定币种: ${filePath}`);
+      }
+      continue;
+    }
+
+    const symbol = columns.symbol >= 0 ? normalizeSymbol(cells[columns.symbol]) : options.symbol;
+    const candle = {
+      time: parseCsvTime(cells[columns.time]),
+      open: parseFloat(cells[columns.open]),
+      high: parseFloat(cells[columns.high]),
+      low: parseFloat(cells[columns.low]),
+      close: parseFloat(cells[columns.close]),
+      volume: columns.volume >= 0 ? parseFloat(cells[columns.volume]) || 0 : 0
+    };
+
+    if ([candle.time, candle.open, candle.high, candle.low, candle.close].some(isNaN)) {
+      logger.warn(`⚠️ 跳过无效的 K 线 ${filePath}:${lineNumber}`);
+      continue;
+    }
+
+    let state = states.get(symbol);
+    if (!state) {
+      state = { window: new RollingDayWindow(), lastTime: null };
+      states.set(symbol, state);
+    }
+
+    // K 线周期取与上一根的间隔，首根使用默认周期
+    const interval = state.lastTime !== null && candle.time > state.lastTime
+      ? candle.time - state.lastTime
+      : defaultInterval;
+    state.lastTime = candle.time;
+
+    const { window } = state;
+    window.evict(candle.time - DAY_MS);
+    const open24h = window.open !== null ? window.open : candle.open;
+    let high = candle.open;
+    let low = candle.open;
+
+    for (const tick of expandCandle(candle, interval)) {
+      high = Math.max(high, tick.price);
+      low = Math.min(low, tick.price);
+
+      yield {
+        symbol,
+        exchange,
+        price: tick.price,
+        priceChange: tick.price - open24h,
+        priceChangePercent: calculatePriceChangePercent(tick.price, open24h),
+        volume: window.volume + candle.volume,
+        high24h: Math.max(window.high, high),
+        low24h: Math.min(window.low, low),
+        lastUpdate: new Date(tick.time)
+      };
+    }
+
+    window.push(candle);
+  }
+}
+
+/**
+ * 按文件扩展名选择数据源
+ * @param {string} filePath - 文件路径（.ndjson / .jsonl / .csv）
+ * @param {Object} options - CSV 读取参数，同 readCsvCandles
+ * @returns {AsyncGenerator<Object>} 统一格式的行情数据
+ */
+function openTickSource(filePath, options = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.csv') {
+    return readCsvCandles(filePath, options);
+  }
+  if (ext === '.ndjson' || ext === '.jsonl') {
+    return readNdjsonTicks(filePath);
+  }
+  throw new Error(`不支持的回放文件格式: ${filePath}（支持 .ndjson、.jsonl、.csv）`);
+}
+
+module.exports = {
+  readNdjsonTicks,
+  readCsvCandles,
+  openTickSource
+};
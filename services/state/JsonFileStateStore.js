@@ -0,0 +1,50 @@
+/**
+ * JSON 文件状态存储
+ * 将状态写入本地 JSON 文件，写入时先写临时文件再重命名，避免文件损坏
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StateStore = require('./StateStore');
+
+class JsonFileStateStore extends StateStore {
+  /**
+   * @param {string} filePath - 状态文件路径
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+  }
+
+  async load() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`状态文件格式错误 ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async save(state) {
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  describe() {
+    return `JSON 文件 (${this.filePath})`;
+  }
+}
+
+module.exports = JsonFileStateStore;
@@ -0,0 +1,28 @@
+/**
+ * 内存状态存储
+ * 仅在进程内保存状态，适用于关闭持久化或测试场景
+ */
+
+const StateStore = require('./StateStore');
+const { deepClone } = require('../../utils/helpers');
+
+class MemoryStateStore extends StateStore {
+  constructor() {
+    super();
+    this.state = null;
+  }
+
+  async load() {
+    return deepClone(this.state);
+  }
+
+  async save(state) {
+    this.state = deepClone(state);
+  }
+
+  describe() {
+    return '内存';
+  }
+}
+
+module.exports = MemoryStateStore;
@@ -0,0 +1,33 @@
+/**
+ * 状态存储基类
+ * 定义持久化后端需要实现的接口，用于在重启之间保存运行时状态
+ */
+
+class StateStore {
+  /**
+   * 读取已保存的状态
+   * @returns {Promise<Object|null>} 状态对象，不存在时返回 null
+   */
+  async load() {
+    throw new Error(`${this.constructor.name} 未实现 load 方法`);
+  }
+
+  /**
+   * 保存状态
+   * @param {Object} state - 要保存的状态对象
+   * @returns {Promise<void>}
+   */
+  async save(state) {
+    throw new Error(`${this.constructor.name} 未实现 save 方法`);
+  }
+
+  /**
+   * 获取后端描述，用于日志输出
+   * @returns {string}
+   */
+  describe() {
+    return this.constructor.name;
+  }
+}
+
+module.exports = StateStore;
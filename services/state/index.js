@@ -0,0 +1,31 @@
+/**
+ * 状态存储模块入口
+ * 根据配置创建对应的存储后端
+ */
+
+const StateStore = require('./StateStore');
+const MemoryStateStore = require('./MemoryStateStore');
+const JsonFileStateStore = require('./JsonFileStateStore');
+
+/**
+ * 创建状态存储实例
+ * @param {Object} options - 存储配置 { backend, filePath }
+ * @returns {StateStore} 状态存储实例
+ */
+function createStateStore(options = {}) {
+  switch (options.backend) {
+    case 'json':
+      return new JsonFileStateStore(options.filePath);
+    case 'memory':
+      return new MemoryStateStore();
+    default:
+      throw new Error(`不支持的状态存储后端: ${options.backend}`);
+  }
+}
+
+module.exports = {
+  StateStore,
+  MemoryStateStore,
+  JsonFileStateStore,
+  createStateStore
+};
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AlertRuleEngine = require('../services/AlertRuleEngine');
+
+// 规则增删日志不输出到测试报告
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const tick = (price, extra = {}) => ({ symbol: 'BTC-USDT', price, ...extra });
+
+const createEngine = rule => new AlertRuleEngine([{ id: 'r1', symbol: 'BTC-USDT', cooldown: 0, ...rule }]);
+
+test('校验规则参数', () => {
+  assert.throws(() => createEngine({ type: 'unknown', value: 1 }), /不支持的规则类型/);
+  assert.throws(() => createEngine({ type: 'price_above' }), /缺少数值参数/);
+  assert.throws(() => createEngine({ type: 'price_above', value: 1, symbol: 'not a symbol' }), /无效的币种符号/);
+  assert.throws(() => createEngine({ type: 'price_above', value: 1, mode: 'always' }), /不支持的触发模式/);
+  assert.throws(() => createEngine({ type: 'price_above', value: 1, cooldown: -1 }), /无效的冷却时间/);
+  assert.throws(() => createEngine({ type: 'change_24h', value: 5, direction: 'sideways' }), /不支持的方向/);
+  assert.throws(() => createEngine({ type: 'price_above', value: 1, hysteresis: -1 }), /无效的回差/);
+  assert.throws(() => createEngine({ type: 'price_above', value: 1, hysteresis: '1' }), /无效的回差/);
+  assert.throws(() => createEngine({ type: 'price_above', value: 1, severity: 'fatal' }), /不支持的预警级别/);
+  assert.doesNotThrow(() => createEngine({ type: 'new_high_24h' }));
+});
+
+test('规则符号按统一格式保存', () => {
+  const engine = createEngine({ symbol: 'btcusdt', type: 'price_above', value: 1 });
+  assert.strictEqual(engine.getRule('r1').symbol, 'BTC-USDT');
+});
+
+test('once 模式只触发一次', () => {
+  const engine = createEngine({ type: 'price_above', value: 100, mode: 'once' });
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(101), null, 1000).length, 1);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(90), tick(101), 2000).length, 0);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(102), tick(90), 3000).length, 0);
+});
+
+test('rearm 模式需条件解除超过回差后才会再次触发', () => {
+  const engine = createEngine({ type: 'price_above', value: 100, mode: 'rearm', hysteresis: 1 });
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(101), null, 1000).length, 1);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(102), null, 2000).length, 0);
+
+  // 99.5 未低于 100 - 1% 的回差，不重新布防
+  engine.evaluate('BTC-USDT', tick(99.5), null, 3000);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(101), null, 4000).length, 0);
+
+  engine.evaluate('BTC-USDT', tick(98), null, 5000);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(101), null, 6000).length, 1);
+});
+
+test('repeat 模式受冷却时间限制', () => {
+  const engine = createEngine({ type: 'price_below', value: 100, mode: 'repeat', cooldown: 60000 });
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(99), null, 1).length, 1);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(98), null, 30000).length, 0);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(98), null, 60001).length, 1);
+});
+
+test('价格穿越需要上一次的价格', () => {
+  const engine = createEngine({ type: 'price_cross', value: 100, mode: 'repeat' });
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(101), null, 1000).length, 0);
+
+  const [up] = engine.evaluate('BTC-USDT', tick(101), tick(99), 2000);
+  assert.match(up.detail, /向上穿越/);
+  const [down] = engine.evaluate('BTC-USDT', tick(99), tick(101), 3000);
+  assert.match(down.detail, /向下穿越/);
+});
+
+test('24h 涨跌幅按方向判断', () => {
+  const engine = new AlertRuleEngine([
+    { id: 'up', symbol: 'BTC-USDT', type: 'change_24h', value: 5, direction: 'up', cooldown: 0 },
+    { id: 'down', symbol: 'BTC-USDT', type: 'change_24h', value: 5, direction: 'down', cooldown: 0 },
+    { id: 'any', symbol: 'BTC-USDT', type: 'change_24h', value: 5, cooldown: 0 }
+  ]);
+  const ids = engine.evaluate('BTC-USDT', tick(100, { priceChangePercent: -6 }), null, 1000).map(({ rule }) => rule.id);
+  assert.deepStrictEqual(ids.sort(), ['any', 'down']);
+});
+
+test('创 24h 新高需上一次的最高价', () => {
+  const engine = createEngine({ type: 'new_high_24h', mode: 'repeat' });
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(101, { high24h: 101 }), null, 1000).length, 0);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(102, { high24h: 102 }), tick(101, { high24h: 101 }), 2000).length, 1);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(101, { high24h: 102 }), tick(102, { high24h: 102 }), 3000).length, 0);
+});
+
+test('通配规则对所有币种生效，禁用的规则不触发', () => {
+  const engine = new AlertRuleEngine([
+    { id: 'all', symbol: '*', type: 'volume_above', value: 10, cooldown: 0 },
+    { id: 'off', symbol: 'ETH-USDT', type: 'volume_above', value: 10, cooldown: 0, enabled: false }
+  ]);
+  const triggered = engine.evaluate('ETH-USDT', { symbol: 'ETH-USDT', price: 1, volume: 20 }, null, 1000);
+  assert.deepStrictEqual(triggered.map(({ rule }) => rule.id), ['all']);
+});
+
+test('重置后单次规则可再次触发', () => {
+  const engine = createEngine({ type: 'price_above', value: 100, mode: 'once' });
+  engine.evaluate('BTC-USDT', tick(101), null, 1000);
+  assert.strictEqual(engine.getRule('r1').state.triggered, true);
+
+  assert.strictEqual(engine.resetRule('r1'), true);
+  assert.strictEqual(engine.resetRule('missing'), false);
+  assert.strictEqual(engine.evaluate('BTC-USDT', tick(101), null, 2000).length, 1);
+});
+
+test('增删改规则', () => {
+  const engine = createEngine({ type: 'price_above', value: 100 });
+  assert.throws(() => engine.addRule({ id: 'r1', symbol: 'BTC-USDT', type: 'price_below', value: 1 }), /规则已存在/);
+
+  engine.addRule({ id: 'r2', symbol: 'ETH-USDT', type: 'price_below', value: 1000 });
+  assert.deepStrictEqual(engine.getRules('ETH-USDT').map(rule => rule.id), ['r2']);
+
+  assert.strictEqual(engine.updateRule('r2', { value: 900 }).value, 900);
+  assert.strictEqual(engine.updateRule('missing', { value: 1 }), null);
+  assert.throws(() => engine.updateRule('r2', { mode: 'always' }), /不支持的触发模式/);
+
+  assert.strictEqual(engine.removeRule('r1'), true);
+  assert.strictEqual(engine.removeRule('r1'), false);
+  assert.deepStrictEqual(engine.getRules().map(rule => rule.id), ['r2']);
+});
+
+test('导出并恢复运行时规则、删除记录和触发状态', () => {
+  const configRules = [
+    { id: 'r1', symbol: 'BTC-USDT', type: 'price_above', value: 100, mode: 'once', cooldown: 0 },
+    { id: 'r2', symbol: 'ETH-USDT', type: 'price_below', value: 1000, cooldown: 0 }
+  ];
+  const engine = new AlertRuleEngine(configRules);
+  engine.addRule({ id: 'r3', symbol: 'SOL-USDT', type: 'price_above', value: 200 });
+  engine.removeRule('r2');
+  engine.evaluate('BTC-USDT', tick(101), null, 1000);
+
+  const saved = JSON.parse(JSON.stringify(engine.exportRules()));
+  assert.deepStrictEqual(saved.items.map(rule => rule.id), ['r3']);
+  assert.deepStrictEqual(saved.removed, ['r2']);
+
+  const restored = new AlertRuleEngine(configRules);
+  assert.strictEqual(restored.restoreRules(saved), 1);
+  assert.deepStrictEqual(restored.getRules().map(rule => rule.id).sort(), ['r1', 'r3']);
+  assert.strictEqual(restored.getRule('r1').state.triggered, true);
+  assert.strictEqual(restored.evaluate('BTC-USDT', tick(102), null, 2000).length, 0);
+});
+
+test('恢复时忽略无效的已保存规则', () => {
+  const engine = new AlertRuleEngine();
+  assert.strictEqual(engine.restoreRules({ items: [{ id: 'bad', symbol: 'BTC-USDT', type: 'unknown' }] }), 0);
+  assert.strictEqual(engine.getRule('bad'), null);
+});
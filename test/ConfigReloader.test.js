@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const ConfigReloader = require('../services/ConfigReloader');
+const { diffConfig, replaceConfig } = require('../utils/configLoader');
+const { deepClone } = require('../utils/helpers');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-monitor-reload-'));
+const configFile = path.join(tmpDir, 'config.yaml');
+const originalConfig = deepClone(config);
+const originalConfigFile = process.env.CONFIG_FILE;
+
+// 重新加载时通过环境变量找到临时配置文件
+process.env.CONFIG_FILE = configFile;
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+
+test.afterEach(() => replaceConfig(config, deepClone(originalConfig)));
+test.after(() => {
+  if (originalConfigFile === undefined) {
+    delete process.env.CONFIG_FILE;
+  } else {
+    process.env.CONFIG_FILE = originalConfigFile;
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * 记录调用的监控服务
+ */
+function createMonitor() {
+  const calls = { thresholds: [], rules: [], channels: 0, symbols: [] };
+  const monitor = new EventEmitter();
+  monitor.applyDefaultSymbols = (previous) => {
+    calls.symbols.push(previous);
+    return { added: ['XRP-USDT'], removed: [] };
+  };
+  monitor.priceMonitorService = {
+    setThresholds: (symbol, min, max) => calls.thresholds.push([symbol, min, max]),
+    ruleEngine: {
+      reloadConfigRules: (rules) => {
+        calls.rules.push(rules);
+        return { added: rules.map(rule => rule.id), updated: [], removed: [] };
+      }
+    },
+    notificationService: {
+      reloadChannels: () => {
+        calls.channels++;
+        return true;
+      }
+    }
+  };
+  return { monitor, calls };
+}
+
+test('diffConfig 列出变化的叶子路径，数组整体比较', () => {
+  const previous = { a: { b: 1, c: [1, 2] }, d: 'x', removed: true };
+  const next = { a: { b: 2, c: [1, 2] }, d: 'x', added: { e: 1 } };
+  assert.deepStrictEqual(diffConfig(previous, next).sort(), ['a.b', 'added', 'removed']);
+  assert.deepStrictEqual(diffConfig({ list: [1, 2] }, { list: [2, 1] }), ['list']);
+  assert.deepStrictEqual(diffConfig(previous, deepClone(previous)), []);
+});
+
+test('replaceConfig 保持对象引用并删除新配置中没有的字段', () => {
+  const target = { a: { b: 1 }, stale: true };
+  const oldA = target.a;
+  replaceConfig(target, { a: { b: 2 } });
+  assert.deepStrictEqual(Object.keys(target), ['a', 'configFile']);
+  assert.deepStrictEqual(target.a, { b: 2 });
+  assert.deepStrictEqual(oldA, { b: 1 });
+});
+
+test('重新加载后应用阈值、规则、通知渠道和币种的变化', () => {
+  fs.writeFileSync(configFile, [
+    'symbols:',
+    '  default: [BTC-USDT, XRP-USDT]',
+    '  thresholds:',
+    '    BTC-USDT: { min: 100000, max: 120000 }',
+    'rules:',
+    '  - { id: r1, symbol: BTC-USDT, type: price_above, value: 120000 }',
+    'notifications:',
+    '  channels:',
+    '    slack: { webhookUrl: "https://hooks.example.com/x" }',
+    'alerts:',
+    '  cooldownPeriod: 1000',
+    'http:',
+    '  port: 4000'
+  ].join('\n'));
+
+  const { monitor, calls } = createMonitor();
+  const events = [];
+  monitor.on('configReloaded', summary => events.push(summary));
+  const previousDefault = config.symbols.default;
+
+  const summary = new ConfigReloader(monitor).reload('测试');
+
+  assert.deepStrictEqual(calls.thresholds, [['BTC-USDT', 100000, 120000]]);
+  assert.deepStrictEqual(calls.symbols, [previousDefault]);
+  assert.deepStrictEqual(calls.rules[0].map(rule => rule.id), ['r1']);
+  assert.strictEqual(calls.channels, 1);
+  assert.deepStrictEqual(summary.symbols, { added: ['XRP-USDT'], removed: [] });
+  assert.deepStrictEqual(summary.thresholds, ['BTC-USDT']);
+  assert.deepStrictEqual(summary.restartRequired, ['http.port']);
+  assert.deepStrictEqual(summary.other, ['alerts.cooldownPeriod']);
+  assert.strictEqual(config.alerts.cooldownPeriod, 1000);
+  assert.strictEqual(config.configFile, configFile);
+  assert.deepStrictEqual(events, [summary]);
+});
+
+test('配置没有变化时不应用', () => {
+  fs.writeFileSync(configFile, 'alerts:\n  cooldownPeriod: 1000\n');
+  const { monitor } = createMonitor();
+  const reloader = new ConfigReloader(monitor);
+  reloader.reload();
+
+  const events = [];
+  monitor.on('configReloaded', summary => events.push(summary));
+  assert.deepStrictEqual(reloader.reload(), { changes: [] });
+  assert.strictEqual(events.length, 0);
+});
+
+test('新配置解析或校验失败时保持当前配置', (t) => {
+  const { monitor, calls } = createMonitor();
+  const error = t.mock.method(console, 'error', () => {});
+  const reloader = new ConfigReloader(monitor);
+
+  fs.writeFileSync(configFile, 'http:\n  port: abc\nalerts:\n  cooldownPeriod: 1000\n');
+  assert.strictEqual(reloader.reload(), null);
+  fs.writeFileSync(configFile, 'alerts: [1, 2');
+  assert.strictEqual(reloader.reload(), null);
+
+  assert.strictEqual(config.alerts.cooldownPeriod, originalConfig.alerts.cooldownPeriod);
+  assert.deepStrictEqual(calls.thresholds, []);
+  assert.match(error.mock.calls[0].arguments[0], /新配置校验失败/);
+  assert.match(error.mock.calls[1].arguments[0], /重新加载配置失败/);
+});
+
+test('自动查找到的配置文件被删除时保持当前配置', (t) => {
+  const { monitor } = createMonitor();
+  const missing = path.join(tmpDir, 'missing.yaml');
+  config.configFile = missing;
+  // 不指定配置文件，工作目录中也没有时重新加载的结果不带 configFile
+  delete process.env.CONFIG_FILE;
+  t.after(() => { process.env.CONFIG_FILE = configFile; });
+  const emptyDir = fs.mkdtempSync(path.join(tmpDir, 'cwd-'));
+  t.mock.method(process, 'cwd', () => emptyDir);
+  const error = t.mock.method(console, 'error', () => {});
+
+  assert.strictEqual(new ConfigReloader(monitor).reload(), null);
+  assert.strictEqual(config.configFile, missing);
+  assert.match(error.mock.calls[0].arguments[0], /missing\.yaml 不存在/);
+});
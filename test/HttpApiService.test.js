@@ -0,0 +1,361 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const http = require('http');
+const config = require('../config');
+const HttpApiService = require('../services/HttpApiService');
+const AlertRuleEngine = require('../services/AlertRuleEngine');
+const PriceTargetTracker = require('../services/PriceTargetTracker');
+
+/**
+ * 只实现接口用到的方法的监控服务
+ */
+function createMonitor() {
+  const thresholds = { 'BTC-USDT': { min: 100, max: 200 } };
+  const symbols = ['BTC-USDT'];
+  const monitor = new EventEmitter();
+  const priceMonitorService = new EventEmitter();
+  Object.assign(priceMonitorService, {
+    getThresholds: symbol => thresholds[symbol] || null,
+    getCryptoData: symbol => (symbol === 'BTC-USDT' ? { symbol, price: 150 } : null),
+    getPriceHistory: () => [],
+    getActiveSource: () => null,
+    targetTracker: new PriceTargetTracker(),
+    notificationService: { hasChannel: name => name === 'slack' }
+  });
+  return Object.assign(monitor, {
+    marketDataService: new EventEmitter(),
+    priceMonitorService,
+    getStatus: () => ({ isRunning: true }),
+    getAllPrices: () => ({ 'BTC-USDT': { price: 150 } }),
+    getRecentAlerts: () => [],
+    getSymbols: () => symbols.slice(),
+    getSymbolInfo: symbol => (symbols.includes(symbol) ? { symbol, thresholds: thresholds[symbol] } : null),
+    addSymbol: (symbol, value) => {
+      symbols.push(symbol);
+      if (value) thresholds[symbol] = value;
+      return true;
+    },
+    removeSymbol: symbol => symbols.splice(symbols.indexOf(symbol), 1),
+    setThresholds: (symbol, min, max) => {
+      thresholds[symbol] = { min, max };
+      return true;
+    }
+  });
+}
+
+/**
+ * 发送请求
+ * @returns {Promise<Object>} { status, body }
+ */
+function request(service, method, path, { body, headers = {} } = {}) {
+  const { port } = service.server.address();
+  const payload = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * 启动服务，执行用例后关闭
+ */
+async function withService(run, monitor = createMonitor()) {
+  const service = new HttpApiService(monitor);
+  await service.start();
+  try {
+    await run(service, monitor);
+  } finally {
+    await service.stop();
+  }
+}
+
+// 启动和关闭日志不输出到测试报告
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const originalHttp = { ...config.http };
+const originalDashboard = { ...config.dashboard };
+test.beforeEach(() => {
+  Object.assign(config.http, { host: '127.0.0.1', port: 0, token: '' });
+  config.dashboard.enabled = true;
+});
+test.after(() => {
+  Object.assign(config.http, originalHttp);
+  Object.assign(config.dashboard, originalDashboard);
+});
+
+test('查询状态、价格和币种列表', () => withService(async (service) => {
+  assert.deepStrictEqual(await request(service, 'GET', '/api/status'), {
+    status: 200, body: { success: true, data: { isRunning: true } }
+  });
+  assert.deepStrictEqual((await request(service, 'GET', '/api/prices')).body.data, { 'BTC-USDT': { price: 150 } });
+  assert.deepStrictEqual((await request(service, 'GET', '/api/symbols')).body.data, { symbols: ['BTC-USDT'] });
+}));
+
+test('路径参数不区分大小写，不存在的币种返回 404', () => withService(async (service) => {
+  assert.strictEqual((await request(service, 'GET', '/api/symbols/btcusdt')).body.data.symbol, 'BTC-USDT');
+  const missing = await request(service, 'GET', '/api/symbols/ETH-USDT');
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.success, false);
+}));
+
+test('添加和删除币种', () => withService(async (service, monitor) => {
+  const added = await request(service, 'POST', '/api/symbols', {
+    body: { symbol: 'ethusdt', thresholds: { min: 1, max: 2 } }
+  });
+  assert.deepStrictEqual(added.body.data, { symbol: 'ETH-USDT', subscribed: true });
+  assert.deepStrictEqual(monitor.getSymbols(), ['BTC-USDT', 'ETH-USDT']);
+
+  assert.strictEqual((await request(service, 'POST', '/api/symbols', { body: { symbol: 'ETH' } })).status, 400);
+  assert.strictEqual((await request(service, 'POST', '/api/symbols', {
+    body: { symbol: 'SOL-USDT', thresholds: { min: 2, max: 1 } }
+  })).status, 400);
+
+  assert.strictEqual((await request(service, 'DELETE', '/api/symbols/ETH-USDT')).status, 200);
+  assert.deepStrictEqual(monitor.getSymbols(), ['BTC-USDT']);
+  assert.strictEqual((await request(service, 'DELETE', '/api/symbols/ETH-USDT')).status, 404);
+}));
+
+test('查询和修改阈值', () => withService(async (service) => {
+  assert.deepStrictEqual((await request(service, 'GET', '/api/symbols/BTC-USDT/thresholds')).body.data, { min: 100, max: 200 });
+  const updated = await request(service, 'PUT', '/api/symbols/BTC-USDT/thresholds', { body: { min: 120, max: 180 } });
+  assert.deepStrictEqual(updated.body.data, { min: 120, max: 180 });
+
+  assert.strictEqual((await request(service, 'PUT', '/api/symbols/BTC-USDT/thresholds', { body: { min: '1', max: 2 } })).status, 400);
+  assert.strictEqual((await request(service, 'GET', '/api/symbols/ETH-USDT/thresholds')).status, 404);
+}));
+
+test('添加、查询、重置和删除价格目标', () => withService(async (service, monitor) => {
+  const { targetTracker } = monitor.priceMonitorService;
+  const added = await request(service, 'POST', '/api/targets', {
+    body: { id: 'tp', symbol: 'btcusdt', direction: 'above', price: 110000, channels: ['slack'] }
+  });
+  assert.strictEqual(added.status, 200);
+  assert.strictEqual(added.body.data.symbol, 'BTC-USDT');
+
+  assert.strictEqual((await request(service, 'POST', '/api/targets', {
+    body: { symbol: 'BTC-USDT', direction: 'above', price: 1, channels: ['nope'] }
+  })).status, 400);
+  assert.strictEqual((await request(service, 'POST', '/api/targets', {
+    body: { symbol: 'BTC-USDT', direction: 'up', price: 1 }
+  })).status, 400);
+
+  assert.deepStrictEqual((await request(service, 'GET', '/api/targets?symbol=btcusdt')).body.data.map(target => target.id), ['tp']);
+  assert.deepStrictEqual((await request(service, 'GET', '/api/targets?symbol=ETH-USDT')).body.data, []);
+
+  targetTracker.evaluate('BTC-USDT', 110000);
+  assert.strictEqual((await request(service, 'GET', '/api/targets/tp')).body.data.state.triggered, true);
+  assert.strictEqual((await request(service, 'GET', '/api/targets/history?limit=1')).body.data[0].id, 'tp');
+  assert.strictEqual((await request(service, 'GET', '/api/targets/history?limit=0')).status, 400);
+  assert.strictEqual((await request(service, 'POST', '/api/targets/tp/reset')).body.data.state.triggered, false);
+
+  assert.strictEqual((await request(service, 'DELETE', '/api/targets/tp')).status, 200);
+  assert.strictEqual((await request(service, 'GET', '/api/targets/tp')).status, 404);
+  assert.strictEqual((await request(service, 'DELETE', '/api/targets/tp')).status, 404);
+  assert.strictEqual((await request(service, 'POST', '/api/targets/tp/reset')).status, 404);
+}));
+
+test('配置中的价格目标不能通过接口删除', () => {
+  const monitor = createMonitor();
+  monitor.priceMonitorService.targetTracker = new PriceTargetTracker([
+    { id: 'cfg', symbol: 'BTC-USDT', direction: 'below', price: 100 }
+  ]);
+  return withService(async (service) => {
+    assert.strictEqual((await request(service, 'DELETE', '/api/targets/cfg')).status, 400);
+  }, monitor);
+});
+
+test('未知接口返回 404，不支持的方法返回 405', () => withService(async (service) => {
+  assert.strictEqual((await request(service, 'GET', '/api/unknown')).status, 404);
+  assert.strictEqual((await request(service, 'PATCH', '/api/symbols')).status, 405);
+}));
+
+test('路径参数编码错误时返回 400', () => withService(async (service) => {
+  const response = await request(service, 'GET', '/api/symbols/%E0%A4%A');
+  assert.strictEqual(response.status, 400);
+  assert.match(response.body.error, /无效的路径编码/);
+  assert.strictEqual((await request(service, 'GET', '/api/symbols/BTC%2DUSDT')).status, 200);
+}));
+
+test('请求体必须为 JSON 对象且不超过 1MB', () => withService(async (service) => {
+  assert.strictEqual((await request(service, 'POST', '/api/symbols', { body: '{bad' })).status, 400);
+  assert.strictEqual((await request(service, 'POST', '/api/symbols', { body: [] })).status, 400);
+
+  const large = await request(service, 'POST', '/api/symbols', { body: { symbol: 'X'.repeat(1024 * 1024) } });
+  assert.strictEqual(large.status, 413);
+}));
+
+test('响应已开始写出后出错时断开连接', () => withService(async (service) => {
+  service.addRoute('GET', '/api/broken', ({ res }) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.write('partial');
+    throw new Error('boom');
+  });
+
+  const { port } = service.server.address();
+  const outcome = await new Promise((resolve) => {
+    http.get({ host: '127.0.0.1', port, path: '/api/broken' }, (res) => {
+      res.on('end', () => resolve('complete'));
+      res.on('error', () => resolve('reset'));
+      res.resume();
+    }).on('error', () => resolve('reset'));
+  });
+  assert.strictEqual(outcome, 'reset');
+}));
+
+test('添加、查询、修改、重置和删除预警规则', () => {
+  const monitor = createMonitor();
+  const ruleEngine = new AlertRuleEngine();
+  monitor.priceMonitorService.ruleEngine = ruleEngine;
+  return withService(async (service) => {
+    const added = await request(service, 'POST', '/api/rules', {
+      body: { id: 'r1', symbol: '*', type: 'price_above', value: 100, mode: 'once' }
+    });
+    assert.strictEqual(added.status, 200);
+    assert.strictEqual(added.body.data.id, 'r1');
+    const initialState = added.body.data.state;
+
+    assert.strictEqual((await request(service, 'POST', '/api/rules', { body: { symbol: '*', type: 'unknown' } })).status, 400);
+    assert.strictEqual((await request(service, 'POST', '/api/rules', {
+      body: { id: 'r1', symbol: '*', type: 'price_above', value: 1 }
+    })).status, 400);
+
+    assert.deepStrictEqual((await request(service, 'GET', '/api/rules')).body.data.map(rule => rule.id), ['r1']);
+    assert.strictEqual((await request(service, 'GET', '/api/rules/r1')).body.data.value, 100);
+
+    const updated = await request(service, 'PUT', '/api/rules/r1', { body: { value: 200 } });
+    assert.strictEqual(updated.body.data.value, 200);
+    assert.strictEqual((await request(service, 'PUT', '/api/rules/r1', { body: { mode: 'never' } })).status, 400);
+
+    ruleEngine.evaluate('X', { price: 300 }, { price: 100 });
+    assert.notDeepStrictEqual((await request(service, 'GET', '/api/rules/r1')).body.data.state, initialState);
+    assert.deepStrictEqual((await request(service, 'POST', '/api/rules/r1/reset')).body.data.state, initialState);
+
+    assert.strictEqual((await request(service, 'DELETE', '/api/rules/r1')).status, 200);
+    assert.strictEqual((await request(service, 'GET', '/api/rules/r1')).status, 404);
+    assert.strictEqual((await request(service, 'PUT', '/api/rules/r1', { body: { value: 1 } })).status, 404);
+    assert.strictEqual((await request(service, 'POST', '/api/rules/r1/reset')).status, 404);
+    assert.strictEqual((await request(service, 'DELETE', '/api/rules/r1')).status, 404);
+  }, monitor);
+});
+
+test('配置令牌后需要 Bearer 认证', () => {
+  config.http.token = 'secret';
+  return withService(async (service) => {
+    assert.strictEqual((await request(service, 'GET', '/api/status')).status, 401);
+    assert.strictEqual((await request(service, 'GET', '/api/status', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    assert.strictEqual((await request(service, 'GET', '/api/status', { headers: { Authorization: 'Bearer secret' } })).status, 200);
+  });
+});
+
+test('Bearer 和 ?token= 都可认证，令牌长度不同时不报错', () => {
+  config.http.token = 'secret';
+  return withService(async (service) => {
+    assert.strictEqual((await request(service, 'GET', '/api/status?token=secret')).status, 200);
+    assert.strictEqual((await request(service, 'GET', '/api/status?token=secret-but-longer')).status, 401);
+    assert.strictEqual((await request(service, 'GET', '/api/status', { headers: { Authorization: 'secret' } })).status, 401);
+    assert.strictEqual((await request(service, 'GET', '/api/status', { headers: { Authorization: 'Bearer ' } })).status, 401);
+  });
+});
+
+test('未设置令牌时拒绝监听非本机地址', async () => {
+  config.http.host = '0.0.0.0';
+  await assert.rejects(new HttpApiService(createMonitor()).start(), /必须设置访问令牌/);
+
+  config.http.token = 'secret';
+  await withService(async (service) => {
+    assert.strictEqual((await request(service, 'GET', '/api/status')).status, 401);
+  });
+});
+
+test('本机地址判断', () => {
+  const service = new HttpApiService(createMonitor());
+  ['127.0.0.1', '127.1.2.3', '::1', 'localhost'].forEach(host => assert.strictEqual(service._isLoopback(host), true, host));
+  ['0.0.0.0', '::', '192.168.1.2', '127.0.0.1.example.com'].forEach(host => assert.strictEqual(service._isLoopback(host), false, host));
+});
+
+/**
+ * 连接推送流，收到指定数量的事件后断开
+ * @returns {Promise<Array>} [{ event, data }]
+ */
+function readEvents(service, path, count, onOpen = () => {}) {
+  const { port } = service.server.address();
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path }, (res) => {
+      assert.strictEqual(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+      const events = [];
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          const event = /^event: (.*)$/m.exec(block);
+          const data = /^data: (.*)$/m.exec(block);
+          if (event && data) {
+            events.push({ event: event[1], data: JSON.parse(data[1]) });
+          }
+        }
+        if (events.length === 1) onOpen();
+        if (events.length >= count) {
+          req.destroy();
+          resolve(events.slice(0, count));
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+test('推送流先发送快照，再推送预警等事件', () => withService(async (service, monitor) => {
+  const alert = { alertKey: 'BTCUSDT_max', symbol: 'BTC-USDT', content: 'test' };
+  const [snapshot, pushed] = await readEvents(service, '/api/stream', 2, () => monitor.emit('alert', alert));
+
+  assert.strictEqual(snapshot.event, 'snapshot');
+  assert.deepStrictEqual(snapshot.data.symbols.map(item => item.symbol), ['BTC-USDT']);
+  assert.deepStrictEqual(pushed, { event: 'alert', data: alert });
+}));
+
+test('仪表盘页面无需令牌，推送流可通过 ?token= 认证', () => {
+  config.http.token = 'secret';
+  return withService(async (service) => {
+    const { port } = service.server.address();
+    const page = await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: '/dashboard' }, (res) => {
+        res.resume();
+        resolve(res);
+      }).on('error', reject);
+    });
+    assert.strictEqual(page.statusCode, 200);
+    assert.match(page.headers['content-type'], /text\/html/);
+
+    assert.strictEqual((await request(service, 'GET', '/api/stream')).status, 401);
+    const [snapshot] = await readEvents(service, '/api/stream?token=secret', 1);
+    assert.strictEqual(snapshot.event, 'snapshot');
+  });
+});
+
+test('启用指标时以 Prometheus 文本格式输出 /metrics', () => {
+  const monitor = createMonitor();
+  monitor.metricsService = { render: () => 'crypto_monitor_up 1\n' };
+  return withService(async (service) => {
+    const { port } = service.server.address();
+    const response = await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: '/metrics' }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ res, body }));
+      }).on('error', reject);
+    });
+    assert.strictEqual(response.res.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+    assert.strictEqual(response.body, 'crypto_monitor_up 1\n');
+  }, monitor);
+});
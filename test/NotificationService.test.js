@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const clock = require('../utils/clock');
+const NotificationService = require('../services/NotificationService');
+
+const originalNotifications = { ...config.notifications };
+let records;
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+test.beforeEach(() => {
+  records = [];
+  config.notifications = {
+    ...originalNotifications,
+    channels: { capture: { type: 'capture', records }, other: { type: 'capture', records } },
+    defaultChannels: ['capture'],
+    symbolChannels: { 'ETH-USDT': ['other'] },
+    recipients: { users: {}, groups: {} }
+  };
+  // 北京时间 2025-01-01 00:30，UTC 2024-12-31 16:30
+  clock.setSource(() => Date.UTC(2024, 11, 31, 16, 30));
+});
+test.afterEach(() => clock.reset());
+test.after(() => {
+  config.notifications = originalNotifications;
+});
+
+const sentTo = () => records.map(record => record.channel).sort();
+
+test('未配置接收人时按 指定渠道 > 币种渠道 > 默认渠道 发送', async () => {
+  const service = new NotificationService();
+
+  assert.strictEqual(await service.sendAlert('a', null, { symbol: 'BTC-USDT' }), true);
+  await service.sendAlert('b', null, { symbol: 'ETH-USDT' });
+  await service.sendAlert('c', null, { symbol: 'ETH-USDT', channels: ['capture'] });
+  assert.deepStrictEqual(records.map(record => record.channel), ['capture', 'other', 'capture']);
+});
+
+test('冷却期内相同预警不重复发送，冷却为 0 时不记录', async () => {
+  const service = new NotificationService();
+  const suppressed = [];
+  service.on('alertSuppressed', alertKey => suppressed.push(alertKey));
+
+  assert.strictEqual(await service.sendAlert('a', 'key'), true);
+  assert.strictEqual(await service.sendAlert('a', 'key'), false);
+  assert.deepStrictEqual(suppressed, ['key']);
+
+  assert.strictEqual(await service.sendAlert('a', 'free', { cooldown: 0 }), true);
+  assert.strictEqual(await service.sendAlert('a', 'free', { cooldown: 0 }), true);
+});
+
+test('接收人按关注的币种分发，用户同时关注所在群组的币种', async () => {
+  config.notifications.recipients = {
+    users: {
+      alice: { channels: { capture: {} }, symbols: ['BTC-USDT'] },
+      bob: { channels: { capture: {} } }
+    },
+    groups: {
+      desk: { channels: { other: {} }, members: ['alice'], symbols: ['ETH-USDT'] }
+    }
+  };
+  const service = new NotificationService();
+
+  await service.sendAlert('eth', 'eth', { symbol: 'ETH-USDT' });
+  assert.deepStrictEqual(sentTo(), ['capture@alice', 'capture@bob', 'other@group:desk']);
+
+  records.length = 0;
+  await service.sendAlert('sol', 'sol', { symbol: 'SOL-USDT' });
+  assert.deepStrictEqual(sentTo(), ['capture@bob']);
+
+  // 没有币种的预警发给所有接收人
+  records.length = 0;
+  await service.sendAlert('portfolio', 'portfolio');
+  assert.deepStrictEqual(sentTo(), ['capture@alice', 'capture@bob', 'other@group:desk']);
+
+  const alice = service.getRecipients().find(recipient => recipient.name === 'alice');
+  assert.deepStrictEqual(alice.symbols, ['BTC-USDT', 'ETH-USDT']);
+});
+
+test('只发送不低于接收人 minSeverity 的预警', async () => {
+  config.notifications.recipients.users = {
+    alice: { channels: { capture: {} }, minSeverity: 'critical' },
+    bob: { channels: { capture: {} } }
+  };
+  const service = new NotificationService();
+
+  await service.sendAlert('info', null, { severity: 'info' });
+  await service.sendAlert('warning', null);
+  await service.sendAlert('critical', null, { severity: 'critical' });
+  assert.deepStrictEqual(records.map(record => `${record.content}@${record.channel}`), [
+    'info@capture@bob',
+    'warning@capture@bob',
+    'critical@capture@alice',
+    'critical@capture@bob'
+  ]);
+});
+
+test('免打扰时段按接收人的时区计算，时段内只发送达到级别的预警', async () => {
+  const quietHours = { start: '23:00', end: '08:00', minSeverity: 'critical' };
+  config.notifications.recipients.users = {
+    shanghai: { channels: { capture: {} }, quietHours: { ...quietHours, timezone: 'Asia/Shanghai' } },
+    utc: { channels: { capture: {} }, quietHours: { ...quietHours, timezone: 'UTC' } }
+  };
+  const service = new NotificationService();
+  assert.deepStrictEqual(service.getRecipients().map(recipient => recipient.quiet), [true, false]);
+
+  await service.sendAlert('warning', null);
+  assert.deepStrictEqual(sentTo(), ['capture@utc']);
+
+  records.length = 0;
+  await service.sendAlert('critical', null, { severity: 'critical' });
+  assert.deepStrictEqual(sentTo(), ['capture@shanghai', 'capture@utc']);
+});
+
+test('不跨零点的免打扰时段', () => {
+  config.notifications.recipients.users = {
+    day: { channels: { capture: {} }, quietHours: { start: '16:00', end: '17:00', timezone: 'UTC' } }
+  };
+  const service = new NotificationService();
+  assert.strictEqual(service.getRecipients()[0].quiet, true);
+
+  clock.setSource(() => Date.UTC(2024, 11, 31, 17, 0));
+  assert.strictEqual(service.getRecipients()[0].quiet, false);
+});
+
+test('冷却按接收人分别计算', async () => {
+  config.notifications.recipients.users = {
+    alice: { channels: { capture: {} }, symbols: ['BTC-USDT'] },
+    bob: { channels: { capture: {} }, symbols: ['ETH-USDT'] }
+  };
+  const service = new NotificationService();
+
+  await service.sendAlert('btc', 'key', { symbol: 'BTC-USDT' });
+  await service.sendAlert('eth', 'key', { symbol: 'ETH-USDT' });
+  assert.deepStrictEqual(sentTo(), ['capture@alice', 'capture@bob']);
+  assert.strictEqual(await service.sendAlert('btc', 'key', { symbol: 'BTC-USDT' }), false);
+});
+
+test('清除冷却记录时包括各接收人的记录', async () => {
+  config.notifications.recipients.users = {
+    alice: { channels: { capture: {} } },
+    bob: { channels: { capture: {} } }
+  };
+  const service = new NotificationService();
+
+  await service.sendAlert('a', 'key');
+  await service.sendAlert('a', 'key-other');
+  assert.strictEqual(service.clearAlert('key'), 2);
+  assert.strictEqual(service.getActiveAlertsCount(), 2);
+  assert.strictEqual(await service.sendAlert('a', 'key'), true);
+  assert.strictEqual(await service.sendAlert('a', 'key-other'), false);
+});
+
+test('指定渠道时只使用接收人的这些渠道', async () => {
+  config.notifications.recipients.users = {
+    alice: { channels: { capture: {}, other: {} } },
+    bob: { channels: { capture: {} } }
+  };
+  const service = new NotificationService();
+
+  const sent = [];
+  service.on('alertSent', (alertKey, info) => sent.push(info.recipients));
+  await service.sendAlert('a', null, { channels: ['other'] });
+  assert.deepStrictEqual(sentTo(), ['other@alice']);
+  assert.deepStrictEqual(sent, [['alice']]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OrderBook = require('../utils/OrderBook');
+const { setContractSpec } = require('../utils/instrument');
+
+const snapshot = {
+  bids: [['100.5', '2', '0', '1'], ['100', '3', '0', '2']],
+  asks: [['101', '1.5', '0', '1'], ['102', '4', '0', '3']],
+  seqId: 10
+};
+
+test('crc32 与标准校验值一致，返回有符号整数', () => {
+  assert.strictEqual(OrderBook.crc32(''), 0);
+  // 0xCBF43926
+  assert.strictEqual(OrderBook.crc32('123456789'), -873187034);
+});
+
+test('校验和按 买价:买量:卖价:卖量 交替拼接原始字符串', () => {
+  const book = new OrderBook('BTC-USDT');
+  book.applySnapshot(snapshot);
+  assert.strictEqual(book.checksum(), OrderBook.crc32('100.5:2:101:1.5:100:3:102:4'));
+});
+
+test('一侧档位不足时只拼接另一侧', () => {
+  const book = new OrderBook('BTC-USDT');
+  book.applySnapshot({ bids: [['100', '1'], ['99', '2']], asks: [['101', '3']], seqId: 1 });
+  assert.strictEqual(book.checksum(), OrderBook.crc32('100:1:101:3:99:2'));
+});
+
+test('校验和只取前 25 档', () => {
+  const bids = [];
+  const asks = [];
+  for (let i = 0; i < 30; i++) {
+    bids.push([String(100 - i), '1']);
+    asks.push([String(101 + i), '1']);
+  }
+  const book = new OrderBook('BTC-USDT');
+  book.applySnapshot({ bids, asks, seqId: 1 });
+
+  const parts = [];
+  for (let i = 0; i < 25; i++) {
+    parts.push(bids[i][0], bids[i][1], asks[i][0], asks[i][1]);
+  }
+  assert.strictEqual(book.checksum(), OrderBook.crc32(parts.join(':')));
+});
+
+test('快照和增量携带正确的校验和时通过校验', () => {
+  const reference = new OrderBook('BTC-USDT');
+  reference.applySnapshot(snapshot);
+
+  const book = new OrderBook('BTC-USDT');
+  assert.strictEqual(book.applySnapshot({ ...snapshot, checksum: reference.checksum() }), null);
+
+  const update = { bids: [['100', '0'], ['100.8', '1']], asks: [], seqId: 11, prevSeqId: 10 };
+  reference.applyUpdate(update);
+  assert.strictEqual(book.applyUpdate({ ...update, checksum: reference.checksum() }), null);
+  assert.strictEqual(book.seqId, 11);
+  assert.deepStrictEqual(book.getBestBid(), { price: 100.8, size: 1, raw: ['100.8', '1'] });
+  assert.strictEqual(book.getSize('bid', 100), 0);
+});
+
+test('校验和不一致时返回原因', () => {
+  const book = new OrderBook('BTC-USDT');
+  const reason = book.applySnapshot({ ...snapshot, checksum: 12345 });
+  assert.match(reason, /校验和不一致/);
+});
+
+test('未收到快照或序列号不连续时拒绝增量', () => {
+  const book = new OrderBook('BTC-USDT');
+  assert.strictEqual(book.applyUpdate({ bids: [], asks: [], seqId: 1, prevSeqId: 0 }), '尚未收到快照');
+
+  book.applySnapshot(snapshot);
+  assert.match(book.applyUpdate({ bids: [], asks: [], seqId: 12, prevSeqId: 11 }), /序列号不连续/);
+});
+
+test('买一不低于卖一时返回原因', () => {
+  const book = new OrderBook('BTC-USDT');
+  book.applySnapshot(snapshot);
+  assert.match(book.applyUpdate({ bids: [['101', '1']], asks: [], seqId: 11, prevSeqId: 10 }), /不低于卖一/);
+});
+
+test('中间价、价差和范围内档位的名义价值', () => {
+  const book = new OrderBook('BTC-USDT');
+  book.applySnapshot(snapshot);
+  assert.strictEqual(book.getMid(), 100.75);
+  assert.ok(Math.abs(book.getSpreadBps() - (0.5 / 100.75) * 10000) < 1e-9);
+
+  const { bids, asks } = book.getLevelsWithin(1);
+  assert.deepStrictEqual(bids.map(level => level.notional), [201, 300]);
+  assert.deepStrictEqual(asks.map(level => level.notional), [151.5]);
+});
+
+test('合约档位按面值换算名义价值，面值未知时为 null', () => {
+  setContractSpec('BTC-USDT-SWAP', { value: 0.5, currency: 'BTC' });
+  const swap = new OrderBook('BTC-USDT-SWAP');
+  swap.applySnapshot(snapshot);
+  assert.deepStrictEqual(swap.getLevelsWithin(1).bids.map(level => level.notional), [100.5, 150]);
+
+  const futures = new OrderBook('BTC-USD-250627');
+  futures.applySnapshot(snapshot);
+  assert.deepStrictEqual(futures.getLevelsWithin(1).asks.map(level => level.notional), [null]);
+});
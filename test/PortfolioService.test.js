@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const clock = require('../utils/clock');
+const PortfolioService = require('../services/PortfolioService');
+
+const originalPortfolio = JSON.parse(JSON.stringify(config.portfolio));
+
+test.mock.method(console, 'log', () => {});
+test.beforeEach(() => {
+  Object.assign(config.portfolio, {
+    positions: [
+      { symbol: 'BTC-USDT', quantity: 0.5, cost: 90000 },
+      { symbol: 'ETH-BTC', quantity: 10, cost: 0.02 }
+    ],
+    checkInterval: 5000,
+    drawdownPercent: null,
+    pnl: { above: null, below: null },
+    driftPercent: null,
+    channels: ['slack']
+  });
+});
+test.afterEach(() => clock.reset());
+test.after(() => Object.assign(config.portfolio, originalPortfolio));
+
+/**
+ * 使用给定行情的组合服务，记录发送的预警
+ */
+function createService(prices) {
+  const alerts = [];
+  const service = new PortfolioService({
+    getCryptoData: symbol => (prices[symbol] === undefined ? null : { price: prices[symbol] }),
+    notificationService: {
+      sendAlert: async (message, alertKey, meta) => {
+        alerts.push({ message, alertKey, meta });
+        return true;
+      }
+    }
+  });
+  return { service, alerts, prices };
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+test('按最新行情计算持仓市值和盈亏，非美元计价的持仓按汇率换算', () => {
+  const { service } = createService({ 'BTC-USDT': 100000, 'ETH-BTC': 0.025 });
+  const summary = service.getSummary();
+  const [btc, eth] = summary.positions;
+
+  assert.strictEqual(btc.pnl, 5000);
+  close(btc.pnlPercent, 11.111111);
+  assert.strictEqual(btc.value, 50000);
+
+  // ETH-BTC 的盈亏以 BTC 计，市值和美元盈亏按 BTC-USDT 换算
+  close(eth.pnl, 0.05);
+  close(eth.pnlPercent, 25);
+  close(eth.value, 25000);
+  close(eth.pnlUsd, 5000);
+
+  close(summary.totalValue, 75000);
+  close(summary.totalCost, 65000);
+  close(summary.pnl, 10000);
+  close(summary.pnlPercent, (10000 / 65000) * 100);
+  close(btc.weight, 2 / 3);
+  assert.strictEqual(summary.complete, true);
+  assert.strictEqual(summary.drawdownPercent, 0);
+});
+
+test('缺少行情的持仓不计入合计，组合标记为不完整', () => {
+  const { service } = createService({ 'ETH-BTC': 0.025 });
+  const summary = service.getSummary();
+
+  assert.strictEqual(summary.complete, false);
+  assert.strictEqual(summary.totalValue, 0);
+  assert.strictEqual(summary.positions[0].price, null);
+  assert.strictEqual(summary.positions[1].value, null, '没有 BTC-USDT 汇率');
+  close(summary.positions[1].pnlPercent, 25);
+  assert.strictEqual(summary.drawdownPercent, null);
+});
+
+test('组合回撤超过阈值时预警一次，回升后重新布防', () => {
+  config.portfolio.drawdownPercent = 10;
+  const { service, alerts, prices } = createService({ 'BTC-USDT': 100000, 'ETH-BTC': 0.025 });
+
+  service.evaluate();
+  prices['BTC-USDT'] = 85000; // 市值 42500 + 21250 = 63750，回撤 15%
+  service.evaluate();
+  service.evaluate();
+  assert.deepStrictEqual(alerts.map(alert => alert.alertKey), ['portfolio_drawdown']);
+  assert.match(alerts[0].message, /回撤: 15\.00% \(设定值 10%\)/);
+  assert.deepStrictEqual(alerts[0].meta, { symbol: null, severity: 'critical', channels: ['slack'] });
+
+  prices['BTC-USDT'] = 100000;
+  service.evaluate();
+  prices['BTC-USDT'] = 85000;
+  service.evaluate();
+  assert.strictEqual(alerts.length, 2);
+});
+
+test('持仓盈亏超出区间时预警，持仓配置可覆盖全局区间', () => {
+  config.portfolio.pnl = { above: 20, below: -10 };
+  config.portfolio.positions[0].pnl = { above: 10 };
+  const { service, alerts } = createService({ 'BTC-USDT': 100000, 'ETH-BTC': 0.025 });
+
+  service.evaluate();
+  assert.deepStrictEqual(alerts.map(alert => alert.alertKey), ['BTC-USDT_portfolio_pnl_above', 'ETH-BTC_portfolio_pnl_above']);
+  assert.match(alerts[0].message, /未实现盈亏: \+11\.11% \(\+\$5000\.00\)/);
+  assert.match(alerts[1].message, /未实现盈亏: \+25\.00% \(\+0\.05 BTC\)/);
+  assert.strictEqual(alerts[0].meta.symbol, 'BTC-USDT');
+});
+
+test('持仓权重偏离目标权重时预警', () => {
+  config.portfolio.driftPercent = 5;
+  config.portfolio.positions[0].targetWeight = 0.6;
+  const { service, alerts } = createService({ 'BTC-USDT': 100000, 'ETH-BTC': 0.025 });
+
+  const summary = service.evaluate();
+  close(summary.positions[0].drift, (2 / 3 - 0.6) * 100);
+  assert.strictEqual(summary.positions[1].drift, null);
+  assert.deepStrictEqual(alerts.map(alert => alert.alertKey), ['BTC-USDT_portfolio_drift']);
+  assert.match(alerts[0].message, /偏离: \+6\.67 个百分点/);
+});
+
+test('持仓配置变化后重新计算峰值', () => {
+  const { service } = createService({ 'BTC-USDT': 100000, 'ETH-BTC': 0.025 });
+  service.evaluate();
+  assert.strictEqual(service.peakValue, 75000);
+
+  config.portfolio.positions = [{ symbol: 'BTC-USDT', quantity: 0.1, cost: 90000 }];
+  service.evaluate();
+  assert.strictEqual(service.peakValue, 10000);
+});
+
+test('行情更新按 checkInterval 节流，只处理持仓和汇率币种', (t) => {
+  let now = 100000;
+  clock.setSource(() => now);
+  const { service } = createService({ 'BTC-USDT': 100000, 'ETH-BTC': 0.025 });
+  const evaluate = t.mock.method(service, 'evaluate');
+
+  service.onPriceUpdate('SOL-USDT');
+  service.onPriceUpdate('BTC-USDT');
+  service.onPriceUpdate('ETH-BTC');
+  now += 5000;
+  service.onPriceUpdate('ETH-BTC');
+  assert.strictEqual(evaluate.mock.callCount(), 2);
+});
+
+test('组合摘要不参与冷却，发送到组合渠道', async () => {
+  const { service, alerts } = createService({ 'BTC-USDT': 100000 });
+  assert.strictEqual(await service.sendSummary(), true);
+
+  assert.strictEqual(alerts[0].alertKey, null);
+  assert.deepStrictEqual(alerts[0].meta, { severity: 'info', channels: ['slack'] });
+  assert.match(alerts[0].message, /BTC-USDT: \$50000\.00 \(100\.0%\) 盈亏 \+11\.11%/);
+  assert.match(alerts[0].message, /ETH-BTC: 暂无行情/);
+
+  const empty = createService({});
+  assert.strictEqual(await empty.service.sendSummary(), false);
+});
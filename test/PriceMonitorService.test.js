@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const PriceMonitorService = require('../services/PriceMonitorService');
+const NotificationService = require('../services/NotificationService');
+
+const originalNotifications = { ...config.notifications };
+const originalRules = config.rules;
+const originalHistory = { ...config.history };
+let records;
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+test.beforeEach(() => {
+  records = [];
+  config.notifications = {
+    ...originalNotifications,
+    channels: { capture: { type: 'capture', records } },
+    defaultChannels: ['capture'],
+    symbolChannels: {},
+    recipients: { users: {}, groups: {} }
+  };
+  config.rules = [];
+  Object.assign(config.history, { maxTicks: 5, sampleInterval: 1000 });
+});
+test.after(() => {
+  config.notifications = originalNotifications;
+  config.rules = originalRules;
+  Object.assign(config.history, originalHistory);
+});
+
+const tick = (price, timestamp) => ({ symbol: 'BTC-USDT', price, lastUpdate: new Date(timestamp) });
+
+test('重置规则后清除该规则的通知冷却', async () => {
+  const service = new PriceMonitorService({ notificationService: new NotificationService() });
+  service.ruleEngine.addRule({ id: 'r1', symbol: 'BTC-USDT', type: 'price_above', value: 100, mode: 'once', cooldown: 60000 });
+
+  await service.notificationService.sendAlert('a', 'rule_r1', { cooldown: 60000 });
+  await service.notificationService.sendAlert('a', 'rule_r2', { cooldown: 60000 });
+  assert.strictEqual(await service.notificationService.sendAlert('a', 'rule_r1', { cooldown: 60000 }), false);
+
+  service.ruleEngine.resetRule('r1');
+  assert.strictEqual(await service.notificationService.sendAlert('a', 'rule_r1', { cooldown: 60000 }), true);
+  assert.strictEqual(await service.notificationService.sendAlert('a', 'rule_r2', { cooldown: 60000 }), false);
+});
+
+test('按时间窗口统计价格变动，只使用窗口内的采样', () => {
+  const service = new PriceMonitorService({ notificationService: new NotificationService() });
+  [100, 90, 120, 110, 105, 130, 125].forEach((price, i) => {
+    service._recordPriceHistory('BTC-USDT', tick(price, i * 1000));
+  });
+
+  assert.deepStrictEqual(service.getPriceHistory('BTC-USDT', 4000).map(item => item.price), [105, 130, 125]);
+  const move = service.getPriceMove('BTC-USDT', 3000, 6000);
+  assert.deepStrictEqual(
+    { open: move.open, high: move.high, low: move.low, last: move.last },
+    { open: 110, high: 130, low: 105, last: 125 }
+  );
+  assert.strictEqual(service.getPriceMove('BTC-USDT', 1000, 20000), null);
+  assert.strictEqual(service.getPriceMove('ETH-USDT', 3000, 6000), null);
+});
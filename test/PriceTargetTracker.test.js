@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PriceTargetTracker = require('../services/PriceTargetTracker');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+test('校验目标定义', () => {
+  const tracker = new PriceTargetTracker();
+  assert.throws(() => tracker.addTarget({ symbol: 'nope', direction: 'above', price: 1 }), /无效的币种符号/);
+  assert.throws(() => tracker.addTarget({ symbol: 'BTC-USDT', type: 'limit', direction: 'above' }), /不支持的目标类型/);
+  assert.throws(() => tracker.addTarget({ symbol: 'BTC-USDT', direction: 'up', price: 1 }), /direction 应为/);
+  assert.throws(() => tracker.addTarget({ symbol: 'BTC-USDT', direction: 'above', price: 0 }), /大于 0 的 price/);
+  assert.throws(() => tracker.addTarget({ symbol: 'BTC-USDT', type: 'trailing', direction: 'below', percent: 100 }), /0-100/);
+  assert.throws(() => tracker.addTarget({ symbol: 'BTC-USDT', direction: 'above', price: 1, channels: 'slack' }), /渠道名称数组/);
+  assert.throws(() => tracker.addTarget({ symbol: 'BTC-USDT', direction: 'above', price: 1, severity: 'fatal' }), /不支持的预警级别/);
+});
+
+test('补全默认值并统一币种写法', () => {
+  const tracker = new PriceTargetTracker();
+  const target = tracker.addTarget({ id: 't1', symbol: 'btcusdt', direction: 'above', price: 120000 });
+  assert.strictEqual(target.symbol, 'BTC-USDT');
+  assert.strictEqual(target.type, 'price');
+  assert.strictEqual(target.label, 'BTC-USDT 价格高于 $120000');
+  assert.strictEqual(target.source, 'api');
+  assert.deepStrictEqual(target.state, { triggered: false, triggeredAt: null, triggerPrice: null, extreme: null, targetPrice: 120000 });
+  assert.throws(() => tracker.addTarget({ id: 't1', symbol: 'BTC-USDT', direction: 'below', price: 1 }), /目标已存在/);
+});
+
+test('价格目标到达后只触发一次，重置后重新生效', () => {
+  const tracker = new PriceTargetTracker([{ id: 'tp', symbol: 'BTC-USDT', direction: 'above', price: 110000, channels: ['slack'] }]);
+
+  assert.deepStrictEqual(tracker.evaluate('BTC-USDT', 109999, 1000), []);
+  assert.deepStrictEqual(tracker.evaluate('ETH-USDT', 200000, 1000), []);
+  const [record] = tracker.evaluate('BTC-USDT', 110000, 2000);
+  assert.deepStrictEqual(record, {
+    id: 'tp',
+    symbol: 'BTC-USDT',
+    label: 'BTC-USDT 价格高于 $110000',
+    type: 'price',
+    direction: 'above',
+    note: null,
+    price: 110000,
+    targetPrice: 110000,
+    extreme: null,
+    severity: 'critical',
+    channels: ['slack'],
+    triggeredAt: new Date(2000)
+  });
+  assert.deepStrictEqual(tracker.evaluate('BTC-USDT', 111000, 3000), []);
+  assert.strictEqual(tracker.getTarget('tp').state.triggerPrice, 110000);
+
+  assert.strictEqual(tracker.resetTarget('tp'), true);
+  assert.strictEqual(tracker.evaluate('BTC-USDT', 111000, 4000).length, 1);
+  assert.strictEqual(tracker.resetTarget('missing'), false);
+});
+
+test('移动止损跟随最高价，回落超过比例时触发', () => {
+  const tracker = new PriceTargetTracker();
+  tracker.addTarget({ id: 'ts', symbol: 'BTC-USDT', type: 'trailing', direction: 'below', percent: 5 });
+
+  tracker.evaluate('BTC-USDT', 100000);
+  tracker.evaluate('BTC-USDT', 110000);
+  tracker.evaluate('BTC-USDT', 105000);
+  assert.strictEqual(tracker.getTarget('ts').state.extreme, 110000);
+  assert.strictEqual(tracker.getTarget('ts').state.targetPrice, 104500);
+
+  const [record] = tracker.evaluate('BTC-USDT', 104500);
+  assert.strictEqual(record.extreme, 110000);
+  assert.strictEqual(tracker.getTarget('ts').label, 'BTC-USDT 从最高价回落 5%');
+});
+
+test('above 方向的移动止损跟随最低价反弹触发', () => {
+  const tracker = new PriceTargetTracker();
+  tracker.addTarget({ id: 'ts', symbol: 'BTC-USDT', type: 'trailing', direction: 'above', percent: 10 });
+
+  tracker.evaluate('BTC-USDT', 100);
+  tracker.evaluate('BTC-USDT', 80);
+  assert.deepStrictEqual(tracker.evaluate('BTC-USDT', 87), []);
+  assert.strictEqual(tracker.evaluate('BTC-USDT', 88).length, 1);
+});
+
+test('停用的目标不检查', () => {
+  const tracker = new PriceTargetTracker([{ id: 'off', symbol: 'BTC-USDT', direction: 'below', price: 100, enabled: false }]);
+  assert.deepStrictEqual(tracker.evaluate('BTC-USDT', 1), []);
+});
+
+test('配置中的目标不能通过接口删除', () => {
+  const tracker = new PriceTargetTracker([{ id: 'cfg', symbol: 'BTC-USDT', direction: 'below', price: 100 }]);
+  tracker.addTarget({ id: 'api', symbol: 'BTC-USDT', direction: 'below', price: 100 });
+
+  assert.throws(() => tracker.removeTarget('cfg'), /来自配置文件/);
+  assert.strictEqual(tracker.removeTarget('api'), true);
+  assert.strictEqual(tracker.removeTarget('api'), false);
+});
+
+test('触发历史按新到旧返回', () => {
+  const tracker = new PriceTargetTracker([
+    { id: 'a', symbol: 'BTC-USDT', direction: 'above', price: 1 },
+    { id: 'b', symbol: 'ETH-USDT', direction: 'above', price: 1 }
+  ], { historySize: 1 });
+  tracker.evaluate('BTC-USDT', 2, 1000);
+  tracker.evaluate('ETH-USDT', 2, 2000);
+  assert.deepStrictEqual(tracker.getHistory().map(record => record.id), ['b']);
+});
+
+test('热加载配置目标，定义未变的目标保留触发状态', () => {
+  const tracker = new PriceTargetTracker([
+    { id: 'keep', symbol: 'BTC-USDT', direction: 'above', price: 1 },
+    { id: 'change', symbol: 'BTC-USDT', direction: 'above', price: 1 },
+    { id: 'drop', symbol: 'BTC-USDT', direction: 'above', price: 1 }
+  ]);
+  tracker.evaluate('BTC-USDT', 2);
+
+  const result = tracker.reloadConfigTargets([
+    { id: 'keep', symbol: 'BTC-USDT', direction: 'above', price: 1 },
+    { id: 'change', symbol: 'BTC-USDT', direction: 'above', price: 3 },
+    { id: 'new', symbol: 'BTC-USDT', direction: 'above', price: 1 }
+  ]);
+  assert.deepStrictEqual(result, { added: ['new'], updated: ['change'], removed: ['drop'] });
+  assert.strictEqual(tracker.getTarget('keep').state.triggered, true);
+  assert.strictEqual(tracker.getTarget('change').state.triggered, false);
+});
+
+test('导出和恢复接口目标、状态和历史', () => {
+  const tracker = new PriceTargetTracker([{ id: 'cfg', symbol: 'BTC-USDT', direction: 'above', price: 1 }]);
+  tracker.addTarget({ id: 'api', symbol: 'ETH-USDT', type: 'trailing', direction: 'below', percent: 5 });
+  tracker.evaluate('BTC-USDT', 2, 1000);
+  tracker.evaluate('ETH-USDT', 3000, 1000);
+
+  const saved = JSON.parse(JSON.stringify(tracker.exportTargets()));
+  assert.deepStrictEqual(saved.items.map(target => target.id), ['api']);
+
+  const restored = new PriceTargetTracker([{ id: 'cfg', symbol: 'BTC-USDT', direction: 'above', price: 1 }]);
+  assert.strictEqual(restored.restoreTargets({ ...saved, items: [...saved.items, { id: 'bad' }] }), 1);
+  assert.strictEqual(restored.getTarget('cfg').state.triggered, true);
+  assert.strictEqual(restored.getTarget('api').state.extreme, 3000);
+  assert.deepStrictEqual(restored.getHistory()[0].triggeredAt, new Date(1000));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ReconnectPolicy = require('../utils/ReconnectPolicy');
+
+const { CIRCUIT_STATES } = ReconnectPolicy;
+
+test('指数退避并受最大延迟限制', () => {
+  const policy = new ReconnectPolicy({ baseDelay: 1000, maxDelay: 5000, multiplier: 2 });
+  const delays = [1, 2, 3, 4, 5].map(() => policy.nextDelay());
+  assert.deepStrictEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('抖动只会缩短延迟', () => {
+  const policy = new ReconnectPolicy({ baseDelay: 1000, jitter: 0.5 });
+  for (let i = 0; i < 20; i++) {
+    policy.reset();
+    const delay = policy.nextDelay();
+    assert.ok(delay >= 500 && delay <= 1000, `delay ${delay}`);
+  }
+});
+
+test('达到最大尝试次数后不再重试，成功后重置', () => {
+  const policy = new ReconnectPolicy({ baseDelay: 1000, maxAttempts: 2 });
+  assert.strictEqual(policy.canRetry(), true);
+  policy.nextDelay();
+  policy.nextDelay();
+  assert.strictEqual(policy.canRetry(), false);
+
+  policy.recordSuccess();
+  assert.strictEqual(policy.canRetry(), true);
+  assert.strictEqual(policy.nextDelay(), 1000);
+});
+
+test('连续失败达到阈值时熔断，半开状态成功后恢复', () => {
+  const policy = new ReconnectPolicy({
+    baseDelay: 1000,
+    circuitBreaker: { failureThreshold: 2, openDuration: 30000 }
+  });
+  policy.nextDelay();
+  assert.strictEqual(policy.getStatus().circuitState, CIRCUIT_STATES.CLOSED);
+  assert.strictEqual(policy.nextDelay(), 30000);
+  assert.strictEqual(policy.getStatus().circuitState, CIRCUIT_STATES.OPEN);
+
+  policy.beforeAttempt();
+  assert.strictEqual(policy.getStatus().circuitState, CIRCUIT_STATES.HALF_OPEN);
+
+  policy.recordSuccess();
+  assert.strictEqual(policy.getStatus().circuitState, CIRCUIT_STATES.CLOSED);
+  assert.strictEqual(policy.nextDelay(), 1000);
+});
+
+test('半开状态下再次失败重新熔断', () => {
+  const policy = new ReconnectPolicy({
+    baseDelay: 1000,
+    circuitBreaker: { failureThreshold: 1, openDuration: 30000 }
+  });
+  policy.nextDelay();
+  policy.beforeAttempt();
+  assert.strictEqual(policy.nextDelay(), 30000);
+  assert.strictEqual(policy.getStatus().circuitState, CIRCUIT_STATES.OPEN);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RingBuffer = require('../utils/RingBuffer');
+
+test('写满后覆盖最旧的数据', () => {
+  const buffer = new RingBuffer(3);
+  [1, 2, 3, 4].forEach(item => buffer.push(item));
+  assert.deepStrictEqual(buffer.toArray(), [2, 3, 4]);
+  assert.strictEqual(buffer.get(0), 2);
+  assert.strictEqual(buffer.last(), 4);
+  assert.strictEqual(buffer.get(3), undefined);
+  assert.throws(() => new RingBuffer(0), /无效的缓冲区容量/);
+});
+
+test('二分查找第一条满足条件的数据，覆盖后按时间顺序计算索引', () => {
+  const buffer = new RingBuffer(4);
+  [10, 20, 30, 40, 50, 60].forEach(timestamp => buffer.push({ timestamp }));
+
+  assert.strictEqual(buffer.findFirst(item => item.timestamp >= 0), 0);
+  assert.strictEqual(buffer.findFirst(item => item.timestamp >= 40), 1);
+  assert.strictEqual(buffer.findFirst(item => item.timestamp >= 45), 2);
+  assert.strictEqual(buffer.findFirst(item => item.timestamp >= 61), 4);
+  assert.strictEqual(new RingBuffer(2).findFirst(() => true), 0);
+});
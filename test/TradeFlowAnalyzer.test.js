@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const TradeFlowAnalyzer = require('../services/TradeFlowAnalyzer');
+const { setContractSpec } = require('../utils/instrument');
+
+const originalTrades = JSON.parse(JSON.stringify(config.trades));
+
+test.mock.method(console, 'log', () => {});
+test.beforeEach(() => {
+  Object.assign(config.trades, {
+    largeTradeNotional: 1000000,
+    imbalance: { window: 60000, ratio: 0.75, minNotional: 1000 },
+    thresholds: {}
+  });
+});
+test.after(() => Object.assign(config.trades, originalTrades));
+
+/**
+ * 记录发送的预警
+ */
+function createAnalyzer() {
+  const alerts = [];
+  const analyzer = new TradeFlowAnalyzer({
+    notificationService: { sendAlert: (message, alertKey, meta) => alerts.push({ message, alertKey, meta }) },
+    getCryptoData: () => ({ priceChangePercent: 2.5 })
+  });
+  return { analyzer, alerts };
+}
+
+const trade = (price, size, side, seconds = 0) => ({
+  tradeId: String(seconds), price, size, side, timestamp: new Date(Date.UTC(2025, 0, 1, 0, 0, seconds))
+});
+
+test('成交额为 价格 × 数量，达到阈值时发送大额成交预警', () => {
+  config.trades.imbalance.ratio = null;
+  const { analyzer, alerts } = createAnalyzer();
+  const large = [];
+  analyzer.on('largeTrade', event => large.push(event));
+
+  analyzer.updateTrade('BTC-USDT', trade(100000, 9.99, 'buy'));
+  assert.strictEqual(alerts.length, 0);
+
+  analyzer.updateTrade('BTC-USDT', trade(100000, 10, 'sell', 1));
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(alerts[0].alertKey, 'BTC-USDT_large_trade_sell');
+  assert.deepStrictEqual(alerts[0].meta, { symbol: 'BTC-USDT', severity: 'info' });
+  assert.match(alerts[0].message, /成交额: \$1000000\.00 \(主动卖出 10 BTC\)/);
+  assert.match(alerts[0].message, /24h涨跌: \+2\.50%/);
+  assert.strictEqual(large[0].notional, 1000000);
+  assert.strictEqual(analyzer.getFlow('BTC-USDT').lastLargeTrade.notional, 1000000);
+});
+
+test('合约成交按面值换算成交额，面值未加载时跳过', () => {
+  config.trades.imbalance.ratio = null;
+  const { analyzer, alerts } = createAnalyzer();
+
+  analyzer.updateTrade('ETH-USDT-SWAP', trade(3000, 100000, 'buy'));
+  assert.strictEqual(analyzer.getFlow('ETH-USDT-SWAP'), null);
+
+  setContractSpec('BTC-USDT-SWAP', { value: 0.01, currency: 'BTC' });
+  analyzer.updateTrade('BTC-USDT-SWAP', trade(100000, 1000, 'buy'));
+  assert.strictEqual(analyzer.getFlow('BTC-USDT-SWAP').lastTrade.notional, 1000000);
+  assert.match(alerts[0].message, /成交额: \$1000000\.00 \(主动买入 1000 张\)/);
+});
+
+test('按币种覆盖大额成交阈值，null 表示不检查', () => {
+  config.trades.thresholds = { 'ETH-BTC': { largeTradeNotional: 20 }, 'SOL-USDT': { largeTradeNotional: null } };
+  const { analyzer, alerts } = createAnalyzer();
+
+  analyzer.updateTrade('ETH-BTC', trade(0.025, 800, 'buy'));
+  analyzer.updateTrade('SOL-USDT', trade(150, 100000, 'buy'));
+
+  assert.deepStrictEqual(alerts.map(alert => alert.alertKey), ['ETH-BTC_large_trade_buy', 'SOL-USDT_trade_imbalance_buy']);
+  assert.match(alerts[0].message, /成交额: 20\.00 BTC/);
+});
+
+test('主动买入占比达到阈值时预警一次，回落后重新布防', () => {
+  const { analyzer, alerts } = createAnalyzer();
+  const imbalance = () => alerts.filter(alert => alert.alertKey === 'BTC-USDT_trade_imbalance_buy').length;
+
+  analyzer.updateTrade('BTC-USDT', trade(100, 5, 'buy', 0));
+  assert.strictEqual(imbalance(), 0, '成交额不足 minNotional');
+
+  analyzer.updateTrade('BTC-USDT', trade(100, 10, 'buy', 1));
+  analyzer.updateTrade('BTC-USDT', trade(100, 1, 'buy', 2));
+  assert.strictEqual(imbalance(), 1);
+
+  // 买入 1600 / 卖出 800，占比 66.7% 低于 75%，之后买入 4600 / 卖出 800
+  analyzer.updateTrade('BTC-USDT', trade(100, 8, 'sell', 3));
+  analyzer.updateTrade('BTC-USDT', trade(100, 30, 'buy', 4));
+  assert.strictEqual(imbalance(), 2);
+  assert.match(alerts[alerts.length - 1].message, /60 秒内主动买入占比: 85\.2% \(设定值 75%\)/);
+});
+
+test('只统计时间窗口内的成交额', () => {
+  const { analyzer } = createAnalyzer();
+  analyzer.updateTrade('BTC-USDT', trade(100, 1, 'buy', 0));
+  analyzer.updateTrade('BTC-USDT', trade(100, 2, 'sell', 30));
+  analyzer.updateTrade('BTC-USDT', trade(100, 3, 'sell', 60));
+
+  const flow = analyzer.getFlow('BTC-USDT');
+  assert.strictEqual(flow.window, 60000);
+  assert.strictEqual(flow.buyNotional, 0);
+  assert.strictEqual(flow.sellNotional, 500);
+  assert.strictEqual(flow.buyRatio, 0);
+  assert.strictEqual(flow.lastTrade.tradeId, '60');
+});
+
+test('清除币种的成交数据', () => {
+  const { analyzer } = createAnalyzer();
+  analyzer.updateTrade('BTC-USDT', trade(100, 1, 'buy'));
+  analyzer.clear('BTC-USDT');
+  assert.strictEqual(analyzer.getFlow('BTC-USDT'), null);
+});
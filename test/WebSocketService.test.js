@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const WebSocketService = require('../services/WebSocketService');
+
+function getClosedPort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+test('首次连接失败后交由重连策略继续重试', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const port = await getClosedPort();
+  const service = new WebSocketService({ displayName: 'Test', url: `ws://127.0.0.1:${port}` });
+  service.on('error', () => {});
+  const disconnected = new Promise(resolve => service.once('disconnected', resolve));
+
+  try {
+    await assert.rejects(service.connect());
+    await disconnected;
+
+    assert.ok(service.reconnectTimer, '应安排重连');
+    assert.strictEqual(service.reconnectPolicy.attempts, 1);
+  } finally {
+    service.disconnect();
+  }
+  assert.strictEqual(service.reconnectTimer, null);
+});
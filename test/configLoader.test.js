@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, mergeConfig, parseCliArgs, redactConfig } = require('../utils/configLoader');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-monitor-config-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const defaults = {
+  alerts: { cooldownPeriod: 300000, priceChangeThreshold: 0.01 },
+  symbols: { default: ['BTC-USDT'] },
+  http: { enabled: false, port: 3000 }
+};
+
+/**
+ * 写入临时配置文件并加载
+ */
+const loadFile = (name, content, options = {}) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, content);
+  return loadConfig(defaults, { argv: ['--config', filePath], env: {}, cwd: tmpDir, ...options });
+};
+
+test('YAML 支持嵌套列表、多行字符串和锚点', () => {
+  const config = loadFile('nested.yaml', [
+    'matrix:',
+    '  - 1',
+    '  - - 2',
+    '    - 3',
+    'base: &base',
+    '  min: 1',
+    'copy: *base',
+    'note: |',
+    '  line 1',
+    '  line 2'
+  ].join('\n'));
+  assert.deepStrictEqual(config.matrix, [1, [2, 3]]);
+  assert.deepStrictEqual(config.copy, { min: 1 });
+  assert.strictEqual(config.note, 'line 1\nline 2\n');
+});
+
+test('YAML 标量按 1.2 core schema 解析', () => {
+  const config = loadFile('scalars.yaml', [
+    'decimal: 010',
+    'hex: 0x10',
+    'underscore: 1_000',
+    'date: 2025-06-27',
+    'word: yes',
+    'empty: ~'
+  ].join('\n'));
+  assert.strictEqual(config.decimal, 10);
+  assert.strictEqual(config.hex, 16);
+  assert.strictEqual(config.underscore, '1_000');
+  assert.strictEqual(config.date, '2025-06-27');
+  assert.strictEqual(config.word, 'yes');
+  assert.strictEqual(config.empty, null);
+});
+
+test('空的 YAML 文件等同于没有配置', () => {
+  const config = loadFile('empty.yaml', '# 只有注释\n');
+  assert.deepStrictEqual(config.alerts, defaults.alerts);
+  assert.deepStrictEqual(config.http, defaults.http);
+});
+
+test('解析失败或顶层不是对象时报错并带文件路径', () => {
+  assert.throws(() => loadFile('broken.yaml', 'a: [1, 2'), /解析配置文件失败 .*broken\.yaml/);
+  assert.throws(() => loadFile('list.yaml', '- 1\n- 2\n'), /顶层必须为对象/);
+  assert.throws(() => loadFile('broken.json', '{ "a": '), /解析配置文件失败 .*broken\.json/);
+});
+
+test('按 配置文件 -> 环境变量 -> 命令行 的优先级合并', () => {
+  const content = 'alerts:\n  cooldownPeriod: 60000\n  priceChangeThreshold: 0.02\nhttp:\n  port: 4000\n';
+  const config = loadFile('layers.yaml', content, {
+    env: { ALERT_COOLDOWN: '30000', HTTP_PORT: '5000' },
+    argv: ['--config', path.join(tmpDir, 'layers.yaml'), '--http-port', '6000', '--set', 'http.enabled=true']
+  });
+  assert.strictEqual(config.alerts.priceChangeThreshold, 0.02);
+  assert.strictEqual(config.alerts.cooldownPeriod, 30000);
+  assert.strictEqual(config.http.port, 6000);
+  assert.strictEqual(config.http.enabled, true);
+});
+
+test('未指定配置文件时在工作目录中查找，币种符号统一格式', () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'cwd-'));
+  fs.writeFileSync(path.join(dir, 'config.yml'), 'symbols:\n  default: [btcusdt, ETH-USDT]\n');
+  const config = loadConfig(defaults, { argv: [], env: {}, cwd: dir });
+  assert.deepStrictEqual(config.symbols.default, ['BTC-USDT', 'ETH-USDT']);
+  assert.strictEqual(config.configFile, path.join(dir, 'config.yml'));
+});
+
+test('对象逐层合并，数组整体替换', () => {
+  const target = { a: { b: 1, c: [1, 2] } };
+  mergeConfig(target, { a: { c: [3], d: true } });
+  assert.deepStrictEqual(target, { a: { b: 1, c: [3], d: true } });
+});
+
+test('命令行参数格式错误时报错', () => {
+  assert.throws(() => parseCliArgs(['--config']), /缺少值/);
+  assert.throws(() => parseCliArgs(['--set', 'http.port']), /格式应为/);
+  assert.deepStrictEqual(parseCliArgs(['--tui', 'other']).overrides, [{ path: 'tui.enabled', value: true, flag: true }]);
+});
+
+test('输出配置时隐藏密钥', () => {
+  const redacted = redactConfig({
+    wechat: { webhookKey: 'key' },
+    http: { token: 'secret-token', port: 3000 },
+    websocket: { url: 'wss://ws.okx.com:8443/ws/v5/public' },
+    exchanges: { binance: { url: 'wss://stream.binance.com:9443/ws' } },
+    notifications: {
+      channels: {
+        webhook: { url: 'https://example.com/hook?token=x', headers: { Authorization: 'Bearer x' } },
+        slack: { webhookUrl: '' }
+      }
+    }
+  });
+  assert.strictEqual(redacted.wechat.webhookKey, '******');
+  assert.strictEqual(redacted.http.token, '******');
+  assert.strictEqual(redacted.http.port, 3000);
+  assert.strictEqual(redacted.websocket.url, 'wss://ws.okx.com:8443/ws/v5/public');
+  assert.strictEqual(redacted.exchanges.binance.url, 'wss://stream.binance.com:9443/ws');
+  assert.strictEqual(redacted.notifications.channels.webhook.url, '******');
+  assert.deepStrictEqual(redacted.notifications.channels.webhook.headers, { Authorization: '******' });
+  assert.strictEqual(redacted.notifications.channels.slack.webhookUrl, '');
+});
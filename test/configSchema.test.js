@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { validateConfig, assertValidConfig } = require('../utils/configSchema');
+const { deepClone } = require('../utils/helpers');
+
+test('默认配置通过校验', () => {
+  assert.deepStrictEqual(validateConfig(deepClone(config)), []);
+});
+
+test('错误信息带字段路径', () => {
+  const next = deepClone(config);
+  next.symbols.thresholds['BTC-USDT'] = { min: 110000, max: 108000 };
+  next.http.port = 'abc';
+  next.alerts.cooldownPeriod = -1;
+  next.unknownSection = {};
+
+  const errors = validateConfig(next);
+  assert.ok(errors.includes('symbols.thresholds.BTC-USDT: 最小值 110000 大于最大值 108000'), errors.join('\n'));
+  assert.ok(errors.includes('http.port: 应为数字，实际为 "abc"'), errors.join('\n'));
+  assert.ok(errors.includes('alerts.cooldownPeriod: 不能为负数，实际为 -1'), errors.join('\n'));
+  assert.ok(errors.includes('unknownSection: 未知的配置项'), errors.join('\n'));
+});
+
+test('校验记录的键名', () => {
+  const next = deepClone(config);
+  next.symbols.thresholds['not a symbol'] = { min: 1, max: 2 };
+  assert.deepStrictEqual(validateConfig(next), ['symbols.thresholds.not a symbol: 无效的币种符号: not a symbol']);
+});
+
+test('校验预警规则', () => {
+  const next = deepClone(config);
+  next.rules = [{ id: 'r1', symbol: 'BTC-USDT', type: 'unknown', value: 1 }];
+  assert.strictEqual(validateConfig(next).length, 1);
+
+  next.rules = [{ id: 'r1', symbol: 'BTC-USDT', type: 'price_above', value: 110000 }];
+  assert.deepStrictEqual(validateConfig(next), []);
+});
+
+test('校验不通过时抛出包含全部错误的异常', () => {
+  const next = deepClone(config);
+  next.http.port = 'abc';
+  next.http.enabled = 'yes';
+  assert.throws(() => assertValidConfig(next), (error) => {
+    assert.match(error.message, /^配置校验失败:/);
+    assert.strictEqual(error.errors.length, 2);
+    return true;
+  });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sma, ema, rsi, bollinger, atr, realizedVolatility } = require('../utils/indicators');
+
+const close = (actual, expected, epsilon = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) < epsilon, `${actual} != ${expected}`);
+};
+
+test('数据不足时返回 null', () => {
+  assert.strictEqual(sma([1, 2], 3), null);
+  assert.strictEqual(ema([1, 2], 3), null);
+  assert.strictEqual(rsi([1, 2, 3], 3), null);
+  assert.strictEqual(bollinger([1], 2, 2), null);
+  assert.strictEqual(atr([{ high: 1, low: 1, close: 1 }], 1), null);
+  assert.strictEqual(realizedVolatility([1], 1), null);
+});
+
+test('简单移动平均取最近 period 个值', () => {
+  assert.strictEqual(sma([1, 2, 3, 4, 5], 3), 4);
+});
+
+test('指数移动平均以简单平均为初始值', () => {
+  assert.strictEqual(ema([1, 2, 3], 3), 2);
+  // k = 0.5: 4 * 0.5 + 2 * 0.5 = 3
+  assert.strictEqual(ema([1, 2, 3, 4], 3), 3);
+});
+
+test('RSI 单边上涨为 100，横盘为 50', () => {
+  assert.strictEqual(rsi([1, 2, 3, 4, 5], 4), 100);
+  assert.strictEqual(rsi([3, 3, 3, 3], 3), 50);
+});
+
+test('RSI 按 Wilder 平滑计算', () => {
+  // 初始平均涨幅 (2 + 0) / 2 = 1，跌幅 (0 + 1) / 2 = 0.5；下一根涨 1: 涨幅 1，跌幅 0.25
+  close(rsi([10, 12, 11, 12], 2), 100 - 100 / (1 + 1 / 0.25));
+});
+
+test('布林带按总体标准差计算', () => {
+  const band = bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+  assert.deepStrictEqual(band, { middle: 5, upper: 9, lower: 1 });
+});
+
+test('ATR 计入跳空缺口', () => {
+  const candles = [
+    { high: 10, low: 9, close: 10 },
+    { high: 11, low: 10, close: 11 },
+    { high: 15, low: 14, close: 15 }
+  ];
+  // 真实波幅: max(1, 1, 0) = 1；max(1, 4, 3) = 4
+  assert.strictEqual(atr(candles, 2), 2.5);
+  assert.strictEqual(atr(candles, 1), 4);
+});
+
+test('已实现波动率为对数收益率的标准差', () => {
+  assert.strictEqual(realizedVolatility([100, 100, 100], 2), 0);
+  const r = Math.log(2);
+  close(realizedVolatility([1, 2, 1], 2), r);
+});
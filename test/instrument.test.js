@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseInstrument,
+  normalizeSymbol,
+  describeSymbol,
+  formatQuotePrice,
+  normalizeConfigSymbols,
+  setContractSpec,
+  hasContractValue,
+  toNotional,
+  formatSize
+} = require('../utils/instrument');
+
+test('解析现货、永续和交割合约符号', () => {
+  assert.deepStrictEqual(parseInstrument('btc-usdt'), {
+    id: 'BTC-USDT', base: 'BTC', quote: 'USDT', instType: 'SPOT', expiry: null
+  });
+  assert.strictEqual(parseInstrument('BTC-USDT-SWAP').instType, 'SWAP');
+  assert.deepStrictEqual(parseInstrument('BTC-USD-250627'), {
+    id: 'BTC-USD-250627', base: 'BTC', quote: 'USD', instType: 'FUTURES', expiry: '250627'
+  });
+});
+
+test('兼容紧凑写法，按较长的计价币种优先拆分', () => {
+  assert.strictEqual(normalizeSymbol('btcusdt'), 'BTC-USDT');
+  assert.strictEqual(normalizeSymbol('ETHBTC'), 'ETH-BTC');
+  assert.strictEqual(normalizeSymbol('BTCFDUSD'), 'BTC-FDUSD');
+});
+
+test('无法识别的符号返回 null，规范化时原样返回', () => {
+  assert.strictEqual(parseInstrument('BTC-BTC'), null);
+  assert.strictEqual(parseInstrument('BTC-USD-251332'), null);
+  assert.strictEqual(parseInstrument('USDT'), null);
+  assert.strictEqual(parseInstrument(null), null);
+  assert.strictEqual(normalizeSymbol('not a symbol'), 'not a symbol');
+});
+
+test('显示名称和计价币种价格', () => {
+  assert.strictEqual(describeSymbol('BTC-USDT'), 'BTC-USDT');
+  assert.strictEqual(describeSymbol('BTC-USDT-SWAP'), 'BTC-USDT-SWAP (USDT 永续合约)');
+  assert.strictEqual(describeSymbol('BTC-USD-250627'), 'BTC-USD-250627 (交割合约 2025-06-27)');
+  assert.strictEqual(formatQuotePrice('BTC-USDT', 108000, 2), '$108000.00');
+  assert.strictEqual(formatQuotePrice('ETH-BTC', 0.0241, 4), '0.0241 BTC');
+});
+
+test('现货名义价值为 价格 × 数量', () => {
+  assert.strictEqual(hasContractValue('BTC-USDT'), true);
+  assert.strictEqual(toNotional('BTC-USDT', 100000, 1.5), 150000);
+  assert.strictEqual(formatSize('BTC-USDT', 1.5), '1.5 BTC');
+});
+
+test('合约面值未登记时名义价值未知', () => {
+  assert.strictEqual(hasContractValue('ETH-USDT-SWAP'), false);
+  assert.strictEqual(toNotional('ETH-USDT-SWAP', 3000, 10), null);
+  assert.strictEqual(formatSize('ETH-USDT-SWAP', 10), '10 张');
+});
+
+test('正向合约按 张数 × 面值 × 价格 换算', () => {
+  setContractSpec('BTC-USDT-SWAP', { value: 0.01, currency: 'BTC' });
+  assert.strictEqual(hasContractValue('BTC-USDT-SWAP'), true);
+  assert.strictEqual(toNotional('BTC-USDT-SWAP', 100000, 2000), 2000000);
+});
+
+test('反向合约按 张数 × 面值 换算', () => {
+  setContractSpec('BTC-USD-SWAP', { value: 100, currency: 'USD' });
+  assert.strictEqual(toNotional('BTC-USD-SWAP', 100000, 30), 3000);
+});
+
+test('统一配置中各处的币种写法', () => {
+  const config = {
+    symbols: { default: ['btcusdt', 'ETH-USDT-SWAP'], thresholds: { ethusdt: { min: 1, max: 2 } } },
+    exchanges: { symbols: { solusdt: 'binance' } },
+    trades: { symbols: ['btcusdt'], thresholds: { ethusdt: { largeTradeNotional: 1 } } },
+    alerts: { velocityRules: [{ symbol: 'btcusdt', window: 60000, percent: 1 }] },
+    rules: [{ symbol: 'solusdt', type: 'price_above', value: 1 }, { symbol: '*', type: 'new_high_24h' }],
+    notifications: {
+      symbolChannels: { btcusdt: ['slack'] },
+      recipients: { users: { alice: { symbols: ['btcusdt', '*'] } }, groups: { desk: { symbols: ['ethusdt'] } } }
+    }
+  };
+  normalizeConfigSymbols(config);
+  assert.deepStrictEqual(config.symbols.default, ['BTC-USDT', 'ETH-USDT-SWAP']);
+  assert.deepStrictEqual(Object.keys(config.symbols.thresholds), ['ETH-USDT']);
+  assert.deepStrictEqual(config.exchanges.symbols, { 'SOL-USDT': 'binance' });
+  assert.deepStrictEqual(config.trades.symbols, ['BTC-USDT']);
+  assert.deepStrictEqual(Object.keys(config.trades.thresholds), ['ETH-USDT']);
+  assert.strictEqual(config.alerts.velocityRules[0].symbol, 'BTC-USDT');
+  assert.deepStrictEqual(config.rules.map(rule => rule.symbol), ['SOL-USDT', '*']);
+  assert.deepStrictEqual(Object.keys(config.notifications.symbolChannels), ['BTC-USDT']);
+  assert.deepStrictEqual(config.notifications.recipients.users.alice.symbols, ['BTC-USDT', '*']);
+  assert.deepStrictEqual(config.notifications.recipients.groups.desk.symbols, ['ETH-USDT']);
+});
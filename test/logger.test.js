@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const RotatingFileWriter = require('../utils/RotatingFileWriter');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-monitor-logger-'));
+const originalLogging = JSON.parse(JSON.stringify(config.logging));
+
+test.beforeEach(() => {
+  Object.assign(config.logging, {
+    level: 'info',
+    format: 'text',
+    enableConsole: false,
+    modules: {},
+    file: { ...originalLogging.file, enabled: false }
+  });
+});
+
+test.after(() => {
+  logger.close();
+  Object.assign(config.logging, originalLogging);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * 收集日志条目
+ * @returns {Array} 收到的条目，用例结束后自动移除接收方
+ */
+function collect(t) {
+  const entries = [];
+  const transport = entry => entries.push(entry);
+  logger.addTransport(transport);
+  t.after(() => logger.removeTransport(transport));
+  return entries;
+}
+
+test('低于配置级别的日志被过滤', (t) => {
+  const entries = collect(t);
+  const log = logger.child('ws');
+  log.debug('调试');
+  log.info('信息');
+  log.error('错误');
+
+  assert.deepStrictEqual(entries.map(entry => entry.level), ['info', 'error']);
+  assert.strictEqual(log.isLevelEnabled('debug'), false);
+
+  config.logging.level = 'silent';
+  assert.strictEqual(log.isLevelEnabled('error'), false);
+});
+
+test('模块级别覆盖全局级别，子模块沿用根模块的设置', (t) => {
+  const entries = collect(t);
+  config.logging.modules = { ws: 'warn', notify: 'debug' };
+
+  logger.child('ws').child('okx').info('被过滤');
+  logger.child('ws').warn('输出');
+  logger.child('notify').debug('输出');
+
+  assert.deepStrictEqual(entries.map(entry => [entry.module, entry.msg]), [
+    ['ws', '输出'],
+    ['notify', '输出']
+  ]);
+});
+
+test('子日志器拼接模块名并合并附加字段', () => {
+  const log = logger.child('ws', { exchange: 'okx' }).child('book', { depth: 5 });
+  assert.strictEqual(log.name, 'ws.book');
+  assert.deepStrictEqual(log.bindings, { exchange: 'okx', depth: 5 });
+});
+
+test('文本格式输出到对应的控制台方法', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  config.logging.enableConsole = true;
+
+  logger.child('ws').warn('重连次数: %d', 3);
+
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3} WARN  \[ws\] 重连次数: 3$/);
+});
+
+test('JSON 格式单独输出错误对象和附加字段', (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  Object.assign(config.logging, { enableConsole: true, format: 'json' });
+
+  logger.child('notify', { channel: 'slack' }).error('发送失败:', new Error('timeout'));
+
+  const line = JSON.parse(error.mock.calls[0].arguments[0]);
+  assert.strictEqual(line.level, 'error');
+  assert.strictEqual(line.module, 'notify');
+  assert.strictEqual(line.channel, 'slack');
+  assert.strictEqual(line.msg, '发送失败: timeout');
+  assert.strictEqual(line.err.message, 'timeout');
+  assert.ok(!Number.isNaN(Date.parse(line.time)));
+});
+
+test('暂停控制台时仍然写入接收方', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const entries = collect(t);
+  config.logging.enableConsole = true;
+
+  logger.suspendConsole(true);
+  logger.info('暂停中');
+  logger.suspendConsole(false);
+
+  assert.strictEqual(log.mock.callCount(), 0);
+  assert.strictEqual(entries.length, 1);
+});
+
+test('启用日志文件时写入 JSON Lines', () => {
+  const file = path.join(tempDir, 'nested', 'app.log');
+  config.logging.file = { enabled: true, path: file, format: 'json', maxSize: 0, maxFiles: 0 };
+
+  logger.child('app').info('第一条');
+  logger.child('app').info('第二条');
+  logger.close();
+
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(lines.map(line => line.msg), ['第一条', '第二条']);
+});
+
+test('超过大小上限时滚动文件，只保留最近的历史文件', () => {
+  const file = path.join(tempDir, 'rotate.log');
+  const writer = new RotatingFileWriter({ path: file, maxSize: 10, maxFiles: 2 });
+  ['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee'].forEach(line => writer.write(line));
+  writer.close();
+
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'eeee\n');
+  assert.strictEqual(fs.readFileSync(`${file}.1`, 'utf8'), 'cccc\ndddd\n');
+  assert.strictEqual(fs.readFileSync(`${file}.2`, 'utf8'), 'aaaa\nbbbb\n');
+  assert.strictEqual(fs.existsSync(`${file}.3`), false);
+});
+
+test('重新打开时沿用已有文件大小，不保留历史时直接清空', () => {
+  const file = path.join(tempDir, 'reopen.log');
+  fs.writeFileSync(file, '123456789\n');
+
+  const writer = new RotatingFileWriter({ path: file, maxSize: 12, maxFiles: 0 });
+  writer.write('ab');
+  assert.strictEqual(writer.size, 13);
+  writer.write('cd');
+  writer.close();
+
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'cd\n');
+  assert.strictEqual(fs.existsSync(`${file}.1`), false);
+});
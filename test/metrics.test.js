@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Counter, Gauge, Histogram, Registry } = require('../utils/metrics');
+
+test('计数器按标签组合累计', () => {
+  const counter = new Counter('ticks_total', '行情条数', ['symbol', 'exchange']);
+  counter.inc({ symbol: 'BTCUSDT', exchange: 'okx' });
+  counter.inc({ symbol: 'BTCUSDT', exchange: 'okx' }, 2);
+  counter.inc({ symbol: 'ETHUSDT', exchange: 'okx' });
+
+  assert.strictEqual(counter.render(), [
+    '# HELP ticks_total 行情条数',
+    '# TYPE ticks_total counter',
+    'ticks_total{symbol="BTCUSDT",exchange="okx"} 3',
+    'ticks_total{symbol="ETHUSDT",exchange="okx"} 1'
+  ].join('\n'));
+});
+
+test('仪表覆盖旧值，没有标签时不输出花括号', () => {
+  const gauge = new Gauge('connected', '是否已连接');
+  gauge.set({}, 1);
+  gauge.set({}, 0);
+  assert.strictEqual(gauge.render().split('\n')[2], 'connected 0');
+});
+
+test('标签值转义反斜杠、换行和双引号', () => {
+  const gauge = new Gauge('g', 'help', ['name']);
+  gauge.set({ name: 'a\\b\n"c"' }, 1);
+  gauge.set({}, 2);
+  const lines = gauge.render().split('\n');
+  assert.strictEqual(lines[2], 'g{name="a\\\\b\\n\\"c\\""} 1');
+  assert.strictEqual(lines[3], 'g{name=""} 2');
+});
+
+test('特殊数值使用 Prometheus 写法', () => {
+  const gauge = new Gauge('g', 'help', ['k']);
+  gauge.set({ k: 'a' }, Infinity);
+  gauge.set({ k: 'b' }, -Infinity);
+  gauge.set({ k: 'c' }, NaN);
+  assert.deepStrictEqual(gauge.render().split('\n').slice(2), ['g{k="a"} +Inf', 'g{k="b"} -Inf', 'g{k="c"} NaN']);
+});
+
+test('直方图的区间为累计计数，并输出 sum 和 count', () => {
+  const histogram = new Histogram('latency', '耗时', ['channel'], [1, 0.5]);
+  [0.2, 0.5, 0.7, 3].forEach(value => histogram.observe({ channel: 'slack' }, value));
+
+  assert.deepStrictEqual(histogram.render().split('\n').slice(1), [
+    '# TYPE latency histogram',
+    'latency_bucket{channel="slack",le="0.5"} 2',
+    'latency_bucket{channel="slack",le="1"} 3',
+    'latency_bucket{channel="slack",le="+Inf"} 4',
+    'latency_sum{channel="slack"} 4.4',
+    'latency_count{channel="slack"} 4'
+  ]);
+});
+
+test('注册表按注册顺序输出并以换行结尾', () => {
+  const registry = new Registry();
+  const counter = registry.register(new Counter('a_total', 'a'));
+  registry.register(new Gauge('b', 'b'));
+  counter.inc();
+
+  const text = registry.render();
+  assert.ok(text.endsWith('\n'));
+  assert.ok(text.indexOf('# HELP a_total') < text.indexOf('# HELP b'));
+  assert.match(text, /^a_total 1$/m);
+
+  counter.reset();
+  assert.doesNotMatch(registry.render(), /^a_total 1$/m);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { URL } = require('url');
+const { createNotifier, BaseNotifier } = require('../services/notifiers');
+
+// 发送结果日志不输出到测试报告
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+
+// 本地测试桩，记录收到的请求并返回预设响应
+const requests = [];
+let reply = { status: 200, body: {} };
+const server = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => {
+    requests.push({ url: new URL(req.url, 'http://localhost'), headers: req.headers, body: JSON.parse(data) });
+    res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply.body));
+  });
+});
+let baseUrl;
+
+test.before(() => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.beforeEach(() => {
+  requests.length = 0;
+  reply = { status: 200, body: {} };
+});
+
+const hmac = (key, text) => crypto.createHmac('sha256', key).update(text).digest('base64');
+
+test('未知的渠道类型报错', () => {
+  assert.throws(() => createNotifier('sms', { type: 'sms' }), /不支持的通知渠道类型: sms（渠道 sms）/);
+});
+
+test('未配置完整的渠道不发送', async () => {
+  const notifier = createNotifier('slack', { type: 'slack' });
+  assert.strictEqual(notifier.isConfigured(), false);
+  assert.strictEqual(await notifier.send('hello'), false);
+  assert.strictEqual(requests.length, 0);
+});
+
+test('子类需实现 _deliver', async () => {
+  class EmptyNotifier extends BaseNotifier {}
+  assert.strictEqual(await new EmptyNotifier('empty').send('hello'), false);
+});
+
+test('钉钉按 timestamp\\nsecret 加签', async () => {
+  reply.body = { errcode: 0 };
+  const notifier = createNotifier('dingtalk', { type: 'dingtalk', apiUrl: `${baseUrl}/robot/send`, accessToken: 'tk', secret: 'SEC' });
+  assert.strictEqual(await notifier.send('hello'), true);
+
+  const [{ url, body }] = requests;
+  const timestamp = url.searchParams.get('timestamp');
+  assert.strictEqual(url.searchParams.get('access_token'), 'tk');
+  assert.strictEqual(url.searchParams.get('sign'), hmac('SEC', `${timestamp}\nSEC`));
+  assert.deepStrictEqual(body, { msgtype: 'text', text: { content: 'hello' } });
+});
+
+test('钉钉未设置密钥时不加签，errcode 非 0 视为失败', async () => {
+  reply.body = { errcode: 310000, errmsg: 'sign not match' };
+  const notifier = createNotifier('dingtalk', { type: 'dingtalk', apiUrl: `${baseUrl}/robot/send`, accessToken: 'tk' });
+  assert.strictEqual(await notifier.send('hello'), false);
+  assert.strictEqual(requests[0].url.searchParams.has('sign'), false);
+});
+
+test('飞书以 timestamp\\nsecret 为密钥对空串加签', async () => {
+  reply.body = { code: 0 };
+  const notifier = createNotifier('feishu', { type: 'feishu', webhookUrl: `${baseUrl}/hook`, secret: 'SEC' });
+  assert.strictEqual(await notifier.send('hello'), true);
+
+  const [{ body }] = requests;
+  assert.match(body.timestamp, /^\d{10}$/);
+  assert.strictEqual(body.sign, hmac(`${body.timestamp}\nSEC`, ''));
+  assert.deepStrictEqual(body.content, { text: 'hello' });
+});
+
+test('飞书兼容旧版响应的 StatusCode', async () => {
+  reply.body = { StatusCode: 0 };
+  const notifier = createNotifier('lark', { type: 'lark', webhookUrl: `${baseUrl}/hook` });
+  assert.strictEqual(await notifier.send('hello'), true);
+  assert.strictEqual(requests[0].body.sign, undefined);
+
+  reply.body = { code: 19021, msg: 'sign match fail' };
+  assert.strictEqual(await notifier.send('hello'), false);
+});
+
+test('Telegram 发送到 bot 接口', async () => {
+  reply.body = { ok: true };
+  const notifier = createNotifier('telegram', { type: 'telegram', apiUrl: baseUrl, botToken: '123:abc', chatId: '-100' });
+  assert.strictEqual(await notifier.send('hello'), true);
+  assert.strictEqual(requests[0].url.pathname, '/bot123:abc/sendMessage');
+  assert.strictEqual(requests[0].body.chat_id, '-100');
+
+  reply.body = { ok: false, description: 'chat not found' };
+  assert.strictEqual(await notifier.send('hello'), false);
+});
+
+test('Slack 非 2xx 响应视为失败', async () => {
+  const notifier = createNotifier('slack', { type: 'slack', webhookUrl: `${baseUrl}/slack` });
+  assert.strictEqual(await notifier.send('hello'), true);
+  assert.deepStrictEqual(requests[0].body, { text: 'hello' });
+
+  reply.status = 500;
+  assert.strictEqual(await notifier.send('hello'), false);
+});
+
+test('Webhook 附带预警信息和自定义请求头', async () => {
+  const notifier = createNotifier('webhook', { type: 'webhook', url: `${baseUrl}/alerts`, headers: { 'X-Token': 't' } });
+  assert.strictEqual(await notifier.send('hello', { symbol: 'BTCUSDT', alertKey: 'BTCUSDT_max' }), true);
+
+  const [{ headers, body }] = requests;
+  assert.strictEqual(headers['x-token'], 't');
+  assert.strictEqual(body.content, 'hello');
+  assert.strictEqual(body.symbol, 'BTCUSDT');
+  assert.strictEqual(body.alertKey, 'BTCUSDT_max');
+  assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+});
+
+test('企业微信使用 webhook key', async () => {
+  reply.body = { errcode: 0 };
+  const notifier = createNotifier('wechat', { type: 'wechat', apiUrl: `${baseUrl}/send`, webhookKey: 'key-1' });
+  assert.strictEqual(await notifier.send('hello'), true);
+  assert.strictEqual(requests[0].url.searchParams.get('key'), 'key-1');
+  assert.deepStrictEqual(requests[0].body, { msgtype: 'text', text: { content: 'hello' } });
+});
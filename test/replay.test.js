@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReplayService, readNdjsonTicks, readCsvCandles, openTickSource } = require('../services/replay');
+const clock = require('../utils/clock');
+
+// 跳过记录和预警日志不输出到测试报告
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-monitor-replay-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const writeFile = (name, lines) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+};
+
+const collect = async (source) => {
+  const items = [];
+  for await (const item of source) items.push(item);
+  return items;
+};
+
+const tick = (price, time) => JSON.stringify({
+  symbol: 'BTC-USDT', price, priceChangePercent: 0, volume: 1, high24h: price, low24h: price, lastUpdate: time
+});
+
+test('读取 NDJSON 行情并跳过无效记录', async () => {
+  const filePath = writeFile('ticks.ndjson', [
+    tick(100, '2024-05-01T00:00:00.000Z'),
+    '{broken',
+    JSON.stringify({ symbol: 'BTC-USDT' }),
+    '',
+    tick(101, '2024-05-01T00:00:01.000Z')
+  ]);
+  const ticks = await collect(readNdjsonTicks(filePath));
+  assert.deepStrictEqual(ticks.map(item => item.price), [100, 101]);
+  assert.ok(ticks[0].lastUpdate instanceof Date);
+  assert.strictEqual(ticks[1].lastUpdate.getTime(), Date.parse('2024-05-01T00:00:01.000Z'));
+});
+
+test('CSV K 线按 开 -> 低 -> 高 -> 收 展开为行情', async () => {
+  const filePath = writeFile('btc.csv', [
+    'timestamp,open,high,low,close,volume',
+    '1714521600,100,110,95,105,10',
+    '1714521660,105,106,90,92,5'
+  ]);
+  const ticks = await collect(readCsvCandles(filePath, { symbol: 'BTC-USDT' }));
+
+  assert.deepStrictEqual(ticks.map(item => item.price), [100, 95, 110, 105, 105, 106, 90, 92]);
+  assert.strictEqual(ticks[0].lastUpdate.getTime(), 1714521600000);
+  assert.strictEqual(ticks[3].lastUpdate.getTime(), 1714521600000 + 60000 - 1);
+
+  // 第二根 K 线的 24h 数据包含第一根
+  const last = ticks[ticks.length - 1];
+  assert.strictEqual(last.high24h, 110);
+  assert.strictEqual(last.low24h, 90);
+  assert.strictEqual(last.volume, 15);
+  assert.strictEqual(last.priceChangePercent, -8);
+});
+
+test('CSV 的币种列优先于参数，超过 24 小时的 K 线移出窗口', async () => {
+  const day = 24 * 60 * 60;
+  const filePath = writeFile('multi.csv', [
+    'Symbol,Date,O,H,L,C',
+    `ethusdt,${1714521600},10,20,5,10`,
+    `ethusdt,${1714521600 + day + 60},10,11,9,10`
+  ]);
+  const ticks = await collect(readCsvCandles(filePath, { symbol: 'BTC-USDT' }));
+  assert.ok(ticks.every(item => item.symbol === 'ETH-USDT'));
+  assert.strictEqual(ticks[ticks.length - 1].high24h, 11);
+});
+
+test('CSV 缺少必要的列或币种时报错', async () => {
+  await assert.rejects(collect(readCsvCandles(writeFile('bad.csv', ['time,open,close']), { symbol: 'BTC-USDT' })),
+    /CSV 缺少必要的列: high, low/);
+  await assert.rejects(collect(readCsvCandles(writeFile('nosymbol.csv', ['time,open,high,low,close']))),
+    /请通过 --symbol 指定币种/);
+});
+
+test('按扩展名选择数据源', () => {
+  assert.throws(() => openTickSource('ticks.txt'), /不支持的回放文件格式/);
+});
+
+test('回放使用行情时间，预警由捕获渠道记录', async () => {
+  const filePath = writeFile('replay.ndjson', [
+    tick(100, '2024-05-01T00:00:00.000Z'),
+    tick(100.5, '2024-05-01T00:00:01.000Z'),
+    tick(102, '2024-05-01T00:00:02.000Z')
+  ]);
+  const service = new ReplayService({ files: [filePath] });
+  const report = await service.run();
+
+  assert.strictEqual(report.tickCount, 3);
+  assert.strictEqual(report.startTime.toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.strictEqual(report.endTime.toISOString(), '2024-05-01T00:00:02.000Z');
+  assert.strictEqual(report.settings.thresholds, 'first_tick');
+  assert.strictEqual(report.summary.total, 1);
+  assert.strictEqual(report.alerts[0].symbol, 'BTC-USDT');
+  assert.strictEqual(report.alerts[0].time.toISOString(), '2024-05-01T00:00:02.000Z');
+
+  // 回放结束后恢复系统时间
+  assert.ok(Math.abs(clock.now() - Date.now()) < 1000);
+});
+
+test('未指定回放文件时报错', async () => {
+  await assert.rejects(new ReplayService().run(), /未指定回放文件/);
+});
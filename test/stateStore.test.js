@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore, MemoryStateStore, JsonFileStateStore, createStateStore } = require('../services/state');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-monitor-state-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const state = {
+  version: 1,
+  thresholds: { BTCUSDT: { min: 100, max: 200 } },
+  alerts: { BTCUSDT_max: 1700000000000 }
+};
+
+test('按配置创建存储后端', () => {
+  assert.ok(createStateStore({ backend: 'memory' }) instanceof MemoryStateStore);
+  assert.ok(createStateStore({ backend: 'json', filePath: 'data/state.json' }) instanceof JsonFileStateStore);
+  assert.throws(() => createStateStore({ backend: 'redis' }), /不支持的状态存储后端: redis/);
+});
+
+test('基类要求子类实现读写方法', async () => {
+  class IncompleteStore extends StateStore {}
+  await assert.rejects(new IncompleteStore().load(), /IncompleteStore 未实现 load 方法/);
+  await assert.rejects(new IncompleteStore().save({}), /IncompleteStore 未实现 save 方法/);
+});
+
+test('内存存储保存的是副本', async () => {
+  const store = new MemoryStateStore();
+  assert.strictEqual(await store.load(), null);
+
+  const saved = JSON.parse(JSON.stringify(state));
+  await store.save(saved);
+  saved.thresholds.BTCUSDT.min = 0;
+
+  const loaded = await store.load();
+  assert.deepStrictEqual(loaded, state);
+  loaded.thresholds.BTCUSDT.max = 0;
+  assert.deepStrictEqual(await store.load(), state);
+});
+
+test('JSON 文件存储读写状态并自动创建目录', async () => {
+  const filePath = path.join(tmpDir, 'nested', 'state.json');
+  const store = new JsonFileStateStore(filePath);
+  assert.strictEqual(await store.load(), null);
+
+  await store.save(state);
+  assert.deepStrictEqual(await store.load(), state);
+  assert.deepStrictEqual(await new JsonFileStateStore(filePath).load(), state);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['state.json']);
+});
+
+test('JSON 文件格式错误时报错', async () => {
+  const filePath = path.join(tmpDir, 'broken.json');
+  fs.writeFileSync(filePath, '{ "thresholds": ');
+  await assert.rejects(new JsonFileStateStore(filePath).load(), /状态文件格式错误/);
+});
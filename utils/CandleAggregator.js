@@ -0,0 +1,136 @@
+/**
+ * K 线聚合器
+ * 将逐笔行情按周期聚合为 OHLCV K 线，每个币种每个周期保留最近 maxBars 根已收盘的 K 线
+ * 成交量取 24h 成交量的增量，24h 窗口滚动导致增量为负时记为 0
+ */
+
+const RingBuffer = require('./RingBuffer');
+
+// 支持的周期及对应毫秒数
+const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+class CandleAggregator {
+  /**
+   * @param {Object} options - { timeframes: 周期列表, maxBars: 每个周期保留的 K 线数 }
+   */
+  constructor({ timeframes, maxBars }) {
+    this.timeframes = timeframes;
+    this.maxBars = maxBars;
+    // symbol -> { lastVolume, series: Map(timeframe -> { current, closed: RingBuffer }) }
+    this.symbols = new Map();
+  }
+
+  /**
+   * 写入一条行情
+   * @param {string} symbol - 币种符号
+   * @param {number} price - 价格
+   * @param {number} volume24h - 24h 成交量，未知时传 null
+   * @param {number} time - 行情时间戳（毫秒）
+   * @returns {Array} 本次收盘的 K 线 [{ timeframe, candle }]，按周期顺序排列
+   */
+  update(symbol, price, volume24h, time) {
+    let state = this.symbols.get(symbol);
+    if (!state) {
+      state = { lastVolume: null, series: new Map() };
+      this.symbols.set(symbol, state);
+    }
+
+    let volume = 0;
+    if (typeof volume24h === 'number' && !isNaN(volume24h)) {
+      if (state.lastVolume !== null) {
+        volume = Math.max(0, volume24h - state.lastVolume);
+      }
+      state.lastVolume = volume24h;
+    }
+
+    const closed = [];
+    this.timeframes.forEach((timeframe) => {
+      const interval = TIMEFRAMES[timeframe];
+      const openTime = Math.floor(time / interval) * interval;
+
+      let series = state.series.get(timeframe);
+      if (!series) {
+        series = { current: null, closed: new RingBuffer(this.maxBars) };
+        state.series.set(timeframe, series);
+      }
+
+      const { current } = series;
+      // 乱序的旧行情并入当前 K 线
+      if (current && openTime <= current.openTime) {
+        current.high = Math.max(current.high, price);
+        current.low = Math.min(current.low, price);
+        current.close = price;
+        current.volume += volume;
+        return;
+      }
+
+      if (current) {
+        series.closed.push(current);
+        closed.push({ timeframe, candle: current });
+
+        // 中间没有行情的周期以前收盘价补齐，保证指标按固定周期计算
+        const gaps = Math.min((openTime - current.openTime) / interval - 1, this.maxBars);
+        for (let i = gaps; i >= 1; i--) {
+          const close = current.close;
+          series.closed.push({ openTime: openTime - i * interval, open: close, high: close, low: close, close, volume: 0 });
+        }
+      }
+
+      series.current = { openTime, open: price, high: price, low: price, close: price, volume };
+    });
+
+    return closed;
+  }
+
+  /**
+   * 获取已收盘的 K 线
+   * @param {string} symbol - 币种符号
+   * @param {string} timeframe - 周期
+   * @returns {Object[]} 按时间升序排列 { openTime, open, high, low, close, volume }
+   */
+  getClosed(symbol, timeframe) {
+    const series = this._getSeries(symbol, timeframe);
+    return series ? series.closed.toArray() : [];
+  }
+
+  /**
+   * 获取 K 线，包含未收盘的当前 K 线
+   * @param {string} symbol - 币种符号
+   * @param {string} timeframe - 周期
+   * @param {number} limit - 最多返回的数量
+   * @returns {Object[]} 按时间升序排列，当前 K 线带 closed: false
+   */
+  getCandles(symbol, timeframe, limit = this.maxBars) {
+    const series = this._getSeries(symbol, timeframe);
+    if (!series) {
+      return [];
+    }
+    const candles = series.closed.toArray().map(candle => ({ ...candle, closed: true }));
+    if (series.current) {
+      candles.push({ ...series.current, closed: false });
+    }
+    return candles.slice(-limit);
+  }
+
+  _getSeries(symbol, timeframe) {
+    const state = this.symbols.get(symbol);
+    return state ? state.series.get(timeframe) : null;
+  }
+
+  /**
+   * 清除币种的 K 线
+   * @param {string} symbol - 币种符号
+   */
+  clear(symbol) {
+    this.symbols.delete(symbol);
+  }
+}
+
+CandleAggregator.TIMEFRAMES = TIMEFRAMES;
+
+module.exports = CandleAggregator;
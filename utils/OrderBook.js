@@ -0,0 +1,224 @@
+/**
+ * 本地维护的盘口
+ * 由快照初始化，按增量更新维护，每次更新后校验序列号和校验和（OKX books 频道格式），
+ * 校验失败时返回错误原因，由调用方丢弃本地盘口并重新订阅
+ */
+
+const { toNotional } = require('./instrument');
+
+// 参与校验和计算的档位数
+const CHECKSUM_DEPTH = 25;
+
+const CRC32_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c;
+  }
+  return table;
+})();
+
+/**
+ * 计算 CRC32，返回有符号 32 位整数（与 OKX checksum 一致）
+ * @param {string} text - 输入字符串
+ * @returns {number}
+ */
+function crc32(text) {
+  let crc = -1;
+  const bytes = Buffer.from(text, 'utf8');
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) | 0;
+}
+
+class OrderBook {
+  /**
+   * @param {string} symbol - 币种符号
+   */
+  constructor(symbol) {
+    this.symbol = symbol;
+    // 价格字符串 -> 数量字符串，保留原始字符串用于计算校验和
+    this.bids = new Map();
+    this.asks = new Map();
+    this.seqId = null;
+    this.updatedAt = null;
+    this._sorted = null;
+  }
+
+  /**
+   * 用快照重建盘口
+   * @param {Object} data - { bids, asks, seqId, checksum, timestamp }，档位为 [价格, 数量, ...] 字符串数组
+   * @returns {string|null} 校验失败的原因
+   */
+  applySnapshot(data) {
+    this.bids.clear();
+    this.asks.clear();
+    this._applyLevels(this.bids, data.bids);
+    this._applyLevels(this.asks, data.asks);
+    return this._commit(data);
+  }
+
+  /**
+   * 应用增量更新，数量为 0 的档位表示删除
+   * @param {Object} data - { bids, asks, seqId, prevSeqId, checksum, timestamp }
+   * @returns {string|null} 校验失败的原因
+   */
+  applyUpdate(data) {
+    if (this.seqId === null) {
+      return '尚未收到快照';
+    }
+    if (data.prevSeqId !== undefined && data.prevSeqId !== null && data.prevSeqId !== this.seqId) {
+      return `序列号不连续 (本地 ${this.seqId}, prevSeqId ${data.prevSeqId})`;
+    }
+
+    this._applyLevels(this.bids, data.bids);
+    this._applyLevels(this.asks, data.asks);
+    return this._commit(data);
+  }
+
+  _applyLevels(side, levels = []) {
+    levels.forEach(([price, size]) => {
+      if (parseFloat(size) === 0) {
+        side.delete(price);
+      } else {
+        side.set(price, size);
+      }
+    });
+    this._sorted = null;
+  }
+
+  _commit(data) {
+    if (data.seqId !== undefined && data.seqId !== null) {
+      this.seqId = data.seqId;
+    }
+    this.updatedAt = data.timestamp || new Date();
+
+    if (typeof data.checksum === 'number' && this.checksum() !== data.checksum) {
+      return `校验和不一致 (本地 ${this.checksum()}, 推送 ${data.checksum})`;
+    }
+
+    const bestBid = this.getBestBid();
+    const bestAsk = this.getBestAsk();
+    if (bestBid && bestAsk && bestBid.price >= bestAsk.price) {
+      return `买一 ${bestBid.price} 不低于卖一 ${bestAsk.price}`;
+    }
+    return null;
+  }
+
+  /**
+   * 按价格排序的档位，买盘从高到低，卖盘从低到高
+   * @returns {Object} { bids, asks }，档位为 { price, size, raw: [价格, 数量] }
+   */
+  _getSorted() {
+    if (!this._sorted) {
+      const toLevels = side => Array.from(side, ([price, size]) => ({
+        price: parseFloat(price),
+        size: parseFloat(size),
+        raw: [price, size]
+      }));
+      this._sorted = {
+        bids: toLevels(this.bids).sort((a, b) => b.price - a.price),
+        asks: toLevels(this.asks).sort((a, b) => a.price - b.price)
+      };
+    }
+    return this._sorted;
+  }
+
+  /**
+   * 计算前 25 档的校验和: bid1价:bid1量:ask1价:ask1量:bid2价...，一侧档位不足时只拼接另一侧
+   * @returns {number} 有符号 32 位整数
+   */
+  checksum() {
+    const { bids, asks } = this._getSorted();
+    const parts = [];
+    for (let i = 0; i < CHECKSUM_DEPTH; i++) {
+      if (bids[i]) parts.push(bids[i].raw[0], bids[i].raw[1]);
+      if (asks[i]) parts.push(asks[i].raw[0], asks[i].raw[1]);
+    }
+    return crc32(parts.join(':'));
+  }
+
+  /**
+   * @returns {Object|null} 买一 { price, size }
+   */
+  getBestBid() {
+    return this._getSorted().bids[0] || null;
+  }
+
+  /**
+   * @returns {Object|null} 卖一 { price, size }
+   */
+  getBestAsk() {
+    return this._getSorted().asks[0] || null;
+  }
+
+  /**
+   * @returns {number|null} 中间价
+   */
+  getMid() {
+    const bestBid = this.getBestBid();
+    const bestAsk = this.getBestAsk();
+    return bestBid && bestAsk ? (bestBid.price + bestAsk.price) / 2 : null;
+  }
+
+  /**
+   * @returns {number|null} 买一卖一价差（基点，相对中间价）
+   */
+  getSpreadBps() {
+    const mid = this.getMid();
+    return mid ? ((this.getBestAsk().price - this.getBestBid().price) / mid) * 10000 : null;
+  }
+
+  /**
+   * 获取中间价上下 percent% 以内的档位
+   * @param {number} percent - 距中间价的百分比
+   * @returns {Object} { bids, asks }，档位为 { price, size, notional }，notional 以计价币种计，
+   *   合约按面值换算，面值未知时为 null
+   */
+  getLevelsWithin(percent) {
+    const mid = this.getMid();
+    if (!mid) {
+      return { bids: [], asks: [] };
+    }
+
+    const { bids, asks } = this._getSorted();
+    const low = mid * (1 - percent / 100);
+    const high = mid * (1 + percent / 100);
+    const toLevel = ({ price, size }) => ({ price, size, notional: toNotional(this.symbol, price, size) });
+    return {
+      bids: bids.filter(level => level.price >= low).map(toLevel),
+      asks: asks.filter(level => level.price <= high).map(toLevel)
+    };
+  }
+
+  /**
+   * 获取指定价格档位的挂单量
+   * @param {string} side - bid | ask
+   * @param {number} price - 价格
+   * @returns {number} 挂单量，档位不存在时为 0
+   */
+  getSize(side, price) {
+    const levels = this._getSorted()[side === 'bid' ? 'bids' : 'asks'];
+    const level = levels.find(item => item.price === price);
+    return level ? level.size : 0;
+  }
+
+  /**
+   * 获取前 N 档
+   * @param {number} limit - 档数
+   * @returns {Object} { bids, asks }，档位为 [价格, 数量]
+   */
+  getTop(limit) {
+    const { bids, asks } = this._getSorted();
+    const toPair = ({ price, size }) => [price, size];
+    return { bids: bids.slice(0, limit).map(toPair), asks: asks.slice(0, limit).map(toPair) };
+  }
+}
+
+OrderBook.crc32 = crc32;
+
+module.exports = OrderBook;
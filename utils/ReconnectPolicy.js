@@ -0,0 +1,132 @@
+/**
+ * 重连策略
+ * 带抖动的指数退避，并通过熔断器在连续失败后暂停重连一段时间
+ *
+ * 熔断器状态：
+ * - closed: 正常按退避延迟重连
+ * - open: 连续失败达到阈值，等待 openDuration 后再尝试
+ * - half_open: 熔断等待结束后的试探性重连，成功则关闭熔断，失败则重新打开
+ */
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class ReconnectPolicy {
+  /**
+   * @param {Object} options - 策略配置
+   * @param {number} options.baseDelay - 初始延迟（毫秒）
+   * @param {number} options.maxDelay - 最大延迟（毫秒）
+   * @param {number} options.multiplier - 退避倍数
+   * @param {number} options.jitter - 抖动比例（0-1），实际延迟在 [delay * (1 - jitter), delay] 之间
+   * @param {number} options.maxAttempts - 最大重连次数，0 表示无限重试
+   * @param {Object} options.circuitBreaker - 熔断配置 { failureThreshold, openDuration }，failureThreshold 为 0 时不熔断
+   */
+  constructor(options = {}) {
+    this.options = {
+      baseDelay: 1000,
+      maxDelay: 60000,
+      multiplier: 2,
+      jitter: 0,
+      maxAttempts: 0,
+      circuitBreaker: { failureThreshold: 0, openDuration: 0 },
+      ...options
+    };
+    this.attempts = 0;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.openedAt = null;
+    this.nextAttemptAt = null;
+  }
+
+  /**
+   * 是否还可以继续重连
+   * @returns {boolean}
+   */
+  canRetry() {
+    return this.options.maxAttempts <= 0 || this.attempts < this.options.maxAttempts;
+  }
+
+  /**
+   * 登记一次重连并计算等待时间
+   * @returns {number} 距离下次重连的延迟（毫秒）
+   */
+  nextDelay() {
+    this.attempts++;
+
+    const { failureThreshold, openDuration } = this.options.circuitBreaker;
+    const shouldOpen = failureThreshold > 0 && (
+      this.state === CIRCUIT_STATES.HALF_OPEN ||
+      (this.state === CIRCUIT_STATES.CLOSED && this.attempts >= failureThreshold)
+    );
+
+    let delay;
+    if (shouldOpen) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+      delay = openDuration;
+    } else {
+      delay = this._backoffDelay();
+    }
+
+    this.nextAttemptAt = Date.now() + delay;
+    return delay;
+  }
+
+  /**
+   * 计算带抖动的指数退避延迟
+   * @returns {number} 毫秒
+   */
+  _backoffDelay() {
+    const { baseDelay, maxDelay, multiplier, jitter } = this.options;
+    const exponent = Math.min(this.attempts - 1, 30);
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(multiplier, exponent));
+    return Math.round(delay * (1 - jitter * Math.random()));
+  }
+
+  /**
+   * 重连开始时调用，熔断等待结束后进入半开状态
+   */
+  beforeAttempt() {
+    this.nextAttemptAt = null;
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+  }
+
+  /**
+   * 连接成功后重置策略
+   */
+  recordSuccess() {
+    this.reset();
+  }
+
+  /**
+   * 重置重连次数和熔断状态
+   */
+  reset() {
+    this.attempts = 0;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.openedAt = null;
+    this.nextAttemptAt = null;
+  }
+
+  /**
+   * 获取策略状态
+   * @returns {Object} { circuitState, attempts, maxAttempts, openedAt, nextAttemptAt }
+   */
+  getStatus() {
+    return {
+      circuitState: this.state,
+      attempts: this.attempts,
+      maxAttempts: this.options.maxAttempts,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt) : null
+    };
+  }
+}
+
+ReconnectPolicy.CIRCUIT_STATES = CIRCUIT_STATES;
+
+module.exports = ReconnectPolicy;
@@ -0,0 +1,97 @@
+/**
+ * 环形缓冲区
+ * 固定容量，写满后自动覆盖最旧的数据
+ */
+
+class RingBuffer {
+  /**
+   * @param {number} capacity - 最大容量
+   */
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      throw new Error(`无效的缓冲区容量: ${capacity}`);
+    }
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * 写入一条数据
+   * @param {*} item - 数据项
+   */
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * 按时间顺序获取第 i 条数据（0 为最旧）
+   * @param {number} i - 索引
+   * @returns {*} 数据项，越界时返回 undefined
+   */
+  get(i) {
+    if (i < 0 || i >= this.length) {
+      return undefined;
+    }
+    return this.items[(this.start + i) % this.capacity];
+  }
+
+  /**
+   * 获取最新的一条数据
+   * @returns {*} 数据项
+   */
+  last() {
+    return this.get(this.length - 1);
+  }
+
+  /**
+   * 二分查找第一条满足条件的数据的索引
+   * 条件须按时间顺序单调：之前的数据都不满足，之后的数据都满足（如按时间戳查找窗口起点）
+   * @param {Function} predicate - 判断函数，接收数据项
+   * @returns {number} 索引，都不满足时返回 length
+   */
+  findFirst(predicate) {
+    let low = 0;
+    let high = this.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (predicate(this.get(mid))) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * 按时间顺序导出所有数据
+   * @returns {Array} 数据数组（旧 -> 新）
+   */
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.get(i));
+    }
+    return result;
+  }
+
+  /**
+   * 清空缓冲区
+   */
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+module.exports = RingBuffer;
@@ -0,0 +1,84 @@
+/**
+ * 按大小滚动的文件写入器
+ * 当前文件超过上限时依次重命名为 .1、.2 ...，只保留最近 maxFiles 个历史文件
+ * 采用同步写入，进程退出（process.exit）前的日志不会丢失
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class RotatingFileWriter {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.path - 文件路径
+   * @param {number} options.maxSize - 单个文件的最大字节数，0 表示不滚动
+   * @param {number} options.maxFiles - 保留的历史文件数
+   */
+  constructor(options) {
+    this.filePath = path.resolve(options.path);
+    this.maxSize = options.maxSize || 0;
+    this.maxFiles = Math.max(0, options.maxFiles || 0);
+    this.fd = null;
+    this.size = 0;
+  }
+
+  /**
+   * 写入一行
+   * @param {string} line - 不含换行符的内容
+   */
+  write(line) {
+    const buffer = Buffer.from(`${line}\n`);
+
+    if (this.fd === null) {
+      this._open();
+    } else if (this.maxSize > 0 && this.size > 0 && this.size + buffer.length > this.maxSize) {
+      this._rotate();
+    }
+
+    fs.writeSync(this.fd, buffer);
+    this.size += buffer.length;
+  }
+
+  /**
+   * 关闭文件
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * 以追加方式打开文件，沿用已有文件的大小
+   */
+  _open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  /**
+   * 滚动文件: file.(n-1) -> file.n ... file -> file.1
+   */
+  _rotate() {
+    this.close();
+
+    if (this.maxFiles === 0) {
+      fs.rmSync(this.filePath, { force: true });
+    } else {
+      fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        const source = `${this.filePath}.${i}`;
+        if (fs.existsSync(source)) {
+          fs.renameSync(source, `${this.filePath}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    }
+
+    this._open();
+  }
+}
+
+module.exports = RotatingFileWriter;
@@ -0,0 +1,45 @@
+/**
+ * 时钟模块
+ * 业务代码通过 clock.now() 获取当前时间，回放模式下切换为行情数据中的时间，
+ * 使冷却期、时间窗口等逻辑按历史时间而不是实际运行时间计算
+ */
+
+let source = null;
+
+/**
+ * 获取当前时间戳
+ * @returns {number} 毫秒时间戳
+ */
+function now() {
+  return source ? source() : Date.now();
+}
+
+/**
+ * 获取当前时间
+ * @returns {Date} 日期对象
+ */
+function date() {
+  return new Date(now());
+}
+
+/**
+ * 设置时间来源
+ * @param {Function} fn - 返回毫秒时间戳的函数
+ */
+function setSource(fn) {
+  source = fn;
+}
+
+/**
+ * 恢复为系统时间
+ */
+function reset() {
+  source = null;
+}
+
+module.exports = {
+  now,
+  date,
+  setSource,
+  reset
+};
@@ -0,0 +1,398 @@
+/**
+ * 分层配置加载
+ * 按优先级从低到高合并: config.js 中的默认值 -> 配置文件（YAML/JSON）-> 环境变量 -> 命令行参数
+ * 对象逐层合并，数组和其他值整体替换
+ *
+ * 本模块在 config.js 中使用，不能依赖 logger 等读取配置的模块，配置校验见 configSchema.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { normalizeConfigSymbols } = require('./instrument');
+
+// 未指定配置文件时按顺序查找（相对于当前工作目录）
+const DEFAULT_CONFIG_FILES = ['config.yaml', 'config.yml', 'config.json'];
+
+// 环境变量 -> 配置路径，值按该路径默认值的类型转换（数组按逗号拆分）
+const ENV_MAPPINGS = {
+  OKX_WS_URL: 'websocket.url',
+  BINANCE_WS_URL: 'exchanges.venues.binance.url',
+  BYBIT_WS_URL: 'exchanges.venues.bybit.url',
+  EXCHANGES: 'exchanges.default',
+  SYMBOLS: 'symbols.default',
+  PRICE_CHANGE_THRESHOLD: 'alerts.priceChangeThreshold',
+  ALERT_COOLDOWN: 'alerts.cooldownPeriod',
+  WECHAT_WEBHOOK_KEY: 'wechat.webhookKey',
+  NOTIFY_CHANNELS: 'notifications.defaultChannels',
+  TELEGRAM_BOT_TOKEN: 'notifications.channels.telegram.botToken',
+  TELEGRAM_CHAT_ID: 'notifications.channels.telegram.chatId',
+  SLACK_WEBHOOK_URL: 'notifications.channels.slack.webhookUrl',
+  DINGTALK_ACCESS_TOKEN: 'notifications.channels.dingtalk.accessToken',
+  DINGTALK_SECRET: 'notifications.channels.dingtalk.secret',
+  FEISHU_WEBHOOK_URL: 'notifications.channels.feishu.webhookUrl',
+  FEISHU_SECRET: 'notifications.channels.feishu.secret',
+  ALERT_WEBHOOK_URL: 'notifications.channels.webhook.url',
+  HTTP_ENABLED: 'http.enabled',
+  HTTP_HOST: 'http.host',
+  HTTP_PORT: 'http.port',
+  HTTP_API_TOKEN: 'http.token',
+  STATE_ENABLED: 'state.enabled',
+  STATE_BACKEND: 'state.backend',
+  STATE_FILE: 'state.filePath',
+  METRICS_ENABLED: 'metrics.enabled',
+  DASHBOARD_ENABLED: 'dashboard.enabled',
+  TUI_ENABLED: 'tui.enabled',
+  RECORDER_ENABLED: 'recorder.enabled',
+  RECORDER_DIR: 'recorder.dir',
+  ORDER_BOOK_ENABLED: 'orderBook.enabled',
+  CONFIG_WATCH: 'reload.watch',
+  LOG_LEVEL: 'logging.level',
+  LOG_FORMAT: 'logging.format',
+  LOG_CONSOLE: 'logging.enableConsole',
+  LOG_FILE_ENABLED: 'logging.file.enabled',
+  LOG_FILE: 'logging.file.path'
+};
+
+// 命令行快捷参数 -> 配置路径，不带值的参数视为 true
+const CLI_FLAGS = {
+  '--tui': { path: 'tui.enabled', flag: true },
+  '--log-level': { path: 'logging.level' },
+  '--http-port': { path: 'http.port' }
+};
+
+// 输出配置时需要隐藏的字段
+const SECRET_KEYS = ['webhookKey', 'botToken', 'accessToken', 'secret', 'webhookUrl', 'token', 'password', 'apiKey', 'apiSecret'];
+// 按完整路径隐藏的字段，webhook 渠道的地址可能包含访问令牌
+const SECRET_PATHS = ['notifications.channels.webhook.url'];
+const REDACTED = '******';
+
+/**
+ * 是否为普通对象
+ * @param {*} value - 任意值
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 深度合并，source 中的对象逐层合并到 target，其他值（含数组）复制后替换
+ * @param {Object} target - 目标对象（会被修改）
+ * @param {Object} source - 来源对象
+ * @returns {Object} target
+ */
+function mergeConfig(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      mergeConfig(target[key], value);
+    } else if (Array.isArray(value)) {
+      target[key] = value.map(item => (isPlainObject(item) ? mergeConfig({}, item) : item));
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * 读取点分路径上的值
+ * @param {Object} object - 配置对象
+ * @param {string} keyPath - 如 http.port
+ * @returns {*}
+ */
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+}
+
+/**
+ * 设置点分路径上的值，中间对象不存在时创建
+ * @param {Object} object - 配置对象
+ * @param {string} keyPath - 如 http.port
+ * @param {*} value - 值
+ */
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => {
+    if (!isPlainObject(current[key])) {
+      current[key] = {};
+    }
+    return current[key];
+  }, object);
+  parent[last] = value;
+}
+
+/**
+ * 将字符串转换为与参考值相同的类型
+ * 无法转换时返回原字符串，由配置校验给出错误
+ * @param {string} raw - 字符串值
+ * @param {*} reference - 参考值（通常为默认值）
+ * @returns {*}
+ */
+function coerceValue(raw, reference) {
+  const text = String(raw).trim();
+
+  if (typeof reference === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(text)) return true;
+    if (/^(false|0|no|off)$/i.test(text)) return false;
+    return raw;
+  }
+
+  if (typeof reference === 'number') {
+    const number = Number(text);
+    return text !== '' && !Number.isNaN(number) ? number : raw;
+  }
+
+  if (Array.isArray(reference)) {
+    if (text.startsWith('[')) {
+      return parseJsonOr(text, raw);
+    }
+    return text === '' ? [] : text.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  if (typeof reference === 'string') {
+    return raw;
+  }
+
+  // 无默认值或默认值为 null/对象时，按 JSON 解析，失败时作为字符串
+  return parseJsonOr(text, raw);
+}
+
+function parseJsonOr(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * 读取配置文件
+ * @param {string} filePath - 文件路径，.json 按 JSON 解析，其他按 YAML 1.2 解析
+ *   （使用 core schema，日期等不会转换为对象，保持为字符串）
+ * @returns {Object} 配置内容
+ */
+function readConfigFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`读取配置文件失败 ${filePath}: ${error.message}`);
+  }
+
+  let data;
+  try {
+    data = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content, { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    throw new Error(`解析配置文件失败 ${filePath}: ${error.message}`);
+  }
+
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (!isPlainObject(data)) {
+    throw new Error(`配置文件 ${filePath} 的顶层必须为对象`);
+  }
+  return data;
+}
+
+/**
+ * 解析命令行中的配置参数，其他参数忽略（供 replay.js 等入口共用）
+ * 支持:
+ *   --config <文件>              指定配置文件
+ *   --set <路径>=<值>             设置任意配置项，如 --set alerts.cooldownPeriod=30000
+ *   --tui / --log-level <级别> / --http-port <端口>
+ * @param {string[]} argv - 命令行参数
+ * @returns {Object} { configFile, overrides: [{ path, value, flag }] }
+ */
+function parseCliArgs(argv) {
+  const result = { configFile: null, overrides: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eqIndex = arg.indexOf('=');
+    const name = arg.startsWith('--') && eqIndex > 0 ? arg.slice(0, eqIndex) : arg;
+    const inlineValue = name !== arg ? arg.slice(eqIndex + 1) : undefined;
+    const readValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) {
+        throw new Error(`命令行参数 ${name} 缺少值`);
+      }
+      return argv[++i];
+    };
+
+    if (name === '--config') {
+      result.configFile = readValue();
+    } else if (name === '--set') {
+      const assignment = readValue();
+      const index = assignment.indexOf('=');
+      if (index <= 0) {
+        throw new Error(`命令行参数 --set 的格式应为 <路径>=<值>: ${assignment}`);
+      }
+      result.overrides.push({ path: assignment.slice(0, index).trim(), value: assignment.slice(index + 1) });
+    } else if (CLI_FLAGS[name]) {
+      const { path: keyPath, flag } = CLI_FLAGS[name];
+      result.overrides.push(flag && inlineValue === undefined
+        ? { path: keyPath, value: true, flag: true }
+        : { path: keyPath, value: readValue() });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 确定使用的配置文件
+ * @param {string|null} cliFile - 命令行指定的文件
+ * @param {Object} env - 环境变量
+ * @param {string} cwd - 工作目录
+ * @returns {string|null} 文件路径，未找到时返回 null
+ */
+function resolveConfigFile(cliFile, env, cwd) {
+  const explicit = cliFile || env.CONFIG_FILE;
+  if (explicit) {
+    return path.resolve(cwd, explicit);
+  }
+
+  const found = DEFAULT_CONFIG_FILES
+    .map(name => path.join(cwd, name))
+    .find(filePath => fs.existsSync(filePath));
+  return found || null;
+}
+
+/**
+ * 加载配置
+ * @param {Object} defaults - 默认配置
+ * @param {Object} options - { argv, env, cwd }，默认使用当前进程的值
+ * @returns {Object} 合并后的配置
+ */
+function loadConfig(defaults, options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const cwd = options.cwd || process.cwd();
+
+  const config = mergeConfig({}, defaults);
+  const cli = parseCliArgs(argv);
+
+  // 配置文件
+  const configFile = resolveConfigFile(cli.configFile, env, cwd);
+  if (configFile) {
+    mergeConfig(config, readConfigFile(configFile));
+  }
+
+  // 环境变量
+  Object.entries(ENV_MAPPINGS).forEach(([name, keyPath]) => {
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(config, keyPath, coerceValue(env[name], getPath(defaults, keyPath)));
+    }
+  });
+
+  // 命令行参数
+  cli.overrides.forEach(({ path: keyPath, value, flag }) => {
+    setPath(config, keyPath, flag ? value : coerceValue(value, getPath(config, keyPath)));
+  });
+
+  // 统一币种符号的写法，如 BTCUSDT -> BTC-USDT
+  normalizeConfigSymbols(config);
+
+  // 加载来源，重新加载时使用（不可枚举，不会出现在输出和比较中）
+  Object.defineProperty(config, 'configFile', { value: configFile, writable: true, enumerable: false });
+  Object.defineProperty(config, 'defaults', { value: defaults, writable: true, enumerable: false });
+  return config;
+}
+
+/**
+ * 重新加载配置，使用首次加载时的默认值、命令行参数和环境变量
+ * @param {Object} config - 当前配置
+ * @returns {Object} 新的配置（未校验）
+ */
+function reloadConfig(config) {
+  return loadConfig(config.defaults);
+}
+
+/**
+ * 用新配置替换当前配置对象的内容，保持对象引用不变
+ * 按顶层字段整体替换，旧配置的子对象保持原样，可用于比较
+ * @param {Object} target - 当前配置
+ * @param {Object} source - 新配置
+ */
+function replaceConfig(target, source) {
+  Object.keys(target).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(source, key)) {
+      delete target[key];
+    }
+  });
+  Object.assign(target, source);
+  target.configFile = source.configFile;
+}
+
+/**
+ * 比较两份配置，列出变化的字段路径
+ * 数组整体比较，如 symbols.default
+ * @param {Object} previous - 旧配置
+ * @param {Object} next - 新配置
+ * @param {string} prefix - 路径前缀
+ * @returns {string[]} 变化的字段路径
+ */
+function diffConfig(previous, next, prefix = '') {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  const changes = [];
+
+  keys.forEach((key) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const a = previous ? previous[key] : undefined;
+    const b = next ? next[key] : undefined;
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffConfig(a, b, keyPath));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push(keyPath);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * 复制配置并隐藏密钥类字段，用于输出和排查
+ * @param {Object} config - 配置
+ * @returns {Object} 脱敏后的配置
+ */
+function redactConfig(config) {
+  const redact = (value, key, keyPath) => {
+    const isSecret = SECRET_KEYS.includes(key) || SECRET_PATHS.includes(keyPath);
+    if (isSecret && typeof value === 'string' && value !== '') {
+      return REDACTED;
+    }
+    if (key === 'headers' && isPlainObject(value)) {
+      return Object.fromEntries(Object.keys(value).map(name => [name, REDACTED]));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, null, null));
+    }
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => (
+        [name, redact(item, name, keyPath ? `${keyPath}.${name}` : name)]
+      )));
+    }
+    return value;
+  };
+  return redact(config, null, '');
+}
+
+module.exports = {
+  ENV_MAPPINGS,
+  loadConfig,
+  reloadConfig,
+  replaceConfig,
+  diffConfig,
+  mergeConfig,
+  parseCliArgs,
+  redactConfig,
+  getPath,
+  setPath
+};
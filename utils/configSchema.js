@@ -0,0 +1,710 @@
+/**
+ * 配置校验
+ * 以声明式的结构描述每个配置项的类型和取值范围，校验合并后的配置并给出带路径的错误信息，
+ * 如 "symbols.thresholds.BTC-USDT: 最小值 110000 大于最大值 108000"
+ *
+ * 依赖交易所和通知渠道的注册表，需在 config.js 加载完成后使用
+ */
+
+const { EXCHANGE_ADAPTERS, supportsSymbol } = require('../services/exchanges');
+const { NOTIFIER_TYPES } = require('../services/notifiers');
+const AlertRuleEngine = require('../services/AlertRuleEngine');
+const NotificationService = require('../services/NotificationService');
+const PriceTargetTracker = require('../services/PriceTargetTracker');
+const { isValidSymbol } = require('./helpers');
+const { parseInstrument, INST_TYPES } = require('./instrument');
+const { INDICATOR_TYPES } = require('./indicators');
+const CandleAggregator = require('./CandleAggregator');
+
+// 结构描述的构造函数
+const string = (options = {}) => ({ type: 'string', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'number', integer: true, ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+// 固定字段的对象，未声明的字段视为错误（additional 为 true 时允许）
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+// 任意键的对象，key 用于校验键名
+const record = (values, options = {}) => ({ type: 'record', values, ...options });
+
+// 常用字段
+const duration = (options = {}) => integer({ min: 0, ...options }); // 毫秒
+const positive = (options = {}) => number({ exclusiveMin: 0, ...options });
+const symbolName = () => string({ check: (value, root) => checkSymbol(value) || checkSymbolExchanges(value, root) });
+const symbolKey = value => (isValidSymbol(value) ? null : `无效的币种符号: ${value}`);
+const exchangeName = () => oneOf(Object.keys(EXCHANGE_ADAPTERS));
+const channelName = () => string({ check: checkChannelName });
+const severity = () => oneOf(NotificationService.SEVERITIES);
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * 币种符号格式
+ */
+function checkSymbol(value) {
+  return isValidSymbol(value) ? null : `无效的币种符号: ${value}`;
+}
+
+/**
+ * 监控的币种至少要有一个支持其品种类型的数据源
+ */
+function checkSymbolExchanges(value, root) {
+  const instrument = parseInstrument(value);
+  const exchanges = root.exchanges || {};
+  const configured = (exchanges.symbols || {})[value] || exchanges.default;
+  if (!instrument || !Array.isArray(configured) || configured.some(exchange => supportsSymbol(exchange, value))) {
+    return null;
+  }
+  return `没有支持${INST_TYPES[instrument.instType]}的数据源（当前: ${configured.join(', ')}）`;
+}
+
+/**
+ * 按币种指定的数据源必须都支持该币种的品种类型
+ */
+function checkExchangesSupportSymbols(value) {
+  const unsupported = [];
+  Object.entries(value.symbols || {}).forEach(([symbol, exchanges]) => {
+    const instrument = parseInstrument(symbol);
+    if (!instrument || !Array.isArray(exchanges)) return;
+    exchanges
+      .filter(exchange => EXCHANGE_ADAPTERS[exchange] && !supportsSymbol(exchange, symbol))
+      .forEach(exchange => unsupported.push(`${exchange} 不支持${INST_TYPES[instrument.instType]} ${symbol}`));
+  });
+  return unsupported.length > 0 ? unsupported.join('; ') : null;
+}
+
+/**
+ * 渠道名称必须在 notifications.channels 中定义
+ */
+function checkChannelName(value, root) {
+  const channels = root.notifications && root.notifications.channels;
+  if (!channels || channels[value]) {
+    return null;
+  }
+  return `未知的通知渠道 "${value}"，已定义: ${Object.keys(channels).join(', ') || '无'}`;
+}
+
+/**
+ * 最小值不能大于最大值
+ */
+function checkMinMax(value) {
+  if (typeof value.min === 'number' && typeof value.max === 'number' && value.min > value.max) {
+    return `最小值 ${value.min} 大于最大值 ${value.max}`;
+  }
+  return null;
+}
+
+/**
+ * 列表不能有重复项
+ */
+function checkUnique(value) {
+  const duplicates = value.filter((item, index) => value.indexOf(item) !== index);
+  return duplicates.length > 0 ? `存在重复项: ${[...new Set(duplicates)].join(', ')}` : null;
+}
+
+const exchangeList = () => array(exchangeName(), { minItems: 1, check: checkUnique });
+
+// 合约指标预警阈值，全局和按币种覆盖共用
+const derivativesSettings = () => ({
+  fundingRate: object({
+    above: number({ nullable: true }),
+    below: number({ nullable: true })
+  }, { check: value => (typeof value.above === 'number' && typeof value.below === 'number' && value.below > value.above
+    ? `below ${value.below} 大于 above ${value.above}` : null) }),
+  openInterest: object({
+    window: duration({ min: 1 }),
+    percent: positive({ nullable: true })
+  }),
+  markDivergence: object({
+    percent: positive({ nullable: true }),
+    sustainPeriod: duration()
+  })
+});
+
+// 盘口预警阈值，全局和按币种覆盖共用
+const orderBookSettings = () => ({
+  spreadBps: positive({ nullable: true }),
+  liquidity: object({
+    depthPercent: positive(),
+    window: duration({ min: 1 }),
+    dropPercent: positive({ max: 100, nullable: true })
+  }),
+  walls: object({
+    depthPercent: positive(),
+    multiple: positive({ nullable: true }),
+    minNotional: number({ min: 0 })
+  })
+});
+
+// 接收人设置，用户和群组共用
+const recipientSettings = () => ({
+  // 键为渠道名称，值覆盖该渠道的选项（如 chatId、webhookKey）
+  channels: record(object({ enabled: boolean() }, { additional: true })),
+  symbols: array(string({ check: value => (value === '*' ? null : checkSymbol(value)) }), { check: checkUnique }),
+  minSeverity: severity(),
+  quietHours: object({
+    start: string({ pattern: TIME_PATTERN, patternMessage: '应为 HH:MM 格式' }),
+    end: string({ pattern: TIME_PATTERN, patternMessage: '应为 HH:MM 格式' }),
+    minSeverity: severity(),
+    timezone: string({ check: checkTimezone })
+  }, { required: ['start', 'end'] })
+});
+
+/**
+ * 接收人的渠道必须已定义，群组成员必须是已定义的用户
+ */
+function checkRecipients(value, root) {
+  const errors = [];
+  [['users', value.users], ['groups', value.groups]].forEach(([kind, recipients]) => {
+    Object.entries(recipients || {}).forEach(([name, recipient]) => {
+      Object.keys((recipient && recipient.channels) || {}).forEach((channel) => {
+        const error = checkChannelName(channel, root);
+        if (error) errors.push(`${kind}.${name}: ${error}`);
+      });
+      ((recipient && recipient.members) || [])
+        .filter(member => !(value.users || {})[member])
+        .forEach(member => errors.push(`${kind}.${name}: 未定义的用户 "${member}"`));
+    });
+  });
+  return errors.length > 0 ? errors.join('; ') : null;
+}
+
+/**
+ * 时区必须能被 Intl 识别，如 Asia/Shanghai
+ */
+function checkTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return null;
+  } catch (error) {
+    return `无效的时区: ${value}`;
+  }
+}
+
+// 成交流预警阈值，全局和按币种覆盖共用
+const tradeFlowSettings = () => ({
+  largeTradeNotional: positive({ nullable: true }),
+  imbalance: object({
+    window: duration({ min: 1 }),
+    ratio: number({ exclusiveMin: 0.5, max: 1, nullable: true }),
+    minNotional: number({ min: 0 })
+  })
+});
+
+/**
+ * 指标规则的周期需已聚合，均线快线周期需小于慢线
+ */
+function checkIndicatorRule(rule, root) {
+  const timeframes = (root.indicators || {}).timeframes || [];
+  if (!timeframes.includes(rule.timeframe)) {
+    return `周期 ${rule.timeframe} 未在 indicators.timeframes 中（当前: ${timeframes.join(', ')}）`;
+  }
+  const params = { ...(INDICATOR_TYPES[rule.type] || {}).defaults, ...rule };
+  if (rule.type === 'ma_cross' && params.fast >= params.slow) {
+    return `快线周期 ${params.fast} 应小于慢线周期 ${params.slow}`;
+  }
+  return null;
+}
+
+// 阈值区间计算方式，全局和按币种覆盖共用
+const bandSettings = () => ({
+  mode: oneOf(['fixed', 'volatility', 'atr']),
+  anchor: oneOf(['both', 'breached']),
+  volatility: object({
+    timeframe: oneOf(Object.keys(CandleAggregator.TIMEFRAMES)),
+    period: integer({ min: 2 }),
+    multiple: positive()
+  }),
+  atr: object({
+    timeframe: oneOf(Object.keys(CandleAggregator.TIMEFRAMES)),
+    period: integer({ min: 1 }),
+    multiple: positive()
+  }),
+  minWidth: positive({ max: 1 }),
+  maxWidth: positive({ max: 1 })
+});
+
+/**
+ * 阈值区间使用的 K 线周期需已聚合，宽度下限不大于上限
+ * 按币种覆盖只检查覆盖了的部分，避免重复报告全局配置的错误
+ */
+function checkBands(value, root) {
+  const timeframes = (root.indicators || {}).timeframes || [];
+  const errors = [];
+  const checkItem = (prefix, item, isOverride) => {
+    const mode = item.mode || value.mode;
+    if (mode !== 'fixed' && (!isOverride || item.mode || item[mode])) {
+      const { timeframe } = { ...value[mode], ...item[mode] };
+      if (timeframe && !timeframes.includes(timeframe)) {
+        errors.push(`${prefix}${mode}.timeframe ${timeframe} 未在 indicators.timeframes 中`);
+      }
+    }
+    if (!isOverride || item.minWidth !== undefined || item.maxWidth !== undefined) {
+      const minWidth = item.minWidth !== undefined ? item.minWidth : value.minWidth;
+      const maxWidth = item.maxWidth !== undefined ? item.maxWidth : value.maxWidth;
+      if (typeof minWidth === 'number' && typeof maxWidth === 'number' && minWidth > maxWidth) {
+        errors.push(`${prefix}minWidth ${minWidth} 大于 maxWidth ${maxWidth}`);
+      }
+    }
+  };
+
+  checkItem('', value, false);
+  Object.entries(value.symbols || {}).forEach(([symbol, item]) => checkItem(`symbols.${symbol}.`, item, true));
+  return errors.length > 0 ? errors.join('; ') : null;
+}
+
+/**
+ * 订阅成交的币种需要使用 OKX 作为数据源
+ */
+function checkTradesSymbol(value, root) {
+  const exchanges = root.exchanges || {};
+  const configured = (exchanges.symbols || {})[value] || exchanges.default;
+  if (!Array.isArray(configured) || configured.includes('okx')) {
+    return null;
+  }
+  return `成交频道仅支持 okx（${value} 的数据源: ${configured.join(', ')}）`;
+}
+
+/**
+ * 价格目标需提供与类型对应的参数
+ */
+function checkPriceTarget(value) {
+  const type = value.type || 'price';
+  if (type === 'price' && typeof value.price !== 'number') {
+    return '价格目标需要 price';
+  }
+  if (type === 'trailing' && typeof value.percent !== 'number') {
+    return '移动止损需要 percent';
+  }
+  return null;
+}
+
+// 持仓盈亏预警阈值，全局和单个持仓共用
+const pnlSettings = () => object({
+  above: number({ nullable: true }),
+  below: number({ nullable: true })
+}, { check: value => (typeof value.above === 'number' && typeof value.below === 'number' && value.below > value.above
+  ? `below ${value.below} 大于 above ${value.above}` : null) });
+
+/**
+ * 持仓币种不能重复，目标权重之和不超过 1
+ */
+function checkPositions(value) {
+  const duplicate = checkUnique(value.map(position => position && position.symbol));
+  if (duplicate) {
+    return duplicate;
+  }
+  const totalWeight = value.reduce((sum, position) => sum + (position && typeof position.targetWeight === 'number' ? position.targetWeight : 0), 0);
+  return totalWeight > 1 + 1e-9 ? `targetWeight 之和 ${Number(totalWeight.toFixed(6))} 超过 1` : null;
+}
+
+const CONFIG_SCHEMA = object({
+  websocket: object({
+    url: string({ pattern: /^wss?:\/\//, patternMessage: '应以 ws:// 或 wss:// 开头' }),
+    reconnectAttempts: integer({ min: 0 }),
+    reconnectDelay: duration({ min: 1 }),
+    reconnect: object({
+      maxDelay: duration({ min: 1 }),
+      multiplier: number({ min: 1 }),
+      jitter: number({ min: 0, max: 1 }),
+      circuitBreaker: object({
+        failureThreshold: integer({ min: 0 }),
+        openDuration: duration()
+      }),
+      downAlertDelay: duration()
+    }),
+    subscriptionDelay: duration(),
+    watchdog: object({
+      enabled: boolean(),
+      staleTimeout: duration({ min: 1 }),
+      checkInterval: duration({ min: 1 }),
+      reconnectWhenAllStale: boolean(),
+      symbols: record(duration({ min: 1 }), { key: symbolKey })
+    })
+  }),
+
+  exchanges: object({
+    default: exchangeList(),
+    symbols: record(exchangeList(), { key: symbolKey }),
+    failoverTimeout: duration({ min: 1 }),
+    venues: record(object({
+      url: string({ nullable: true })
+    }, { additional: true }), { key: value => (EXCHANGE_ADAPTERS[value] ? null : `不支持的交易所: ${value}`) })
+  }, { check: checkExchangesSupportSymbols }),
+
+  arbitrage: object({
+    enabled: boolean(),
+    spreadPercent: positive(),
+    sustainPeriod: duration(),
+    maxQuoteAge: duration({ min: 1 }),
+    symbols: record(positive(), { key: symbolKey })
+  }),
+
+  derivatives: object({
+    enabled: boolean(),
+    ...derivativesSettings(),
+    symbols: record(object(derivativesSettings()), { key: symbolKey })
+  }),
+
+  orderBook: object({
+    enabled: boolean(),
+    channel: oneOf(['books', 'books5']),
+    checkInterval: duration(),
+    ...orderBookSettings(),
+    symbols: record(object(orderBookSettings()), { key: symbolKey })
+  }),
+
+  indicators: object({
+    timeframes: array(oneOf(Object.keys(CandleAggregator.TIMEFRAMES)), { minItems: 1, check: checkUnique }),
+    maxBars: integer({ min: 10 }),
+    rules: array(object({
+      symbol: string({ check: value => (value === '*' ? null : checkSymbol(value)) }),
+      timeframe: oneOf(Object.keys(CandleAggregator.TIMEFRAMES)),
+      type: oneOf(Object.keys(INDICATOR_TYPES)),
+      ma: oneOf(['ema', 'sma']),
+      fast: integer({ min: 1 }),
+      slow: integer({ min: 2 }),
+      period: integer({ min: 2 }),
+      above: number({ min: 0, max: 100, nullable: true }),
+      below: number({ min: 0, max: 100, nullable: true }),
+      stdDev: positive(),
+      multiple: positive(),
+      direction: oneOf(['up', 'down', 'any']),
+      channels: array(channelName())
+    }, { required: ['symbol', 'timeframe', 'type'], check: checkIndicatorRule }))
+  }),
+
+  trades: object({
+    symbols: array(string({ check: (value, root) => checkSymbol(value) || checkTradesSymbol(value, root) }), { check: checkUnique }),
+    ...tradeFlowSettings(),
+    thresholds: record(object(tradeFlowSettings()), { key: symbolKey })
+  }),
+
+  symbols: object({
+    default: array(symbolName(), { check: checkUnique }),
+    thresholds: record(object({
+      min: number({ min: 0 }),
+      max: number({ min: 0 })
+    }, { required: ['min', 'max'], check: checkMinMax }), { key: symbolKey })
+  }),
+
+  alerts: object({
+    priceChangeThreshold: positive(),
+    bands: object({
+      ...bandSettings(),
+      symbols: record(object(bandSettings()), { key: symbolKey })
+    }, { check: checkBands }),
+    cooldownPeriod: duration(),
+    cleanupInterval: duration({ min: 1 }),
+    maxAlertAge: duration({ min: 1 }),
+    velocityRules: array(object({
+      symbol: string({ check: value => (value === '*' ? null : checkSymbol(value)) }),
+      window: duration({ min: 1 }),
+      percent: positive(),
+      direction: oneOf(['up', 'down', 'any']),
+      cooldown: duration()
+    }, { required: ['symbol', 'window', 'percent'] }))
+  }),
+
+  rules: array(object({
+    id: string(),
+    name: string(),
+    symbol: string({ check: value => (value.toUpperCase() === '*' ? null : checkSymbol(value.toUpperCase())) }),
+    type: oneOf(Object.keys(AlertRuleEngine.RULE_TYPES)),
+    value: number(),
+    direction: oneOf(AlertRuleEngine.RULE_DIRECTIONS),
+    mode: oneOf(AlertRuleEngine.RULE_MODES),
+    cooldown: duration(),
+    hysteresis: number({ min: 0 }),
+    severity: severity(),
+    channels: array(channelName(), { nullable: true }),
+    enabled: boolean()
+  }, { required: ['symbol', 'type'] })),
+
+  priceTargets: object({
+    items: array(object({
+      id: string(),
+      symbol: string({ check: checkSymbol }),
+      label: string(),
+      type: oneOf(Object.keys(PriceTargetTracker.TARGET_TYPES)),
+      direction: oneOf(PriceTargetTracker.TARGET_DIRECTIONS),
+      price: positive(),
+      percent: positive({ max: 99.99 }),
+      note: string(),
+      severity: severity(),
+      channels: array(channelName(), { nullable: true }),
+      enabled: boolean()
+    }, { required: ['id', 'symbol', 'direction'], check: checkPriceTarget }), {
+      check: value => checkUnique(value.map(target => target && target.id).filter(Boolean))
+    }),
+    historySize: integer({ min: 1 })
+  }),
+
+  portfolio: object({
+    positions: array(object({
+      symbol: symbolName(),
+      quantity: positive(),
+      cost: positive(),
+      targetWeight: number({ min: 0, max: 1 }),
+      pnl: pnlSettings()
+    }, { required: ['symbol', 'quantity', 'cost'] }), { check: checkPositions }),
+    checkInterval: duration(),
+    drawdownPercent: positive({ nullable: true }),
+    pnl: pnlSettings(),
+    driftPercent: positive({ nullable: true }),
+    summaryInterval: duration(),
+    channels: array(channelName())
+  }),
+
+  history: object({
+    maxTicks: integer({ min: 1 }),
+    sampleInterval: duration()
+  }),
+
+  wechat: object({
+    webhookKey: string(),
+    apiUrl: string({ pattern: /^https?:\/\//, patternMessage: '应以 http:// 或 https:// 开头' })
+  }),
+
+  notifications: object({
+    defaultChannels: array(channelName(), { check: checkUnique }),
+    symbolChannels: record(array(channelName()), { key: symbolKey }),
+    timeout: duration({ min: 1 }),
+    channels: record(object({
+      type: oneOf(Object.keys(NOTIFIER_TYPES)),
+      enabled: boolean()
+    }, { required: ['type'], additional: true })),
+    recipients: object({
+      users: record(object(recipientSettings())),
+      groups: record(object({
+        ...recipientSettings(),
+        members: array(string(), { check: checkUnique })
+      }))
+    }, { check: checkRecipients })
+  }),
+
+  http: object({
+    enabled: boolean(),
+    host: string(),
+    port: integer({ min: 0, max: 65535 }),
+    token: string()
+  }),
+
+  state: object({
+    enabled: boolean(),
+    backend: oneOf(['json', 'memory']),
+    filePath: string(),
+    saveDelay: duration()
+  }),
+
+  metrics: object({
+    enabled: boolean(),
+    latencyBuckets: array(positive(), { minItems: 1 })
+  }),
+
+  dashboard: object({
+    enabled: boolean(),
+    pushInterval: duration({ min: 1 }),
+    historyWindow: duration({ min: 1 }),
+    historyPoints: integer({ min: 2 }),
+    alertHistory: integer({ min: 1 }),
+    heartbeatInterval: duration({ min: 1 })
+  }),
+
+  tui: object({
+    enabled: boolean(),
+    refreshInterval: duration({ min: 1 }),
+    maxEvents: integer({ min: 1 })
+  }),
+
+  recorder: object({
+    enabled: boolean(),
+    dir: string()
+  }),
+
+  replay: object({
+    speed: number({ min: 0 }),
+    candleInterval: duration({ min: 1 }),
+    exchange: string({ nullable: true })
+  }),
+
+  reload: object({
+    watch: boolean(),
+    interval: duration({ min: 100 })
+  }),
+
+  logging: object({
+    level: oneOf(['debug', 'info', 'warn', 'error', 'silent']),
+    format: oneOf(['text', 'json']),
+    enableConsole: boolean(),
+    modules: record(oneOf(['debug', 'info', 'warn', 'error', 'silent'])),
+    file: object({
+      enabled: boolean(),
+      path: string(),
+      format: oneOf(['text', 'json']),
+      maxSize: integer({ min: 0 }),
+      maxFiles: integer({ min: 0 })
+    })
+  })
+});
+
+/**
+ * 格式化值，用于错误信息
+ */
+function describe(value) {
+  if (typeof value === 'string') return `"${value}"`;
+  if (Array.isArray(value)) return '数组';
+  if (value !== null && typeof value === 'object') return '对象';
+  return String(value);
+}
+
+/**
+ * 拼接字段路径
+ */
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * 按结构描述校验一个值
+ * @param {Object} schema - 结构描述
+ * @param {*} value - 值
+ * @param {string} path - 字段路径
+ * @param {Object} root - 完整配置，供跨字段校验
+ * @param {string[]} errors - 错误列表
+ */
+function validateNode(schema, value, path, root, errors) {
+  const fail = message => errors.push(`${path || '配置'}: ${message}`);
+
+  if (value === null && schema.nullable) {
+    return;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return fail(`应为字符串，实际为 ${describe(value)}`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return fail(`${schema.patternMessage}，实际为 ${describe(value)}`);
+      }
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return fail(`应为数字，实际为 ${describe(value)}`);
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        return fail(`应为整数，实际为 ${value}`);
+      }
+      if (schema.exclusiveMin !== undefined && value <= schema.exclusiveMin) {
+        return fail(`应大于 ${schema.exclusiveMin}，实际为 ${value}`);
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return fail(schema.min === 0 ? `不能为负数，实际为 ${value}` : `不能小于 ${schema.min}，实际为 ${value}`);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return fail(`不能大于 ${schema.max}，实际为 ${value}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return fail(`应为 true 或 false，实际为 ${describe(value)}`);
+      }
+      break;
+
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        return fail(`应为 ${schema.values.join(' / ')} 之一，实际为 ${describe(value)}`);
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return fail(`应为数组，实际为 ${describe(value)}`);
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        return fail(`至少需要 ${schema.minItems} 项`);
+      }
+      value.forEach((item, index) => validateNode(schema.items, item, joinPath(path, index), root, errors));
+      break;
+
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return fail(`应为对象，实际为 ${describe(value)}`);
+      }
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) {
+          errors.push(`${joinPath(path, key)}: 缺少必填项`);
+        }
+      });
+      Object.entries(value).forEach(([key, item]) => {
+        const property = schema.properties[key];
+        if (property) {
+          if (item !== undefined) {
+            validateNode(property, item, joinPath(path, key), root, errors);
+          }
+        } else if (!schema.additional) {
+          errors.push(`${joinPath(path, key)}: 未知的配置项`);
+        }
+      });
+      break;
+    }
+
+    case 'record':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return fail(`应为对象，实际为 ${describe(value)}`);
+      }
+      Object.entries(value).forEach(([key, item]) => {
+        const keyError = schema.key && schema.key(key);
+        if (keyError) {
+          errors.push(`${joinPath(path, key)}: ${keyError}`);
+          return;
+        }
+        validateNode(schema.values, item, joinPath(path, key), root, errors);
+      });
+      break;
+
+    default:
+      throw new Error(`未知的结构类型: ${schema.type}`);
+  }
+
+  if (schema.check) {
+    const message = schema.check(value, root);
+    if (message) {
+      fail(message);
+    }
+  }
+}
+
+/**
+ * 校验配置
+ * @param {Object} config - 合并后的配置
+ * @returns {string[]} 错误列表，为空表示通过
+ */
+function validateConfig(config) {
+  const errors = [];
+  validateNode(CONFIG_SCHEMA, config, '', config, errors);
+  return errors;
+}
+
+/**
+ * 校验配置，不通过时抛出包含全部错误的异常
+ * @param {Object} config - 合并后的配置
+ */
+function assertValidConfig(config) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    const error = new Error(`配置校验失败:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+  assertValidConfig
+};
@@ -3,6 +3,9 @@
  * 包含各种通用的辅助函数
  */
 
+const logger = require('./logger');
+const { parseInstrument } = require('./instrument');
+
 /**
  * 格式化价格显示
  * @param {number} price - 价格
@@ -68,22 +71,18 @@ function safeJsonParse(jsonString, defaultValue = null) {
   try {
     return JSON.parse(jsonString);
   } catch (error) {
-    console.warn('JSON解析失败:', error.message);
+    logger.warn('JSON解析失败:', error.message);
     return defaultValue;
   }
 }
 
 /**
- * 验证币种符号格式
+ * 验证币种符号格式，支持 BTC-USDT、ETH-BTC、BTC-USDT-SWAP、BTC-USD-250627 及旧的 BTCUSDT 写法
  * @param {string} symbol - 币种符号
  * @returns {boolean} 是否为有效格式
  */
 function isValidSymbol(symbol) {
-  if (typeof symbol !== 'string') {
-    return false;
-  }
-  // 检查是否为 XXXUSDT 格式
-  return /^[A-Z]{2,10}USDT$/.test(symbol);
+  return parseInstrument(symbol) !== null;
 }
 
 /**
@@ -197,7 +196,7 @@ async function retry(fn, retries = 3, delayMs = 1000) {
     return await fn();
   } catch (error) {
     if (retries > 0) {
-      console.log(`重试中... 剩余次数: ${retries}`);
+      logger.info(`重试中... 剩余次数: ${retries}`);
       await delay(delayMs);
       return retry(fn, retries - 1, delayMs);
     }
@@ -0,0 +1,90 @@
+/**
+ * HTTP 请求工具模块
+ * 根据 URL 协议自动选择 http 或 https，便于对接本地测试桩
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+/**
+ * 发送请求并解析 JSON 响应
+ * @param {string} url - 请求地址
+ * @param {string|null} body - 请求体
+ * @param {Object} options - { headers, timeout, method }
+ * @returns {Promise<Object>} { statusCode, body }，body 为解析后的 JSON 或原始字符串
+ */
+function request(url, body, options) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const req = client.request(target, {
+      method: options.method,
+      headers: options.headers,
+      timeout: options.timeout || 10000
+    }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        let parsed = data;
+        try {
+          parsed = data ? JSON.parse(data) : null;
+        } catch (error) {
+          // 非 JSON 响应保留原始字符串
+        }
+        resolve({ statusCode: res.statusCode, body: parsed });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`请求超时: ${target.host}`));
+    });
+
+    req.on('error', reject);
+
+    if (body !== null) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * 发送 JSON POST 请求
+ * @param {string} url - 请求地址
+ * @param {Object} payload - 请求体
+ * @param {Object} options - 可选参数 { headers, timeout, method }
+ * @returns {Promise<Object>} { statusCode, body }，body 为解析后的 JSON 或原始字符串
+ */
+function postJson(url, payload, options = {}) {
+  const postData = JSON.stringify(payload);
+  return request(url, postData, {
+    ...options,
+    method: options.method || 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(postData),
+      ...options.headers
+    }
+  });
+}
+
+/**
+ * 发送 GET 请求
+ * @param {string} url - 请求地址
+ * @param {Object} options - 可选参数 { headers, timeout }
+ * @returns {Promise<Object>} { statusCode, body }，body 为解析后的 JSON 或原始字符串
+ */
+function getJson(url, options = {}) {
+  return request(url, null, { ...options, method: 'GET', headers: { Accept: 'application/json', ...options.headers } });
+}
+
+module.exports = {
+  postJson,
+  getJson
+};
@@ -0,0 +1,159 @@
+/**
+ * 技术指标计算
+ * 输入为按时间升序排列的数值或 K 线，返回最新一根 K 线对应的指标值，数据不足时返回 null
+ */
+
+// 指标预警规则类型、名称及默认参数
+const INDICATOR_TYPES = {
+  ma_cross: { name: '均线交叉', defaults: { ma: 'ema', fast: 9, slow: 21, direction: 'any' } },
+  rsi: { name: 'RSI 超买超卖', defaults: { period: 14, above: 70, below: 30 } },
+  bollinger: { name: '布林带突破', defaults: { period: 20, stdDev: 2, direction: 'any' } },
+  atr_move: { name: 'ATR 波动', defaults: { period: 14, multiple: 2, direction: 'any' } }
+};
+
+/**
+ * 简单移动平均
+ * @param {number[]} values - 数值序列
+ * @param {number} period - 周期
+ * @returns {number|null}
+ */
+function sma(values, period) {
+  if (values.length < period) {
+    return null;
+  }
+  let sum = 0;
+  for (let i = values.length - period; i < values.length; i++) {
+    sum += values[i];
+  }
+  return sum / period;
+}
+
+/**
+ * 指数移动平均，以前 period 个值的简单平均作为初始值
+ * @param {number[]} values - 数值序列
+ * @param {number} period - 周期
+ * @returns {number|null}
+ */
+function ema(values, period) {
+  if (values.length < period) {
+    return null;
+  }
+  const k = 2 / (period + 1);
+  let result = sma(values.slice(0, period), period);
+  for (let i = period; i < values.length; i++) {
+    result = values[i] * k + result * (1 - k);
+  }
+  return result;
+}
+
+/**
+ * 相对强弱指数（Wilder 平滑）
+ * @param {number[]} closes - 收盘价序列
+ * @param {number} period - 周期
+ * @returns {number|null} 0-100
+ */
+function rsi(closes, period) {
+  if (closes.length < period + 1) {
+    return null;
+  }
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (loss === 0) {
+    return gain === 0 ? 50 : 100;
+  }
+  return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * 布林带
+ * @param {number[]} closes - 收盘价序列
+ * @param {number} period - 周期
+ * @param {number} stdDev - 标准差倍数
+ * @returns {Object|null} { middle, upper, lower }
+ */
+function bollinger(closes, period, stdDev) {
+  const middle = sma(closes, period);
+  if (middle === null) {
+    return null;
+  }
+  let variance = 0;
+  for (let i = closes.length - period; i < closes.length; i++) {
+    variance += (closes[i] - middle) ** 2;
+  }
+  const deviation = Math.sqrt(variance / period);
+  return { middle, upper: middle + stdDev * deviation, lower: middle - stdDev * deviation };
+}
+
+/**
+ * 平均真实波幅（Wilder 平滑）
+ * @param {Object[]} candles - K 线序列 { high, low, close }
+ * @param {number} period - 周期
+ * @returns {number|null}
+ */
+function atr(candles, period) {
+  if (candles.length < period + 1) {
+    return null;
+  }
+
+  const trueRange = (i) => {
+    const { high, low } = candles[i];
+    const prevClose = candles[i - 1].close;
+    return Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  };
+
+  let result = 0;
+  for (let i = 1; i <= period; i++) {
+    result += trueRange(i);
+  }
+  result /= period;
+
+  for (let i = period + 1; i < candles.length; i++) {
+    result = (result * (period - 1) + trueRange(i)) / period;
+  }
+  return result;
+}
+
+/**
+ * 已实现波动率：最近 period 根 K 线收盘价对数收益率的标准差
+ * @param {number[]} closes - 收盘价序列
+ * @param {number} period - 收益率个数
+ * @returns {number|null} 单根 K 线的波动率（比例）
+ */
+function realizedVolatility(closes, period) {
+  if (closes.length < period + 1) {
+    return null;
+  }
+
+  const returns = [];
+  for (let i = closes.length - period; i < closes.length; i++) {
+    returns.push(Math.log(closes[i] / closes[i - 1]));
+  }
+  const mean = returns.reduce((sum, value) => sum + value, 0) / period;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period;
+  return Math.sqrt(variance);
+}
+
+module.exports = {
+  INDICATOR_TYPES,
+  sma,
+  ema,
+  rsi,
+  bollinger,
+  atr,
+  realizedVolatility
+};
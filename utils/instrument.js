@@ -0,0 +1,270 @@
+/**
+ * 交易品种模型
+ * 统一的币种符号格式为 BASE-QUOTE[-SWAP|-YYMMDD]，与 OKX instId 一致:
+ *   BTC-USDT          现货
+ *   ETH-BTC           现货，非 USDT 计价
+ *   BTC-USDT-SWAP     永续合约
+ *   BTC-USD-250627    交割合约，到期日 2025-06-27
+ * 兼容旧的紧凑写法（如 BTCUSDT、ETHBTC），仅支持现货，按常见计价币种拆分
+ */
+
+// 品种类型及显示名称
+const INST_TYPES = {
+  SPOT: '现货',
+  SWAP: '永续合约',
+  FUTURES: '交割合约'
+};
+
+// 紧凑写法可识别的计价币种，按长度优先匹配
+const COMPACT_QUOTES = ['FDUSD', 'USDT', 'USDC', 'USD', 'EUR', 'TRY', 'BTC', 'ETH'];
+
+// 以美元计价的币种，价格显示为 $108000.0000
+const USD_QUOTES = ['USD', 'USDT', 'USDC', 'FDUSD', 'DAI'];
+
+const CURRENCY = '[A-Z0-9]{1,20}';
+const DASH_PATTERN = new RegExp(`^(${CURRENCY})-(${CURRENCY})(?:-(SWAP|\\d{6}))?$`);
+const COMPACT_PATTERN = /^[A-Z0-9]{2,30}$/;
+
+/**
+ * 解析币种符号
+ * @param {string} symbol - 币种符号，不区分大小写
+ * @returns {Object|null} { id, base, quote, instType, expiry }，无法识别时返回 null
+ */
+function parseInstrument(symbol) {
+  if (typeof symbol !== 'string') {
+    return null;
+  }
+
+  const text = symbol.trim().toUpperCase();
+  const match = text.match(DASH_PATTERN);
+  if (match) {
+    const [, base, quote, suffix] = match;
+    if (base === quote) {
+      return null;
+    }
+    if (!suffix) {
+      return createInstrument(base, quote, 'SPOT', null);
+    }
+    if (suffix === 'SWAP') {
+      return createInstrument(base, quote, 'SWAP', null);
+    }
+    return isValidExpiry(suffix) ? createInstrument(base, quote, 'FUTURES', suffix) : null;
+  }
+
+  if (COMPACT_PATTERN.test(text)) {
+    const quote = COMPACT_QUOTES.find(item => text.endsWith(item) && text.length > item.length);
+    if (quote) {
+      return createInstrument(text.slice(0, -quote.length), quote, 'SPOT', null);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 到期日 YYMMDD 是否为有效日期
+ * @param {string} expiry - 到期日
+ * @returns {boolean}
+ */
+function isValidExpiry(expiry) {
+  const month = Number(expiry.slice(2, 4));
+  const day = Number(expiry.slice(4, 6));
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+function createInstrument(base, quote, instType, expiry) {
+  return { id: formatInstrument({ base, quote, instType, expiry }), base, quote, instType, expiry };
+}
+
+/**
+ * 生成统一格式的币种符号
+ * @param {Object} instrument - { base, quote, instType, expiry }
+ * @returns {string}
+ */
+function formatInstrument({ base, quote, instType, expiry }) {
+  if (instType === 'SWAP') return `${base}-${quote}-SWAP`;
+  if (instType === 'FUTURES') return `${base}-${quote}-${expiry}`;
+  return `${base}-${quote}`;
+}
+
+/**
+ * 转换为统一格式的币种符号，如 btcusdt -> BTC-USDT
+ * @param {string} symbol - 币种符号
+ * @returns {string} 统一格式的符号，无法识别时原样返回，交由校验报错
+ */
+function normalizeSymbol(symbol) {
+  const instrument = parseInstrument(symbol);
+  return instrument ? instrument.id : symbol;
+}
+
+/**
+ * 币种的显示名称，用于预警消息，如 BTC-USDT-SWAP (USDT 永续)
+ * @param {string} symbol - 币种符号
+ * @returns {string}
+ */
+function describeSymbol(symbol) {
+  const instrument = parseInstrument(symbol);
+  if (!instrument || instrument.instType === 'SPOT') {
+    return symbol;
+  }
+  if (instrument.instType === 'SWAP') {
+    return `${symbol} (${instrument.quote} ${INST_TYPES.SWAP})`;
+  }
+  const { expiry } = instrument;
+  return `${symbol} (${INST_TYPES.FUTURES} 20${expiry.slice(0, 2)}-${expiry.slice(2, 4)}-${expiry.slice(4, 6)})`;
+}
+
+/**
+ * 按计价币种格式化价格，如 BTC-USDT 显示为 $108000.0000，ETH-BTC 显示为 0.0241 BTC
+ * @param {string} symbol - 币种符号
+ * @param {number} price - 价格
+ * @param {number} decimals - 小数位数，不传时原样输出
+ * @returns {string}
+ */
+function formatQuotePrice(symbol, price, decimals) {
+  const value = decimals === undefined || typeof price !== 'number' ? String(price) : price.toFixed(decimals);
+  const instrument = parseInstrument(symbol);
+  if (!instrument || USD_QUOTES.includes(instrument.quote)) {
+    return `$${value}`;
+  }
+  return `${value} ${instrument.quote}`;
+}
+
+// 合约面值 symbol -> { value, currency }，由交易所接口加载（见 OkxAdapter.loadInstrumentInfo）
+const contractSpecs = new Map();
+
+/**
+ * 登记合约面值
+ * @param {string} symbol - 币种符号
+ * @param {Object} spec - { value: 每张合约的面值, currency: 面值币种 }，如 BTC-USDT-SWAP 为 { value: 0.01, currency: 'BTC' }
+ */
+function setContractSpec(symbol, spec) {
+  contractSpecs.set(symbol, spec);
+}
+
+/**
+ * 是否能把数量换算为名义价值：现货总是可以，合约需已登记面值
+ * @param {string} symbol - 币种符号
+ * @returns {boolean}
+ */
+function hasContractValue(symbol) {
+  const instrument = parseInstrument(symbol);
+  return !instrument || instrument.instType === 'SPOT' || contractSpecs.has(instrument.id);
+}
+
+/**
+ * 成交或挂单数量的名义价值（计价币种）
+ * 现货数量以基础币种计；合约数量为张数，正向合约（面值以基础币种计）为 张数 × 面值 × 价格，
+ * 反向合约（面值以计价币种计，如 BTC-USD-SWAP 每张 100 USD）为 张数 × 面值
+ * @param {string} symbol - 币种符号
+ * @param {number} price - 价格
+ * @param {number} size - 数量
+ * @returns {number|null} 合约面值未知时返回 null
+ */
+function toNotional(symbol, price, size) {
+  const instrument = parseInstrument(symbol);
+  if (!instrument || instrument.instType === 'SPOT') {
+    return price * size;
+  }
+
+  const spec = contractSpecs.get(instrument.id);
+  if (!spec) {
+    return null;
+  }
+  return spec.currency === instrument.quote ? size * spec.value : size * spec.value * price;
+}
+
+/**
+ * 数量的显示文本，现货如 1.5 BTC，合约如 120 张
+ * @param {string} symbol - 币种符号
+ * @param {number} size - 数量
+ * @returns {string}
+ */
+function formatSize(symbol, size) {
+  const instrument = parseInstrument(symbol);
+  if (!instrument) {
+    return String(size);
+  }
+  return instrument.instType === 'SPOT' ? `${size} ${instrument.base}` : `${size} 张`;
+}
+
+/**
+ * 转换对象的键，重复时后者覆盖前者
+ */
+function normalizeKeys(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return record;
+  }
+  const result = {};
+  Object.entries(record).forEach(([key, value]) => {
+    result[normalizeSymbol(key)] = value;
+  });
+  return result;
+}
+
+/**
+ * 将配置中以各种写法填写的币种符号统一为标准格式
+ * 无法识别的符号保持原样，由配置校验给出错误
+ * @param {Object} config - 合并后的配置，原地修改
+ * @returns {Object} config
+ */
+function normalizeConfigSymbols(config) {
+  const normalizeItem = item => (item && typeof item.symbol === 'string' && item.symbol !== '*'
+    ? { ...item, symbol: normalizeSymbol(item.symbol) }
+    : item);
+  const { websocket, exchanges, arbitrage, derivatives, orderBook, trades, symbols, alerts, notifications } = config;
+
+  if (websocket && websocket.watchdog) websocket.watchdog.symbols = normalizeKeys(websocket.watchdog.symbols);
+  if (exchanges) exchanges.symbols = normalizeKeys(exchanges.symbols);
+  if (arbitrage) arbitrage.symbols = normalizeKeys(arbitrage.symbols);
+  if (derivatives) derivatives.symbols = normalizeKeys(derivatives.symbols);
+  if (orderBook) orderBook.symbols = normalizeKeys(orderBook.symbols);
+  if (trades) {
+    if (Array.isArray(trades.symbols)) trades.symbols = trades.symbols.map(normalizeSymbol);
+    trades.thresholds = normalizeKeys(trades.thresholds);
+  }
+  if (symbols) {
+    if (Array.isArray(symbols.default)) symbols.default = symbols.default.map(normalizeSymbol);
+    symbols.thresholds = normalizeKeys(symbols.thresholds);
+  }
+  if (alerts && Array.isArray(alerts.velocityRules)) alerts.velocityRules = alerts.velocityRules.map(normalizeItem);
+  if (alerts && alerts.bands) alerts.bands.symbols = normalizeKeys(alerts.bands.symbols);
+  if (config.indicators && Array.isArray(config.indicators.rules)) {
+    config.indicators.rules = config.indicators.rules.map(normalizeItem);
+  }
+  if (Array.isArray(config.rules)) config.rules = config.rules.map(normalizeItem);
+  if (config.priceTargets && Array.isArray(config.priceTargets.items)) {
+    config.priceTargets.items = config.priceTargets.items.map(normalizeItem);
+  }
+  if (config.portfolio && Array.isArray(config.portfolio.positions)) {
+    config.portfolio.positions = config.portfolio.positions.map(normalizeItem);
+  }
+  if (notifications) {
+    notifications.symbolChannels = normalizeKeys(notifications.symbolChannels);
+    const recipients = notifications.recipients || {};
+    [recipients.users, recipients.groups].forEach((items) => {
+      Object.values(items || {}).forEach((recipient) => {
+        if (recipient && Array.isArray(recipient.symbols)) {
+          recipient.symbols = recipient.symbols.map(symbol => (symbol === '*' ? symbol : normalizeSymbol(symbol)));
+        }
+      });
+    });
+  }
+
+  return config;
+}
+
+module.exports = {
+  INST_TYPES,
+  parseInstrument,
+  formatInstrument,
+  normalizeSymbol,
+  describeSymbol,
+  formatQuotePrice,
+  normalizeConfigSymbols,
+  setContractSpec,
+  hasContractValue,
+  toNotional,
+  formatSize,
+  USD_QUOTES
+};
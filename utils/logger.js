@@ -0,0 +1,257 @@
+/**
+ * 日志模块
+ * 支持日志级别、文本/JSON Lines 两种输出格式、按模块的子日志器和按大小滚动的日志文件
+ *
+ * 用法:
+ *   const logger = require('../utils/logger').child('ws');
+ *   logger.info('✅ 连接成功');
+ *   logger.error('❌ 重连失败:', error.message);
+ *
+ * 级别和输出在每次写日志时读取 config.logging，运行中修改配置即可生效
+ */
+
+const util = require('util');
+const config = require('../config');
+const RotatingFileWriter = require('./RotatingFileWriter');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+// 各级别对应的控制台方法，警告和错误输出到 stderr
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+};
+
+let fileWriter = null;
+let fileWriterPath = null;
+// 额外的日志接收方，如终端仪表盘的事件列表
+const transports = new Set();
+let consoleSuspended = false;
+
+/**
+ * 解析日志级别
+ * @param {string} level - 级别名称
+ * @returns {number} 级别数值，无法识别时按 info 处理
+ */
+function levelValue(level) {
+  const value = LEVELS[String(level).toLowerCase()];
+  return value === undefined ? LEVELS.info : value;
+}
+
+/**
+ * 获取模块生效的日志级别
+ * config.logging.modules 可为单个模块指定级别，如 { ws: 'warn' }
+ * @param {string|null} name - 模块名称
+ * @returns {number}
+ */
+function thresholdFor(name) {
+  const modules = config.logging.modules || {};
+  if (name) {
+    const root = name.split('.')[0];
+    const level = modules[name] || modules[root];
+    if (level) return levelValue(level);
+  }
+  return levelValue(config.logging.level);
+}
+
+/**
+ * 获取日志文件写入器，配置的路径变化时重新打开
+ * @returns {RotatingFileWriter|null}
+ */
+function getFileWriter() {
+  const fileConfig = config.logging.file || {};
+  if (!fileConfig.enabled) {
+    closeFile();
+    return null;
+  }
+
+  if (!fileWriter || fileWriterPath !== fileConfig.path) {
+    closeFile();
+    fileWriter = new RotatingFileWriter(fileConfig);
+    fileWriterPath = fileConfig.path;
+  }
+  return fileWriter;
+}
+
+/**
+ * 关闭日志文件
+ */
+function closeFile() {
+  if (fileWriter) {
+    fileWriter.close();
+    fileWriter = null;
+    fileWriterPath = null;
+  }
+}
+
+/**
+ * 本地时间 YYYY-MM-DD HH:mm:ss.SSS
+ * @param {Date} date - 时间
+ * @returns {string}
+ */
+function formatTime(date) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * 格式化一条文本日志
+ * @param {Object} entry - 日志条目
+ * @returns {string}
+ */
+function formatText(entry) {
+  const module = entry.module ? ` [${entry.module}]` : '';
+  const stack = entry.err && entry.err.stack ? `\n${entry.err.stack}` : '';
+  return `${formatTime(entry.time)} ${entry.level.toUpperCase().padEnd(5)}${module} ${entry.msg}${stack}`;
+}
+
+/**
+ * 格式化一条 JSON 日志
+ * @param {Object} entry - 日志条目
+ * @returns {string}
+ */
+function formatJson(entry) {
+  const { time, level, module, msg, err, bindings } = entry;
+  return JSON.stringify({
+    time: time.toISOString(),
+    level,
+    module: module || undefined,
+    ...bindings,
+    msg,
+    err
+  });
+}
+
+class Logger {
+  /**
+   * @param {string|null} name - 模块名称
+   * @param {Object} bindings - 附加到每条 JSON 日志的字段
+   */
+  constructor(name = null, bindings = {}) {
+    this.name = name;
+    this.bindings = bindings;
+  }
+
+  /**
+   * 创建子日志器
+   * @param {string} name - 模块名称，嵌套时以 . 连接，如 ws.okx
+   * @param {Object} bindings - 附加字段
+   * @returns {Logger}
+   */
+  child(name, bindings = {}) {
+    return new Logger(this.name ? `${this.name}.${name}` : name, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * 指定级别是否会输出
+   * @param {string} level - 级别名称
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return levelValue(level) >= thresholdFor(this.name);
+  }
+
+  /**
+   * 添加日志接收方，接收已通过级别过滤的日志条目 { time, level, module, msg, err }
+   * 接收方对所有日志器共享
+   * @param {Function} transport - 接收函数
+   */
+  addTransport(transport) {
+    transports.add(transport);
+  }
+
+  /**
+   * 移除日志接收方
+   * @param {Function} transport - 接收函数
+   */
+  removeTransport(transport) {
+    transports.delete(transport);
+  }
+
+  /**
+   * 暂停或恢复控制台输出，日志文件和其他接收方不受影响
+   * @param {boolean} suspended - 是否暂停
+   */
+  suspendConsole(suspended) {
+    consoleSuspended = suspended;
+  }
+
+  /**
+   * 关闭日志文件，下一条日志会重新打开
+   */
+  close() {
+    closeFile();
+  }
+
+  debug(...args) {
+    this._log('debug', args);
+  }
+
+  info(...args) {
+    this._log('info', args);
+  }
+
+  warn(...args) {
+    this._log('warn', args);
+  }
+
+  error(...args) {
+    this._log('error', args);
+  }
+
+  /**
+   * 输出一条日志
+   * 参数与 console.log 相同，Error 对象在 JSON 格式中单独输出为 err 字段
+   * @param {string} level - 级别
+   * @param {Array} args - 日志参数
+   */
+  _log(level, args) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const error = args.find(arg => arg instanceof Error);
+    const entry = {
+      time: new Date(),
+      level,
+      module: this.name,
+      bindings: this.bindings,
+      msg: util.format(...args.map(arg => (arg === error ? arg.message : arg))),
+      err: error ? { name: error.name, message: error.message, stack: error.stack } : undefined
+    };
+    const line = config.logging.format === 'json' ? formatJson(entry) : formatText(entry);
+
+    if (config.logging.enableConsole !== false && !consoleSuspended) {
+      console[CONSOLE_METHODS[level]](line);
+    }
+
+    transports.forEach((transport) => {
+      try {
+        transport(entry);
+      } catch (transportError) {
+        process.stderr.write(`日志输出失败: ${transportError.message}\n`);
+      }
+    });
+
+    const writer = getFileWriter();
+    if (writer) {
+      try {
+        writer.write(config.logging.file.format === 'text' ? formatText(entry) : formatJson(entry));
+      } catch (writeError) {
+        process.stderr.write(`日志文件写入失败: ${writeError.message}\n`);
+      }
+    }
+  }
+}
+
+const rootLogger = new Logger();
+rootLogger.LEVELS = LEVELS;
+
+module.exports = rootLogger;
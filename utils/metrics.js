@@ -0,0 +1,223 @@
+/**
+ * Prometheus 指标工具
+ * 提供计数器、仪表和直方图，按 Prometheus 文本格式 (0.0.4) 输出
+ */
+
+/**
+ * 转义标签值
+ * @param {*} value - 标签值
+ * @returns {string} 转义后的字符串
+ */
+function escapeLabelValue(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * 格式化数值，特殊值使用 Prometheus 约定的写法
+ * @param {number} value - 数值
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * 指标基类
+ */
+class Metric {
+  /**
+   * @param {string} name - 指标名称
+   * @param {string} help - 说明
+   * @param {string[]} labelNames - 标签名称列表
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // 标签组合 -> { labels, value }
+    this.series = new Map();
+  }
+
+  /**
+   * 获取标签组合对应的序列，不存在时创建
+   * @param {Object} labels - 标签
+   * @param {Function} create - 创建初始值的函数
+   * @returns {Object} 序列
+   */
+  _getSeries(labels, create) {
+    const key = this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])).join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, value: create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * 格式化标签
+   * @param {Object} labels - 标签
+   * @param {Object} extra - 额外标签（如直方图的 le）
+   * @returns {string} 如 {symbol="BTC-USDT"}
+   */
+  _formatLabels(labels, extra = {}) {
+    const pairs = this.labelNames
+      .map(name => [name, labels[name]])
+      .concat(Object.entries(extra))
+      .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  /**
+   * 清空所有序列
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * 输出 Prometheus 文本格式
+   * @returns {string}
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    this.series.forEach((series) => {
+      lines.push(...this._renderSeries(series));
+    });
+    return lines.join('\n');
+  }
+
+  _renderSeries({ labels, value }) {
+    return [`${this.name}${this._formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+/**
+ * 计数器，只增不减
+ */
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * 增加计数
+   * @param {Object} labels - 标签
+   * @param {number} value - 增加量
+   */
+  inc(labels = {}, value = 1) {
+    this._getSeries(labels, () => 0).value += value;
+  }
+}
+
+/**
+ * 仪表，可任意设置
+ */
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  /**
+   * 设置数值
+   * @param {Object} labels - 标签
+   * @param {number} value - 数值
+   */
+  set(labels, value) {
+    this._getSeries(labels, () => 0).value = value;
+  }
+}
+
+/**
+ * 直方图，统计数值在各区间的分布
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - 指标名称
+   * @param {string} help - 说明
+   * @param {string[]} labelNames - 标签名称列表
+   * @param {number[]} buckets - 区间上限（升序）
+   */
+  constructor(name, help, labelNames = [], buckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    super(name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * 记录一次观测值
+   * @param {Object} labels - 标签
+   * @param {number} value - 观测值
+   */
+  observe(labels, value) {
+    const series = this._getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) series.value.counts[index]++;
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  _renderSeries({ labels, value }) {
+    const lines = this.buckets.map((bucket, index) =>
+      `${this.name}_bucket${this._formatLabels(labels, { le: formatValue(bucket) })} ${value.counts[index]}`
+    );
+    lines.push(
+      `${this.name}_bucket${this._formatLabels(labels, { le: '+Inf' })} ${value.count}`,
+      `${this.name}_sum${this._formatLabels(labels)} ${value.sum}`,
+      `${this.name}_count${this._formatLabels(labels)} ${value.count}`
+    );
+    return lines;
+  }
+}
+
+/**
+ * 指标注册表
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * 注册指标
+   * @param {Metric} metric - 指标
+   * @returns {Metric} 传入的指标，便于链式创建
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * 输出所有指标
+   * @returns {string} Prometheus 文本格式
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+};